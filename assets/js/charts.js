@@ -6,8 +6,27 @@
     'use strict';
     
     // Chart instances
-    let conversionFunnelChart = null;
     let trafficOverTimeChart = null;
+    let productTrendChart = null;
+    
+    // Traffic over time state
+    let trafficGranularity = 'hour';
+    let trafficIsLive = false;
+    let trafficBuckets = [];
+    
+    // Previous period overlay state
+    let showComparison = false;
+    let comparisonPoints = [];
+    
+    // Traffic series, colours match the default funnel steps
+    const getTrafficSeries = function() {
+        return [
+            { field: 'visitors', eventType: 'visitor', label: wcRealtimeAdmin.locale.visitors || 'Visitors', color: '54, 162, 235' },
+            { field: 'add_to_cart', eventType: 'add_to_cart', label: wcRealtimeAdmin.locale.add_to_cart || 'Add to Cart', color: '255, 159, 64' },
+            { field: 'checkouts', eventType: 'checkout', label: wcRealtimeAdmin.locale.checkout || 'Checkout', color: '75, 192, 192' },
+            { field: 'purchases', eventType: 'purchase', label: wcRealtimeAdmin.locale.purchase || 'Purchase', color: '153, 102, 255' }
+        ];
+    };
     
     // Initialize charts on the dashboard
     const initCharts = function(data) {
@@ -17,118 +36,375 @@
         }
         
         try {
-            initConversionFunnelChart(data);
+            initTrafficOverTimeChart(data);
         } catch (e) {
             console.error('WC Realtime Analytics: Error initializing charts', e);
         }
     };
     
-    // Initialize conversion funnel chart
-    const initConversionFunnelChart = function(data) {
-        if (!data || !data.store) {
+    // Funnel step colours, repeated for funnels with more steps
+    const FUNNEL_COLORS = ['54, 162, 235', '255, 159, 64', '75, 192, 192', '153, 102, 255', '255, 99, 132', '201, 203, 207'];
+    
+    // Step count of a funnel report, sessions or events for product funnels
+    const getStepCount = function(step) {
+        return safeParseInt(step.count !== undefined ? step.count : step.sessions);
+    };
+    
+    // Render a funnel report as bars with step-to-step drop-off
+    const renderFunnel = function(report, selector) {
+        const $container = $(selector || '#funnel-report');
+        
+        if (!$container.length || !report || !Array.isArray(report.steps)) {
+            return;
+        }
+        
+        const locale = wcRealtimeAdmin.locale;
+        const unit = report.unit || locale.sessions || 'sessions';
+        const previousSteps = report.previous && Array.isArray(report.previous.steps) ? report.previous.steps : [];
+        const firstSessions = report.steps.length ? getStepCount(report.steps[0]) : 0;
+        
+        $container.empty();
+        
+        if (firstSessions === 0) {
+            $container.append($('<div class="wc-realtime-no-data"></div>').text(locale.no_data || 'No data available for this period'));
+            return;
+        }
+        
+        const $list = $('<ol class="wc-realtime-funnel-steps-report"></ol>');
+        
+        report.steps.forEach(function(step, index) {
+            const sessions = getStepCount(step);
+            const percent = parseFloat(step.percent_of_first) || 0;
+            const color = FUNNEL_COLORS[index % FUNNEL_COLORS.length];
+            const $step = $('<li class="wc-realtime-funnel-step"></li>');
+            
+            // Drop-off between the previous step and this one
+            if (index > 0) {
+                $step.append($('<div class="wc-realtime-funnel-drop-off"></div>').text(
+                    (locale.step_drop_off || '%1$s dropped off (%2$s)')
+                        .replace('%1$s', safeParseInt(step.drop_off).toLocaleString())
+                        .replace('%2$s', formatPercent(step.drop_off_rate))
+                ));
+            }
+            
+            const $header = $('<div class="wc-realtime-funnel-step-header"></div>')
+                .append($('<span class="wc-realtime-funnel-step-label"></span>').text((index + 1) + '. ' + step.label))
+                .append($('<span class="wc-realtime-funnel-step-value"></span>').text(
+                    sessions.toLocaleString() + ' ' + unit + ' \u00b7 ' +
+                    (locale.of_first_step || '%s of first step').replace('%s', formatPercent(percent))
+                ));
+            
+            const $bar = $('<div class="wc-realtime-funnel-bar"></div>').append(
+                $('<div class="wc-realtime-funnel-bar-fill"></div>').css({
+                    width: Math.max(percent, 0.5) + '%',
+                    backgroundColor: 'rgba(' + color + ', 0.6)',
+                    borderColor: 'rgba(' + color + ', 1)'
+                })
+            );
+            
+            $step.append($header, $bar);
+            
+            // Previous period bar, scaled to its own first step
+            if (previousSteps[index]) {
+                const previousPercent = parseFloat(previousSteps[index].percent_of_first) || 0;
+                
+                $step.append(
+                    $('<div class="wc-realtime-funnel-bar wc-realtime-funnel-bar-previous"></div>')
+                        .attr('title', (locale.previous_period || 'Previous period') + ': ' +
+                            safeParseInt(previousSteps[index].sessions).toLocaleString() + ' ' + (locale.sessions || 'sessions'))
+                        .append($('<div class="wc-realtime-funnel-bar-fill"></div>').css({
+                            width: Math.max(previousPercent, 0.5) + '%',
+                            backgroundColor: 'rgba(' + color + ', 0.2)',
+                            borderColor: 'rgba(' + color + ', 0.6)'
+                        }))
+                );
+            }
+            
+            $list.append($step);
+        });
+        
+        $container.append($list);
+        
+        if (report.truncated) {
+            $container.append($('<p class="description"></p>').text(locale.funnel_truncated || 'Only part of the events in this period were analyzed'));
+        }
+    };
+    
+    // Format a percentage with at most one decimal
+    const formatPercent = function(value) {
+        return (Math.round((parseFloat(value) || 0) * 10) / 10) + '%';
+    };
+    
+    // Initialize traffic over time chart
+    const initTrafficOverTimeChart = function(data) {
+        if (!data || !data.timeseries || !Array.isArray(data.timeseries.points)) {
             return;
         }
         
-        const ctx = document.getElementById('conversion-chart');
+        const ctx = document.getElementById('traffic-chart');
         
         if (!ctx) {
             return;
         }
         
-        // Ensure all values are numbers
-        const visitors = parseInt(data.store.visitors || 0, 10);
-        const addToCart = parseInt(data.store.add_to_cart || 0, 10);
-        const checkouts = parseInt(data.store.checkouts || 0, 10);
-        const purchases = parseInt(data.store.purchases || 0, 10);
+        setTrafficState(data);
         
         const chartData = {
-            labels: [
-                wcRealtimeAdmin.locale.visitors || 'Visitors',
-                wcRealtimeAdmin.locale.add_to_cart || 'Add to Cart',
-                wcRealtimeAdmin.locale.checkout || 'Checkout',
-                wcRealtimeAdmin.locale.purchase || 'Purchase'
-            ],
-            datasets: [{
-                label: wcRealtimeAdmin.locale.visitors || 'Visitors',
-                data: [visitors, addToCart, checkouts, purchases],
-                backgroundColor: [
-                    'rgba(54, 162, 235, 0.6)',
-                    'rgba(255, 159, 64, 0.6)',
-                    'rgba(75, 192, 192, 0.6)',
-                    'rgba(153, 102, 255, 0.6)'
-                ],
-                borderColor: [
-                    'rgba(54, 162, 235, 1)',
-                    'rgba(255, 159, 64, 1)',
-                    'rgba(75, 192, 192, 1)',
-                    'rgba(153, 102, 255, 1)'
-                ],
-                borderWidth: 1
-            }]
+            labels: trafficBuckets.map(function(bucket) {
+                return formatBucketLabel(bucket, trafficGranularity);
+            }),
+            datasets: buildTrafficDatasets(data.timeseries.points)
         };
         
         // Destroy existing chart if it exists
-        if (conversionFunnelChart) {
-            conversionFunnelChart.destroy();
+        if (trafficOverTimeChart) {
+            trafficOverTimeChart.destroy();
         }
         
         // Create new chart
-        conversionFunnelChart = new Chart(ctx, {
-            type: 'bar',
+        trafficOverTimeChart = new Chart(ctx, {
+            type: 'line',
             data: chartData,
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
                 plugins: {
                     title: {
                         display: true,
-                        text: wcRealtimeAdmin.locale.conversion_funnel || 'Conversion Funnel'
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: function(context) {
-                                return context.parsed.y;
-                            }
+                        text: wcRealtimeAdmin.locale.traffic_over_time || 'Traffic Over Time'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            precision: 0
                         }
                     }
+                }
+            }
+        });
+    };
+    
+    // Show the daily trend of a product, replacing the previous product's chart
+    const renderProductTrend = function(points) {
+        const ctx = document.getElementById('product-trend-chart');
+        
+        clearProductTrend();
+        
+        if (!ctx || typeof Chart === 'undefined') {
+            return;
+        }
+        
+        productTrendChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: points.map(function(point) {
+                    return formatBucketLabel(String(point.bucket || ''), 'day');
+                }),
+                datasets: getTrafficSeries().map(function(series) {
+                    return {
+                        label: series.label,
+                        data: points.map(function(point) {
+                            return safeParseInt(point[series.field]);
+                        }),
+                        backgroundColor: 'rgba(' + series.color + ', 0.2)',
+                        borderColor: 'rgba(' + series.color + ', 1)',
+                        borderWidth: 2,
+                        pointRadius: 2,
+                        tension: 0.3,
+                        fill: false
+                    };
+                })
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: wcRealtimeAdmin.locale.daily_trend || 'Daily trend'
+                    }
                 },
                 scales: {
                     y: {
-                        beginAtZero: true
+                        beginAtZero: true,
+                        ticks: {
+                            precision: 0
+                        }
                     }
                 }
             }
         });
     };
     
-    // Update conversion funnel chart with new data
-    const updateConversionFunnelChart = function(data) {
-        if (!conversionFunnelChart || !data || !data.store) {
+    // Destroy the product trend chart
+    const clearProductTrend = function() {
+        if (productTrendChart) {
+            productTrendChart.destroy();
+            productTrendChart = null;
+        }
+    };
+    
+    // Update traffic over time chart with new data
+    const updateTrafficOverTimeChart = function(data) {
+        if (!data || !data.timeseries || !Array.isArray(data.timeseries.points)) {
+            return;
+        }
+        
+        // Create the chart on first use
+        if (!trafficOverTimeChart) {
+            initTrafficOverTimeChart(data);
             return;
         }
         
-        // Ensure all values are numbers
-        const visitors = parseInt(data.store.visitors || 0, 10);
-        const addToCart = parseInt(data.store.add_to_cart || 0, 10);
-        const checkouts = parseInt(data.store.checkouts || 0, 10);
-        const purchases = parseInt(data.store.purchases || 0, 10);
+        setTrafficState(data);
         
         try {
-            conversionFunnelChart.data.datasets[0].data = [visitors, addToCart, checkouts, purchases];
-            conversionFunnelChart.update();
+            trafficOverTimeChart.data.labels = trafficBuckets.map(function(bucket) {
+                return formatBucketLabel(bucket, trafficGranularity);
+            });
+            trafficOverTimeChart.data.datasets = buildTrafficDatasets(data.timeseries.points);
+            
+            trafficOverTimeChart.update();
         } catch (e) {
-            console.error('WC Realtime Analytics: Error updating conversion funnel chart', e);
+            console.error('WC Realtime Analytics: Error updating traffic over time chart', e);
         }
     };
     
-    // Initialize traffic over time chart
-    const initTrafficOverTimeChart = function(data) {
-        // Implementation for future use
+    // Count a live event in the matching time bucket, appending a new bucket if needed
+    const addTrafficEvent = function(eventType, timestamp) {
+        if (!trafficOverTimeChart) {
+            return;
+        }
+        
+        const seriesIndex = getTrafficSeries().findIndex(function(series) {
+            return series.eventType === eventType;
+        });
+        
+        if (seriesIndex === -1) {
+            return;
+        }
+        
+        const bucket = getBucketKey(timestamp || getLocalTimestamp(), trafficGranularity);
+        let index = trafficBuckets.indexOf(bucket);
+        
+        if (index === -1) {
+            // Only ranges reaching the present grow, and only forwards
+            const lastBucket = trafficBuckets[trafficBuckets.length - 1];
+            if (!trafficIsLive || (lastBucket && bucket < lastBucket)) {
+                return;
+            }
+            
+            trafficBuckets.push(bucket);
+            trafficOverTimeChart.data.labels.push(formatBucketLabel(bucket, trafficGranularity));
+            index = trafficBuckets.length - 1;
+            trafficOverTimeChart.data.datasets.forEach(function(dataset) {
+                // Previous period lines continue with their own values
+                dataset.data.push(dataset.wcraField ? getComparisonValue(index, dataset.wcraField) : 0);
+            });
+        }
+        
+        try {
+            const dataset = trafficOverTimeChart.data.datasets[seriesIndex];
+            dataset.data[index] = safeParseInt(dataset.data[index]) + 1;
+            trafficOverTimeChart.update('none');
+        } catch (e) {
+            console.error('WC Realtime Analytics: Error adding live event to traffic chart', e);
+        }
     };
     
-    // Update traffic over time chart with new data
-    const updateTrafficOverTimeChart = function(data) {
-        // Implementation for future use
+    // Remember bucket keys and range information of the current time series
+    const setTrafficState = function(data) {
+        const timeseries = data.timeseries;
+        
+        trafficGranularity = timeseries.granularity === 'day' ? 'day' : 'hour';
+        trafficIsLive = !!timeseries.is_live;
+        trafficBuckets = timeseries.points.map(function(point) {
+            return String(point.bucket || '');
+        });
+        
+        comparisonPoints = (data.comparison && data.comparison.timeseries && Array.isArray(data.comparison.timeseries.points))
+            ? data.comparison.timeseries.points
+            : [];
+    };
+    
+    // Build the current period datasets, followed by the previous period when enabled
+    const buildTrafficDatasets = function(points) {
+        const datasets = getTrafficSeries().map(function(series) {
+            return {
+                label: series.label,
+                data: points.map(function(point) {
+                    return safeParseInt(point[series.field]);
+                }),
+                backgroundColor: 'rgba(' + series.color + ', 0.2)',
+                borderColor: 'rgba(' + series.color + ', 1)',
+                borderWidth: 2,
+                pointRadius: 2,
+                tension: 0.3,
+                fill: false
+            };
+        });
+        
+        if (!showComparison || !comparisonPoints.length) {
+            return datasets;
+        }
+        
+        // Previous period is aligned bucket by bucket with the current one
+        getTrafficSeries().forEach(function(series) {
+            datasets.push({
+                label: series.label + ' (' + (wcRealtimeAdmin.locale.previous_period || 'Previous period') + ')',
+                wcraField: series.field,
+                data: points.map(function(point, index) {
+                    return getComparisonValue(index, series.field);
+                }),
+                backgroundColor: 'rgba(' + series.color + ', 0.1)',
+                borderColor: 'rgba(' + series.color + ', 0.5)',
+                borderWidth: 1,
+                borderDash: [5, 5],
+                pointRadius: 0,
+                tension: 0.3,
+                fill: false
+            });
+        });
+        
+        return datasets;
+    };
+    
+    // Value of the previous period at a bucket position, null past its end
+    const getComparisonValue = function(index, field) {
+        return index < comparisonPoints.length ? safeParseInt(comparisonPoints[index][field]) : null;
+    };
+    
+    // Get the bucket key for a 'YYYY-MM-DD HH:MM:SS' timestamp
+    const getBucketKey = function(timestamp, granularity) {
+        return granularity === 'hour' 
+            ? timestamp.substr(0, 13) + ':00:00' 
+            : timestamp.substr(0, 10);
+    };
+    
+    // Format a bucket key as an axis label
+    const formatBucketLabel = function(bucket, granularity) {
+        return granularity === 'hour' ? bucket.substr(11, 5) : bucket.substr(0, 10);
+    };
+    
+    // Current browser time as 'YYYY-MM-DD HH:MM:SS', used when an event has no timestamp
+    const getLocalTimestamp = function() {
+        const now = new Date();
+        const pad = function(value) {
+            return ('0' + value).slice(-2);
+        };
+        
+        return now.getFullYear() + '-' + pad(now.getMonth() + 1) + '-' + pad(now.getDate()) + ' ' +
+            pad(now.getHours()) + ':' + pad(now.getMinutes()) + ':' + pad(now.getSeconds());
     };
     
     // Validate chart data for security
@@ -160,12 +436,35 @@
                 console.warn('WC Realtime Analytics: Invalid chart data');
             }
         },
-        updateConversionFunnel: function(data) {
+        updateFunnel: function(report, selector) {
+            try {
+                renderFunnel(report, selector);
+            } catch (e) {
+                console.error('WC Realtime Analytics: Error rendering funnel', e);
+            }
+        },
+        updateTrafficOverTime: function(data) {
             if (validateChartData(data)) {
-                updateConversionFunnelChart(data);
+                updateTrafficOverTimeChart(data);
             } else {
                 console.warn('WC Realtime Analytics: Invalid chart data for update');
             }
+        },
+        updateProductTrend: function(points) {
+            try {
+                renderProductTrend(Array.isArray(points) ? points : []);
+            } catch (e) {
+                console.error('WC Realtime Analytics: Error rendering product trend', e);
+            }
+        },
+        clearProductTrend: function() {
+            clearProductTrend();
+        },
+        addTrafficEvent: function(eventType, timestamp) {
+            addTrafficEvent(eventType, typeof timestamp === 'string' ? timestamp : '');
+        },
+        setComparison: function(enabled) {
+            showComparison = !!enabled;
         }
     };
     
@@ -5,8 +5,12 @@
 (function($) {
     'use strict';
     
-    // Chart instance
-    let conversionChart = null;
+    // Funnel builder and report state
+    const FUNNEL_REFRESH_DELAY = 30000;
+    let funnels = Array.isArray(wcRealtimeAdmin.funnels) ? wcRealtimeAdmin.funnels : [];
+    let currentFunnelId = 'store';
+    let funnelRequest = null;
+    let funnelRefreshTimer = null;
     
     // Pusher instance
     let pusher = null;
@@ -16,382 +20,956 @@
     let fromDate = '';
     let toDate = '';
     
-    // Load initial events from server
-    const loadInitialEvents = function() {
+    // Statistics are reloaded now and then, live events only add to periods that run until now
+    const STATS_REFRESH_INTERVAL = 60000;
+    let statsRequest = null;
+    let statsIncludeNow = true;
+    
+    // Events already shown, a backfill after a reconnect can return some of them again
+    const SEEN_EVENTS_LIMIT = 500;
+    const BACKFILL_MAX_PAGES = 10;
+    let seenEventIds = {};
+    let seenEventQueue = [];
+    let lastEventId = null;
+    let backfillRequest = null;
+    
+    // Previous period comparison state
+    let compareEnabled = false;
+    let lastStatsData = null;
+    
+    // Live events feed state
+    const FEED_PAGE_SIZE = 20;
+    let feedLimit = FEED_PAGE_SIZE;
+    let eventsCursor = 0;
+    let eventsLoading = false;
+    let eventFilters = {
+        event_type: '',
+        product_id: 0,
+        product_label: '',
+        country_code: '',
+        country_label: '',
+        source: '',
+        source_label: ''
+    };
+    
+    // Session journey explorer state
+    const SESSIONS_PAGE_SIZE = 20;
+    let sessionsOffset = 0;
+    let sessionsRequest = null;
+    let sessionSearchTimer = null;
+    let activeSessionId = '';
+    let sessionRefreshTimer = null;
+    
+    // Products and countries tables, sorted, searched and paged on the server
+    const TABLE_PAGE_SIZE = 20;
+    let tableStates = {
+        products: { page: 1, orderby: 'visitors', order: 'desc', search: '', group: 'product', request: null, searchTimer: null },
+        countries: { page: 1, orderby: 'visitors', order: 'desc', search: '', request: null, searchTimer: null }
+    };
+    let activeProductId = 0;
+    let productRequest = null;
+    
+    // Visitors on the site now are counted from heartbeats, checked periodically
+    const ACTIVE_VISITORS_INTERVAL = 30000;
+    
+    // Country the visitor map is zoomed into
+    let activeMapCountry = '';
+    let regionsRequest = null;
+    
+    // Alerts dismissed on this page, kept hidden if a refresh still lists them
+    let dismissedAlerts = {};
+    
+    // Load a page of events from the server, replacing the feed unless older events are requested
+    const loadEvents = function(loadOlder) {
+        if (eventsLoading) {
+            return;
+        }
+        
+        eventsLoading = true;
+        
+        const data = {
+            action: 'wc_realtime_get_initial_events',
+            nonce: wcRealtimeAdmin.nonce,
+            limit: FEED_PAGE_SIZE,
+            event_type: eventFilters.event_type,
+            product_id: eventFilters.product_id,
+            country_code: eventFilters.country_code,
+            source: eventFilters.source
+        };
+        
+        if (loadOlder && eventsCursor) {
+            data.before_id = eventsCursor;
+        }
+        
         $.ajax({
             url: wcRealtimeAdmin.ajax_url,
             type: 'POST',
-            data: {
-                action: 'wc_realtime_get_initial_events',
-                nonce: wcRealtimeAdmin.nonce,
-                limit: 20 // Số lượng sự kiện ban đầu
-            },
+            data: data,
             dataType: 'json',
             success: function(response) {
-                if (response.success && response.data && response.data.events) {
-                    // Xóa trạng thái rỗng
-                    $('#live-events-container .wc-realtime-empty-state').remove();
-                    
-                    // Thêm các sự kiện từ database
-                    response.data.events.reverse().forEach(function(event) {
-                        addLiveEvent(event.event_type, event);
-                    });
+                eventsLoading = false;
+                
+                if (!response.success || !response.data || !response.data.events) {
+                    console.warn('WC Realtime Analytics: Failed to load events', response);
+                    return;
+                }
+                
+                const $container = $('#live-events-container');
+                const events = response.data.events;
+                
+                if (!loadOlder) {
+                    $container.find('.wc-realtime-event').remove();
+                    feedLimit = FEED_PAGE_SIZE;
+                } else {
+                    feedLimit += events.length;
                 }
+                
+                // Events arrive newest first, older pages go below what is shown
+                events.forEach(function(event) {
+                    $container.append(buildEventHtml(event.event_type, event, parseEventDate(event.created_at), false));
+                });
+                
+                eventsCursor = response.data.has_more ? parseInt(response.data.next_cursor, 10) : 0;
+                $('#live-events-load-older').toggle(!!response.data.has_more);
+                
+                updateFeedEmptyState();
             },
             error: function() {
-                console.warn('WC Realtime Analytics: Failed to load initial events');
+                eventsLoading = false;
+                console.warn('WC Realtime Analytics: Failed to load events');
+                
+                // Fall back to the events rendered with the page
+                if (!loadOlder && typeof wcRealtimeAdmin !== 'undefined' && wcRealtimeAdmin.last_events && wcRealtimeAdmin.last_events.length > 0) {
+                    loadSavedEvents(wcRealtimeAdmin.last_events);
+                }
             }
         });
     };
     
-    // Initialize the dashboard
-    const initDashboard = function() {
-        // Initialize date pickers for custom range
-        initDatePickers();
-        
-        // Set up event handlers
-        setupEventHandlers();
+    // Show or hide the empty state of the live events feed
+    const updateFeedEmptyState = function() {
+        const $container = $('#live-events-container');
+        const $emptyState = $container.find('.wc-realtime-empty-state');
         
-        // Load initial statistics
-        loadStats('today');
-        
-        // Load initial events
-        loadInitialEvents();
+        if ($container.find('.wc-realtime-event').length) {
+            $emptyState.remove();
+            return;
+        }
         
-        // Load saved events if available
-        if (typeof wcRealtimeAdmin !== 'undefined' && wcRealtimeAdmin.last_events && wcRealtimeAdmin.last_events.length > 0) {
-            loadSavedEvents(wcRealtimeAdmin.last_events);
+        if (!$emptyState.length) {
+            $container.append('<div class="wc-realtime-empty-state"></div>');
         }
         
-        // Initialize Pusher if configured
-        if (typeof wcRealtimeAdmin !== 'undefined' && wcRealtimeAdmin.is_pusher_configured) {
-            console.log('WC Realtime Analytics: Initializing Pusher connection');
-            initPusher();
-        } else {
-            console.warn('WC Realtime Analytics: Pusher is not configured. Real-time updates will not work.');
-            $('#live-events-container .wc-realtime-empty-state')
-                .text('Real-time updates not available. Please configure Pusher in settings.')
-                .css('color', '#F44336');
+        if (hasEventFilters()) {
+            $container.find('.wc-realtime-empty-state')
+                .text(wcRealtimeAdmin.locale.no_matching_events || 'No events match the selected filters')
+                .css('color', '');
         }
     };
-// Load saved events from database
-const loadSavedEvents = function(events) {
-    if (!events || !events.length) {
-        return;
-    }
-    
-    console.log('WC Realtime Analytics: Loading ' + events.length + ' saved events');
     
-    // Clear any existing empty state
-    const $container = $('#live-events-container');
-    $container.find('.wc-realtime-empty-state').remove();
+    // Check whether any live events filter is active
+    const hasEventFilters = function() {
+        return !!(eventFilters.event_type || eventFilters.product_id || eventFilters.country_code || eventFilters.source);
+    };
     
-    // Process events in reverse order (oldest first)
-    for (let i = events.length - 1; i >= 0; i--) {
-        const event = events[i];
-        
-        // Format the event time
-        const eventDate = new Date(event.created_at);
-        const timeString = 
-            ('0' + eventDate.getHours()).slice(-2) + ':' + 
-            ('0' + eventDate.getMinutes()).slice(-2) + ':' + 
-            ('0' + eventDate.getSeconds()).slice(-2);
-        
-        // Create event element based on event type
-        let eventText = '';
-        let eventClass = '';
+    // Check whether an event matches the active filters
+    const matchesEventFilters = function(eventType, data) {
+        if (eventFilters.event_type && eventType !== eventFilters.event_type) {
+            return false;
+        }
         
-        switch (event.event_type) {
-            case 'visitor':
-                eventText = event.product_id > 0 
-                    ? 'Viewing product' + (event.product_name ? ': ' + escapeHtml(event.product_name) : (' #' + event.product_id))
-                    : 'Page view';
-                eventClass = 'visitor';
-                break;
-                
-            case 'add_to_cart':
-                eventText = 'Added to cart: ' + (event.product_name ? escapeHtml(event.product_name) : 'Product #' + event.product_id);
-                eventClass = 'add-to-cart';
-                break;
-                
-            case 'checkout':
-                eventText = 'Started checkout';
-                eventClass = 'checkout';
-                break;
-                
-            case 'purchase':
-                eventText = 'Completed purchase';
-                if (event.order_id) {
-                    eventText += ': Order #' + event.order_id;
-                }
-                eventClass = 'purchase';
-                break;
-                
-            default:
-                eventText = 'Unknown event: ' + event.event_type;
-                eventClass = 'unknown';
-                break;
+        if (eventFilters.product_id && parseInt(data.product_id || 0, 10) !== eventFilters.product_id) {
+            return false;
         }
         
-        // Add country info if available
-        if (event.country_name) {
-            eventText += ' from ' + escapeHtml(event.country_name);
-        } else if (event.country_code) {
-            eventText += ' from ' + escapeHtml(event.country_code);
+        if (eventFilters.country_code && data.country_code !== eventFilters.country_code) {
+            return false;
         }
         
-        // Create the event HTML
-        const eventHtml = `
-            <div class="wc-realtime-event wc-realtime-event-${eventClass}">
-                <span class="wc-realtime-event-time">${timeString}</span>
-                <span class="wc-realtime-event-icon"></span>
-                <span class="wc-realtime-event-text">${eventText}</span>
-            </div>
-        `;
+        if (eventFilters.source && (data.source || '') !== eventFilters.source) {
+            return false;
+        }
         
-        // Add to container
-        $container.prepend(eventHtml);
-    }
-};
-
-// Initialize date pickers
-const initDatePickers = function() {
-    if (typeof $.datepicker === 'undefined') {
-        console.warn('WC Realtime Analytics: jQuery datepicker not available');
-        return;
-    }
+        return true;
+    };
     
-    try {
-        $('#wc-realtime-date-from, #wc-realtime-date-to').datepicker({
-            dateFormat: 'yy-mm-dd',
-            maxDate: 0, // Can't select future dates
-            changeMonth: true,
-            changeYear: true
-        });
+    // Render chips for the active product, country and source filters
+    const renderActiveFilters = function() {
+        const removeLabel = escapeHtml(wcRealtimeAdmin.locale.remove_filter || 'Remove filter');
+        let html = '';
         
-        // Set default values to today
-        const today = new Date();
-        const formattedDate = today.getFullYear() + '-' + 
-                            (('0' + (today.getMonth() + 1)).slice(-2)) + '-' + 
-                            ('0' + today.getDate()).slice(-2);
+        if (eventFilters.product_id) {
+            html += `
+                <span class="wc-realtime-chip active">
+                    ${escapeHtml(wcRealtimeAdmin.locale.filter_product || 'Product')}: ${escapeHtml(eventFilters.product_label)}
+                    <button type="button" class="wc-realtime-chip-remove" data-filter="product" aria-label="${removeLabel}">&times;</button>
+                </span>
+            `;
+        }
         
-        $('#wc-realtime-date-from, #wc-realtime-date-to').val(formattedDate);
-    } catch (e) {
-        console.error('WC Realtime Analytics: Error initializing datepicker', e);
-    }
-};
-
-// Set up event handlers
-const setupEventHandlers = function() {
-    // Handle timeframe changes
-    $('#wc-realtime-timeframe').on('change', function() {
-        const timeframe = $(this).val();
-        currentTimeframe = timeframe;
+        if (eventFilters.country_code) {
+            html += `
+                <span class="wc-realtime-chip active">
+                    ${escapeHtml(wcRealtimeAdmin.locale.filter_country || 'Country')}: ${escapeHtml(eventFilters.country_label)}
+                    <button type="button" class="wc-realtime-chip-remove" data-filter="country" aria-label="${removeLabel}">&times;</button>
+                </span>
+            `;
+        }
         
-        // Show/hide custom date range inputs
-        if (timeframe === 'custom') {
-            $('#wc-realtime-custom-range').show();
-        } else {
-            $('#wc-realtime-custom-range').hide();
-            loadStats(timeframe);
+        if (eventFilters.source) {
+            html += `
+                <span class="wc-realtime-chip active">
+                    ${escapeHtml(wcRealtimeAdmin.locale.filter_source || 'Source')}: ${escapeHtml(eventFilters.source_label)}
+                    <button type="button" class="wc-realtime-chip-remove" data-filter="source" aria-label="${removeLabel}">&times;</button>
+                </span>
+            `;
         }
-    });
+        
+        $('#live-events-active-filters').html(html);
+    };
     
-    // Handle custom range apply button
-    $('#wc-realtime-apply-range').on('click', function() {
-        fromDate = $('#wc-realtime-date-from').val();
-        toDate = $('#wc-realtime-date-to').val();
+    // Set or clear a product, country or source filter and reload the feed
+    const setEventFilter = function(filter, value, label) {
+        if (filter === 'product') {
+            eventFilters.product_id = parseInt(value, 10) || 0;
+            eventFilters.product_label = eventFilters.product_id ? String(label || value) : '';
+        } else if (filter === 'country') {
+            eventFilters.country_code = value ? String(value) : '';
+            eventFilters.country_label = eventFilters.country_code ? String(label || value) : '';
+        } else if (filter === 'source') {
+            eventFilters.source = value ? String(value) : '';
+            eventFilters.source_label = eventFilters.source ? String(label || value) : '';
+        }
         
-        // Validate dates
-        if (!fromDate || !toDate) {
-            alert(wcRealtimeAdmin.locale.error_missing_dates || 'Please select both start and end dates');
-            return;
+        renderActiveFilters();
+        loadEvents(false);
+    };
+    
+    // Load a page of recent sessions, replacing the list unless more are requested
+    const loadSessions = function(loadMore) {
+        // A new search replaces a request that is still running
+        if (sessionsRequest) {
+            if (loadMore) {
+                return;
+            }
+            sessionsRequest.abort();
         }
         
-        // Validate date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(fromDate) || !dateRegex.test(toDate)) {
-            alert(wcRealtimeAdmin.locale.error_invalid_date_format || 'Invalid date format. Please use YYYY-MM-DD');
-            return;
+        if (!loadMore) {
+            sessionsOffset = 0;
         }
         
-        // Check if from date is before to date
-        if (new Date(fromDate) > new Date(toDate)) {
-            alert(wcRealtimeAdmin.locale.error_date_range || 'Start date must be before end date');
+        sessionsRequest = $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'wc_realtime_get_sessions',
+                nonce: wcRealtimeAdmin.nonce,
+                limit: SESSIONS_PAGE_SIZE,
+                offset: sessionsOffset,
+                days: $('#wc-realtime-session-days').val() || 7,
+                status: $('#wc-realtime-session-status').val() || '',
+                search: $.trim($('#wc-realtime-session-search').val() || '')
+            },
+            dataType: 'json',
+            success: function(response) {
+                if (!response.success || !response.data || !response.data.sessions) {
+                    showSessionsMessage(response.data && response.data.message 
+                        ? response.data.message 
+                        : wcRealtimeAdmin.locale.error || 'An error occurred', 'wc-realtime-error');
+                    return;
+                }
+                
+                renderSessions(response.data.sessions, loadMore);
+                sessionsOffset += response.data.sessions.length;
+                $('#sessions-load-more').toggle(!!response.data.has_more);
+            },
+            error: function(xhr, status) {
+                if (status !== 'abort') {
+                    showSessionsMessage(wcRealtimeAdmin.locale.error || 'An error occurred', 'wc-realtime-error');
+                }
+            },
+            complete: function(xhr) {
+                if (sessionsRequest === xhr) {
+                    sessionsRequest = null;
+                }
+            }
+        });
+    };
+    
+    // Show a single message row in the sessions table
+    const showSessionsMessage = function(message, className) {
+        $('#sessions-table tbody').html(
+            '<tr><td colspan="7" class="' + className + '">' + escapeHtml(message) + '</td></tr>'
+        );
+        $('#sessions-load-more').hide();
+    };
+    
+    // Render rows of the recent sessions table
+    const renderSessions = function(sessions, append) {
+        const $tbody = $('#sessions-table tbody');
+        
+        if (!append) {
+            $tbody.empty();
+        }
+        
+        if (!append && sessions.length === 0) {
+            showSessionsMessage(wcRealtimeAdmin.locale.no_sessions || 'No sessions found', 'wc-realtime-empty');
             return;
         }
         
-        loadStats('custom', fromDate, toDate);
-    });
-};
-
-// Initialize Pusher for real-time updates
-const initPusher = function() {
-    if (typeof Pusher === 'undefined') {
-        console.warn('WC Realtime Analytics: Pusher library not loaded');
-        $('#live-events-container .wc-realtime-empty-state')
-            .text('Real-time updates not available. Pusher library not loaded.')
-            .css('color', '#F44336');
-        return;
-    }
+        $.each(sessions, function(index, session) {
+            const country = session.country_name || session.country_code || '';
+            const revenue = parseFloat(session.revenue || 0) > 0 ? formatMoney(session.revenue) : '';
+            const isActive = session.session_id === activeSessionId;
+            
+            $tbody.append(`
+                <tr class="wc-realtime-session-row${isActive ? ' active' : ''}" data-session-id="${escapeHtml(session.session_id)}">
+                    <td><code>${escapeHtml(shortSessionId(session.session_id))}</code></td>
+                    <td>${escapeHtml(country)}</td>
+                    <td>${escapeHtml(formatEventTime(parseEventDate(session.started_at)))} <span class="wc-realtime-muted">${escapeHtml(String(session.started_at || '').substr(0, 10))}</span></td>
+                    <td>${escapeHtml(formatDuration(session.duration))}</td>
+                    <td>${parseInt(session.events || 0, 10)}</td>
+                    <td><span class="wc-realtime-stage wc-realtime-stage-${escapeHtml(session.stage)}">${escapeHtml(getStageLabel(session.stage))}</span></td>
+                    <td>${escapeHtml(revenue)}</td>
+                </tr>
+            `);
+        });
+    };
     
-    try {
-        console.log('WC Realtime Analytics: Attempting to connect to Pusher with key:', wcRealtimeAdmin.pusher_key, 'cluster:', wcRealtimeAdmin.pusher_cluster);
+    // Load and show the journey of a session
+    const openSession = function(sessionId) {
+        if (!sessionId) {
+            return;
+        }
         
-        // Create Pusher instance with debug enabled
-        pusher = new Pusher(wcRealtimeAdmin.pusher_key, {
-            cluster: wcRealtimeAdmin.pusher_cluster,
-            encrypted: true,
-            enabledTransports: ['ws', 'wss'],
-            debug: true
-        });
+        activeSessionId = sessionId;
         
-        // Subscribe to analytics channel
-        const channel = pusher.subscribe('wc-analytics');
+        $('#sessions-table .wc-realtime-session-row').removeClass('active')
+            .filter(function() {
+                return $(this).attr('data-session-id') === sessionId;
+            })
+            .addClass('active');
         
-        // Log channel subscription
-        console.log('WC Realtime Analytics: Subscribed to channel wc-analytics');
+        const $timeline = $('#session-timeline');
+        if (!$timeline.find('.wc-realtime-session-step').length) {
+            $timeline.html('<div class="wc-realtime-loading">' + escapeHtml(wcRealtimeAdmin.locale.loading || 'Loading...') + '</div>');
+        }
         
-        // Check for successful connection
-        pusher.connection.bind('connected', function() {
-            console.log('WC Realtime Analytics: Connected to Pusher successfully');
-            // Show connection status message if no events are displayed yet
-            if ($('#live-events-container .wc-realtime-event').length === 0) {
-                $('#live-events-container .wc-realtime-empty-state')
-                    .text('Connected! Waiting for events...')
-                    .css('color', '#4CAF50');
+        $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'wc_realtime_get_session',
+                nonce: wcRealtimeAdmin.nonce,
+                session_id: sessionId
+            },
+            dataType: 'json',
+            success: function(response) {
+                // Ignore answers for a session that is no longer shown
+                if (sessionId !== activeSessionId) {
+                    return;
+                }
+                
+                if (!response.success || !response.data) {
+                    $timeline.html('<div class="wc-realtime-error">' + escapeHtml(response.data && response.data.message 
+                        ? response.data.message 
+                        : wcRealtimeAdmin.locale.error || 'An error occurred') + '</div>');
+                    return;
+                }
+                
+                renderSessionTimeline(response.data.session, response.data.timeline || [], response.data.attribution);
+            },
+            error: function(xhr) {
+                if (sessionId !== activeSessionId) {
+                    return;
+                }
+                
+                const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message
+                    ? xhr.responseJSON.data.message
+                    : wcRealtimeAdmin.locale.error || 'An error occurred';
+                $timeline.html('<div class="wc-realtime-error">' + escapeHtml(message) + '</div>');
             }
         });
+    };
+    
+    // Reload the open journey when one of its events arrives
+    const refreshActiveSession = function(sessionId) {
+        if (!activeSessionId || sessionId !== activeSessionId) {
+            return;
+        }
         
-        // Check for connection errors
-        pusher.connection.bind('error', function(err) {
-            console.error('WC Realtime Analytics: Pusher connection error', err);
-            // Show error message
-            $('#live-events-container .wc-realtime-empty-state')
-                .text('Error connecting to real-time service: ' + (err.message || err.data?.message || 'Unknown error'))
-                .css('color', '#F44336');
-        });
+        clearTimeout(sessionRefreshTimer);
+        sessionRefreshTimer = setTimeout(function() {
+            openSession(activeSessionId);
+        }, 1000);
+    };
+    
+    // Render the summary and steps of a session
+    const renderSessionTimeline = function(session, timeline, attribution) {
+        const locale = wcRealtimeAdmin.locale;
+        const country = session.country_name || session.country_code || '';
         
-        // Log all events for debugging
-        pusher.connection.bind('state_change', function(states) {
-            console.log('WC Realtime Analytics: Pusher connection state changed from', 
-                states.previous, 'to', states.current);
-        });
+        let html = `
+            <div class="wc-realtime-session-summary">
+                <h3>${escapeHtml(locale.session_journey || 'Session journey')} <code>${escapeHtml(shortSessionId(session.session_id))}</code></h3>
+                <ul>
+                    <li><strong>${escapeHtml(locale.session_started || 'Started')}:</strong> ${escapeHtml(session.started_at)}</li>
+                    <li><strong>${escapeHtml(locale.session_duration || 'Duration')}:</strong> ${escapeHtml(formatDuration(session.duration))}</li>
+                    ${country ? `<li><strong>${escapeHtml(locale.country || 'Country')}:</strong> ${escapeHtml(country)}</li>` : ''}
+                    ${attribution ? `<li><strong>${escapeHtml(locale.traffic_source || 'Source')}:</strong> ${escapeHtml(getSourceLabel(attribution.source, attribution.medium))}</li>` : ''}
+                    ${attribution && attribution.campaign ? `<li><strong>${escapeHtml(locale.campaign || 'Campaign')}:</strong> ${escapeHtml(attribution.campaign)}</li>` : ''}
+                    ${attribution && attribution.landing_page ? `<li><strong>${escapeHtml(locale.landing_page || 'Landing page')}:</strong> <code>${escapeHtml(attribution.landing_page)}</code></li>` : ''}
+                    ${attribution && attribution.referrer ? `<li><strong>${escapeHtml(locale.referrer || 'Referrer')}:</strong> ${escapeHtml(attribution.referrer)}</li>` : ''}
+                    <li><strong>${escapeHtml(locale.session_stage || 'Furthest step')}:</strong> <span class="wc-realtime-stage wc-realtime-stage-${escapeHtml(session.stage)}">${escapeHtml(getStageLabel(session.stage))}</span></li>
+                    ${session.order_id ? `<li><strong>${escapeHtml(locale.order || 'Order')}:</strong> #${parseInt(session.order_id, 10)} - ${escapeHtml(formatMoney(session.revenue))}</li>` : ''}
+                </ul>
+            </div>
+            <ol class="wc-realtime-session-steps">
+        `;
         
-        // Listen for visitor events
-        channel.bind('visitor', function(data) {
-            console.log('WC Realtime Analytics: Received visitor event', data);
-            addLiveEvent('visitor', data);
-            incrementCounter('store-visitors');
+        timeline.forEach(function(step, index) {
+            const wait = index > 0 ? '+' + formatDuration(step.since_previous) : '';
+            
+            html += `
+                <li class="wc-realtime-session-step wc-realtime-event-${getEventDescription(step.event_type, step).className}">
+                    <span class="wc-realtime-event-time">${escapeHtml(formatEventTime(parseEventDate(step.created_at)))}</span>
+                    <span class="wc-realtime-event-icon"></span>
+                    <span class="wc-realtime-event-text">${getSessionStepText(step)}</span>
+                    <span class="wc-realtime-session-wait">${escapeHtml(wait)}</span>
+                </li>
+            `;
         });
         
-        // Listen for add_to_cart events
-        channel.bind('add_to_cart', function(data) {
-            console.log('WC Realtime Analytics: Received add_to_cart event', data);
-            addLiveEvent('add_to_cart', data);
-            incrementCounter('store-add-to-cart');
-        });
+        html += '</ol>';
         
-        // Listen for checkout events
-        channel.bind('checkout', function(data) {
-            console.log('WC Realtime Analytics: Received checkout event', data);
-            addLiveEvent('checkout', data);
-            incrementCounter('store-checkout');
-        });
+        $('#session-timeline').html(html);
+    };
+    
+    // Describe a step of a session journey
+    const getSessionStepText = function(step) {
+        const locale = wcRealtimeAdmin.locale;
+        const productId = parseInt(step.product_id || 0, 10);
+        const productLabel = (step.product_name ? escapeHtml(step.product_name) : 'Product #' + productId) + 
+            (step.variation ? ' (' + escapeHtml(step.variation) + ')' : '');
         
-        // Listen for purchase events
-        channel.bind('purchase', function(data) {
-            console.log('WC Realtime Analytics: Received purchase event', data);
-            addLiveEvent('purchase', data);
-            incrementCounter('store-purchase');
-        });
+        switch (step.event_type) {
+            case 'visitor':
+                return productId > 0
+                    ? escapeHtml(locale.viewed_product || 'Viewed product') + ': ' + productLabel
+                    : escapeHtml(locale.page_view || 'Page view') + (step.page_title || step.page_url ? ': ' + escapeHtml(step.page_title || step.page_url) : '');
+                
+            case 'add_to_cart':
+                return escapeHtml(locale.added_to_cart || 'Added to cart') + ': ' + productLabel;
+                
+            case 'remove_from_cart':
+                return escapeHtml(locale.removed_from_cart || 'Removed from cart') + ': ' + productLabel;
+                
+            case 'cart_update': {
+                const change = parseInt(step.quantity || 0, 10);
+                return escapeHtml(locale.changed_quantity || 'Changed quantity') + ': ' + productLabel + 
+                    ' (' + (change > 0 ? '+' : '') + change + ')';
+            }
+                
+            case 'coupon_applied':
+                return escapeHtml(locale.applied_coupon || 'Applied coupon') + ': ' + escapeHtml(step.coupon_code);
+                
+            case 'coupon_removed':
+                return escapeHtml(locale.removed_coupon || 'Removed coupon') + ': ' + escapeHtml(step.coupon_code);
+                
+            case 'checkout':
+                return escapeHtml(locale.started_checkout || 'Started checkout');
+                
+            case 'purchase':
+                if (productId > 0) {
+                    return escapeHtml(locale.purchased_product || 'Purchased') + ': ' + productLabel + 
+                        (step.line_total ? ' - ' + escapeHtml(formatMoney(step.line_total)) : '');
+                }
+                return escapeHtml(locale.completed_purchase || 'Completed purchase') + 
+                    (step.order_id ? ': Order #' + parseInt(step.order_id, 10) : '') + 
+                    (step.order_total ? ' - ' + escapeHtml(formatMoney(step.order_total)) : '');
+                
+            case 'custom': {
+                const summary = formatEventProperties(step.properties);
+                return escapeHtml(getCustomEventLabel(step.event_name)) + (summary ? ' (' + summary + ')' : '');
+            }
+                
+            default:
+                return escapeHtml(step.event_type);
+        }
+    };
+    
+    // Label of the furthest funnel step a session reached
+    const getStageLabel = function(stage) {
+        const labels = {
+            'visitor': wcRealtimeAdmin.locale.stage_visitor || 'Browsed',
+            'add_to_cart': wcRealtimeAdmin.locale.stage_add_to_cart || 'Added to cart',
+            'checkout': wcRealtimeAdmin.locale.stage_checkout || 'Abandoned checkout',
+            'purchase': wcRealtimeAdmin.locale.stage_purchase || 'Purchased'
+        };
         
-        // Listen for test events
-        channel.bind('test', function(data) {
-            console.log('WC Realtime Analytics: Received test event', data);
-            addLiveEvent('test', data);
-        });
+        return labels[stage] || stage;
+    };
+    
+    // Format a number of seconds as a short duration
+    const formatDuration = function(seconds) {
+        seconds = Math.max(0, parseInt(seconds || 0, 10));
         
-        // Log when an event binding is successful
-        channel.bind('pusher:subscription_succeeded', function() {
-            console.log('WC Realtime Analytics: Successfully subscribed to channel events');
-        });
+        if (seconds < 60) {
+            return seconds + 's';
+        }
         
-        // Log subscription errors
-        channel.bind('pusher:subscription_error', function(error) {
-            console.error('WC Realtime Analytics: Channel subscription error', error);
-        });
+        if (seconds < 3600) {
+            return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+        }
         
-    } catch (e) {
-        console.error('WC Realtime Analytics: Error initializing Pusher', e);
-        // Show error message
-        $('#live-events-container .wc-realtime-empty-state')
-            .text('Error initializing real-time service: ' + e.message)
-            .css('color', '#F44336');
-    }
-};
-
-// Add a live event to the dashboard
-const addLiveEvent = function(eventType, data) {
-    if (!data) {
-        console.warn('WC Realtime Analytics: Empty event data received');
+        return Math.floor(seconds / 3600) + 'h ' + Math.floor((seconds % 3600) / 60) + 'm';
+    };
+    
+    // Session IDs are long, the start is enough to tell them apart
+    const shortSessionId = function(sessionId) {
+        sessionId = String(sessionId || '');
+        return sessionId.length > 14 ? sessionId.substr(0, 14) + '\u2026' : sessionId;
+    };
+    
+    // Find a funnel by ID
+    const getFunnel = function(funnelId) {
+        for (let i = 0; i < funnels.length; i++) {
+            if (funnels[i].id === funnelId) {
+                return funnels[i];
+            }
+        }
+        
+        return null;
+    };
+    
+    // Fill the funnel selector, keeping the current funnel when it still exists
+    const renderFunnelSelect = function() {
+        const $select = $('#wc-realtime-funnel-select');
+        
+        if (!getFunnel(currentFunnelId)) {
+            currentFunnelId = funnels.length ? funnels[0].id : 'store';
+        }
+        
+        $select.empty();
+        
+        funnels.forEach(function(funnel) {
+            $select.append($('<option></option>').val(funnel.id).text(funnel.name));
+        });
+        
+        $select.val(currentFunnelId);
+        updateFunnelButtons();
+    };
+    
+    // The built-in funnel cannot be edited or deleted
+    const updateFunnelButtons = function() {
+        const funnel = getFunnel(currentFunnelId);
+        const editable = !!funnel && !funnel.builtin;
+        
+        $('#wc-realtime-funnel-edit, #wc-realtime-funnel-delete').prop('disabled', !editable);
+    };
+    
+    // Load the report of the selected funnel for the current timeframe
+    const loadFunnelReport = function() {
+        const $report = $('#funnel-report');
+        
+        if (!$report.length) {
+            return;
+        }
+        
+        if (funnelRequest) {
+            funnelRequest.abort();
+        }
+        
+        clearTimeout(funnelRefreshTimer);
+        funnelRefreshTimer = null;
+        
+        const data = {
+            action: 'wc_realtime_get_funnel_report',
+            nonce: wcRealtimeAdmin.nonce,
+            funnel_id: currentFunnelId,
+            timeframe: currentTimeframe,
+            compare: compareEnabled ? 1 : 0
+        };
+        
+        if (currentTimeframe === 'custom') {
+            data.from_date = fromDate;
+            data.to_date = toDate;
+        }
+        
+        funnelRequest = $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: data,
+            dataType: 'json',
+            success: function(response) {
+                if (!response.success || !response.data) {
+                    showFunnelMessage(response.data && response.data.message 
+                        ? response.data.message 
+                        : wcRealtimeAdmin.locale.error || 'An error occurred');
+                    return;
+                }
+                
+                if (window.WCRealtimeCharts) {
+                    window.WCRealtimeCharts.updateFunnel(response.data);
+                }
+            },
+            error: function(xhr, status) {
+                if (status !== 'abort') {
+                    showFunnelMessage(wcRealtimeAdmin.locale.error || 'An error occurred');
+                }
+            },
+            complete: function(xhr) {
+                if (funnelRequest === xhr) {
+                    funnelRequest = null;
+                }
+            }
+        });
+    };
+    
+    // Show an error in place of the funnel report
+    const showFunnelMessage = function(message) {
+        $('#funnel-report').empty().append($('<div class="wc-realtime-error"></div>').text(message));
+    };
+    
+    // Live events change the funnel of a period that includes now, refresh it at most every 30 seconds
+    const scheduleFunnelRefresh = function() {
+        if (funnelRefreshTimer || !lastStatsData || !lastStatsData.timeseries || !lastStatsData.timeseries.is_live) {
+            return;
+        }
+        
+        funnelRefreshTimer = setTimeout(function() {
+            funnelRefreshTimer = null;
+            loadFunnelReport();
+        }, FUNNEL_REFRESH_DELAY);
+    };
+    
+    // Open the builder for a new funnel or to edit an existing one
+    const openFunnelBuilder = function(funnel) {
+        const locale = wcRealtimeAdmin.locale;
+        const steps = funnel && Array.isArray(funnel.steps) ? funnel.steps : [{ event_type: 'visitor' }, { event_type: 'purchase' }];
+        
+        $('#wc-realtime-funnel-builder-title').text(funnel ? locale.edit_funnel || 'Edit funnel' : locale.new_funnel || 'New funnel');
+        $('#wc-realtime-funnel-id').val(funnel ? funnel.id : '');
+        $('#wc-realtime-funnel-name').val(funnel ? funnel.name : '');
+        $('#wc-realtime-funnel-message').text('').removeClass('wc-realtime-error');
+        $('#wc-realtime-funnel-steps').empty();
+        
+        steps.forEach(function(step) {
+            addFunnelStepRow(step);
+        });
+        
+        $('#wc-realtime-funnel-builder').show();
+        $('#wc-realtime-funnel-name').trigger('focus');
+    };
+    
+    // Add a step row to the funnel builder
+    const addFunnelStepRow = function(step) {
+        const locale = wcRealtimeAdmin.locale;
+        const $steps = $('#wc-realtime-funnel-steps');
+        
+        if ($steps.children().length >= parseInt(wcRealtimeAdmin.funnel_max_steps || 10, 10)) {
+            return;
+        }
+        
+        const $eventType = $('<select class="wc-realtime-funnel-event-type"></select>');
+        $.each(wcRealtimeAdmin.funnel_event_types || {}, function(value, label) {
+            $eventType.append($('<option></option>').val(value).text(label));
+        });
+        $eventType.val(step.event_type || 'visitor');
+        
+        const $pageType = $('<select class="wc-realtime-funnel-page-type"></select>')
+            .append($('<option value=""></option>').text(locale.any_page || 'Any page'));
+        $.each(wcRealtimeAdmin.funnel_page_types || {}, function(value, label) {
+            $pageType.append($('<option></option>').val(value).text(label));
+        });
+        $pageType.val(step.page_type || '');
+        
+        const $row = $('<li class="wc-realtime-funnel-step-row"></li>').append(
+            $eventType,
+            $pageType,
+            $('<input type="text" class="wc-realtime-funnel-page-url" maxlength="255" />')
+                .attr('placeholder', locale.step_page_url || 'URL contains')
+                .val(step.page_url || ''),
+            $('<input type="number" class="wc-realtime-funnel-product-id small-text" min="0" step="1" />')
+                .attr('placeholder', locale.step_product_id || 'Product ID')
+                .val(parseInt(step.product_id || 0, 10) > 0 ? parseInt(step.product_id, 10) : ''),
+            $('<input type="text" class="wc-realtime-funnel-step-label" maxlength="100" />')
+                .attr('placeholder', locale.step_label || 'Label (optional)')
+                .val(step.label || ''),
+            $('<button type="button" class="button-link wc-realtime-funnel-remove-step">&times;</button>')
+                .attr('aria-label', locale.remove_step || 'Remove step')
+        );
+        
+        $steps.append($row);
+        updateFunnelStepControls();
+    };
+    
+    // Keep the step count between the minimum and maximum
+    const updateFunnelStepControls = function() {
+        const count = $('#wc-realtime-funnel-steps').children().length;
+        
+        $('#wc-realtime-funnel-add-step').prop('disabled', count >= parseInt(wcRealtimeAdmin.funnel_max_steps || 10, 10));
+        $('#wc-realtime-funnel-steps .wc-realtime-funnel-remove-step').prop('disabled', count <= 2);
+    };
+    
+    // Save the funnel in the builder
+    const saveFunnel = function() {
+        const $message = $('#wc-realtime-funnel-message');
+        const steps = [];
+        
+        $('#wc-realtime-funnel-steps .wc-realtime-funnel-step-row').each(function() {
+            const $row = $(this);
+            
+            steps.push({
+                event_type: $row.find('.wc-realtime-funnel-event-type').val(),
+                page_type: $row.find('.wc-realtime-funnel-page-type').val(),
+                page_url: $.trim($row.find('.wc-realtime-funnel-page-url').val() || ''),
+                product_id: parseInt($row.find('.wc-realtime-funnel-product-id').val() || 0, 10) || 0,
+                label: $.trim($row.find('.wc-realtime-funnel-step-label').val() || '')
+            });
+        });
+        
+        $('#wc-realtime-funnel-save').prop('disabled', true);
+        
+        $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'wc_realtime_save_funnel',
+                nonce: wcRealtimeAdmin.nonce,
+                funnel_id: $('#wc-realtime-funnel-id').val(),
+                name: $.trim($('#wc-realtime-funnel-name').val() || ''),
+                steps: steps
+            },
+            dataType: 'json',
+            success: function(response) {
+                if (!response.success || !response.data || !response.data.funnel) {
+                    $message.addClass('wc-realtime-error').text(response.data && response.data.message 
+                        ? response.data.message 
+                        : wcRealtimeAdmin.locale.error || 'An error occurred');
+                    return;
+                }
+                
+                funnels = response.data.funnels;
+                currentFunnelId = response.data.funnel.id;
+                renderFunnelSelect();
+                
+                $('#wc-realtime-funnel-builder').hide();
+                loadFunnelReport();
+            },
+            error: function(xhr) {
+                $message.addClass('wc-realtime-error').text(xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message 
+                    ? xhr.responseJSON.data.message 
+                    : wcRealtimeAdmin.locale.error || 'An error occurred');
+            },
+            complete: function() {
+                $('#wc-realtime-funnel-save').prop('disabled', false);
+            }
+        });
+    };
+    
+    // Delete a saved funnel and fall back to the store funnel
+    const deleteFunnel = function(funnelId) {
+        const funnel = getFunnel(funnelId);
+        
+        if (!funnel || funnel.builtin || !window.confirm(wcRealtimeAdmin.locale.delete_funnel_confirm || 'Delete this funnel?')) {
+            return;
+        }
+        
+        $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'wc_realtime_delete_funnel',
+                nonce: wcRealtimeAdmin.nonce,
+                funnel_id: funnelId
+            },
+            dataType: 'json',
+            success: function(response) {
+                if (!response.success || !response.data) {
+                    showFunnelMessage(response.data && response.data.message 
+                        ? response.data.message 
+                        : wcRealtimeAdmin.locale.error || 'An error occurred');
+                    return;
+                }
+                
+                funnels = response.data.funnels;
+                renderFunnelSelect();
+                $('#wc-realtime-funnel-builder').hide();
+                loadFunnelReport();
+            },
+            error: function() {
+                showFunnelMessage(wcRealtimeAdmin.locale.error || 'An error occurred');
+            }
+        });
+    };
+    
+    // Initialize the dashboard
+    const initDashboard = function() {
+        // Initialize date pickers for custom range
+        initDatePickers();
+        
+        // Set up event handlers
+        setupEventHandlers();
+        
+        // Load initial statistics
+        loadStats('today');
+        
+        // Load initial events, falling back to the saved events on failure
+        loadEvents(false);
+        
+        // Load recent sessions for the journey explorer
+        loadSessions(false);
+        
+        // Fill the funnel selector, the report loads with the statistics
+        renderFunnelSelect();
+        
+        // Show the alerts raised before the page was opened
+        renderAlerts(wcRealtimeAdmin.alerts);
+        
+        // Load the country shapes, the map is coloured with the statistics
+        if (window.WCRealtimeMap) {
+            window.WCRealtimeMap.init({ formatMoney: formatMoney });
+        }
+        
+        // Connect to live events, Pusher when configured and polling otherwise
+        initRealtime();
+        
+        // Keep the visitors on the site now up to date, visitors also leave
+        setInterval(loadActiveVisitors, ACTIVE_VISITORS_INTERVAL);
+        
+        // Correct the counters live events moved with the numbers on the server
+        setInterval(refreshStats, STATS_REFRESH_INTERVAL);
+        
+        // The retention grid covers the last weeks whatever the period
+        loadCohorts();
+    };
+// Load saved events from database
+const loadSavedEvents = function(events) {
+    if (!events || !events.length) {
         return;
     }
     
-    const $container = $('#live-events-container');
-    console.log('WC Realtime Analytics: Adding event to container', $container.length ? 'found' : 'not found');
+    console.log('WC Realtime Analytics: Loading ' + events.length + ' saved events');
     
-    // Remove empty state if present
-    $container.find('.wc-realtime-empty-state').remove();
+    const $container = $('#live-events-container');
     
-    // Format the event time
-    const now = new Date();
-    const timeString = 
-        ('0' + now.getHours()).slice(-2) + ':' + 
-        ('0' + now.getMinutes()).slice(-2) + ':' + 
-        ('0' + now.getSeconds()).slice(-2);
+    // Saved events are newest first
+    events.forEach(function(event) {
+        $container.append(buildEventHtml(event.event_type, event, parseEventDate(event.created_at), false));
+    });
     
-    // Create event element based on event type
+    updateFeedEmptyState();
+};
+
+// Parse a 'YYYY-MM-DD HH:MM:SS' date from the database
+const parseEventDate = function(value) {
+    const date = new Date(String(value || '').replace(' ', 'T'));
+    return isNaN(date.getTime()) ? new Date() : date;
+};
+
+// Format the time of an event for the feed
+const formatEventTime = function(date) {
+    return ('0' + date.getHours()).slice(-2) + ':' + 
+        ('0' + date.getMinutes()).slice(-2) + ':' + 
+        ('0' + date.getSeconds()).slice(-2);
+};
+
+// Link that filters the feed by a product or country
+const buildFilterLink = function(filter, value, label) {
+    return `<a href="#" class="wc-realtime-filter-link" data-filter="${filter}" data-value="${escapeHtml(value)}" data-label="${label}">${label}</a>`;
+};
+
+// Describe an event for the feed
+const getEventDescription = function(eventType, data) {
     let eventText = '';
     let eventClass = '';
     
-    console.log('WC Realtime Analytics: Processing event type', eventType);
+    const productId = parseInt(data.product_id || 0, 10);
+    const productLabel = data.product_name ? escapeHtml(data.product_name) : 'Product #' + productId;
+    
+    // Variations filter on their parent product and name their attributes after it
+    const productLink = buildFilterLink('product', productId, productLabel) + 
+        (data.variation ? ' <span class="wc-realtime-muted">(' + escapeHtml(data.variation) + ')</span>' : '');
     
     switch (eventType) {
         case 'visitor':
-            eventText = data.product_id > 0 
-                ? 'Viewing product' + (data.product_name ? ': ' + escapeHtml(data.product_name) : (' #' + data.product_id))
-                : 'Page view';
+            eventText = productId > 0 
+                ? 'Viewing product: ' + productLink
+                : 'Page view' + (data.page_title || data.page_url ? ': ' + escapeHtml(data.page_title || data.page_url) : '');
             eventClass = 'visitor';
             break;
             
         case 'add_to_cart':
-            eventText = 'Added to cart: ' + (data.product_name ? escapeHtml(data.product_name) : 'Product #' + data.product_id);
+            eventText = 'Added to cart: ' + productLink;
             if (data.quantity && data.quantity > 1) {
-                eventText += ' (Qty: ' + data.quantity + ')';
+                eventText += ' (Qty: ' + parseInt(data.quantity, 10) + ')';
             }
             eventClass = 'add-to-cart';
             break;
             
-        case 'checkout':
+        case 'remove_from_cart': {
+            eventText = 'Removed from cart: ' + productLink;
+            const removed = Math.abs(parseInt(data.quantity || 0, 10));
+            if (removed > 1) {
+                eventText += ' (Qty: ' + removed + ')';
+            }
+            eventClass = 'remove-from-cart';
+            break;
+        }
+            
+        case 'cart_update': {
+            const change = parseInt(data.quantity || 0, 10);
+            eventText = 'Changed quantity: ' + productLink + 
+                ' (' + (change > 0 ? '+' : '') + change + ')';
+            eventClass = 'cart-update';
+            break;
+        }
+            
+        case 'coupon_applied':
+            eventText = 'Applied coupon: ' + escapeHtml(data.coupon_code);
+            eventClass = 'coupon-applied';
+            break;
+            
+        case 'coupon_removed':
+            eventText = 'Removed coupon: ' + escapeHtml(data.coupon_code);
+            eventClass = 'coupon-removed';
+            break;
+            
+        case 'checkout': {
             eventText = 'Started checkout';
-            if (data.items && data.items.length) {
-                eventText += ' with ' + data.items.length + ' products';
+            const itemsCount = parseInt(data.items_count, 10) || (Array.isArray(data.items) ? data.items.length : 0);
+            if (itemsCount) {
+                eventText += ' with ' + itemsCount + ' products';
             }
             eventClass = 'checkout';
             break;
+        }
             
         case 'purchase':
             eventText = 'Completed purchase';
             if (data.order_id) {
-                eventText += ': Order #' + data.order_id;
+                eventText += ': Order #' + parseInt(data.order_id, 10);
+            } else if (productId > 0) {
+                eventText += ': ' + productLink;
             }
             if (data.order_total) {
-                eventText += ' - ' + formatMoney(data.order_total);
+                eventText += ' - ' + escapeHtml(formatMoney(data.order_total));
             }
             eventClass = 'purchase';
             break;
             
+        case 'custom': {
+            const summary = formatEventProperties(data.properties);
+            eventText = escapeHtml(getCustomEventLabel(data.event_name, data.event_label));
+            if (summary) {
+                eventText += ' (' + summary + ')';
+            }
+            eventClass = 'custom';
+            break;
+        }
+            
         case 'test':
             eventText = 'Test event';
             if (data.message) {
@@ -401,214 +979,1786 @@ const addLiveEvent = function(eventType, data) {
             break;
             
         default:
-            eventText = 'Unknown event: ' + eventType;
+            eventText = 'Unknown event: ' + escapeHtml(eventType);
             eventClass = 'unknown';
             break;
     }
     
-    // Add country info if available
-    if (data.country_name) {
+    // Add country info if available, only real country codes can be filtered on
+    if (/^[A-Z]{2}$/.test(data.country_code || '')) {
+        eventText += ' from ' + buildFilterLink('country', data.country_code, escapeHtml(data.country_name || data.country_code));
+    } else if (data.country_name) {
         eventText += ' from ' + escapeHtml(data.country_name);
-    } else if (data.country_code) {
-        eventText += ' from ' + escapeHtml(data.country_code);
     }
     
-    console.log('WC Realtime Analytics: Event text prepared', eventText);
+    // Direct sessions are the norm, only name the sources that brought a visitor
+    if (data.source && data.source !== '(direct)') {
+        eventText += ' via ' + buildFilterLink('source', data.source, escapeHtml(data.source));
+    }
     
-    // Create the event HTML
-    const eventHtml = `
-        <div class="wc-realtime-event wc-realtime-event-${eventClass} wc-realtime-event-new">
-            <span class="wc-realtime-event-time">${timeString}</span>
-            <span class="wc-realtime-event-icon"></span>
-            <span class="wc-realtime-event-text">${eventText}</span>
-        </div>
-    `;
+    return { text: eventText, className: eventClass };
+};
+
+// Whether an event is staff test traffic
+const isTestEvent = function(data) {
+    return !!data && (data.is_test === true || data.is_test === 1 || data.is_test === '1');
+};
+
+// Build the HTML of a feed event
+const buildEventHtml = function(eventType, data, date, isNew) {
+    const description = getEventDescription(eventType, data);
     
-    // Add to container
-    $container.prepend(eventHtml);
-    console.log('WC Realtime Analytics: Event added to container');
+    // Events of a known session open its journey when clicked
+    const sessionAttr = data.session_id ? ` data-session-id="${escapeHtml(data.session_id)}"` : '';
     
-    // Remove new class after animation
-    setTimeout(function() {
-        $container.find('.wc-realtime-event-new').removeClass('wc-realtime-event-new');
-    }, 2000);
+    // Staff test traffic is shown but not counted
+    const isTest = isTestEvent(data);
+    const testBadge = isTest ? `<span class="wc-realtime-event-badge">${escapeHtml(wcRealtimeAdmin.locale.test || 'Test')}</span>` : '';
     
-    // Limit to 20 events
-    if ($container.find('.wc-realtime-event').length > 20) {
-        $container.find('.wc-realtime-event').last().remove();
-    }
-};
-
-// Helper function to format money values
-const formatMoney = function(amount) {
-    // Check if wcRealtimeAdmin.currency_format exists, otherwise use a default format
-    if (typeof wcRealtimeAdmin !== 'undefined' && wcRealtimeAdmin.currency_format) {
-        return wcRealtimeAdmin.currency_format.replace('%s', amount);
-    }
-    return '$' + parseFloat(amount).toFixed(2);
+    return `
+        <div class="wc-realtime-event wc-realtime-event-${description.className}${isNew ? ' wc-realtime-event-new' : ''}${isTest ? ' wc-realtime-event-test' : ''}"${sessionAttr}>
+            <span class="wc-realtime-event-time">${formatEventTime(date)}</span>
+            <span class="wc-realtime-event-icon"></span>
+            <span class="wc-realtime-event-text">${description.text}</span>
+            ${testBadge}
+        </div>
+    `;
 };
 
-// Increment a counter on the dashboard
-const incrementCounter = function(counterId) {
-    const $counter = $('#' + counterId);
-    if (!$counter.length) {
+// Initialize date pickers
+const initDatePickers = function() {
+    if (typeof $.datepicker === 'undefined') {
+        console.warn('WC Realtime Analytics: jQuery datepicker not available');
         return;
     }
     
-    let currentValue = parseInt($counter.text(), 10);
-    if (isNaN(currentValue)) {
-        currentValue = 0;
-    }
-    
-    $counter.text(currentValue + 1);
-    
-    // Animate the counter
-    $counter.addClass('wc-realtime-counter-updated');
-        setTimeout(function() {
-            $counter.removeClass('wc-realtime-counter-updated');
-        }, 1000);
+    try {
+        $('#wc-realtime-date-from, #wc-realtime-date-to').datepicker({
+            dateFormat: 'yy-mm-dd',
+            maxDate: 0, // Can't select future dates
+            changeMonth: true,
+            changeYear: true
+        });
         
-        // Recalculate rates
-        if (counterId !== 'store-visitors') {
-            calculateRates();
-        }
-    };
-    
-    // Calculate conversion rates
-    const calculateRates = function() {
-        const visitors = getCounterValue('store-visitors');
-        const addToCart = getCounterValue('store-add-to-cart');
-        const checkout = getCounterValue('store-checkout');
-        const purchase = getCounterValue('store-purchase');
+        // Set default values to today
+        const today = new Date();
+        const formattedDate = today.getFullYear() + '-' + 
+                            (('0' + (today.getMonth() + 1)).slice(-2)) + '-' + 
+                            ('0' + today.getDate()).slice(-2);
         
-        // Calculate rates
+        $('#wc-realtime-date-from, #wc-realtime-date-to').val(formattedDate);
+    } catch (e) {
+        console.error('WC Realtime Analytics: Error initializing datepicker', e);
+    }
+};
+
+// Set up event handlers
+const setupEventHandlers = function() {
+    // Handle timeframe changes
+    $('#wc-realtime-timeframe').on('change', function() {
+        const timeframe = $(this).val();
+        currentTimeframe = timeframe;
+        
+        // Show/hide custom date range inputs
+        if (timeframe === 'custom') {
+            $('#wc-realtime-custom-range').show();
+        } else {
+            $('#wc-realtime-custom-range').hide();
+            loadStats(timeframe);
+        }
+    });
+    
+    // Handle custom range apply button
+    $('#wc-realtime-apply-range').on('click', function() {
+        fromDate = $('#wc-realtime-date-from').val();
+        toDate = $('#wc-realtime-date-to').val();
+        
+        // Validate dates
+        if (!fromDate || !toDate) {
+            alert(wcRealtimeAdmin.locale.error_missing_dates || 'Please select both start and end dates');
+            return;
+        }
+        
+        // Validate date format
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+        if (!dateRegex.test(fromDate) || !dateRegex.test(toDate)) {
+            alert(wcRealtimeAdmin.locale.error_invalid_date_format || 'Invalid date format. Please use YYYY-MM-DD');
+            return;
+        }
+        
+        // Check if from date is before to date
+        if (new Date(fromDate) > new Date(toDate)) {
+            alert(wcRealtimeAdmin.locale.error_date_range || 'Start date must be before end date');
+            return;
+        }
+        
+        loadStats('custom', fromDate, toDate);
+    });
+    
+    // Overlay the previous period on the charts
+    $('#wc-realtime-compare').on('change', function() {
+        compareEnabled = $(this).is(':checked');
+        
+        if (lastStatsData) {
+            updateCharts(lastStatsData);
+        }
+    });
+    
+    // Filter the live events feed by event type
+    $('#live-events-filters').on('click', '.wc-realtime-chip[data-event-type]', function() {
+        $('#live-events-filters .wc-realtime-chip[data-event-type]').removeClass('active');
+        $(this).addClass('active');
+        
+        eventFilters.event_type = $(this).attr('data-event-type') || '';
+        loadEvents(false);
+    });
+    
+    // Filter the live events feed by a product or country in an event
+    $('#live-events-container').on('click', '.wc-realtime-filter-link', function(e) {
+        e.preventDefault();
+        
+        const $link = $(this);
+        setEventFilter($link.attr('data-filter'), $link.attr('data-value'), $link.text());
+    });
+    
+    // Filter the live events feed by a traffic source from the sources table
+    $('#sources-table').on('click', '.wc-realtime-filter-link', function(e) {
+        e.preventDefault();
+        
+        const $link = $(this);
+        setEventFilter('source', $link.attr('data-value'), $link.text());
+        
+        $('html, body').animate({ scrollTop: $('#live-events-container').closest('.wc-realtime-card').offset().top - 40 }, 300);
+    });
+    
+    // Remove a product, country or source filter
+    $('#live-events-active-filters').on('click', '.wc-realtime-chip-remove', function() {
+        setEventFilter($(this).attr('data-filter'), '', '');
+    });
+    
+    // Load the next page of older events
+    $('#live-events-load-older').on('click', function() {
+        loadEvents(true);
+    });
+    
+    // Open the journey of the session behind a live event
+    $('#live-events-container').on('click', '.wc-realtime-event[data-session-id]', function(e) {
+        if ($(e.target).closest('a').length) {
+            return;
+        }
+        
+        openSession($(this).attr('data-session-id'));
+        
+        const $timeline = $('#session-timeline');
+        if ($timeline.length) {
+            $('html, body').animate({ scrollTop: $timeline.offset().top - 50 }, 300);
+        }
+    });
+    
+    // Open the journey of a session from the recent sessions list
+    $('#sessions-table').on('click', '.wc-realtime-session-row', function() {
+        openSession($(this).attr('data-session-id'));
+    });
+    
+    // Search sessions while typing
+    $('#wc-realtime-session-search').on('input', function() {
+        clearTimeout(sessionSearchTimer);
+        sessionSearchTimer = setTimeout(function() {
+            loadSessions(false);
+        }, 400);
+    });
+    
+    $('#wc-realtime-session-status, #wc-realtime-session-days').on('change', function() {
+        loadSessions(false);
+    });
+    
+    // Load the next page of sessions
+    $('#sessions-load-more').on('click', function() {
+        loadSessions(true);
+    });
+    
+    // Sort the products and countries tables by a column
+    $('.wc-realtime-sortable-table').on('click', 'th[data-sort]', function() {
+        sortTable($(this).closest('table').attr('data-table'), $(this).attr('data-sort'));
+    });
+    
+    // Search the products and countries tables while typing
+    $('.wc-realtime-table-search').on('input', function() {
+        const table = $(this).attr('data-table');
+        const state = tableStates[table];
+        const search = $.trim($(this).val() || '');
+        
+        if (!state || state.search === search) {
+            return;
+        }
+        
+        clearTimeout(state.searchTimer);
+        state.searchTimer = setTimeout(function() {
+            state.search = search;
+            state.page = 1;
+            loadTable(table);
+        }, 400);
+    });
+    
+    $('.wc-realtime-pagination').on('click', 'button[data-page-step]', function() {
+        const table = $(this).closest('.wc-realtime-pagination').attr('data-table');
+        
+        tableStates[table].page = Math.max(1, tableStates[table].page + parseInt($(this).attr('data-page-step'), 10));
+        loadTable(table);
+    });
+    
+    // View the products table by parent, variation, category or tag
+    $('.wc-realtime-table-groups').on('click', 'button[data-group]', function() {
+        const table = $(this).closest('.wc-realtime-table-groups').attr('data-table');
+        const group = $(this).attr('data-group');
+        const locale = wcRealtimeAdmin.locale;
+        const nameLabels = {
+            product: locale.product_name || 'Product Name',
+            variation: locale.variation || 'Variation',
+            category: locale.category || 'Category',
+            tag: locale.tag || 'Tag'
+        };
+        
+        if (!tableStates[table] || tableStates[table].group === group) {
+            return;
+        }
+        
+        $(this).addClass('active').siblings().removeClass('active');
+        $('#' + table + '-table thead th[data-sort="name"]').text(nameLabels[group] || nameLabels.product);
+        
+        tableStates[table].group = group;
+        tableStates[table].page = 1;
+        loadTable(table);
+    });
+    
+    // Open the drill-down of a product
+    $('#products-table').on('click', '.wc-realtime-product-link', function(e) {
+        e.preventDefault();
+        
+        $('#products-table tbody tr').removeClass('active');
+        $(this).closest('tr').addClass('active');
+        
+        openProduct($(this).attr('data-product-id'));
+    });
+    
+    $('#product-detail').on('click', '.wc-realtime-product-detail-close', function() {
+        $('#products-table tbody tr').removeClass('active');
+        closeProduct();
+    });
+    
+    // Colour the map by visitors, conversion rate or revenue
+    $('.wc-realtime-map-metrics').on('click', 'button[data-metric]', function() {
+        $(this).addClass('active').siblings().removeClass('active');
+        
+        if (window.WCRealtimeMap) {
+            window.WCRealtimeMap.setMetric($(this).attr('data-metric'));
+        }
+    });
+    
+    // Zoom into a country to see its regions
+    $('#visitor-map').on('click', '.wc-realtime-map-country', function() {
+        const countryCode = $(this).attr('data-country');
+        
+        if (countryCode === activeMapCountry) {
+            closeMapCountry();
+        } else {
+            openMapCountry(countryCode);
+        }
+    });
+    
+    $('.wc-realtime-map-back').on('click', function() {
+        closeMapCountry();
+    });
+    
+    // Dismiss an alert for everyone who opens the dashboard
+    $('#wc-realtime-alerts').on('click', '.wc-realtime-alert-dismiss', function() {
+        const $alert = $(this).closest('.wc-realtime-alert');
+        const alertId = parseInt($alert.attr('data-alert-id'), 10);
+        
+        dismissedAlerts[alertId] = true;
+        $alert.remove();
+        updateAlertsVisibility();
+        
+        $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'wc_realtime_dismiss_alert',
+                nonce: wcRealtimeAdmin.nonce,
+                alert_id: alertId
+            },
+            dataType: 'json',
+            error: function(xhr, status, error) {
+                console.error('WC Realtime Analytics: Error dismissing alert', error);
+            }
+        });
+    });
+    
+    // Download a panel or the raw events for the selected timeframe
+    $('.wc-realtime-export').on('click', 'button[data-format]', function() {
+        const dataset = $(this).closest('.wc-realtime-export').attr('data-dataset');
+        
+        if (!wcRealtimeAdmin.export_url || !dataset) {
+            return;
+        }
+        
+        const params = {
+            dataset: dataset,
+            format: $(this).attr('data-format'),
+            timeframe: currentTimeframe
+        };
+        
+        if (currentTimeframe === 'custom') {
+            params.from_date = fromDate;
+            params.to_date = toDate;
+        }
+        
+        // Panels with their own filters export what they show
+        if (dataset === 'funnel') {
+            params.funnel_id = currentFunnelId;
+        } else if (dataset === 'sessions') {
+            params.days = $('#wc-realtime-session-days').val() || 7;
+            params.status = $('#wc-realtime-session-status').val() || '';
+            params.search = $.trim($('#wc-realtime-session-search').val() || '');
+        }
+        
+        window.location.href = wcRealtimeAdmin.export_url + '&' + $.param(params);
+    });
+    
+    // Switch between saved funnels
+    $('#wc-realtime-funnel-select').on('change', function() {
+        currentFunnelId = $(this).val();
+        updateFunnelButtons();
+        loadFunnelReport();
+    });
+    
+    $('#wc-realtime-funnel-new').on('click', function() {
+        openFunnelBuilder(null);
+    });
+    
+    $('#wc-realtime-funnel-edit').on('click', function() {
+        openFunnelBuilder(getFunnel(currentFunnelId));
+    });
+    
+    $('#wc-realtime-funnel-delete').on('click', function() {
+        deleteFunnel(currentFunnelId);
+    });
+    
+    $('#wc-realtime-funnel-add-step').on('click', function() {
+        addFunnelStepRow({});
+    });
+    
+    $('#wc-realtime-funnel-steps').on('click', '.wc-realtime-funnel-remove-step', function() {
+        $(this).closest('.wc-realtime-funnel-step-row').remove();
+        updateFunnelStepControls();
+    });
+    
+    $('#wc-realtime-funnel-save').on('click', function() {
+        saveFunnel();
+    });
+    
+    $('#wc-realtime-funnel-cancel').on('click', function() {
+        $('#wc-realtime-funnel-builder').hide();
+    });
+};
+
+// Realtime transports connect to a source of live events and hand them to the dashboard.
+// Other scripts can add transports here before the page is ready.
+const realtimeTransports = window.WCRealtimeTransports = window.WCRealtimeTransports || {};
+
+// Show the connection state while the feed is empty
+const setConnectionStatus = function(message, state) {
+    const colors = { connected: '#4CAF50', error: '#F44336' };
+    
+    if (state === 'error' || $('#live-events-container .wc-realtime-event').length === 0) {
+        $('#live-events-container .wc-realtime-empty-state')
+            .text(message)
+            .css('color', colors[state] || '');
+    }
+};
+
+// Update the dashboard for a live event from any transport
+const handleRealtimeEvent = function(eventType, data) {
+    console.log('WC Realtime Analytics: Received ' + eventType + ' event', data);
+    
+    if (eventType === 'alert') {
+        addAlert(data);
+        return;
+    }
+    
+    if (!rememberEvent(data)) {
+        return;
+    }
+    
+    addLiveEvent(eventType, data);
+    
+    // Staff test traffic only shows in the feed, the statistics leave it out
+    if (eventType === 'test' || isTestEvent(data)) {
+        return;
+    }
+    
+    // A period that has ended keeps the numbers the server gave it
+    if (statsIncludeNow) {
+        countRealtimeEvent(eventType, data);
+        scheduleFunnelRefresh();
+    }
+    
+    // Show where the event came from on the map
+    if (window.WCRealtimeMap && data) {
+        window.WCRealtimeMap.flashCountry(data.country_code);
+    }
+};
+
+// Add a live event to the counters and charts
+const countRealtimeEvent = function(eventType, data) {
+    switch (eventType) {
+        case 'visitor':
+            incrementCounter('engagement-pageviews');
+            
+            // Later page views of a visitor only count as page views
+            if (data.new_visitor !== false) {
+                incrementCounter('store-visitors');
+                addTrafficEvent('visitor', data);
+            }
+            break;
+            
+        case 'add_to_cart':
+            incrementCounter('store-add-to-cart');
+            addTrafficEvent('add_to_cart', data);
+            incrementCartActivity('add_to_cart', data);
+            break;
+            
+        case 'remove_from_cart':
+        case 'cart_update':
+        case 'coupon_applied':
+        case 'coupon_removed':
+            incrementCartActivity(eventType, data);
+            break;
+            
+        case 'checkout':
+            incrementCounter('store-checkout');
+            addTrafficEvent('checkout', data);
+            break;
+            
+        case 'purchase':
+            incrementCounter('store-purchase');
+            incrementRevenue(data.order_total);
+            addTrafficEvent('purchase', data);
+            break;
+            
+        case 'custom':
+            incrementCustomEvent(data);
+            break;
+    }
+};
+
+// Note the ID of a stored event, false when it was already shown
+const rememberEvent = function(data) {
+    const id = data ? parseInt(data.id, 10) : 0;
+    
+    if (!id) {
+        return true;
+    }
+    
+    if (seenEventIds[id]) {
+        return false;
+    }
+    
+    seenEventIds[id] = true;
+    seenEventQueue.push(id);
+    
+    if (seenEventQueue.length > SEEN_EVENTS_LIMIT) {
+        delete seenEventIds[seenEventQueue.shift()];
+    }
+    
+    lastEventId = Math.max(lastEventId || 0, id);
+    
+    return true;
+};
+
+// Show the events stored while the live connection was down, then reload the statistics.
+// The first call only finds out where the events end.
+const backfillEvents = function(page) {
+    page = page || 0;
+    
+    if (backfillRequest && page === 0) {
+        backfillRequest.abort();
+    }
+    
+    const catchingUp = lastEventId !== null;
+    const data = {
+        action: 'wc_realtime_poll_events',
+        nonce: wcRealtimeAdmin.nonce
+    };
+    
+    if (catchingUp) {
+        data.after_id = lastEventId;
+        data.wait = 0;
+    }
+    
+    backfillRequest = $.ajax({
+        url: wcRealtimeAdmin.ajax_url,
+        type: 'POST',
+        data: data,
+        dataType: 'json',
+        success: function(response) {
+            if (!response.success || !response.data) {
+                return;
+            }
+            
+            const events = response.data.events || [];
+            
+            events.forEach(function(event) {
+                handleRealtimeEvent(event.event_type, event);
+            });
+            
+            lastEventId = Math.max(lastEventId || 0, parseInt(response.data.cursor, 10) || 0);
+            
+            if (!catchingUp) {
+                return;
+            }
+            
+            // The server returns a page of events at a time
+            if (events.length > 0 && page + 1 < BACKFILL_MAX_PAGES) {
+                backfillEvents(page + 1);
+            } else {
+                refreshStats();
+            }
+        },
+        error: function(xhr, status) {
+            if (status !== 'abort') {
+                console.error('WC Realtime Analytics: Could not load the events missed while disconnected', status);
+            }
+        }
+    });
+};
+
+// Pusher, or a Pusher-protocol-compatible server such as Soketi
+realtimeTransports.pusher = realtimeTransports.pusher || function(dashboard) {
+    const config = dashboard.config;
+    
+    return {
+        connect: function() {
+            if (typeof Pusher === 'undefined') {
+                console.warn('WC Realtime Analytics: Pusher library not loaded');
+                return false;
+            }
+            
+            try {
+                console.log('WC Realtime Analytics: Attempting to connect to Pusher with key:', config.pusher_key, 'options:', config.pusher_options);
+                
+                // Server options carry the cluster, or the host and port of a self-hosted server
+                pusher = new Pusher(config.pusher_key, $.extend({
+                    cluster: config.pusher_cluster,
+                    enabledTransports: ['ws', 'wss']
+                }, config.pusher_options || {}));
+                
+                // Subscribe to analytics channel
+                const channel = pusher.subscribe('wc-analytics');
+                
+                // Check for successful connection
+                pusher.connection.bind('connected', function() {
+                    console.log('WC Realtime Analytics: Connected to Pusher successfully');
+                    dashboard.setStatus(config.locale.connected || 'Connected! Waiting for events...', 'connected');
+                    
+                    // Pusher does not replay the events sent while the connection was down
+                    dashboard.backfill();
+                });
+                
+                // Check for connection errors
+                pusher.connection.bind('error', function(err) {
+                    console.error('WC Realtime Analytics: Pusher connection error', err);
+                    dashboard.setStatus('Error connecting to real-time service: ' + (err.message || err.data?.message || 'Unknown error'), 'error');
+                });
+                
+                // Fall back when the server cannot be reached at all
+                pusher.connection.bind('state_change', function(states) {
+                    console.log('WC Realtime Analytics: Pusher connection state changed from', 
+                        states.previous, 'to', states.current);
+                    
+                    if (states.current === 'failed' || states.current === 'unavailable') {
+                        dashboard.fallback();
+                    }
+                });
+                
+                ['visitor', 'add_to_cart', 'remove_from_cart', 'cart_update', 'coupon_applied', 'coupon_removed', 
+                    'checkout', 'purchase', 'custom', 'test', 'alert'].forEach(function(eventType) {
+                    channel.bind(eventType, function(data) {
+                        dashboard.onEvent(eventType, data);
+                    });
+                });
+                
+                // Log subscription errors
+                channel.bind('pusher:subscription_error', function(error) {
+                    console.error('WC Realtime Analytics: Channel subscription error', error);
+                });
+            } catch (e) {
+                console.error('WC Realtime Analytics: Error initializing Pusher', e);
+                return false;
+            }
+            
+            return true;
+        },
+        disconnect: function() {
+            if (pusher) {
+                pusher.disconnect();
+                pusher = null;
+            }
+        }
+    };
+};
+
+// Long-polling of the events table, needs nothing but WordPress
+realtimeTransports.polling = realtimeTransports.polling || function(dashboard) {
+    const config = dashboard.config;
+    const wait = parseInt(config.poll_wait, 10) || 20;
+    let cursor = null;
+    let request = null;
+    let timer = null;
+    let failures = 0;
+    let stopped = true;
+    
+    const schedule = function(delay) {
+        clearTimeout(timer);
+        timer = setTimeout(poll, delay);
+    };
+    
+    // Back off while the server keeps failing
+    const retry = function() {
+        failures++;
+        
+        if (failures === 3) {
+            dashboard.setStatus(config.locale.connection_error || 'Error connecting to real-time service', 'error');
+        }
+        
+        schedule(Math.min(60000, 2000 * Math.pow(2, failures - 1)));
+    };
+    
+    const poll = function() {
+        if (stopped) {
+            return;
+        }
+        
+        const data = {
+            action: 'wc_realtime_poll_events',
+            nonce: config.nonce
+        };
+        
+        // The first request only returns the cursor to start from
+        if (cursor !== null) {
+            data.after_id = cursor;
+            data.wait = wait;
+        }
+        
+        request = $.ajax({
+            url: config.ajax_url,
+            type: 'POST',
+            data: data,
+            dataType: 'json',
+            timeout: (wait + 15) * 1000,
+            success: function(response) {
+                if (!response.success || !response.data) {
+                    retry();
+                    return;
+                }
+                
+                if (cursor === null || failures >= 3) {
+                    dashboard.setStatus(config.locale.polling || 'Checking the server for new events...', 'connected');
+                }
+                
+                failures = 0;
+                cursor = parseInt(response.data.cursor, 10) || 0;
+                
+                (response.data.events || []).forEach(function(event) {
+                    dashboard.onEvent(event.event_type, event);
+                });
+                
+                schedule(500);
+            },
+            error: function(xhr, status) {
+                if (status !== 'abort') {
+                    retry();
+                }
+            }
+        });
+    };
+    
+    return {
+        connect: function() {
+            stopped = false;
+            poll();
+            return true;
+        },
+        disconnect: function() {
+            stopped = true;
+            clearTimeout(timer);
+            
+            if (request) {
+                request.abort();
+            }
+        }
+    };
+};
+
+// Connect the configured transport, falling back to polling
+const initRealtime = function() {
+    let activeTransport = null;
+    let activeName = '';
+    
+    const dashboard = {
+        config: wcRealtimeAdmin,
+        onEvent: handleRealtimeEvent,
+        setStatus: setConnectionStatus,
+        backfill: backfillEvents,
+        fallback: function() {
+            if (activeName !== 'polling') {
+                console.warn('WC Realtime Analytics: ' + activeName + ' transport unavailable, falling back to polling');
+                connect('polling');
+                
+                // Polling starts from the latest event, catch up on those since the last one shown
+                if (lastEventId !== null) {
+                    backfillEvents();
+                }
+            }
+        }
+    };
+    
+    const connect = function(name) {
+        if (activeTransport) {
+            activeTransport.disconnect();
+        }
+        
+        const factory = realtimeTransports[name];
+        activeTransport = typeof factory === 'function' ? factory(dashboard) : null;
+        activeName = name;
+        
+        if (!activeTransport || !activeTransport.connect()) {
+            if (name !== 'polling') {
+                dashboard.fallback();
+            } else {
+                setConnectionStatus(wcRealtimeAdmin.locale.transport_unavailable || 'Real-time updates not available. Please configure Pusher in settings.', 'error');
+            }
+        }
+    };
+    
+    connect(wcRealtimeAdmin.transport || (wcRealtimeAdmin.is_pusher_configured ? 'pusher' : 'polling'));
+};
+
+// Add a live event to the dashboard
+const addLiveEvent = function(eventType, data) {
+    if (!data) {
+        console.warn('WC Realtime Analytics: Empty event data received');
+        return;
+    }
+    
+    refreshActiveSession(data.session_id);
+    
+    // Counters still update, the feed only shows what matches the filters
+    if (!matchesEventFilters(eventType, data)) {
+        return;
+    }
+    
+    const $container = $('#live-events-container');
+    
+    // Remove empty state if present
+    $container.find('.wc-realtime-empty-state').remove();
+    
+    // Add to container
+    $container.prepend(buildEventHtml(eventType, data, new Date(), true));
+    
+    // Remove new class after animation
+    setTimeout(function() {
+        $container.find('.wc-realtime-event-new').removeClass('wc-realtime-event-new');
+    }, 2000);
+    
+    // Keep the first page plus any older pages that were loaded
+    $container.find('.wc-realtime-event').slice(feedLimit).remove();
+};
+
+// Count a live event in the traffic over time chart
+const addTrafficEvent = function(eventType, data) {
+    if (window.WCRealtimeCharts) {
+        window.WCRealtimeCharts.addTrafficEvent(eventType, data.timestamp);
+    }
+};
+
+// Helper function to format money values
+const formatMoney = function(amount) {
+    const hasConfig = typeof wcRealtimeAdmin !== 'undefined';
+    let decimals = hasConfig ? parseInt(wcRealtimeAdmin.price_decimals, 10) : 2;
+    if (isNaN(decimals)) {
+        decimals = 2;
+    }
+    
+    const value = (parseFloat(amount) || 0).toFixed(decimals);
+    
+    // Check if wcRealtimeAdmin.currency_format exists, otherwise use a default format
+    if (hasConfig && wcRealtimeAdmin.currency_format) {
+        const format = wcRealtimeAdmin.currency_format.replace(/&nbsp;/g, '\u00A0');
+        
+        // WooCommerce price formats use %1$s for the symbol and %2$s for the amount
+        if (format.indexOf('%2$s') !== -1) {
+            return format.replace('%1$s', wcRealtimeAdmin.currency_symbol || '').replace('%2$s', value);
+        }
+        
+        return format.replace('%s', value);
+    }
+    return '$' + value;
+};
+
+// Increment a counter on the dashboard
+const incrementCounter = function(counterId) {
+    const $counter = $('#' + counterId);
+    if (!$counter.length) {
+        return;
+    }
+    
+    let currentValue = parseInt($counter.text(), 10);
+    if (isNaN(currentValue)) {
+        currentValue = 0;
+    }
+    
+    $counter.text(currentValue + 1);
+    
+    // Animate the counter
+    $counter.addClass('wc-realtime-counter-updated');
+        setTimeout(function() {
+            $counter.removeClass('wc-realtime-counter-updated');
+        }, 1000);
+        
+        // Recalculate rates
+        if (counterId !== 'store-visitors') {
+            calculateRates();
+        }
+        
+        calculateRevenueMetrics();
+    };
+    
+    // Calculate conversion rates
+    const calculateRates = function() {
+        const visitors = getCounterValue('store-visitors');
+        const addToCart = getCounterValue('store-add-to-cart');
+        const checkout = getCounterValue('store-checkout');
+        const purchase = getCounterValue('store-purchase');
+        
+        // Calculate rates
         const atcRate = visitors > 0 ? ((addToCart / visitors) * 100).toFixed(2) : '0.00';
         const checkoutRate = addToCart > 0 ? ((checkout / addToCart) * 100).toFixed(2) : '0.00';
         const purchaseRate = checkout > 0 ? ((purchase / checkout) * 100).toFixed(2) : '0.00';
         
-        // Update displayed rates
-        $('#store-atc-rate').text(atcRate + '%');
-        $('#store-checkout-rate').text(checkoutRate + '%');
-        $('#store-purchase-rate').text(purchaseRate + '%');
+        // Update displayed rates
+        $('#store-atc-rate').text(atcRate + '%');
+        $('#store-checkout-rate').text(checkoutRate + '%');
+        $('#store-purchase-rate').text(purchaseRate + '%');
+    };
+    
+    // Add the total of a live purchase to the revenue counters
+    const incrementRevenue = function(amount) {
+        const $revenue = $('#store-revenue');
+        amount = parseFloat(amount);
+        
+        if (!$revenue.length || isNaN(amount) || amount <= 0) {
+            return;
+        }
+        
+        setMoneyValue('store-revenue', getMoneyValue('store-revenue') + amount);
+        calculateRevenueMetrics();
+        
+        // Animate the counter
+        $revenue.addClass('wc-realtime-counter-updated');
+        setTimeout(function() {
+            $revenue.removeClass('wc-realtime-counter-updated');
+        }, 1000);
+    };
+    
+    // Calculate average order value and revenue per visitor
+    const calculateRevenueMetrics = function() {
+        const revenue = getMoneyValue('store-revenue');
+        const visitors = getCounterValue('store-visitors');
+        const purchase = getCounterValue('store-purchase');
+        
+        setMoneyValue('store-aov', purchase > 0 ? revenue / purchase : 0);
+        setMoneyValue('store-revenue-per-visitor', visitors > 0 ? revenue / visitors : 0);
+    };
+    
+    // Show a money value, keeping the raw amount for live updates
+    const setMoneyValue = function(elementId, amount) {
+        amount = parseFloat(amount) || 0;
+        $('#' + elementId).attr('data-value', amount).text(formatMoney(amount));
+    };
+    
+    // Helper function to get a money value
+    const getMoneyValue = function(elementId) {
+        const value = parseFloat($('#' + elementId).attr('data-value'));
+        return isNaN(value) ? 0 : value;
+    };
+    
+    // Helper function to get counter value
+    const getCounterValue = function(counterId) {
+        const $counter = $('#' + counterId);
+        if (!$counter.length) {
+            return 0;
+        }
+        
+        const value = parseInt($counter.text(), 10);
+        return isNaN(value) ? 0 : value;
+    };
+    
+    // Load statistics from the server, a refresh keeps the dashboard as it is until they arrive
+    const loadStats = function(timeframe, fromDate, toDate, refresh) {
+        // A new period replaces a request that is still running
+        if (statsRequest) {
+            statsRequest.abort();
+        }
+        
+        // Show loading indicators
+        if (!refresh) {
+            showLoading();
+        }
+        
+        // Prepare request data
+        const data = {
+            action: 'wc_realtime_get_stats',
+            nonce: wcRealtimeAdmin.nonce,
+            timeframe: timeframe
+        };
+        
+        // Add custom date range if provided
+        if (timeframe === 'custom' && fromDate && toDate) {
+            data.from_date = fromDate;
+            data.to_date = toDate;
+        }
+        
+        // Make AJAX request
+        statsRequest = $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: data,
+            dataType: 'json',
+            success: function(response) {
+                if (response.success && response.data) {
+                    updateDashboard(response.data);
+                } else if (!refresh) {
+                    const errorMsg = response.data && response.data.message 
+                        ? response.data.message 
+                        : wcRealtimeAdmin.locale.error || 'An error occurred';
+                    showError(errorMsg);
+                }
+            },
+            error: function(xhr, status, error) {
+                // A failed refresh leaves the last numbers, the next one tries again
+                if (status === 'abort' || refresh) {
+                    return;
+                }
+                
+                let errorMsg = wcRealtimeAdmin.locale.error || 'Failed to connect to the server';
+                
+                // Try to get more specific error message
+                if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
+                    errorMsg = xhr.responseJSON.data.message;
+                }
+                
+                showError(errorMsg);
+                console.error('WC Realtime Analytics: AJAX Error', status, error);
+            },
+            complete: function(xhr) {
+                if (statsRequest === xhr) {
+                    statsRequest = null;
+                }
+            }
+        });
+    };
+    
+    // Reload the statistics of the selected period, correcting what live events added
+    const refreshStats = function() {
+        // Nobody is watching a hidden dashboard, and a custom range is not applied until it has dates
+        if (document.visibilityState === 'hidden' || statsRequest || (currentTimeframe === 'custom' && (!fromDate || !toDate))) {
+            return;
+        }
+        
+        loadStats(currentTimeframe, fromDate, toDate, true);
+    };
+    
+    // Show when the statistics were loaded, and that live events are left out of a past period
+    const updateLastUpdated = function() {
+        const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        
+        $('#wc-realtime-last-updated')
+            .text((wcRealtimeAdmin.locale.last_updated || 'Updated %s').replace('%s', time))
+            .attr('title', statsIncludeNow ? '' : (wcRealtimeAdmin.locale.past_period || 'Live events are not added to a period that has ended'));
+    };
+    
+    // Show loading indicators
+    const showLoading = function() {
+        $('#products-table tbody, #countries-table tbody, #sources-table tbody, #custom-events-table tbody, #coupons-table tbody').each(function() {
+            const columns = $(this).closest('table').find('thead th').length;
+            $(this).html(
+                '<tr><td colspan="' + columns + '" class="wc-realtime-loading">' + 
+                (wcRealtimeAdmin.locale.loading || 'Loading...') + 
+                '</td></tr>'
+            );
+        });
+    };
+    
+    // Show error message
+    const showError = function(message) {
+        $('#products-table tbody, #countries-table tbody, #sources-table tbody, #custom-events-table tbody, #coupons-table tbody').each(function() {
+            const columns = $(this).closest('table').find('thead th').length;
+            $(this).html(
+                '<tr><td colspan="' + columns + '" class="wc-realtime-error">' + escapeHtml(message) + '</td></tr>'
+            );
+        });
+    };
+    
+    // Update dashboard with new statistics
+    const updateDashboard = function(data) {
+        if (!data) {
+            showError(wcRealtimeAdmin.locale.error || 'Invalid data received');
+            return;
+        }
+        
+        lastStatsData = data;
+        statsIncludeNow = data.includes_now !== false;
+        updateLastUpdated();
+        
+        // Update store overview
+        updateStoreOverview(data.store);
+        
+        // Update trend indicators
+        updateTrends(data.store, data.comparison);
+        
+        // Reload the products and countries tables and the open product for the new period
+        loadTable('products');
+        loadTable('countries');
+        
+        if (activeProductId) {
+            openProduct(activeProductId);
+        }
+        
+        // Colour the map and reload the regions of the country it is zoomed into
+        if (window.WCRealtimeMap) {
+            window.WCRealtimeMap.update(data.countries);
+        }
+        
+        if (activeMapCountry) {
+            openMapCountry(activeMapCountry);
+        }
         
-        // Update chart if it exists
-        if (conversionChart) {
-            conversionChart.data.datasets[0].data = [visitors, addToCart, checkout, purchase];
-            conversionChart.update();
+        // Alerts raised while the live feed was not connected
+        if (data.alerts) {
+            renderAlerts(data.alerts);
         }
+        
+        // Update the excluded bot traffic
+        updateBotTraffic(data.bot_traffic);
+        
+        // Update time on site, bounce rate and the visitors on the site now
+        updateEngagement(data.engagement, data.pageviews);
+        setActiveVisitors(data.active_visitors);
+        
+        // Split every metric into new and returning visitors
+        updateVisitorSplits(data.visitor_types);
+        
+        // Update the most viewed pages and categories
+        updatePagesTable(data.top_pages);
+        updateCategoriesTable(data.top_categories);
+        
+        // Update traffic sources table
+        updateSourcesTable(data.traffic_sources);
+        
+        // Update custom events table
+        updateCustomEventsTable(data.custom_events);
+        
+        // Update cart activity panel
+        updateCartActivity(data.cart_activity);
+        
+        updateCharts(data);
     };
     
-    // Helper function to get counter value
-    const getCounterValue = function(counterId) {
-        const $counter = $('#' + counterId);
-        if (!$counter.length) {
-            return 0;
+    // Update the conversion funnel and traffic over time charts
+    const updateCharts = function(data) {
+        // Funnels are computed per session on the server
+        loadFunnelReport();
+        
+        // Update traffic over time chart
+        if (window.WCRealtimeCharts) {
+            window.WCRealtimeCharts.setComparison(compareEnabled);
+            window.WCRealtimeCharts.updateTrafficOverTime(data);
         }
+    };
+    
+    // Show up/down indicators against the previous period
+    const updateTrends = function(storeData, comparison) {
+        const trends = storeData && storeData.trend ? storeData.trend : {};
+        const metrics = {
+            'visitors': 'store-visitors-trend',
+            'add_to_cart': 'store-add-to-cart-trend',
+            'checkouts': 'store-checkout-trend',
+            'purchases': 'store-purchase-trend',
+            'revenue': 'store-revenue-trend',
+            'aov': 'store-aov-trend',
+            'revenue_per_visitor': 'store-revenue-per-visitor-trend'
+        };
+        const moneyMetrics = ['revenue', 'aov', 'revenue_per_visitor'];
         
-        const value = parseInt($counter.text(), 10);
-        return isNaN(value) ? 0 : value;
+        $.each(metrics, function(metric, elementId) {
+            const $trend = $('#' + elementId);
+            const trend = trends[metric];
+            
+            $trend.removeClass('wc-realtime-trend-up wc-realtime-trend-down wc-realtime-trend-stable');
+            
+            if (!trend || typeof trend !== 'object') {
+                $trend.text('').removeAttr('title');
+                return;
+            }
+            
+            const direction = ['up', 'down'].indexOf(trend.direction) !== -1 ? trend.direction : 'stable';
+            const arrow = direction === 'up' ? '\u25B2' : (direction === 'down' ? '\u25BC' : '\u2013');
+            const change = parseFloat(trend.change || 0);
+            const isMoney = moneyMetrics.indexOf(metric) !== -1;
+            const formatValue = function(value) {
+                return isMoney ? formatMoney(value) : value;
+            };
+            
+            let text = arrow + ' ' + (change > 0 ? '+' : (change < 0 ? '-' : '')) + formatValue(Math.abs(change));
+            if (trend.change_percent !== null && trend.change_percent !== undefined) {
+                text += ' (' + (change > 0 ? '+' : '') + parseFloat(trend.change_percent).toFixed(1) + '%)';
+            } else if (change > 0) {
+                text += ' (' + (wcRealtimeAdmin.locale.trend_new || 'new') + ')';
+            }
+            
+            let title = (wcRealtimeAdmin.locale.previous_value || 'Previous') + ': ' + formatValue(parseFloat(trend.previous || 0));
+            if (comparison && comparison.label) {
+                title = (wcRealtimeAdmin.locale.compared_to || 'Compared to %s').replace('%s', comparison.label) + '\n' + title;
+            }
+            
+            // text() and attr() escape the values
+            $trend.addClass('wc-realtime-trend-' + direction).text(text).attr('title', title);
+        });
     };
     
-    // Load statistics from the server
-    const loadStats = function(timeframe, fromDate, toDate) {
-        // Show loading indicators
-        showLoading();
+    // Update store overview section
+    const updateStoreOverview = function(storeData) {
+        if (!storeData) {
+            return;
+        }
+        
+        // Update counters
+        $('#store-visitors').text(parseInt(storeData.visitors || 0, 10));
+        $('#store-add-to-cart').text(parseInt(storeData.add_to_cart || 0, 10));
+        $('#store-checkout').text(parseInt(storeData.checkouts || 0, 10));
+        $('#store-purchase').text(parseInt(storeData.purchases || 0, 10));
+        
+        // Update rates
+        $('#store-atc-rate').text((parseFloat(storeData.atc_rate || 0)).toFixed(2) + '%');
+        $('#store-checkout-rate').text((parseFloat(storeData.checkout_rate || 0)).toFixed(2) + '%');
+        $('#store-purchase-rate').text((parseFloat(storeData.purchase_rate || 0)).toFixed(2) + '%');
+        
+        // Update revenue
+        setMoneyValue('store-revenue', storeData.revenue);
+        setMoneyValue('store-aov', storeData.aov);
+        setMoneyValue('store-revenue-per-visitor', storeData.revenue_per_visitor);
+    };
+    
+    // Show the traffic excluded as bots, the reasons in the tooltip
+    const updateBotTraffic = function(botTraffic) {
+        const traffic = $.extend({ visitors: 0, hits: 0, reasons: {} }, botTraffic);
+        const labels = wcRealtimeAdmin.bot_reasons || {};
+        
+        $('#store-excluded-bot-visitors').text(parseInt(traffic.visitors, 10) || 0);
+        $('#store-excluded-bot-hits').text(parseInt(traffic.hits, 10) || 0);
+        $('#store-excluded-bots').attr('title', Object.keys(traffic.reasons).map(function(reason) {
+            return (labels[reason] || reason) + ': ' + traffic.reasons[reason];
+        }).join('\n'));
+    };
+    
+    // Show the engagement and page views of the sessions of the period
+    const updateEngagement = function(engagement, pageviews) {
+        const stats = $.extend({ avg_engaged_time: 0, bounce_rate: 0, avg_scroll_depth: 0 }, engagement);
+        const views = $.extend({ pageviews: 0, pageviews_per_session: 0 }, pageviews);
+        
+        $('#engagement-time').text(formatDuration(parseInt(stats.avg_engaged_time, 10) || 0));
+        $('#engagement-bounce-rate').text((parseFloat(stats.bounce_rate) || 0).toFixed(2) + '%');
+        $('#engagement-scroll-depth').text(Math.round(parseFloat(stats.avg_scroll_depth) || 0) + '%');
+        $('#engagement-pageviews').text(parseInt(views.pageviews, 10) || 0);
+        $('#engagement-pageviews-per-session').text((parseFloat(views.pageviews_per_session) || 0).toFixed(2));
+    };
+    
+    // Set the visitors on the site now, which unlike the other counters also goes down
+    const setActiveVisitors = function(count) {
+        const $counter = $('#engagement-active-visitors');
+        const value = parseInt(count, 10);
+        
+        if (!$counter.length || isNaN(value)) {
+            return;
+        }
+        
+        const previous = parseInt($counter.text(), 10) || 0;
+        
+        $counter.text(value);
+        
+        if (value === previous) {
+            return;
+        }
+        
+        const changeClass = value > previous ? 'wc-realtime-counter-updated' : 'wc-realtime-counter-decreased';
+        
+        $counter.addClass(changeClass);
+        setTimeout(function() {
+            $counter.removeClass(changeClass);
+        }, 1000);
+    };
+    
+    // Check the server for the visitors on the site now
+    const loadActiveVisitors = function() {
+        // Nobody is watching a hidden dashboard
+        if (document.visibilityState === 'hidden') {
+            return;
+        }
+        
+        $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'wc_realtime_get_active_visitors',
+                nonce: wcRealtimeAdmin.nonce
+            },
+            dataType: 'json',
+            success: function(response) {
+                if (response.success && response.data) {
+                    setActiveVisitors(response.data.active_visitors);
+                }
+            }
+        });
+    };
+    
+    // Load the current page of the products or countries table
+    const loadTable = function(table) {
+        const state = tableStates[table];
+        
+        if (!state) {
+            return;
+        }
+        
+        // A new sort, search or page replaces a request that is still running
+        if (state.request) {
+            state.request.abort();
+        }
         
-        // Prepare request data
         const data = {
-            action: 'wc_realtime_get_stats',
+            action: 'wc_realtime_get_' + table,
             nonce: wcRealtimeAdmin.nonce,
-            timeframe: timeframe
+            timeframe: currentTimeframe,
+            page: state.page,
+            per_page: TABLE_PAGE_SIZE,
+            orderby: state.orderby,
+            order: state.order,
+            search: state.search
         };
         
-        // Add custom date range if provided
-        if (timeframe === 'custom' && fromDate && toDate) {
+        // Products can be viewed by parent, variation, category or tag
+        if (state.group) {
+            data.group = state.group;
+        }
+        
+        if (currentTimeframe === 'custom') {
             data.from_date = fromDate;
             data.to_date = toDate;
         }
         
-        // Make AJAX request
-        $.ajax({
+        updateSortIndicators(table);
+        
+        state.request = $.ajax({
             url: wcRealtimeAdmin.ajax_url,
             type: 'POST',
             data: data,
             dataType: 'json',
             success: function(response) {
-                if (response.success && response.data) {
-                    updateDashboard(response.data);
+                if (!response.success || !response.data || !Array.isArray(response.data.items)) {
+                    showTableMessage(table, response.data && response.data.message 
+                        ? response.data.message 
+                        : wcRealtimeAdmin.locale.error || 'An error occurred', 'wc-realtime-error');
+                    return;
+                }
+                
+                const report = response.data;
+                
+                // Searches and new periods can leave fewer pages than the one shown
+                if (report.items.length === 0 && report.total > 0 && state.page > 1) {
+                    state.page = parseInt(report.pages, 10) || 1;
+                    loadTable(table);
+                    return;
+                }
+                
+                if (table === 'countries') {
+                    updateCountriesTable(report.items, (state.page - 1) * TABLE_PAGE_SIZE);
                 } else {
-                    const errorMsg = response.data && response.data.message 
+                    updateProductsTable(report.items);
+                }
+                
+                if (report.items.length === 0 && state.search) {
+                    showTableMessage(table, wcRealtimeAdmin.locale.no_matching_rows || 'Nothing matches your search', 'wc-realtime-empty');
+                }
+                
+                renderPagination(table, report);
+            },
+            error: function(xhr, status) {
+                if (status !== 'abort') {
+                    showTableMessage(table, wcRealtimeAdmin.locale.error || 'An error occurred', 'wc-realtime-error');
+                }
+            },
+            complete: function(xhr) {
+                if (state.request === xhr) {
+                    state.request = null;
+                }
+            }
+        });
+    };
+    
+    // Show a single message row in the products or countries table
+    const showTableMessage = function(table, message, className) {
+        const $table = $('#' + table + '-table');
+        
+        $table.find('tbody').html(
+            '<tr><td colspan="' + $table.find('thead th').length + '" class="' + className + '">' + escapeHtml(message) + '</td></tr>'
+        );
+        $('.wc-realtime-pagination[data-table="' + table + '"]').empty();
+    };
+    
+    // Mark the sorted column of a table
+    const updateSortIndicators = function(table) {
+        const state = tableStates[table];
+        
+        $('#' + table + '-table thead th[data-sort]').each(function() {
+            const isSorted = $(this).attr('data-sort') === state.orderby;
+            
+            $(this)
+                .toggleClass('wc-realtime-sorted-asc', isSorted && state.order === 'asc')
+                .toggleClass('wc-realtime-sorted-desc', isSorted && state.order === 'desc')
+                .attr('aria-sort', isSorted ? (state.order === 'asc' ? 'ascending' : 'descending') : 'none');
+        });
+    };
+    
+    // Render the page links below a table
+    const renderPagination = function(table, report) {
+        const $pagination = $('.wc-realtime-pagination[data-table="' + table + '"]');
+        const locale = wcRealtimeAdmin.locale;
+        const page = parseInt(report.page, 10) || 1;
+        const pages = parseInt(report.pages, 10) || 1;
+        const total = parseInt(report.total, 10) || 0;
+        
+        $pagination.empty();
+        
+        if (total === 0) {
+            return;
+        }
+        
+        $pagination.append(
+            $('<button type="button" class="button button-small" data-page-step="-1"></button>')
+                .text(locale.previous_page || 'Previous')
+                .prop('disabled', page <= 1),
+            $('<span class="wc-realtime-pagination-status"></span>').text(
+                (locale.table_page || 'Page %1$s of %2$s (%3$s rows)')
+                    .replace('%1$s', page.toLocaleString())
+                    .replace('%2$s', pages.toLocaleString())
+                    .replace('%3$s', total.toLocaleString())
+            ),
+            $('<button type="button" class="button button-small" data-page-step="1"></button>')
+                .text(locale.next_page || 'Next')
+                .prop('disabled', page >= pages)
+        );
+    };
+    
+    // Sort a table by a column, text columns ascending first and numbers descending
+    const sortTable = function(table, orderby) {
+        const state = tableStates[table];
+        
+        if (state.orderby === orderby) {
+            state.order = state.order === 'asc' ? 'desc' : 'asc';
+        } else {
+            state.orderby = orderby;
+            state.order = ['product_id', 'name', 'country_name'].indexOf(orderby) !== -1 ? 'asc' : 'desc';
+        }
+        
+        state.page = 1;
+        loadTable(table);
+    };
+    
+    // Load and show the drill-down of a product
+    const openProduct = function(productId) {
+        productId = parseInt(productId, 10) || 0;
+        
+        if (!productId) {
+            return;
+        }
+        
+        activeProductId = productId;
+        
+        if (productRequest) {
+            productRequest.abort();
+        }
+        
+        const $detail = $('#product-detail');
+        if (!$detail.find('.wc-realtime-product-detail-header').length) {
+            $detail.html('<div class="wc-realtime-loading">' + escapeHtml(wcRealtimeAdmin.locale.loading || 'Loading...') + '</div>');
+        }
+        $detail.show();
+        
+        const data = {
+            action: 'wc_realtime_get_product',
+            nonce: wcRealtimeAdmin.nonce,
+            product_id: productId,
+            timeframe: currentTimeframe
+        };
+        
+        if (currentTimeframe === 'custom') {
+            data.from_date = fromDate;
+            data.to_date = toDate;
+        }
+        
+        productRequest = $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: data,
+            dataType: 'json',
+            success: function(response) {
+                // Ignore answers for a product that is no longer shown
+                if (productId !== activeProductId) {
+                    return;
+                }
+                
+                if (!response.success || !response.data) {
+                    $detail.html('<div class="wc-realtime-error">' + escapeHtml(response.data && response.data.message 
                         ? response.data.message 
-                        : wcRealtimeAdmin.locale.error || 'An error occurred';
-                    showError(errorMsg);
+                        : wcRealtimeAdmin.locale.error || 'An error occurred') + '</div>');
+                    return;
                 }
+                
+                renderProductDetail(response.data);
             },
-            error: function(xhr, status, error) {
-                let errorMsg = wcRealtimeAdmin.locale.error || 'Failed to connect to the server';
+            error: function(xhr, status) {
+                if (status === 'abort' || productId !== activeProductId) {
+                    return;
+                }
                 
-                // Try to get more specific error message
-                if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
-                    errorMsg = xhr.responseJSON.data.message;
+                const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message
+                    ? xhr.responseJSON.data.message
+                    : wcRealtimeAdmin.locale.error || 'An error occurred';
+                $detail.html('<div class="wc-realtime-error">' + escapeHtml(message) + '</div>');
+            },
+            complete: function(xhr) {
+                if (productRequest === xhr) {
+                    productRequest = null;
+                }
+            }
+        });
+    };
+    
+    // Hide the product drill-down
+    const closeProduct = function() {
+        activeProductId = 0;
+        
+        if (productRequest) {
+            productRequest.abort();
+        }
+        
+        $('#product-detail').hide().empty();
+        
+        if (window.WCRealtimeCharts) {
+            window.WCRealtimeCharts.clearProductTrend();
+        }
+    };
+    
+    // Zoom the map into a country and load its regions
+    const openMapCountry = function(countryCode) {
+        countryCode = String(countryCode || '').toUpperCase();
+        
+        if (!/^[A-Z]{2}$/.test(countryCode)) {
+            return;
+        }
+        
+        activeMapCountry = countryCode;
+        
+        if (regionsRequest) {
+            regionsRequest.abort();
+        }
+        
+        if (window.WCRealtimeMap) {
+            window.WCRealtimeMap.zoomTo(countryCode);
+        }
+        
+        const $regions = $('#map-regions');
+        if (!$regions.find('table').length) {
+            $regions.html('<div class="wc-realtime-loading">' + escapeHtml(wcRealtimeAdmin.locale.loading || 'Loading...') + '</div>');
+        }
+        $regions.show();
+        $('.wc-realtime-map-layout').addClass('is-zoomed');
+        $('.wc-realtime-map-back').show();
+        
+        const data = {
+            action: 'wc_realtime_get_regions',
+            nonce: wcRealtimeAdmin.nonce,
+            country_code: countryCode,
+            timeframe: currentTimeframe
+        };
+        
+        if (currentTimeframe === 'custom') {
+            data.from_date = fromDate;
+            data.to_date = toDate;
+        }
+        
+        regionsRequest = $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: data,
+            dataType: 'json',
+            success: function(response) {
+                // Ignore answers for a country that is no longer shown
+                if (countryCode !== activeMapCountry) {
+                    return;
                 }
                 
-                showError(errorMsg);
-                console.error('WC Realtime Analytics: AJAX Error', status, error);
+                if (!response.success || !response.data) {
+                    $regions.html('<div class="wc-realtime-error">' + escapeHtml(response.data && response.data.message 
+                        ? response.data.message 
+                        : wcRealtimeAdmin.locale.error || 'An error occurred') + '</div>');
+                    return;
+                }
+                
+                renderRegions(response.data);
+            },
+            error: function(xhr, status) {
+                if (status === 'abort' || countryCode !== activeMapCountry) {
+                    return;
+                }
+                
+                const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message
+                    ? xhr.responseJSON.data.message
+                    : wcRealtimeAdmin.locale.error || 'An error occurred';
+                $regions.html('<div class="wc-realtime-error">' + escapeHtml(message) + '</div>');
+            },
+            complete: function(xhr) {
+                if (regionsRequest === xhr) {
+                    regionsRequest = null;
+                }
             }
         });
     };
     
-    // Show loading indicators
-    const showLoading = function() {
-        $('#products-table tbody, #countries-table tbody').html(
-            '<tr><td colspan="6" class="wc-realtime-loading">' + 
-            (wcRealtimeAdmin.locale.loading || 'Loading...') + 
-            '</td></tr>'
-        );
+    // Zoom the map back out to the world
+    const closeMapCountry = function() {
+        activeMapCountry = '';
+        
+        if (regionsRequest) {
+            regionsRequest.abort();
+        }
+        
+        $('#map-regions').hide().empty();
+        $('.wc-realtime-map-layout').removeClass('is-zoomed');
+        $('.wc-realtime-map-back').hide();
+        
+        if (window.WCRealtimeMap) {
+            window.WCRealtimeMap.resetZoom();
+        }
     };
     
-    // Show error message
-    const showError = function(message) {
-        $('#products-table tbody, #countries-table tbody').html(
-            '<tr><td colspan="6" class="wc-realtime-error">' + escapeHtml(message) + '</td></tr>'
-        );
+    // Render the regions of the country the map is zoomed into
+    const renderRegions = function(report) {
+        const locale = wcRealtimeAdmin.locale;
+        const country = (lastStatsData && lastStatsData.countries || []).find(function(item) {
+            return item.country_code === report.country_code;
+        });
+        const countryName = country && country.country_name ? country.country_name : report.country_code;
+        let rows = '';
+        
+        (report.regions || []).forEach(function(region) {
+            rows += `
+                <tr>
+                    <td>${escapeHtml(region.region || locale.unknown_region || 'Unknown region')}</td>
+                    <td>${parseInt(region.visitors || 0, 10)} <span class="wc-realtime-muted">${escapeHtml((parseFloat(region.visitors_percentage || 0)).toFixed(2) + '%')}</span></td>
+                    <td>${parseInt(region.purchases || 0, 10)}</td>
+                    <td>${escapeHtml((parseFloat(region.conversion_rate || 0)).toFixed(2) + '%')}</td>
+                    <td>${escapeHtml(formatMoney(region.revenue || 0))}</td>
+                </tr>
+            `;
+        });
+        
+        if (!rows) {
+            rows = '<tr><td colspan="5" class="wc-realtime-empty">' + escapeHtml(locale.no_regions || 'No regions recorded for this country in this period') + '</td></tr>';
+        }
+        
+        $('#map-regions').html(`
+            <h3>${escapeHtml(countryName)}</h3>
+            <table class="wc-realtime-table">
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(locale.region || 'Region')}</th>
+                        <th>${escapeHtml(locale.visitors || 'Visitors')}</th>
+                        <th>${escapeHtml(locale.purchase || 'Purchase')}</th>
+                        <th>${escapeHtml(locale.conversion_rate || 'Conversion Rate')}</th>
+                        <th>${escapeHtml(locale.revenue || 'Revenue')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
     };
     
-    // Update dashboard with new statistics
-    const updateDashboard = function(data) {
-        if (!data) {
-            showError(wcRealtimeAdmin.locale.error || 'Invalid data received');
+    // Show the alerts banner, newest first
+    const renderAlerts = function(alerts) {
+        $('#wc-realtime-alerts').empty();
+        
+        (Array.isArray(alerts) ? alerts.slice().reverse() : []).forEach(addAlert);
+        updateAlertsVisibility();
+    };
+    
+    // Add an alert to the top of the banner
+    const addAlert = function(alert) {
+        const alertId = parseInt(alert && alert.id || 0, 10);
+        const $container = $('#wc-realtime-alerts');
+        
+        if (!alertId || dismissedAlerts[alertId] || $container.find('[data-alert-id="' + alertId + '"]').length) {
             return;
         }
         
-        // Update store overview
-        updateStoreOverview(data.store);
+        const locale = wcRealtimeAdmin.locale;
+        
+        $container.prepend(`
+            <div class="wc-realtime-alert" data-alert-id="${alertId}">
+                <span class="dashicons dashicons-warning"></span>
+                <div class="wc-realtime-alert-body">
+                    <strong>${escapeHtml(alert.rule_label || locale.alert || 'Alert')}</strong>
+                    <span>${escapeHtml(alert.message || '')}</span>
+                    <span class="wc-realtime-muted">${escapeHtml(formatEventTime(parseEventDate(alert.created_at)))}</span>
+                </div>
+                <button type="button" class="wc-realtime-alert-dismiss" title="${escapeHtml(locale.dismiss || 'Dismiss')}">
+                    <span class="dashicons dashicons-dismiss"></span>
+                </button>
+            </div>
+        `);
+        
+        updateAlertsVisibility();
+    };
+    
+    // Hide the banner without alerts and link to the history below the last one
+    const updateAlertsVisibility = function() {
+        const $container = $('#wc-realtime-alerts');
+        const hasAlerts = $container.find('.wc-realtime-alert').length > 0;
         
-        // Update products table
-        updateProductsTable(data.products);
+        $container.find('.wc-realtime-alerts-history').remove();
         
-        // Update countries table
-        updateCountriesTable(data.countries);
+        if (hasAlerts && wcRealtimeAdmin.alerts_url) {
+            $container.append(
+                $('<a class="wc-realtime-alerts-history"></a>')
+                    .attr('href', wcRealtimeAdmin.alerts_url)
+                    .text(wcRealtimeAdmin.locale.alert_history || 'Alert history')
+            );
+        }
         
-        // Update conversion funnel chart
-        updateConversionChart(data.store);
+        $container.toggle(hasAlerts);
     };
     
-    // Update store overview section
-    const updateStoreOverview = function(storeData) {
-        if (!storeData) {
-            return;
+    // Render the funnel, rates, countries and daily trend of a product
+    const renderProductDetail = function(detail) {
+        const locale = wcRealtimeAdmin.locale;
+        const totals = detail.totals || {};
+        const formatRate = function(value) {
+            return (parseFloat(value || 0)).toFixed(2) + '%';
+        };
+        
+        let countryRows = '';
+        
+        (detail.countries || []).forEach(function(country) {
+            countryRows += `
+                <tr>
+                    <td>${escapeHtml(country.country_name || country.country_code || 'Unknown')}</td>
+                    <td>${parseInt(country.visitors || 0, 10)} <span class="wc-realtime-muted">${escapeHtml(formatRate(country.visitors_percentage))}</span></td>
+                    <td>${parseInt(country.add_to_cart || 0, 10)}</td>
+                    <td>${parseInt(country.checkouts || 0, 10)}</td>
+                    <td>${parseInt(country.purchases || 0, 10)}</td>
+                    <td>${escapeHtml(formatMoney(country.revenue || 0))}</td>
+                </tr>
+            `;
+        });
+        
+        if (!countryRows) {
+            countryRows = '<tr><td colspan="6" class="wc-realtime-empty">' + escapeHtml(locale.no_data || 'No data available for this period') + '</td></tr>';
         }
         
-        // Update counters
-        $('#store-visitors').text(parseInt(storeData.visitors || 0, 10));
-        $('#store-add-to-cart').text(parseInt(storeData.add_to_cart || 0, 10));
-        $('#store-checkout').text(parseInt(storeData.checkouts || 0, 10));
-        $('#store-purchase').text(parseInt(storeData.purchases || 0, 10));
+        // Only variable products have variations
+        let variationsTable = '';
         
-        // Update rates
-        $('#store-atc-rate').text((parseFloat(storeData.atc_rate || 0)).toFixed(2) + '%');
-        $('#store-checkout-rate').text((parseFloat(storeData.checkout_rate || 0)).toFixed(2) + '%');
-        $('#store-purchase-rate').text((parseFloat(storeData.purchase_rate || 0)).toFixed(2) + '%');
+        if (Array.isArray(detail.variations) && detail.variations.length) {
+            let variationRows = '';
+            
+            detail.variations.forEach(function(variation) {
+                variationRows += `
+                    <tr>
+                        <td>${escapeHtml(variation.name || 'Product #' + parseInt(variation.variation_id, 10))}</td>
+                        <td>${parseInt(variation.add_to_cart || 0, 10)}</td>
+                        <td>${parseInt(variation.checkouts || 0, 10)}</td>
+                        <td>${parseInt(variation.purchases || 0, 10)}</td>
+                        <td>${escapeHtml(formatRate(variation.purchase_rate))}</td>
+                        <td>${escapeHtml(formatMoney(variation.revenue || 0))}</td>
+                    </tr>
+                `;
+            });
+            
+            variationsTable = `
+                <table class="wc-realtime-table wc-realtime-product-variations">
+                    <thead>
+                        <tr>
+                            <th>${escapeHtml(locale.variation || 'Variation')}</th>
+                            <th>${escapeHtml(locale.add_to_cart || 'Add to Cart')}</th>
+                            <th>${escapeHtml(locale.checkout || 'Checkout')}</th>
+                            <th>${escapeHtml(locale.purchase || 'Purchase')}</th>
+                            <th>${escapeHtml(locale.purchase_rate || 'Purchase Rate')}</th>
+                            <th>${escapeHtml(locale.revenue || 'Revenue')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${variationRows}</tbody>
+                </table>
+            `;
+        }
+        
+        $('#product-detail').html(`
+            <div class="wc-realtime-product-detail-header">
+                <h3>${escapeHtml(detail.name || 'Product #' + parseInt(detail.product_id, 10))} <span class="wc-realtime-muted">#${parseInt(detail.product_id, 10)}</span></h3>
+                <button type="button" class="button button-small wc-realtime-product-detail-close">${escapeHtml(locale.close || 'Close')}</button>
+            </div>
+            <ul class="wc-realtime-product-detail-rates">
+                <li><strong>${escapeHtml(locale.atc_rate || 'Add to Cart Rate')}:</strong> ${escapeHtml(formatRate(totals.atc_rate))}</li>
+                <li><strong>${escapeHtml(locale.checkout_rate || 'Checkout Rate')}:</strong> ${escapeHtml(formatRate(totals.checkout_rate))}</li>
+                <li><strong>${escapeHtml(locale.purchase_rate || 'Purchase Rate')}:</strong> ${escapeHtml(formatRate(totals.purchase_rate))}</li>
+                <li><strong>${escapeHtml(locale.conversion_rate || 'Conversion Rate')}:</strong> ${escapeHtml(formatRate(totals.conversion_rate))}</li>
+                <li><strong>${escapeHtml(locale.revenue || 'Revenue')}:</strong> ${escapeHtml(formatMoney(totals.revenue || 0))}</li>
+            </ul>
+            <div class="wc-realtime-product-detail-grid">
+                <div class="wc-realtime-funnel-report" id="product-funnel"></div>
+                <div class="wc-realtime-product-trend">
+                    <canvas id="product-trend-chart"></canvas>
+                </div>
+            </div>
+            <table class="wc-realtime-table">
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(locale.country || 'Country')}</th>
+                        <th>${escapeHtml(locale.product_views || 'Product views')}</th>
+                        <th>${escapeHtml(locale.add_to_cart || 'Add to Cart')}</th>
+                        <th>${escapeHtml(locale.checkout || 'Checkout')}</th>
+                        <th>${escapeHtml(locale.purchase || 'Purchase')}</th>
+                        <th>${escapeHtml(locale.revenue || 'Revenue')}</th>
+                    </tr>
+                </thead>
+                <tbody>${countryRows}</tbody>
+            </table>
+            ${variationsTable}
+        `);
+        
+        if (window.WCRealtimeCharts) {
+            window.WCRealtimeCharts.updateFunnel(detail.funnel, '#product-funnel');
+            window.WCRealtimeCharts.updateProductTrend(detail.daily || []);
+        }
     };
     
     // Update products table
@@ -620,24 +2770,33 @@ const incrementCounter = function(counterId) {
         
         // Check if we have data
         if (!productsData || productsData.length === 0) {
-            $tbody.html('<tr><td colspan="6" class="wc-realtime-empty">' + 
+            $tbody.html('<tr><td colspan="7" class="wc-realtime-empty">' + 
                        (wcRealtimeAdmin.locale.no_data || 'No data available for this period') + 
                        '</td></tr>');
             return;
         }
         
-        // Add rows for each product
+        // Add rows for each product, variation or term
         $.each(productsData, function(index, product) {
-            const productName = product.name ? escapeHtml(product.name) : 'Product #' + product.product_id;
+            const productId = parseInt(product.product_id || 0, 10);
+            const variationId = parseInt(product.variation_id || 0, 10);
+            const termId = parseInt(product.term_id || 0, 10);
+            const productName = product.name ? escapeHtml(product.name) : 'Product #' + productId;
+            
+            // Terms are not products, variations open the drill-down of their parent
+            const nameCell = termId
+                ? productName
+                : `<a href="#" class="wc-realtime-product-link" data-product-id="${productId}" title="${escapeHtml(wcRealtimeAdmin.locale.view_product || 'Show product details')}">${productName}</a>`;
             
             const row = `
-                <tr>
-                    <td>${parseInt(product.product_id || 0, 10)}</td>
-                    <td>${productName}</td>
+                <tr${!termId && !variationId && productId === activeProductId ? ' class="active"' : ''}>
+                    <td>${termId || variationId || productId}</td>
+                    <td>${nameCell}</td>
                     <td>${parseInt(product.visitors || 0, 10)}</td>
                     <td>${parseInt(product.add_to_cart || 0, 10)}</td>
                     <td>${parseInt(product.checkouts || 0, 10)}</td>
                     <td>${parseInt(product.purchases || 0, 10)}</td>
+                    <td>${escapeHtml(formatMoney(product.revenue || 0))}</td>
                 </tr>
             `;
             
@@ -645,8 +2804,8 @@ const incrementCounter = function(counterId) {
         });
     };
     
-    // Update countries table
-    const updateCountriesTable = function(countriesData) {
+    // Update countries table, numbering rows from the offset of the page
+    const updateCountriesTable = function(countriesData, offset) {
         const $tbody = $('#countries-table tbody');
         
         // Clear table
@@ -672,7 +2831,7 @@ const incrementCounter = function(counterId) {
             
             const row = `
                 <tr>
-                    <td>${index + 1}</td>
+                    <td>${(parseInt(offset, 10) || 0) + index + 1}</td>
                     <td>${countryName}${countryCode}</td>
                     <td>${parseInt(country.visitors || 0, 10)}</td>
                     <td>${parseInt(country.add_to_cart || 0, 10)}</td>
@@ -685,69 +2844,410 @@ const incrementCounter = function(counterId) {
         });
     };
     
-    // Update conversion funnel chart
-    const updateConversionChart = function(storeData) {
-        const ctx = document.getElementById('conversion-chart');
-        
-        if (!ctx || !storeData) {
-            return;
-        }
-        
-        // Prepare chart data
-        const chartData = {
-            labels: [
-                wcRealtimeAdmin.locale.visitors || 'Visitors',
-                wcRealtimeAdmin.locale.add_to_cart || 'Add to Cart',
-                wcRealtimeAdmin.locale.checkout || 'Checkout',
-                wcRealtimeAdmin.locale.purchase || 'Purchase'
-            ],
-            datasets: [{
-                label: wcRealtimeAdmin.locale.visitors || 'Visitors',
-                data: [
-                    parseInt(storeData.visitors || 0, 10),
-                    parseInt(storeData.add_to_cart || 0, 10),
-                    parseInt(storeData.checkouts || 0, 10),
-                    parseInt(storeData.purchases || 0, 10)
-                ],
-                backgroundColor: [
-                    'rgba(54, 162, 235, 0.6)',
-                    'rgba(255, 159, 64, 0.6)',
-                    'rgba(75, 192, 192, 0.6)',
-                    'rgba(153, 102, 255, 0.6)'
-                ],
-                borderColor: [
-                    'rgba(54, 162, 235, 1)',
-                    'rgba(255, 159, 64, 1)',
-                    'rgba(75, 192, 192, 1)',
-                    'rgba(153, 102, 255, 1)'
-                ],
-                borderWidth: 1
-            }]
+    // Update traffic sources table
+    const updateSourcesTable = function(sources) {
+        const $tbody = $('#sources-table tbody');
+        
+        $tbody.empty();
+        
+        if (!sources || sources.length === 0) {
+            $tbody.html('<tr><td colspan="8" class="wc-realtime-empty">' + 
+                       escapeHtml(wcRealtimeAdmin.locale.no_traffic_sources || 'No traffic sources in this period') + 
+                       '</td></tr>');
+            return;
+        }
+        
+        $.each(sources, function(index, source) {
+            const label = escapeHtml(getSourceLabel(source.source, source.medium));
+            
+            // Sessions from before attribution was tracked cannot be filtered on
+            const sourceCell = source.source
+                ? buildFilterLink('source', source.source, label)
+                : label;
+            
+            const row = `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${sourceCell}</td>
+                    <td>${parseInt(source.sessions || 0, 10)}</td>
+                    <td>${parseInt(source.add_to_cart || 0, 10)}</td>
+                    <td>${parseInt(source.checkouts || 0, 10)}</td>
+                    <td>${parseInt(source.purchases || 0, 10)}</td>
+                    <td>${escapeHtml(formatMoney(source.revenue))}</td>
+                    <td>${(parseFloat(source.conversion_rate || 0)).toFixed(2)}%</td>
+                </tr>
+            `;
+            
+            $tbody.append(row);
+        });
+    };
+    
+    // "source / medium" label of a traffic source
+    const getSourceLabel = function(source, medium) {
+        if (!source) {
+            return wcRealtimeAdmin.locale.source_unknown || '(not tracked)';
+        }
+        
+        return medium ? source + ' / ' + medium : source;
+    };
+    
+    // Update the top pages table
+    const updatePagesTable = function(pages) {
+        const $tbody = $('#pages-table tbody');
+        const pageTypes = wcRealtimeAdmin.funnel_page_types || {};
+        
+        $tbody.empty();
+        
+        if (!pages || pages.length === 0) {
+            $tbody.html('<tr><td colspan="5" class="wc-realtime-empty">' + 
+                       escapeHtml(wcRealtimeAdmin.locale.no_pages || 'No page views in this period') + 
+                       '</td></tr>');
+            return;
+        }
+        
+        $.each(pages, function(index, page) {
+            const title = page.page_title
+                ? escapeHtml(page.page_title) + '<br><code class="wc-realtime-muted">' + escapeHtml(page.page_url) + '</code>'
+                : '<code>' + escapeHtml(page.page_url) + '</code>';
+            
+            const row = `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${title}</td>
+                    <td>${escapeHtml(pageTypes[page.page_type] || page.page_type || '')}</td>
+                    <td>${parseInt(page.pageviews || 0, 10)}</td>
+                    <td>${parseInt(page.sessions || 0, 10)}</td>
+                </tr>
+            `;
+            
+            $tbody.append(row);
+        });
+    };
+    
+    // Show the new and returning visitor share of each metric below it
+    const updateVisitorSplits = function(visitorTypes) {
+        const types = $.extend({ new: {}, returning: {} }, visitorTypes);
+        const template = wcRealtimeAdmin.locale.visitor_split || 'New %1$s · Returning %2$s';
+        const metrics = {
+            'store-visitors-split': function(stats) { return parseInt(stats.visitors || 0, 10); },
+            'store-add-to-cart-split': function(stats) { return parseInt(stats.add_to_cart || 0, 10); },
+            'store-checkout-split': function(stats) { return parseInt(stats.checkouts || 0, 10); },
+            'store-purchase-split': function(stats) { return parseInt(stats.purchases || 0, 10); },
+            'store-revenue-split': function(stats) { return formatMoney(stats.revenue || 0); },
+            'store-aov-split': function(stats) { return formatMoney(stats.aov || 0); },
+            'store-revenue-per-visitor-split': function(stats) { return formatMoney(stats.revenue_per_visitor || 0); },
+            'engagement-time-split': function(stats) {
+                return formatDuration(parseInt((stats.engagement || {}).avg_engaged_time, 10) || 0);
+            },
+            'engagement-bounce-rate-split': function(stats) {
+                return (parseFloat((stats.engagement || {}).bounce_rate) || 0).toFixed(2) + '%';
+            },
+            'engagement-scroll-depth-split': function(stats) {
+                return Math.round(parseFloat((stats.engagement || {}).avg_scroll_depth) || 0) + '%';
+            },
+            'engagement-pageviews-split': function(stats) {
+                return parseInt((stats.pageviews || {}).pageviews, 10) || 0;
+            },
+            'engagement-pageviews-per-session-split': function(stats) {
+                return (parseFloat((stats.pageviews || {}).pageviews_per_session) || 0).toFixed(2);
+            }
+        };
+        
+        $.each(metrics, function(elementId, format) {
+            // text() escapes the values
+            $('#' + elementId).text(
+                template.replace('%1$s', format(types.new)).replace('%2$s', format(types.returning))
+            );
+        });
+    };
+    
+    // Load the weekly acquisition cohorts of the retention grid
+    const loadCohorts = function() {
+        const showCohortsError = function(message) {
+            const columns = $('#cohorts-table thead th').length;
+            $('#cohorts-table tbody').html(
+                '<tr><td colspan="' + columns + '" class="wc-realtime-error">' + 
+                escapeHtml(message || wcRealtimeAdmin.locale.error || 'An error occurred') + 
+                '</td></tr>'
+            );
         };
         
-        // Destroy existing chart if it exists
-        if (conversionChart) {
-            conversionChart.destroy();
-        }
-        
-        // Create new chart
-        try {
-            conversionChart = new Chart(ctx, {
-                type: 'bar',
-                data: chartData,
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                        y: {
-                            beginAtZero: true
-                        }
-                    }
+        $.ajax({
+            url: wcRealtimeAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'wc_realtime_get_cohorts',
+                nonce: wcRealtimeAdmin.nonce
+            },
+            dataType: 'json',
+            success: function(response) {
+                if (response.success && response.data) {
+                    updateCohortsTable(response.data.cohorts, response.data.weeks);
+                } else {
+                    showCohortsError(response.data && response.data.message);
                 }
-            });
-        } catch (e) {
-            console.error('WC Realtime Analytics: Error creating chart', e);
+            },
+            error: function() {
+                showCohortsError();
+            }
+        });
+    };
+    
+    // Render the retention grid, one row per acquisition week
+    const updateCohortsTable = function(cohorts, weeks) {
+        const $tbody = $('#cohorts-table tbody');
+        const columns = (parseInt(weeks, 10) || 0) + 3;
+        const template = wcRealtimeAdmin.locale.cohort_cell || '%1$s returned, %2$s ordered again';
+        
+        $tbody.empty();
+        
+        if (!cohorts || cohorts.length === 0) {
+            $tbody.html('<tr><td colspan="' + columns + '" class="wc-realtime-empty">' + 
+                       escapeHtml(wcRealtimeAdmin.locale.no_cohorts || 'No visitors with a visitor ID yet') + 
+                       '</td></tr>');
+            return;
+        }
+        
+        $.each(cohorts, function(index, cohort) {
+            let cells = '';
+            
+            for (let week = 0; week < columns - 3; week++) {
+                const cell = (cohort.weeks || [])[week];
+                
+                // Weeks that have not happened yet stay empty
+                if (!cell) {
+                    cells += '<td></td>';
+                    continue;
+                }
+                
+                const returnRate = parseFloat(cell.return_rate) || 0;
+                const repurchaseRate = parseFloat(cell.repurchase_rate) || 0;
+                const title = template
+                    .replace('%1$s', returnRate.toFixed(1) + '%')
+                    .replace('%2$s', repurchaseRate.toFixed(1) + '%');
+                
+                // The shade follows the return rate
+                cells += `
+                    <td class="wc-realtime-cohort-cell" style="background-color: rgba(34, 113, 177, ${(Math.min(returnRate, 100) / 100 * 0.6).toFixed(2)});" title="${escapeHtml(title)}">
+                        ${returnRate.toFixed(1)}%
+                        <span class="wc-realtime-cohort-repurchase">${repurchaseRate.toFixed(1)}%</span>
+                    </td>
+                `;
+            }
+            
+            $tbody.append(`
+                <tr>
+                    <td>${escapeHtml(cohort.week)}</td>
+                    <td>${parseInt(cohort.visitors || 0, 10)}</td>
+                    <td>${parseInt(cohort.customers || 0, 10)}</td>
+                    ${cells}
+                </tr>
+            `);
+        });
+    };
+    
+    // Update the top categories table
+    const updateCategoriesTable = function(categories) {
+        const $tbody = $('#categories-table tbody');
+        
+        $tbody.empty();
+        
+        if (!categories || categories.length === 0) {
+            $tbody.html('<tr><td colspan="4" class="wc-realtime-empty">' + 
+                       escapeHtml(wcRealtimeAdmin.locale.no_categories || 'No category page views in this period') + 
+                       '</td></tr>');
+            return;
+        }
+        
+        $.each(categories, function(index, category) {
+            const name = category.url
+                ? '<a href="' + escapeHtml(category.url) + '" target="_blank" rel="noopener">' + escapeHtml(category.name) + '</a>'
+                : escapeHtml(category.name);
+            
+            const row = `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${name}</td>
+                    <td>${parseInt(category.pageviews || 0, 10)}</td>
+                    <td>${parseInt(category.sessions || 0, 10)}</td>
+                </tr>
+            `;
+            
+            $tbody.append(row);
+        });
+    };
+    
+    // Update custom events table
+    const updateCustomEventsTable = function(customEvents) {
+        const $tbody = $('#custom-events-table tbody');
+        
+        $tbody.empty();
+        
+        if (!customEvents || customEvents.length === 0) {
+            $tbody.html('<tr><td colspan="3" class="wc-realtime-empty">' + 
+                       escapeHtml(wcRealtimeAdmin.locale.no_custom_events || 'No custom events in this period') + 
+                       '</td></tr>');
+            return;
+        }
+        
+        $.each(customEvents, function(index, customEvent) {
+            const row = `
+                <tr>
+                    <td>${escapeHtml(getCustomEventLabel(customEvent.event_name))}</td>
+                    <td>${parseInt(customEvent.total || 0, 10)}</td>
+                    <td>${parseInt(customEvent.sessions || 0, 10)}</td>
+                </tr>
+            `;
+            
+            $tbody.append(row);
+        });
+    };
+    
+    // Count a live custom event while the selected period includes now
+    const incrementCustomEvent = function(data) {
+        if (!lastStatsData || !lastStatsData.timeseries || !lastStatsData.timeseries.is_live || !data.event_name) {
+            return;
+        }
+        
+        const customEvents = Array.isArray(lastStatsData.custom_events) ? lastStatsData.custom_events : [];
+        const existing = customEvents.filter(function(customEvent) {
+            return customEvent.event_name === data.event_name;
+        })[0];
+        
+        // Sessions are distinct on the server, only a first event is known to add one
+        if (existing) {
+            existing.total = parseInt(existing.total || 0, 10) + 1;
+        } else {
+            customEvents.push({ event_name: data.event_name, total: 1, sessions: 1 });
+        }
+        
+        customEvents.sort(function(a, b) {
+            return b.total - a.total;
+        });
+        
+        lastStatsData.custom_events = customEvents;
+        updateCustomEventsTable(customEvents);
+    };
+    
+    // Update cart activity totals and the coupons table
+    const updateCartActivity = function(activity) {
+        activity = activity || {};
+        
+        $('#cart-adds').text(parseInt(activity.adds || 0, 10));
+        $('#cart-removals').text(parseInt(activity.removals || 0, 10));
+        $('#cart-net-adds').text(parseInt(activity.net_cart_adds || 0, 10));
+        $('#cart-units-added').text(parseInt(activity.units_added || 0, 10));
+        $('#cart-units-removed').text(parseInt(activity.units_removed || 0, 10));
+        $('#cart-net-units').text(parseInt(activity.net_units || 0, 10));
+        $('#cart-removal-rate').text((parseFloat(activity.removal_rate || 0)).toFixed(2) + '%');
+        $('#cart-updates').text(parseInt(activity.updates || 0, 10));
+        $('#cart-coupons-applied').text(parseInt(activity.coupons_applied || 0, 10));
+        $('#cart-coupons-removed').text(parseInt(activity.coupons_removed || 0, 10));
+        
+        const $tbody = $('#coupons-table tbody');
+        
+        $tbody.empty();
+        
+        if (!activity.coupons || activity.coupons.length === 0) {
+            $tbody.html('<tr><td colspan="3" class="wc-realtime-empty">' + 
+                       escapeHtml(wcRealtimeAdmin.locale.no_coupons || 'No coupons used in this period') + 
+                       '</td></tr>');
+            return;
+        }
+        
+        $.each(activity.coupons, function(index, coupon) {
+            const row = `
+                <tr>
+                    <td>${escapeHtml(coupon.coupon_code)}</td>
+                    <td>${parseInt(coupon.applied || 0, 10)}</td>
+                    <td>${parseInt(coupon.removed || 0, 10)}</td>
+                </tr>
+            `;
+            
+            $tbody.append(row);
+        });
+    };
+    
+    // Count a live cart event while the selected period includes now
+    const incrementCartActivity = function(eventType, data) {
+        if (!lastStatsData || !lastStatsData.timeseries || !lastStatsData.timeseries.is_live) {
+            return;
+        }
+        
+        const activity = $.extend({ coupons: [] }, lastStatsData.cart_activity);
+        const quantity = parseInt(data.quantity || 0, 10);
+        
+        switch (eventType) {
+            case 'add_to_cart':
+                activity.adds = (activity.adds || 0) + 1;
+                activity.units_added = (activity.units_added || 0) + Math.max(quantity, 1);
+                break;
+                
+            case 'remove_from_cart':
+                activity.removals = (activity.removals || 0) + 1;
+                activity.units_removed = (activity.units_removed || 0) + Math.abs(quantity);
+                break;
+                
+            case 'cart_update':
+                activity.updates = (activity.updates || 0) + 1;
+                if (quantity > 0) {
+                    activity.units_added = (activity.units_added || 0) + quantity;
+                } else {
+                    activity.units_removed = (activity.units_removed || 0) - quantity;
+                }
+                break;
+                
+            case 'coupon_applied':
+            case 'coupon_removed': {
+                const field = eventType === 'coupon_applied' ? 'applied' : 'removed';
+                const code = String(data.coupon_code || '');
+                let coupon = activity.coupons.filter(function(item) {
+                    return item.coupon_code === code;
+                })[0];
+                
+                activity['coupons_' + field] = (activity['coupons_' + field] || 0) + 1;
+                
+                if (!code) {
+                    break;
+                }
+                
+                if (!coupon) {
+                    coupon = { coupon_code: code, applied: 0, removed: 0 };
+                    activity.coupons.push(coupon);
+                }
+                
+                coupon[field] = parseInt(coupon[field] || 0, 10) + 1;
+                activity.coupons.sort(function(a, b) {
+                    return b.applied - a.applied;
+                });
+                break;
+            }
+        }
+        
+        activity.net_cart_adds = (activity.adds || 0) - (activity.removals || 0);
+        activity.net_units = (activity.units_added || 0) - (activity.units_removed || 0);
+        activity.removal_rate = activity.adds > 0 ? (activity.removals / activity.adds) * 100 : 0;
+        
+        lastStatsData.cart_activity = activity;
+        updateCartActivity(activity);
+    };
+    
+    // Label of a registered custom event, the name for events no longer registered
+    const getCustomEventLabel = function(name, fallback) {
+        const labels = wcRealtimeAdmin.custom_events || {};
+        
+        return Object.prototype.hasOwnProperty.call(labels, name) ? labels[name] : fallback || name;
+    };
+    
+    // Short "key: value" summary of custom event properties
+    const formatEventProperties = function(properties) {
+        if (!properties || typeof properties !== 'object') {
+            return '';
         }
+        
+        return Object.keys(properties).slice(0, 5).map(function(key) {
+            return escapeHtml(key) + ': ' + escapeHtml(String(properties[key]));
+        }).join(', ');
     };
     
     // Helper function to escape HTML
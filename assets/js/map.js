@@ -0,0 +1,364 @@
+/**
+ * WooCommerce Real-time Analytics Map
+ * Renders the visitor map from the bundled country shapes
+ */
+(function($) {
+    'use strict';
+    
+    // Equirectangular projection, Antarctica and the far north are cut off
+    const MAP_SCALE = 2;
+    const MAX_LAT = 84;
+    const MIN_LAT = -58;
+    const MAP_WIDTH = 360 * MAP_SCALE;
+    const MAP_HEIGHT = (MAX_LAT - MIN_LAT) * MAP_SCALE;
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    
+    // Same blue as the visitors series of the charts
+    const MAP_COLOR = '54, 162, 235';
+    const FLASH_DURATION = 1500;
+    const ZOOM_DURATION = 300;
+    
+    // Map state
+    let svg = null;
+    let shapesRequest = null;
+    let countryData = {};
+    let currentMetric = 'visitors';
+    let zoomedCountry = '';
+    let viewBox = [0, 0, MAP_WIDTH, MAP_HEIGHT];
+    let zoomFrame = null;
+    let flashTimers = {};
+    let options = {
+        formatMoney: function(value) {
+            return (parseFloat(value) || 0).toFixed(2);
+        }
+    };
+    
+    // Load the bundled country shapes once
+    const loadShapes = function() {
+        const $container = $('#visitor-map');
+        
+        if (!$container.length || svg || shapesRequest) {
+            return;
+        }
+        
+        shapesRequest = $.ajax({
+            url: wcRealtimeAdmin.map_url,
+            dataType: 'json',
+            cache: true,
+            success: function(geojson) {
+                renderShapes($container, geojson);
+            },
+            error: function() {
+                showUnavailable($container);
+            },
+            complete: function() {
+                shapesRequest = null;
+            }
+        });
+    };
+    
+    // Show a message instead of the map
+    const showUnavailable = function($container) {
+        $container.empty().append(
+            $('<p class="wc-realtime-no-data"></p>').text(wcRealtimeAdmin.locale.map_unavailable || 'The map could not be loaded')
+        );
+    };
+    
+    // Draw one path per country, colours are set by updateColors()
+    const renderShapes = function($container, geojson) {
+        const features = geojson && Array.isArray(geojson.features) ? geojson.features : [];
+        
+        svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', viewBox.join(' '));
+        svg.setAttribute('class', 'wc-realtime-map-svg');
+        svg.setAttribute('role', 'img');
+        
+        features.forEach(function(feature) {
+            const code = getFeatureCode(feature);
+            const d = code && code !== 'AQ' ? buildPath(feature.geometry) : '';
+            
+            if (!d) {
+                return;
+            }
+            
+            const properties = feature.properties || {};
+            const path = document.createElementNS(SVG_NS, 'path');
+            
+            path.setAttribute('d', d);
+            path.setAttribute('class', 'wc-realtime-map-country');
+            path.setAttribute('data-country', code);
+            path.setAttribute('data-name', properties.NAME || properties.ADMIN || properties.name || code);
+            path.appendChild(document.createElementNS(SVG_NS, 'title'));
+            svg.appendChild(path);
+        });
+        
+        if (!svg.childNodes.length) {
+            svg = null;
+            showUnavailable($container);
+            return;
+        }
+        
+        $container.empty().append(svg);
+        updateColors();
+        
+        if (zoomedCountry) {
+            zoomTo(zoomedCountry);
+        }
+    };
+    
+    // ISO 3166-1 alpha-2 code of a shape, Natural Earth marks a few countries -99 in ISO_A2
+    const getFeatureCode = function(feature) {
+        const properties = feature.properties || {};
+        const candidates = [properties.ISO_A2_EH, properties.ISO_A2, properties.iso_a2, feature.id];
+        
+        for (let i = 0; i < candidates.length; i++) {
+            const code = String(candidates[i] || '').toUpperCase();
+            
+            if (/^[A-Z]{2}$/.test(code)) {
+                return code;
+            }
+        }
+        
+        return '';
+    };
+    
+    // Build the SVG path of a Polygon or MultiPolygon
+    const buildPath = function(geometry) {
+        if (!geometry || !Array.isArray(geometry.coordinates)) {
+            return '';
+        }
+        
+        let polygons = [];
+        
+        if (geometry.type === 'Polygon') {
+            polygons = [geometry.coordinates];
+        } else if (geometry.type === 'MultiPolygon') {
+            polygons = geometry.coordinates;
+        }
+        
+        return polygons.map(function(polygon) {
+            return polygon.map(function(ring) {
+                return ring.length ? 'M' + ring.map(projectPoint).join('L') + 'Z' : '';
+            }).join('');
+        }).join('');
+    };
+    
+    // Project a longitude and latitude to map coordinates
+    const projectPoint = function(point) {
+        const lat = Math.max(MIN_LAT, Math.min(MAX_LAT, parseFloat(point[1]) || 0));
+        const x = ((parseFloat(point[0]) || 0) + 180) * MAP_SCALE;
+        const y = (MAX_LAT - lat) * MAP_SCALE;
+        
+        return x.toFixed(1) + ',' + y.toFixed(1);
+    };
+    
+    // Value of the selected metric for a country
+    const getMetricValue = function(country) {
+        return country ? parseFloat(country[currentMetric]) || 0 : 0;
+    };
+    
+    // Format a value of the selected metric
+    const formatValue = function(value) {
+        if (currentMetric === 'revenue') {
+            return options.formatMoney(value);
+        }
+        
+        if (currentMetric === 'conversion_rate') {
+            return (Math.round(value * 10) / 10) + '%';
+        }
+        
+        return Math.round(value).toLocaleString();
+    };
+    
+    // Label of the selected metric
+    const getMetricLabel = function() {
+        const locale = wcRealtimeAdmin.locale;
+        const labels = {
+            visitors: locale.visitors || 'Visitors',
+            conversion_rate: locale.conversion_rate || 'Conversion Rate',
+            revenue: locale.revenue || 'Revenue'
+        };
+        
+        return labels[currentMetric] || currentMetric;
+    };
+    
+    // Colour each country by the selected metric, on a square root scale so small countries stay visible
+    const updateColors = function() {
+        let max = 0;
+        
+        Object.keys(countryData).forEach(function(code) {
+            max = Math.max(max, getMetricValue(countryData[code]));
+        });
+        
+        if (svg) {
+            $(svg).find('.wc-realtime-map-country').each(function() {
+                const code = this.getAttribute('data-country');
+                const country = countryData[code];
+                const value = getMetricValue(country);
+                const name = country && country.country_name ? country.country_name : this.getAttribute('data-name');
+                
+                if (value > 0 && max > 0) {
+                    this.style.fill = 'rgba(' + MAP_COLOR + ', ' + (0.15 + 0.85 * Math.sqrt(value / max)).toFixed(2) + ')';
+                    this.classList.add('has-data');
+                } else {
+                    this.style.fill = '';
+                    this.classList.remove('has-data');
+                }
+                
+                this.firstChild.textContent = name + ': ' + formatValue(value);
+            });
+        }
+        
+        renderLegend(max);
+    };
+    
+    // Show the range of the colour scale
+    const renderLegend = function(max) {
+        const $legend = $('#map-legend');
+        
+        if (!$legend.length) {
+            return;
+        }
+        
+        $legend.empty().append(
+            $('<span class="wc-realtime-map-legend-label"></span>').text(getMetricLabel()),
+            $('<span></span>').text(formatValue(0)),
+            $('<span class="wc-realtime-map-scale"></span>').css(
+                'background',
+                'linear-gradient(to right, rgba(' + MAP_COLOR + ', 0.15), rgba(' + MAP_COLOR + ', 1))'
+            ),
+            $('<span></span>').text(formatValue(max))
+        );
+    };
+    
+    // Find the path of a country
+    const getCountryPath = function(code) {
+        return svg ? svg.querySelector('.wc-realtime-map-country[data-country="' + code + '"]') : null;
+    };
+    
+    // Zoom the map to a country and dim the others
+    const zoomTo = function(code) {
+        const path = getCountryPath(code);
+        
+        zoomedCountry = code;
+        
+        if (!svg) {
+            return;
+        }
+        
+        $(svg).find('.wc-realtime-map-country.selected').each(function() {
+            this.classList.remove('selected');
+        });
+        
+        // Countries without a shape keep the world view
+        if (!path) {
+            svg.classList.remove('is-zoomed');
+            animateViewBox([0, 0, MAP_WIDTH, MAP_HEIGHT]);
+            return;
+        }
+        
+        const box = path.getBBox();
+        const padding = Math.max(box.width, box.height) * 0.15 + 5;
+        
+        path.classList.add('selected');
+        svg.classList.add('is-zoomed');
+        animateViewBox([box.x - padding, box.y - padding, box.width + padding * 2, box.height + padding * 2]);
+    };
+    
+    // Show the whole world again
+    const resetZoom = function() {
+        zoomedCountry = '';
+        
+        if (!svg) {
+            return;
+        }
+        
+        $(svg).find('.wc-realtime-map-country.selected').each(function() {
+            this.classList.remove('selected');
+        });
+        
+        svg.classList.remove('is-zoomed');
+        animateViewBox([0, 0, MAP_WIDTH, MAP_HEIGHT]);
+    };
+    
+    // Move the view box to a new area in a short animation
+    const animateViewBox = function(target) {
+        const start = viewBox.slice();
+        const startTime = Date.now();
+        
+        if (zoomFrame) {
+            window.cancelAnimationFrame(zoomFrame);
+        }
+        
+        const step = function() {
+            const progress = Math.min(1, (Date.now() - startTime) / ZOOM_DURATION);
+            const eased = 1 - Math.pow(1 - progress, 3);
+            
+            viewBox = start.map(function(value, index) {
+                return value + (target[index] - value) * eased;
+            });
+            svg.setAttribute('viewBox', viewBox.map(function(value) {
+                return value.toFixed(1);
+            }).join(' '));
+            
+            zoomFrame = progress < 1 ? window.requestAnimationFrame(step) : null;
+        };
+        
+        step();
+    };
+    
+    // Highlight a country for a moment when one of its events arrives
+    const flashCountry = function(code) {
+        const path = getCountryPath(code);
+        
+        if (!path) {
+            return;
+        }
+        
+        // Restart the animation of a country that is still flashing
+        path.classList.remove('flash');
+        path.getBoundingClientRect();
+        path.classList.add('flash');
+        
+        clearTimeout(flashTimers[code]);
+        flashTimers[code] = setTimeout(function() {
+            path.classList.remove('flash');
+            delete flashTimers[code];
+        }, FLASH_DURATION);
+    };
+    
+    // Public API
+    window.WCRealtimeMap = {
+        init: function(settings) {
+            options = $.extend(options, settings || {});
+            loadShapes();
+        },
+        update: function(countries) {
+            countryData = {};
+            
+            (Array.isArray(countries) ? countries : []).forEach(function(country) {
+                if (country && /^[A-Z]{2}$/.test(country.country_code || '')) {
+                    countryData[country.country_code] = country;
+                }
+            });
+            
+            updateColors();
+        },
+        setMetric: function(metric) {
+            currentMetric = ['visitors', 'conversion_rate', 'revenue'].indexOf(metric) !== -1 ? metric : 'visitors';
+            updateColors();
+        },
+        zoomTo: function(code) {
+            zoomTo(String(code || '').toUpperCase());
+        },
+        resetZoom: function() {
+            resetZoom();
+        },
+        flashCountry: function(code) {
+            if (/^[A-Z]{2}$/.test(code || '')) {
+                flashCountry(code);
+            }
+        }
+    };
+    
+})(jQuery);
@@ -1,6 +1,10 @@
 /**
  * WooCommerce Real-time Analytics Tracking Script
  * This script handles client-side tracking that works even with cached pages
+ *
+ * jQuery is optional, it is only used to listen to the events of classic
+ * WooCommerce themes. Headless frontends can load this file on its own after
+ * defining window.wcRealtimeConfig with rest_url pointing at the REST API.
  */
 (function($) {
     'use strict';
@@ -9,9 +13,6 @@
     let pusher = null;
     
     // Initialize tracking variables
-    let hasTrackedPageView = false;
-    let attemptedTrackEvent = false;
-    let trackingInProgress = false;
     let trackedEvents = {
         visitor: false,
         add_to_cart: {},
@@ -19,6 +20,85 @@
         purchase: false
     };
     
+    // Event queue settings
+    const QUEUE_STORAGE_KEY = 'wc_realtime_event_queue';
+    const QUEUE_FLUSH_INTERVAL = 5000; // Periodic flush, in ms
+    const QUEUE_BATCH_DELAY = 1000; // Wait for more events before flushing, in ms
+    const QUEUE_BATCH_SIZE = 20; // Must not exceed the server-side batch limit
+    const QUEUE_MAX_LENGTH = 200;
+    const QUEUE_MAX_AGE = 24 * 60 * 60 * 1000; // Drop events older than a day
+    const QUEUE_LOCK_TIMEOUT = 30000; // Release events of a request that never returned
+    const RETRY_BASE_DELAY = 2000;
+    const RETRY_MAX_DELAY = 5 * 60 * 1000;
+    
+    // Cart changes are reported by WooCommerce after the cart was updated,
+    // what changed is remembered when the shopper makes the change
+    const PENDING_CART_CHANGE_TIMEOUT = 30000;
+    let pendingRemovals = [];
+    let pendingQuantityChanges = [];
+    
+    // Variation last matched by a variable product form
+    let foundVariation = null;
+    
+    // Attribution is sent with the first page view of each session
+    const ATTRIBUTION_STORAGE_KEY = 'wc_realtime_attributed_session';
+    const ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+    
+    // Event queue state
+    let memoryQueue = [];
+    let flushInProgress = false;
+    let flushScheduled = false;
+    let failedFlushes = 0;
+    let nextFlushAt = 0;
+    let nonceRefreshed = false;
+    let storageAvailable = null;
+    
+    // Nothing is tracked or stored until consent is given, when the site asks for it
+    const CONSENT_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+    const CONSENT_POLL_INTERVAL = 1000;
+    const CONSENT_DENIED_VALUES = ['', '0', 'false', 'no', 'deny', 'denied'];
+    let trackingStarted = false;
+    let trackingAllowed = false;
+    
+    // Long-lived visitor ID that tells returning visitors from new ones
+    const VISITOR_COOKIE_MAX_AGE = 2 * 365 * 24 * 60 * 60; // The server forgets visitors after as long
+    let visitorId = '';
+    
+    // Requests go to admin-ajax.php, or to the REST API for headless frontends
+    const AJAX_ACTIONS = { track: 'wc_realtime_track', heartbeat: 'wc_realtime_heartbeat' };
+    const REST_ROUTES = { track: 'events', heartbeat: 'heartbeat' };
+    
+    // Page being viewed, single page storefronts change it without loading a page
+    const ROUTE_CHANGE_DELAY = 300; // Give the app time to update the title, in ms
+    let currentPage = {};
+    let currentPath = window.location.pathname;
+    
+    // Carts changed through the Store API, by block-based carts or headless frontends
+    const BLOCKS_CART_STORE = 'wc/store/cart';
+    const STORE_API_CART_PATTERN = /\/wc\/store(?:\/v\d+)?\/(cart|batch)\b/;
+    const CLASSIC_CART_WINDOW = 10000; // Cart reloads this soon after a classic cart change are not tracked again
+    let cartState = null;
+    let classicCartChangeAt = 0;
+    
+    // Signs that a person sees and uses the page, sent with every event for the bot filter
+    const INTERACTION_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart', 'mousemove'];
+    let pageSignals = {
+        js: 1,
+        visible: document.visibilityState === 'hidden' ? 0 : 1,
+        interacted: 0
+    };
+    
+    // Engagement of this page view, reported by heartbeats while the tab is visible
+    const HEARTBEAT_INTERVAL = 30000;
+    const generateId = function() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+    };
+    let pageViewId = generateId();
+    let activeTime = 0; // Time the page was visible before it was last hidden, in ms
+    let visibleSince = null;
+    let maxScroll = 0;
+    let heartbeatTimer = null;
+    
     // Initialize tracking
     const initTracking = function() {
         if (typeof wcRealtimeConfig === 'undefined') {
@@ -26,13 +106,25 @@
             return;
         }
         
+        trackingAllowed = true;
+        
+        // The visitor ID is only stored once tracking is allowed
+        initVisitorId();
+        
+        // Consent can be given more than once, listeners are only added the first time
+        if (trackingStarted) {
+            return;
+        }
+        
+        trackingStarted = true;
+        
         // Initialize Pusher if configured
-        if (wcRealtimeConfig.pusher_key && wcRealtimeConfig.pusher_cluster) {
+        if (wcRealtimeConfig.pusher_key && typeof Pusher !== 'undefined') {
             try {
-                pusher = new Pusher(wcRealtimeConfig.pusher_key, {
-                    cluster: wcRealtimeConfig.pusher_cluster,
-                    encrypted: true
-                });
+                // Server options carry the cluster, or the host and port of a self-hosted server
+                pusher = new Pusher(wcRealtimeConfig.pusher_key, Object.assign({
+                    cluster: wcRealtimeConfig.pusher_cluster
+                }, wcRealtimeConfig.pusher_options || {}));
                 
                 // Check for connection errors
                 pusher.connection.bind('error', function(err) {
@@ -48,82 +140,289 @@
             }
         }
         
-        // Track initial page view (only once per session)
+        // Start the event queue before anything is tracked
+        initEventQueue();
+        
+        // Page the tracker was loaded on
+        currentPage = getConfigPage();
+        
+        // Watch for a person behind the page
+        watchPageSignals();
+        
+        // Report time on page and scroll depth
+        watchEngagement();
+        
+        // Track the page view of this page load
         trackPageView();
         
+        // Replay custom events tracked before this script loaded
+        replayCustomEvents();
+        
         // Set up event listeners
         setupEventListeners();
+        
+        // Cart changes and navigation that do not load a page
+        watchBlocksCart();
+        watchStoreApi();
+        watchRouteChanges();
     };
     
-    // Track page view
+    // Track the page view of this page load
     const trackPageView = function() {
-        if (hasTrackedPageView || trackingInProgress || trackedEvents.visitor) {
+        if (trackedEvents.visitor) {
             return;
         }
         
-        trackingInProgress = true;
+        // Pages opened in a background tab are counted once they are looked at
+        if (document.visibilityState === 'hidden') {
+            const onVisible = function() {
+                if (document.visibilityState !== 'hidden') {
+                    document.removeEventListener('visibilitychange', onVisible);
+                    trackPageView();
+                }
+            };
+            
+            document.addEventListener('visibilitychange', onVisible);
+            return;
+        }
         
+        // Every page load is a page view, the server decides whether it is also a new visitor
         const data = {
-            action: 'wc_realtime_track',
-            nonce: wcRealtimeConfig.nonce,
             event_type: 'visitor',
-            session_id: wcRealtimeConfig.session_id
+            session_id: wcRealtimeConfig.session_id,
+            page_title: document.title || '',
+            term_id: currentPage.term_id || 0
         };
         
         // If on product page, include product ID and name
-        if (wcRealtimeConfig.is_product && wcRealtimeConfig.product_id > 0) {
-            data.product_id = parseInt(wcRealtimeConfig.product_id, 10);
-            data.product_name = wcRealtimeConfig.product_name || '';
-        }
-        
-        $.ajax({
-            url: wcRealtimeConfig.ajax_url,
-            type: 'POST',
-            data: data,
-            dataType: 'json',
-            success: function(response) {
-                hasTrackedPageView = true;
-                trackingInProgress = false;
-                
-                // Mark visitor as tracked
-                if (response.success) {
-                    trackedEvents.visitor = true;
-                    console.log('WC Realtime Analytics: Page view tracked successfully');
-                } else {
-                    console.warn('WC Realtime Analytics: Failed to track page view', response);
-                }
-            },
-            error: function(xhr, status, error) {
-                console.error('WC Realtime Analytics: Error tracking page view', status, error);
-                trackingInProgress = false;
-                
-                // Retry once if tracking fails
-                if (!attemptedTrackEvent) {
-                    attemptedTrackEvent = true;
-                    setTimeout(trackPageView, 2000);
+        if (currentPage.product_id > 0) {
+            data.product_id = currentPage.product_id;
+            data.product_name = currentPage.product_name || '';
+        }
+        
+        // Mark visitor as tracked once it is safely queued
+        trackedEvents.visitor = true;
+        enqueueEvent(Object.assign(data, getSessionAttribution()));
+    };
+    
+    // Read or create the visitor ID, a logged in customer brings the one of their first device
+    const initVisitorId = function() {
+        const name = wcRealtimeConfig.visitor_cookie || 'wc_realtime_visitor';
+        const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+        
+        visitorId = wcRealtimeConfig.visitor_id || readCookie(name) || generateId();
+        
+        // Every visit keeps the cookie for another two years
+        document.cookie = name + '=' + encodeURIComponent(visitorId) + '; path=/; max-age=' + VISITOR_COOKIE_MAX_AGE + '; SameSite=Lax' + secure;
+    };
+    
+    // Page details the server put in the configuration
+    const getConfigPage = function() {
+        return {
+            page_type: wcRealtimeConfig.page_type || '',
+            term_id: parseInt(wcRealtimeConfig.term_id, 10) || 0,
+            product_id: wcRealtimeConfig.is_product ? parseInt(wcRealtimeConfig.product_id, 10) || 0 : 0,
+            product_name: wcRealtimeConfig.product_name || ''
+        };
+    };
+    
+    // Start a new page view without a page load, apps can pass the page_type,
+    // term_id, product_id and product_name of the new route
+    const trackRouteView = function(page) {
+        if (!trackingAllowed) {
+            return false;
+        }
+        
+        // The engagement of the previous route ends here
+        pauseEngagement();
+        
+        currentPage = Object.assign({ page_type: '', term_id: 0, product_id: 0, product_name: '' }, page || {});
+        currentPage.term_id = parseInt(currentPage.term_id, 10) || 0;
+        currentPage.product_id = parseInt(currentPage.product_id, 10) || 0;
+        currentPath = window.location.pathname;
+        
+        pageViewId = generateId();
+        activeTime = 0;
+        maxScroll = 0;
+        updateScrollDepth();
+        
+        trackedEvents.visitor = false;
+        trackPageView();
+        
+        if (document.visibilityState !== 'hidden') {
+            resumeEngagement();
+        }
+        
+        return true;
+    };
+    
+    // Single page storefronts move between routes with the History API
+    const watchRouteChanges = function() {
+        const onRouteChange = function() {
+            setTimeout(function() {
+                // Query strings and hashes change with filters and tabs, only a new path is a new page.
+                // Apps that report their routes with WCRealtime.pageview() have already moved on
+                if (window.location.pathname !== currentPath) {
+                    trackRouteView({});
                 }
+            }, ROUTE_CHANGE_DELAY);
+        };
+        
+        ['pushState', 'replaceState'].forEach(function(method) {
+            const original = window.history[method];
+            
+            if (typeof original !== 'function') {
+                return;
             }
+            
+            window.history[method] = function() {
+                const result = original.apply(this, arguments);
+                onRouteChange();
+                return result;
+            };
         });
+        
+        window.addEventListener('popstate', onRouteChange);
+    };
+    
+    // Remember when the page is shown or used
+    const watchPageSignals = function() {
+        const onInteraction = function() {
+            pageSignals.interacted = 1;
+            
+            INTERACTION_EVENTS.forEach(function(type) {
+                window.removeEventListener(type, onInteraction, true);
+            });
+        };
+        
+        INTERACTION_EVENTS.forEach(function(type) {
+            window.addEventListener(type, onInteraction, { capture: true, passive: true });
+        });
+        
+        document.addEventListener('visibilitychange', function() {
+            if (document.visibilityState !== 'hidden') {
+                pageSignals.visible = 1;
+            }
+        });
+    };
+    
+    // Measure the time the page is visible and how far it is scrolled
+    const watchEngagement = function() {
+        updateScrollDepth();
+        window.addEventListener('scroll', updateScrollDepth, { passive: true });
+        
+        document.addEventListener('visibilitychange', function() {
+            if (document.visibilityState === 'hidden') {
+                pauseEngagement();
+            } else {
+                resumeEngagement();
+            }
+        });
+        
+        // Pages restored from the back/forward cache become visible again
+        window.addEventListener('pagehide', pauseEngagement);
+        
+        if (document.visibilityState !== 'hidden') {
+            resumeEngagement();
+        }
+    };
+    
+    // Start counting active time and sending heartbeats
+    const resumeEngagement = function() {
+        if (visibleSince !== null) {
+            return;
+        }
+        
+        visibleSince = Date.now();
+        sendHeartbeat();
+        heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+    };
+    
+    // Stop the heartbeats while the tab is hidden, reporting the time on page so far
+    const pauseEngagement = function() {
+        if (visibleSince === null) {
+            return;
+        }
+        
+        activeTime += Date.now() - visibleSince;
+        visibleSince = null;
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+        sendHeartbeat(true);
+    };
+    
+    // Remember the deepest point of the page that was scrolled into view, in percent
+    const updateScrollDepth = function() {
+        const doc = document.documentElement;
+        const scrollable = Math.max(doc.scrollHeight, document.body ? document.body.scrollHeight : 0) - window.innerHeight;
+        const scrolled = window.pageYOffset || doc.scrollTop || 0;
+        const depth = scrollable > 0 ? Math.round(scrolled / scrollable * 100) : 100;
+        
+        maxScroll = Math.max(maxScroll, Math.min(depth, 100));
+    };
+    
+    // Send the totals of this page view, a lost heartbeat is made up for by the next one
+    const sendHeartbeat = function(leaving = false) {
+        if (!trackingAllowed) {
+            return;
+        }
+        
+        const data = {
+            page_view_id: pageViewId,
+            session_id: wcRealtimeConfig.session_id,
+            visitor_id: visitorId,
+            page_type: currentPage.page_type || '',
+            page_url: window.location.pathname,
+            active_seconds: Math.round((activeTime + (visibleSince !== null ? Date.now() - visibleSince : 0)) / 1000),
+            max_scroll: maxScroll
+        };
+        
+        // The page may be going away, only the browser can still deliver the request
+        if (leaving && sendBeacon('heartbeat', data)) {
+            return;
+        }
+        
+        postRequest('heartbeat', data, HEARTBEAT_INTERVAL, function() {}, function() {});
+    };
+    
+    // Campaign parameters, referrer and landing page of a new session,
+    // the server keeps the first ones it receives for a session
+    const getSessionAttribution = function() {
+        if (readStorage(ATTRIBUTION_STORAGE_KEY) === wcRealtimeConfig.session_id) {
+            return {};
+        }
+        
+        const attribution = {
+            referrer: document.referrer || '',
+            landing_page: window.location.pathname || '/'
+        };
+        
+        ATTRIBUTION_PARAMS.forEach(function(param) {
+            const value = getQueryParam(param);
+            if (value) {
+                attribution[param] = value;
+            }
+        });
+        
+        writeStorage(ATTRIBUTION_STORAGE_KEY, wcRealtimeConfig.session_id);
+        
+        return attribution;
     };
     
     // Set up event listeners for user actions
     const setupEventListeners = function() {
-        // Track add to cart button clicks with a flag to avoid double tracking
-        let addToCartInProgress = false;
+        // Classic themes announce their cart changes through jQuery
+        if (!$) {
+            return;
+        }
         
+        // Track add to cart button clicks, duplicates are filtered per product by trackEvent
         $(document.body).on('click', '.add_to_cart_button, .single_add_to_cart_button', function(e) {
-            // Ngăn chặn tracking trùng lặp
-            if (addToCartInProgress) {
-                return;
-            }
-            
-            addToCartInProgress = true;
-            setTimeout(function() { addToCartInProgress = false; }, 2000); // reset flag after 2 seconds
-            
             const $button = $(this);
             let productId = $button.data('product_id');
             let productName = $button.data('product_name') || '';
             let quantity = 1;
+            let variation = null;
             
             // On single product pages, get product ID from form
             if (!productId && $('.single_add_to_cart_button').length) {
@@ -133,10 +432,13 @@
                 }
                 
                 // Get product name from page title or hidden field
-                productName = wcRealtimeConfig.product_name || $('h1.product_title').text() || '';
+                productName = currentPage.product_name || $('h1.product_title').text() || '';
                 
                 // Get quantity 
                 quantity = parseInt($('input[name="quantity"]').val(), 10) || 1;
+                
+                // Variable products add the chosen variation
+                variation = getSelectedVariation($button.closest('form'));
             }
             
             if (productId) {
@@ -145,25 +447,25 @@
                 
                 if (productId > 0) {
                     // Check if this product has already been tracked in this session
-                    if (trackedEvents.add_to_cart[productId]) {
-                        addToCartInProgress = false;
+                    if (trackedEvents.add_to_cart[getCartKey(productId, variation)]) {
                         return;
                     }
 
                     // Handle tracking immediately for AJAX add to cart
-                    trackEvent('add_to_cart', productId, productName, quantity);
+                    trackEvent('add_to_cart', productId, productName, quantity, variation);
                 }
             }
         });
-
-        // Add a handler for WooCommerce AJAX complete to prevent duplicate tracking
-        $(document).ajaxComplete(function(event, xhr, settings) {
-            if (settings.url && settings.url.indexOf('wc-ajax=add_to_cart') > -1) {
-                // This is handled by our click handler already
-                addToCartInProgress = false;
-            }
+        
+        // Remember the variation a variable product form matched, cleared when the choice is reset
+        $(document.body).on('found_variation', '.variations_form', function(event, variation) {
+            foundVariation = variation && variation.variation_id ? variation : null;
         });
         
+        $(document.body).on('reset_data', '.variations_form', function() {
+            foundVariation = null;
+        });
+
         // Also handle WooCommerce's add-to-cart event for cases we might miss with click
         $(document.body).on('added_to_cart', function(event, fragments, cart_hash, $button) {
             if ($button) {
@@ -176,6 +478,66 @@
             }
         });
         
+        // Remember the quantity of an item that is being removed
+        $(document.body).on('click', '.remove_from_cart_button, .woocommerce-cart-form .product-remove > a', function() {
+            const $link = $(this);
+            const productId = parseInt($link.data('product_id'), 10);
+            
+            if (!productId) {
+                return;
+            }
+            
+            // Cart page rows have a quantity field, mini cart items show "2 × price"
+            let quantity = parseInt($link.closest('tr').find('input.qty').val(), 10);
+            if (!quantity) {
+                quantity = parseInt($link.closest('.woocommerce-mini-cart-item, .mini_cart_item').find('.quantity').text(), 10);
+            }
+            
+            pendingRemovals.push({ productId: productId, quantity: quantity || 1, at: Date.now() });
+        });
+        
+        // Remember the quantity changes of a cart form update
+        $(document.body).on('click', '.woocommerce-cart-form :input[name="update_cart"]', function() {
+            pendingQuantityChanges = [];
+            
+            $('.woocommerce-cart-form input.qty').each(function() {
+                const oldQuantity = parseInt(this.defaultValue, 10) || 0;
+                const newQuantity = parseInt(this.value, 10) || 0;
+                const productId = parseInt($(this).closest('tr').find('.product-remove a').data('product_id'), 10);
+                
+                if (!productId || newQuantity === oldQuantity) {
+                    return;
+                }
+                
+                // A quantity of zero removes the item
+                if (newQuantity === 0) {
+                    pendingRemovals.push({ productId: productId, quantity: oldQuantity, at: Date.now() });
+                } else {
+                    pendingQuantityChanges.push({ productId: productId, quantity: newQuantity - oldQuantity, at: Date.now() });
+                }
+            });
+        });
+        
+        // Mini cart removals name the removed product
+        $(document.body).on('removed_from_cart', function(event, fragments, cartHash, $button) {
+            const productId = $button && $button.data ? parseInt($button.data('product_id'), 10) : 0;
+            trackPendingRemovals(productId || 0);
+        });
+        
+        // The cart page reloads its contents without saying what changed
+        $(document.body).on('updated_wc_div updated_cart_totals', function() {
+            trackPendingRemovals(0);
+            trackPendingQuantityChanges();
+        });
+        
+        $(document.body).on('applied_coupon applied_coupon_in_checkout', function(event, couponCode) {
+            trackCouponEvent('coupon_applied', couponCode);
+        });
+        
+        $(document.body).on('removed_coupon removed_coupon_in_checkout', function(event, couponCode) {
+            trackCouponEvent('coupon_removed', couponCode);
+        });
+        
         // Track checkout button clicks if on checkout page
         if (wcRealtimeConfig.is_checkout && !trackedEvents.checkout) {
             // We'll let the server-side handle this
@@ -183,29 +545,55 @@
         }
     };
 
-    // Generic event tracker
-    const trackEvent = function(eventType, productId, productName = '', quantity = 1) {
-        if (trackingInProgress) {
-            return;
+    // Get the variation chosen in a variable product form
+    const getSelectedVariation = function($form) {
+        if (!$form.length || !$form.hasClass('variations_form')) {
+            return null;
         }
-
+        
+        const variationId = parseInt($form.find('input[name="variation_id"]').val(), 10) || 0;
+        
+        if (!variationId) {
+            return null;
+        }
+        
+        // The form holds the values of attributes the variation leaves open
+        const attributes = Object.assign({}, foundVariation && foundVariation.variation_id === variationId ? foundVariation.attributes : {});
+        
+        $form.find('[name^="attribute_"]').each(function() {
+            if ($(this).val()) {
+                attributes[$(this).attr('name')] = String($(this).val());
+            }
+        });
+        
+        return {
+            variation_id: variationId,
+            attributes: attributes
+        };
+    };
+    
+    // Key of a product or variation in the tracked add to cart events
+    const getCartKey = function(productId, variation) {
+        return variation && variation.variation_id ? productId + ':' + variation.variation_id : String(productId);
+    };
+    
+    // Generic event tracker
+    const trackEvent = function(eventType, productId, productName = '', quantity = 1, variation = null) {
         // Check if this event has already been tracked
         if (eventType === 'checkout' && trackedEvents.checkout) {
             return;
         } else if (eventType === 'purchase' && trackedEvents.purchase) {
             return;
-        } else if (eventType === 'add_to_cart' && productId > 0 && trackedEvents.add_to_cart[productId]) {
+        } else if (eventType === 'add_to_cart' && productId > 0 && trackedEvents.add_to_cart[getCartKey(productId, variation)]) {
             return;
         }
 
-        trackingInProgress = true;
         console.log('WC Realtime Analytics: Tracking event', eventType, 'for product', productId, productName);
 
         // Validate event type
         const validEvents = ['visitor', 'add_to_cart', 'checkout', 'purchase'];
         if (validEvents.indexOf(eventType) === -1) {
             console.error('WC Realtime Analytics: Invalid event type', eventType);
-            trackingInProgress = false;
             return;
         }
 
@@ -216,41 +604,884 @@
             productId = 0;
         }
 
-        const data = {
-            action: 'wc_realtime_track',
-            nonce: wcRealtimeConfig.nonce,
+        // Mark as tracked once queued, the queue takes care of delivery
+        if (eventType === 'checkout') {
+            trackedEvents.checkout = true;
+        } else if (eventType === 'purchase') {
+            trackedEvents.purchase = true;
+        } else if (eventType === 'add_to_cart' && productId > 0) {
+            trackedEvents.add_to_cart[getCartKey(productId, variation)] = true;
+            classicCartChangeAt = Date.now();
+        }
+
+        enqueueEvent({
             event_type: eventType,
             session_id: wcRealtimeConfig.session_id,
             product_id: productId,
             product_name: productName,
-            quantity: quantity
+            quantity: quantity,
+            variation_id: variation ? variation.variation_id : 0,
+            variation: variation ? variation.attributes : {}
+        });
+    };
+
+    // Drop remembered cart changes whose request never completed
+    const filterPendingCartChanges = function(changes) {
+        const now = Date.now();
+        return changes.filter(function(change) {
+            return now - change.at < PENDING_CART_CHANGE_TIMEOUT;
+        });
+    };
+    
+    // Track remembered removals, only the one of the given product when it is known
+    const trackPendingRemovals = function(productId) {
+        const removals = filterPendingCartChanges(pendingRemovals);
+        let tracked = [];
+        
+        if (productId > 0) {
+            const index = removals.map(function(removal) {
+                return removal.productId;
+            }).indexOf(productId);
+            
+            tracked = index === -1 ? [{ productId: productId, quantity: 1 }] : removals.splice(index, 1);
+        } else {
+            tracked = removals.splice(0);
+        }
+        
+        pendingRemovals = removals;
+        
+        if (tracked.length) {
+            classicCartChangeAt = Date.now();
+        }
+        
+        tracked.forEach(function(removal) {
+            // The product and its variations can be counted again when they are added back
+            Object.keys(trackedEvents.add_to_cart).forEach(function(key) {
+                if (key === String(removal.productId) || key.indexOf(removal.productId + ':') === 0) {
+                    delete trackedEvents.add_to_cart[key];
+                }
+            });
+            
+            enqueueEvent({
+                event_type: 'remove_from_cart',
+                session_id: wcRealtimeConfig.session_id,
+                product_id: removal.productId,
+                quantity: removal.quantity
+            });
+        });
+    };
+    
+    // Track remembered quantity changes of a cart form update
+    const trackPendingQuantityChanges = function() {
+        const changes = filterPendingCartChanges(pendingQuantityChanges);
+        pendingQuantityChanges = [];
+        
+        if (changes.length) {
+            classicCartChangeAt = Date.now();
+        }
+        
+        changes.forEach(function(change) {
+            enqueueEvent({
+                event_type: 'cart_update',
+                session_id: wcRealtimeConfig.session_id,
+                product_id: change.productId,
+                quantity: change.quantity
+            });
+        });
+    };
+    
+    // Track a coupon change, the server checks it against the cart
+    const trackCouponEvent = function(eventType, couponCode) {
+        couponCode = String(couponCode || '').trim();
+        
+        if (!couponCode) {
+            return;
+        }
+        
+        classicCartChangeAt = Date.now();
+        
+        enqueueEvent({
+            event_type: eventType,
+            session_id: wcRealtimeConfig.session_id,
+            coupon_code: couponCode
+        });
+    };
+    
+    // Items by key and coupon codes of a Store API cart
+    const getCartState = function(cart) {
+        const state = { items: {}, coupons: [] };
+        
+        (cart.items || []).forEach(function(item) {
+            state.items[item.key] = {
+                id: parseInt(item.id, 10) || 0,
+                quantity: parseInt(item.quantity, 10) || 0,
+                name: item.name || ''
+            };
+        });
+        
+        (cart.coupons || []).forEach(function(coupon) {
+            if (coupon.code) {
+                state.coupons.push(String(coupon.code));
+            }
+        });
+        
+        return state;
+    };
+    
+    // Track what changed since the last Store API cart, the first one is only remembered
+    const syncCart = function(cart, track) {
+        if (!cart || !Array.isArray(cart.items)) {
+            return;
+        }
+        
+        const previous = cartState;
+        cartState = getCartState(cart);
+        
+        if (!previous || !track || !trackingAllowed) {
+            return;
+        }
+        
+        Object.keys(cartState.items).forEach(function(key) {
+            const item = cartState.items[key];
+            const before = previous.items[key];
+            
+            if (!before) {
+                enqueueEvent({
+                    event_type: 'add_to_cart',
+                    session_id: wcRealtimeConfig.session_id,
+                    product_id: item.id,
+                    product_name: item.name,
+                    quantity: item.quantity
+                });
+            } else if (item.quantity !== before.quantity) {
+                enqueueEvent({
+                    event_type: 'cart_update',
+                    session_id: wcRealtimeConfig.session_id,
+                    product_id: item.id,
+                    quantity: item.quantity - before.quantity
+                });
+            }
+        });
+        
+        Object.keys(previous.items).forEach(function(key) {
+            if (!cartState.items[key]) {
+                enqueueEvent({
+                    event_type: 'remove_from_cart',
+                    session_id: wcRealtimeConfig.session_id,
+                    product_id: previous.items[key].id,
+                    quantity: previous.items[key].quantity
+                });
+            }
+        });
+        
+        const trackCoupons = function(eventType, codes, otherCodes) {
+            codes.forEach(function(code) {
+                if (otherCodes.indexOf(code) === -1) {
+                    enqueueEvent({
+                        event_type: eventType,
+                        session_id: wcRealtimeConfig.session_id,
+                        coupon_code: code
+                    });
+                }
+            });
         };
+        
+        trackCoupons('coupon_applied', cartState.coupons, previous.coupons);
+        trackCoupons('coupon_removed', previous.coupons, cartState.coupons);
+    };
+    
+    // Block-based cart and checkout pages keep the cart in a wp.data store
+    const watchBlocksCart = function() {
+        const data = window.wp && window.wp.data;
+        
+        if (!data || typeof data.select !== 'function' || typeof data.subscribe !== 'function') {
+            return;
+        }
+        
+        let store = null;
+        
+        try {
+            store = data.select(BLOCKS_CART_STORE);
+        } catch (e) {
+            store = null;
+        }
+        
+        if (!store || typeof store.getCartData !== 'function') {
+            return;
+        }
+        
+        let lastCart = null;
+        
+        data.subscribe(function() {
+            const cart = store.getCartData();
+            
+            if (!cart || cart === lastCart) {
+                return;
+            }
+            
+            // The store starts with an empty cart until the real one is loaded
+            const loaded = typeof store.hasFinishedResolution !== 'function' || store.hasFinishedResolution('getCartData');
+            if (!loaded && !(cart.items || []).length) {
+                return;
+            }
+            
+            lastCart = cart;
+            
+            // Changes made by the classic cart scripts were tracked when they were made,
+            // the block cart also calls the Store API so its changes are only counted once
+            syncCart(cart, Date.now() - classicCartChangeAt > CLASSIC_CART_WINDOW);
+        }, BLOCKS_CART_STORE);
+    };
+    
+    // Headless frontends and other scripts change the cart by calling the Store API
+    const watchStoreApi = function() {
+        if (typeof window.fetch !== 'function') {
+            return;
+        }
+        
+        const originalFetch = window.fetch;
+        
+        window.fetch = function(input, init) {
+            const promise = originalFetch.apply(this, arguments);
+            const url = typeof input === 'string' ? input : (input && input.url) || '';
+            const method = String((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+            
+            if (!STORE_API_CART_PATTERN.test(url)) {
+                return promise;
+            }
+            
+            promise.then(function(response) {
+                if (!response.ok) {
+                    return;
+                }
+                
+                response.clone().json().then(function(body) {
+                    // Batch requests answer with the responses of their requests, the last cart wins
+                    let cart = body;
+                    
+                    if (body && Array.isArray(body.responses)) {
+                        cart = null;
+                        body.responses.forEach(function(item) {
+                            if (item && item.body && Array.isArray(item.body.items)) {
+                                cart = item.body;
+                            }
+                        });
+                    }
+                    
+                    syncCart(cart, method !== 'GET' && Date.now() - classicCartChangeAt > CLASSIC_CART_WINDOW);
+                }).catch(function() {});
+            }).catch(function() {});
+            
+            return promise;
+        };
+    };
+    
+    // Track a custom event registered by the store admin
+    const trackCustomEvent = function(name, properties) {
+        if (typeof wcRealtimeConfig === 'undefined') {
+            return false;
+        }
+        
+        name = String(name || '');
+        
+        const definitions = wcRealtimeConfig.custom_events || {};
+        if (!Object.prototype.hasOwnProperty.call(definitions, name)) {
+            console.warn('WC Realtime Analytics: Custom event is not registered', name);
+            return false;
+        }
+        
+        if (properties !== undefined && (!properties || typeof properties !== 'object' || Array.isArray(properties))) {
+            console.warn('WC Realtime Analytics: Custom event properties must be an object', name);
+            return false;
+        }
+        
+        // Only properties in the schema are sent, the server checks their types
+        const schema = definitions[name].properties || {};
+        const sentProperties = {};
+        
+        Object.keys(schema).forEach(function(key) {
+            if (properties && properties[key] !== undefined && properties[key] !== null) {
+                sentProperties[key] = properties[key];
+            }
+        });
+        
+        enqueueEvent({
+            event_type: 'custom',
+            session_id: wcRealtimeConfig.session_id,
+            event_name: name,
+            properties: sentProperties
+        });
+        
+        return true;
+    };
+
+    // Check whether localStorage can be used (private mode, disabled storage). The test
+    // writes to storage, so it only runs once tracking is allowed and is remembered after that.
+    const isStorageAvailable = function() {
+        if (!trackingAllowed) {
+            return false;
+        }
+        
+        if (storageAvailable === null) {
+            try {
+                const testKey = '__wc_realtime_test__';
+                window.localStorage.setItem(testKey, testKey);
+                window.localStorage.removeItem(testKey);
+                storageAvailable = true;
+            } catch (e) {
+                storageAvailable = false;
+            }
+        }
+        
+        return storageAvailable;
+    };
+
+    // Read a value from localStorage, null when storage is not available
+    const readStorage = function(key) {
+        if (!isStorageAvailable()) {
+            return null;
+        }
+        
+        try {
+            return window.localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    };
+    
+    // Write a value to localStorage when it is available
+    const writeStorage = function(key, value) {
+        if (!isStorageAvailable()) {
+            return;
+        }
+        
+        try {
+            window.localStorage.setItem(key, value);
+        } catch (e) {
+            console.warn('WC Realtime Analytics: Could not persist ' + key, e);
+        }
+    };
+    
+    // Read the persisted queue, dropping expired or malformed entries
+    const readQueue = function() {
+        let queue = memoryQueue;
+
+        if (isStorageAvailable()) {
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(QUEUE_STORAGE_KEY) || '[]');
+                queue = Array.isArray(stored) ? stored : [];
+            } catch (e) {
+                queue = [];
+            }
+        }
+
+        const now = Date.now();
+        return queue.filter(function(item) {
+            return item && item.id && item.event_type && (now - item.queued_at) < QUEUE_MAX_AGE;
+        });
+    };
+
+    // Persist the queue, keeping only the newest events if it grew too large
+    const writeQueue = function(queue) {
+        if (queue.length > QUEUE_MAX_LENGTH) {
+            queue = queue.slice(queue.length - QUEUE_MAX_LENGTH);
+        }
+
+        memoryQueue = queue;
+
+        if (isStorageAvailable()) {
+            try {
+                window.localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+            } catch (e) {
+                console.warn('WC Realtime Analytics: Could not persist event queue', e);
+            }
+        }
+    };
+
+    // Add an event to the persistent queue
+    const enqueueEvent = function(data) {
+        if (!trackingAllowed) {
+            return;
+        }
+        
+        const queue = readQueue();
+
+        // Remember the page now, the event may be sent from a later page
+        queue.push(Object.assign({
+            visitor_id: visitorId,
+            page_type: currentPage.page_type || '',
+            page_url: window.location.pathname,
+            signals: Object.assign({}, pageSignals)
+        }, data, {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 10),
+            queued_at: Date.now(),
+            locked_until: 0
+        }));
 
-        $.ajax({
-            url: wcRealtimeConfig.ajax_url,
-            type: 'POST',
-            data: data,
-            dataType: 'json',
-            success: function(response) {
-                trackingInProgress = false;
-
-                // Mark as tracked if successful
-                if (response.success) {
-                    console.log('WC Realtime Analytics: Event', eventType, 'tracked successfully');
-                    if (eventType === 'checkout') {
-                        trackedEvents.checkout = true;
-                    } else if (eventType === 'purchase') {
-                        trackedEvents.purchase = true;
-                    } else if (eventType === 'add_to_cart' && productId > 0) {
-                        trackedEvents.add_to_cart[productId] = true;
+        writeQueue(queue);
+
+        // Give closely following events a chance to join the same batch
+        if (!flushScheduled) {
+            flushScheduled = true;
+            setTimeout(function() {
+                flushScheduled = false;
+                flushQueue();
+            }, QUEUE_BATCH_DELAY);
+        }
+    };
+
+    // Take the next batch of events that no other request (or tab) is sending
+    const claimBatch = function(lockDuration) {
+        const now = Date.now();
+        const queue = readQueue();
+        const batch = [];
+
+        queue.forEach(function(item) {
+            if (batch.length < QUEUE_BATCH_SIZE && (!item.locked_until || item.locked_until < now)) {
+                item.locked_until = now + lockDuration;
+                batch.push(item);
+            }
+        });
+
+        if (batch.length) {
+            writeQueue(queue);
+        }
+
+        return batch;
+    };
+
+    // Remove delivered events from the queue
+    const removeFromQueue = function(ids) {
+        writeQueue(readQueue().filter(function(item) {
+            return ids.indexOf(item.id) === -1;
+        }));
+    };
+
+    // Release events so they are retried by a later flush
+    const releaseFromQueue = function(ids) {
+        const queue = readQueue();
+
+        queue.forEach(function(item) {
+            if (ids.indexOf(item.id) !== -1) {
+                item.locked_until = 0;
+            }
+        });
+
+        writeQueue(queue);
+    };
+
+    // Strip queue bookkeeping before sending events to the server
+    const serializeBatch = function(batch) {
+        return JSON.stringify(batch.map(function(item) {
+            const event = {
+                event_type: item.event_type,
+                session_id: item.session_id,
+                visitor_id: item.visitor_id || '',
+                product_id: item.product_id || 0,
+                product_name: item.product_name || '',
+                variation_id: item.variation_id || 0,
+                variation: item.variation || {},
+                quantity: item.quantity || 1,
+                coupon_code: item.coupon_code || '',
+                page_type: item.page_type || '',
+                page_url: item.page_url || '',
+                page_title: item.page_title || '',
+                term_id: item.term_id || 0,
+                event_name: item.event_name || '',
+                properties: item.properties || {},
+                // Events queued by an older version of this script carry no signals
+                signals: item.signals || { js: 1 }
+            };
+            
+            // Only the first page view of a session carries its attribution
+            if (item.landing_page) {
+                ATTRIBUTION_PARAMS.concat(['referrer', 'landing_page']).forEach(function(field) {
+                    if (item[field]) {
+                        event[field] = item[field];
                     }
+                });
+            }
+            
+            return event;
+        }));
+    };
+
+    // Send the next batch of queued events
+    const flushQueue = function() {
+        if (!trackingAllowed || flushInProgress || Date.now() < nextFlushAt) {
+            return;
+        }
+
+        const batch = claimBatch(QUEUE_LOCK_TIMEOUT);
+        if (!batch.length) {
+            return;
+        }
+
+        const ids = batch.map(function(item) {
+            return item.id;
+        });
+
+        flushInProgress = true;
+
+        postRequest('track', { events: serializeBatch(batch) }, QUEUE_LOCK_TIMEOUT, function(response) {
+            flushInProgress = false;
+
+            if (response.success) {
+                // Events the server rejected will never succeed, so they are dropped as well
+                removeFromQueue(ids);
+                failedFlushes = 0;
+                nextFlushAt = 0;
+                nonceRefreshed = false;
+                console.log('WC Realtime Analytics: Sent ' + ids.length + ' queued event(s)');
+
+                // Keep going while there is a backlog
+                if (readQueue().length) {
+                    setTimeout(flushQueue, 0);
+                }
+            } else {
+                console.warn('WC Realtime Analytics: Failed to send queued events', response);
+                handleFlushFailure(ids);
+            }
+        }, function(status, error) {
+            flushInProgress = false;
+            console.error('WC Realtime Analytics: Error sending queued events', status, error);
+            handleFlushFailure(ids, status);
+        });
+    };
+
+    // Back off exponentially after a failed flush. A request the server refused,
+    // such as an expired nonce on a cached page, is tried once more with fresh
+    // nonces and dropped if it fails again.
+    const handleFlushFailure = function(ids, status) {
+        if (typeof status === 'number' && status >= 400 && status < 500 && status !== 429) {
+            if (nonceRefreshed) {
+                console.warn('WC Realtime Analytics: Dropped ' + ids.length + ' queued event(s) the server refused');
+                removeFromQueue(ids);
+                return;
+            }
+
+            nonceRefreshed = true;
+            flushInProgress = true;
+
+            refreshNonces(function(refreshed) {
+                flushInProgress = false;
+
+                if (refreshed) {
+                    releaseFromQueue(ids);
+                    flushQueue();
                 } else {
-                    console.warn('WC Realtime Analytics: Failed to track event', eventType, response);
+                    removeFromQueue(ids);
                 }
-            },
-            error: function(xhr, status, error) {
-                console.error('WC Realtime Analytics: Error tracking event', eventType, status, error);
-                trackingInProgress = false;
+            });
+            return;
+        }
+
+        releaseFromQueue(ids);
+
+        failedFlushes++;
+        const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, failedFlushes - 1), RETRY_MAX_DELAY);
+        nextFlushAt = Date.now() + delay;
+    };
+
+    // Fetch fresh nonces from the configuration route, false when that failed
+    const refreshNonces = function(onDone) {
+        if (!wcRealtimeConfig.rest_url) {
+            onDone(false);
+            return;
+        }
+
+        const xhr = new XMLHttpRequest();
+
+        xhr.open('GET', wcRealtimeConfig.rest_url.replace(/\/?$/, '/') + 'config', true);
+        xhr.timeout = QUEUE_LOCK_TIMEOUT;
+        xhr.withCredentials = true;
+
+        xhr.onload = function() {
+            let config = null;
+
+            try {
+                config = JSON.parse(xhr.responseText);
+            } catch (e) {
+                config = null;
+            }
+
+            if (xhr.status !== 200 || !config || !config.nonce) {
+                onDone(false);
+                return;
+            }
+
+            wcRealtimeConfig.nonce = config.nonce;
+            wcRealtimeConfig.rest_nonce = config.rest_nonce || '';
+            onDone(true);
+        };
+        xhr.onerror = xhr.ontimeout = function() {
+            onDone(false);
+        };
+
+        xhr.send();
+    };
+
+    // Hand the remaining events to the browser when the page goes away
+    const flushWithBeacon = function() {
+        if (!trackingAllowed || !navigator.sendBeacon || typeof URLSearchParams === 'undefined') {
+            return;
+        }
+
+        let batch = claimBatch(QUEUE_LOCK_TIMEOUT);
+
+        while (batch.length) {
+            const ids = batch.map(function(item) {
+                return item.id;
+            });
+
+            if (!sendBeacon('track', { events: serializeBatch(batch) })) {
+                // The browser refused the payload, leave the events for the next page
+                releaseFromQueue(ids);
+                return;
+            }
+
+            removeFromQueue(ids);
+            batch = claimBatch(QUEUE_LOCK_TIMEOUT);
+        }
+    };
+
+    // Use the REST API when the site or a headless frontend asks for it, admin-ajax.php otherwise
+    const usesRestApi = function() {
+        return !!wcRealtimeConfig.rest_url && (wcRealtimeConfig.transport === 'rest' || !wcRealtimeConfig.ajax_url);
+    };
+    
+    // URL of the track or heartbeat endpoint
+    const getEndpointUrl = function(endpoint) {
+        return usesRestApi()
+            ? wcRealtimeConfig.rest_url.replace(/\/?$/, '/') + REST_ROUTES[endpoint]
+            : wcRealtimeConfig.ajax_url;
+    };
+    
+    // Form fields of a request, admin-ajax.php also needs the action and nonce
+    const getRequestFields = function(endpoint, fields) {
+        return Object.assign({
+            action: AJAX_ACTIONS[endpoint],
+            nonce: wcRealtimeConfig.nonce || ''
+        }, fields);
+    };
+    
+    // POST form fields to an endpoint, success gets the response in the admin-ajax.php format
+    const postRequest = function(endpoint, fields, timeout, onSuccess, onError) {
+        const xhr = new XMLHttpRequest();
+        const body = getRequestFields(endpoint, fields);
+        
+        xhr.open('POST', getEndpointUrl(endpoint), true);
+        xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded; charset=UTF-8');
+        xhr.timeout = timeout;
+        
+        // Headless frontends on another host share the session cookie with the REST API
+        if (usesRestApi()) {
+            xhr.withCredentials = true;
+            
+            if (wcRealtimeConfig.rest_nonce) {
+                xhr.setRequestHeader('X-WP-Nonce', wcRealtimeConfig.rest_nonce);
+            }
+        }
+        
+        xhr.onload = function() {
+            let response = null;
+            
+            try {
+                response = JSON.parse(xhr.responseText);
+            } catch (e) {
+                response = null;
+            }
+            
+            if (xhr.status < 200 || xhr.status >= 300 || !response) {
+                onError(xhr.status, xhr.statusText);
+            } else {
+                // The REST API answers with the data itself
+                onSuccess(usesRestApi() ? { success: true, data: response } : response);
+            }
+        };
+        xhr.onerror = function() {
+            onError('error', '');
+        };
+        xhr.ontimeout = function() {
+            onError('timeout', '');
+        };
+        
+        xhr.send(Object.keys(body).map(function(key) {
+            return encodeURIComponent(key) + '=' + encodeURIComponent(body[key]);
+        }).join('&'));
+    };
+    
+    // Hand a request to the browser to send after the page is gone, false when it refused
+    const sendBeacon = function(endpoint, fields) {
+        if (!navigator.sendBeacon || typeof URLSearchParams === 'undefined') {
+            return false;
+        }
+        
+        return navigator.sendBeacon(getEndpointUrl(endpoint), new URLSearchParams(getRequestFields(endpoint, fields)));
+    };
+    
+    // Start flushing the queue, including events left over from previous pages
+    const initEventQueue = function() {
+        setInterval(flushQueue, QUEUE_FLUSH_INTERVAL);
+
+        // pagehide is not always fired on mobile, a hidden tab may never come back
+        window.addEventListener('pagehide', flushWithBeacon);
+        document.addEventListener('visibilitychange', function() {
+            if (document.visibilityState === 'hidden') {
+                flushWithBeacon();
+            }
+        });
+
+        flushQueue();
+    };
+
+    // Read a cookie, null when it is not set
+    const readCookie = function(name) {
+        const cookies = document.cookie ? document.cookie.split('; ') : [];
+        
+        for (let i = 0; i < cookies.length; i++) {
+            const index = cookies[i].indexOf('=');
+            
+            if (cookies[i].slice(0, index) === name) {
+                try {
+                    return decodeURIComponent(cookies[i].slice(index + 1));
+                } catch (e) {
+                    return cookies[i].slice(index + 1);
+                }
+            }
+        }
+        
+        return null;
+    };
+    
+    // Same rule as the server, any value but an explicit refusal grants consent
+    const isCookieGranted = function(name) {
+        const value = name ? readCookie(name) : null;
+        
+        return value !== null && CONSENT_DENIED_VALUES.indexOf(value.trim().toLowerCase()) === -1;
+    };
+    
+    // Do Not Track and Global Privacy Control, when the site honours them
+    const isOptedOut = function(privacy) {
+        return !!privacy.respect_dnt && (
+            navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true
+        );
+    };
+    
+    // Stop tracking and forget what was stored in the browser
+    const stopTracking = function() {
+        trackingAllowed = false;
+        writeQueue([]);
+        
+        if (visitorId) {
+            document.cookie = (wcRealtimeConfig.visitor_cookie || 'wc_realtime_visitor') + '=; path=/; max-age=0; SameSite=Lax';
+            visitorId = '';
+        }
+        
+        // Removing writes nothing, so it does not wait for the storage check
+        try {
+            window.localStorage.removeItem(QUEUE_STORAGE_KEY);
+            window.localStorage.removeItem(ATTRIBUTION_STORAGE_KEY);
+        } catch (e) {
+            // Nothing to clean up
+        }
+    };
+    
+    // Give or withdraw consent from a cookie banner, only used by the JavaScript API consent mode
+    const setConsent = function(granted) {
+        const privacy = (typeof wcRealtimeConfig !== 'undefined' && wcRealtimeConfig.privacy) || {};
+        
+        if (privacy.consent_mode !== 'js' || !privacy.consent_cookie) {
+            return false;
+        }
+        
+        const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+        
+        if (granted) {
+            document.cookie = privacy.consent_cookie + '=1; path=/; max-age=' + CONSENT_COOKIE_MAX_AGE + '; SameSite=Lax' + secure;
+            
+            if (!isOptedOut(privacy)) {
+                initTracking();
+            }
+        } else {
+            document.cookie = privacy.consent_cookie + '=; path=/; max-age=0; SameSite=Lax' + secure;
+            stopTracking();
+        }
+        
+        return true;
+    };
+    
+    // Consent tools do not announce changes in a common way, so their cookie is watched
+    const watchConsentCookie = function(name) {
+        const check = function() {
+            const granted = isCookieGranted(name);
+            
+            if (granted && !trackingAllowed) {
+                initTracking();
+            } else if (!granted && trackingAllowed) {
+                stopTracking();
+            }
+        };
+        
+        check();
+        setInterval(check, CONSENT_POLL_INTERVAL);
+    };
+    
+    // Start tracking now or once consent is given
+    const startWhenAllowed = function() {
+        const privacy = (typeof wcRealtimeConfig !== 'undefined' && wcRealtimeConfig.privacy) || {};
+        
+        if (isOptedOut(privacy)) {
+            console.log('WC Realtime Analytics: Do Not Track is enabled, tracking is off');
+            return;
+        }
+        
+        switch (privacy.consent_mode) {
+            case 'js':
+                // Consent given on an earlier page, otherwise wait for WCRealtime.consent(true)
+                if (isCookieGranted(privacy.consent_cookie)) {
+                    initTracking();
+                }
+                break;
+                
+            case 'wp_consent_api':
+                if (typeof window.wp_has_consent === 'function' && window.wp_has_consent('statistics')) {
+                    initTracking();
+                }
+                
+                document.addEventListener('wp_listen_for_consent_change', function(e) {
+                    const changed = e.detail || {};
+                    
+                    if (changed.statistics === 'allow') {
+                        initTracking();
+                    } else if (changed.statistics === 'deny') {
+                        stopTracking();
+                    }
+                });
+                break;
+                
+            case 'cookie':
+                watchConsentCookie(privacy.consent_cookie);
+                break;
+                
+            default:
+                initTracking();
+        }
+    };
+    
+    // Public API, themes that load before this script can push [name, properties] to window.WCRealtime.q
+    const pendingCustomEvents = window.WCRealtime && Array.isArray(window.WCRealtime.q) ? window.WCRealtime.q : [];
+    
+    window.WCRealtime = Object.assign(window.WCRealtime || {}, {
+        track: trackCustomEvent,
+        consent: setConsent,
+        pageview: trackRouteView
+    });
+    
+    const replayCustomEvents = function() {
+        pendingCustomEvents.splice(0).forEach(function(args) {
+            if (Array.isArray(args)) {
+                trackCustomEvent(args[0], args[1]);
             }
         });
     };
@@ -262,15 +1493,21 @@
     };
 
     // Initialize when document is ready
-    $(document).ready(function() {
+    const onReady = function() {
         // Delay initialization slightly to ensure page is fully loaded
-        setTimeout(initTracking, 100);
+        setTimeout(startWhenAllowed, 100);
         
         // Additional tracking for WooCommerce thankyou page
         if (getQueryParam('key') && window.location.href.indexOf('order-received') !== -1) {
             // We're on the order received page, let server-side tracking handle this
             console.log('WC Realtime Analytics: On order received page, server-side tracking will handle this');
         }
-    });
+    };
+    
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', onReady);
+    } else {
+        onReady();
+    }
 
-})(jQuery);
\ No newline at end of file
+})(window.jQuery);
\ No newline at end of file
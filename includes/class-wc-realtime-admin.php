@@ -11,6 +11,21 @@ if (!defined('ABSPATH')) {
 }
 
 class WC_Realtime_Admin {
+    /**
+     * Longest time a live events poll waits for new events, in seconds
+     */
+    const POLL_MAX_WAIT = 20;
+    
+    /**
+     * Visitors with a heartbeat in this many seconds are on the site now
+     */
+    const ACTIVE_VISITOR_WINDOW = 300;
+    
+    /**
+     * Weeks shown in the cohort retention grid, the current week included
+     */
+    const COHORT_WEEKS = 8;
+    
     /**
      * Database handler
      *
@@ -32,17 +47,89 @@ class WC_Realtime_Admin {
      */
     private $data;
     
+    /**
+     * Funnels handler
+     *
+     * @var WC_Realtime_Funnels
+     */
+    private $funnels;
+    
+    /**
+     * Custom events registry
+     *
+     * @var WC_Realtime_Custom_Events
+     */
+    private $custom_events;
+    
+    /**
+     * Export handler
+     *
+     * @var WC_Realtime_Export
+     */
+    private $export;
+    
+    /**
+     * Alerts handler
+     *
+     * @var WC_Realtime_Alerts
+     */
+    private $alerts;
+    
+    /**
+     * Event webhooks handler
+     *
+     * @var WC_Realtime_Webhooks
+     */
+    private $webhooks;
+    
+    /**
+     * Consent and IP address handler
+     *
+     * @var WC_Realtime_Privacy
+     */
+    private $privacy;
+    
+    /**
+     * Bot traffic filter
+     *
+     * @var WC_Realtime_Bot_Filter
+     */
+    private $bot_filter;
+    
+    /**
+     * Staff traffic filter
+     *
+     * @var WC_Realtime_Staff_Filter
+     */
+    private $staff_filter;
+    
     /**
      * Constructor
      *
      * @param WC_Realtime_DB $db Database handler
      * @param WC_Realtime_Pusher $pusher Pusher handler
      * @param WC_Realtime_Data $data Data handler (optional)
+     * @param WC_Realtime_Funnels $funnels Funnels handler (optional)
+     * @param WC_Realtime_Custom_Events $custom_events Custom events registry (optional)
+     * @param WC_Realtime_Export $export Export handler (optional)
+     * @param WC_Realtime_Alerts $alerts Alerts handler (optional)
+     * @param WC_Realtime_Webhooks $webhooks Event webhooks handler (optional)
+     * @param WC_Realtime_Privacy $privacy Consent and IP address handler (optional)
+     * @param WC_Realtime_Bot_Filter $bot_filter Bot traffic filter (optional)
+     * @param WC_Realtime_Staff_Filter $staff_filter Staff traffic filter (optional)
      */
-    public function __construct($db, $pusher, $data = null) {
+    public function __construct($db, $pusher, $data = null, $funnels = null, $custom_events = null, $export = null, $alerts = null, $webhooks = null, $privacy = null, $bot_filter = null, $staff_filter = null) {
         $this->db = $db;
         $this->pusher = $pusher;
         $this->data = $data;
+        $this->funnels = $funnels;
+        $this->custom_events = $custom_events;
+        $this->export = $export;
+        $this->alerts = $alerts;
+        $this->webhooks = $webhooks;
+        $this->privacy = $privacy;
+        $this->bot_filter = $bot_filter;
+        $this->staff_filter = $staff_filter;
         
         // Initialize admin
         $this->init();
@@ -63,9 +150,30 @@ class WC_Realtime_Admin {
         
         // AJAX handlers for dashboard data
         add_action('wp_ajax_wc_realtime_get_stats', array($this, 'ajax_get_stats'));
+        add_action('wp_ajax_wc_realtime_get_initial_events', array($this, 'ajax_get_events'));
+        add_action('wp_ajax_wc_realtime_get_sessions', array($this, 'ajax_get_sessions'));
+        add_action('wp_ajax_wc_realtime_get_session', array($this, 'ajax_get_session'));
+        add_action('wp_ajax_wc_realtime_get_products', array($this, 'ajax_get_products'));
+        add_action('wp_ajax_wc_realtime_get_countries', array($this, 'ajax_get_countries'));
+        add_action('wp_ajax_wc_realtime_get_product', array($this, 'ajax_get_product'));
+        add_action('wp_ajax_wc_realtime_get_regions', array($this, 'ajax_get_regions'));
+        add_action('wp_ajax_wc_realtime_get_active_visitors', array($this, 'ajax_get_active_visitors'));
+        add_action('wp_ajax_wc_realtime_get_cohorts', array($this, 'ajax_get_cohorts'));
+        
+        // Dashboard alert banner
+        add_action('wp_ajax_wc_realtime_dismiss_alert', array($this, 'ajax_dismiss_alert'));
+        
+        // Funnel builder and reports
+        add_action('wp_ajax_wc_realtime_save_funnel', array($this, 'ajax_save_funnel'));
+        add_action('wp_ajax_wc_realtime_delete_funnel', array($this, 'ajax_delete_funnel'));
+        add_action('wp_ajax_wc_realtime_get_funnel_report', array($this, 'ajax_get_funnel_report'));
+        
+        // Live events for dashboards without a Pusher connection
+        add_action('wp_ajax_wc_realtime_poll_events', array($this, 'ajax_poll_events'));
         
         // Add AJAX handler for test event
         add_action('wp_ajax_wc_realtime_test_event', array($this, 'ajax_test_event'));
+        add_action('wp_ajax_wc_realtime_test_webhook', array($this, 'ajax_test_webhook'));
         
         // Add a debug action for testing Pusher when on main plugin page
         add_action('admin_footer', array($this, 'add_debug_footer'));
@@ -100,6 +208,30 @@ class WC_Realtime_Admin {
             'wc-realtime-analytics-settings',
             array($this, 'render_settings_page')
         );
+        
+        // Alert rules and history
+        if ($this->alerts) {
+            add_submenu_page(
+                'wc-realtime-analytics',
+                __('Alerts', 'wc-realtime-analytics'),
+                __('Alerts', 'wc-realtime-analytics'),
+                'manage_woocommerce',
+                'wc-realtime-analytics-alerts',
+                array($this, 'render_alerts_page')
+            );
+        }
+        
+        // Event webhooks and their delivery log
+        if ($this->webhooks) {
+            add_submenu_page(
+                'wc-realtime-analytics',
+                __('Webhooks', 'wc-realtime-analytics'),
+                __('Webhooks', 'wc-realtime-analytics'),
+                'manage_woocommerce',
+                'wc-realtime-analytics-webhooks',
+                array($this, 'render_webhooks_page')
+            );
+        }
     }
     
     /**
@@ -146,6 +278,36 @@ class WC_Realtime_Admin {
                 'default' => 'mt1',
             )
         );
+        
+        register_setting(
+            'wc_realtime_analytics',
+            'wc_realtime_pusher_host',
+            array(
+                'type' => 'string',
+                'sanitize_callback' => array('WC_Realtime_Pusher', 'sanitize_host'),
+                'default' => '',
+            )
+        );
+        
+        register_setting(
+            'wc_realtime_analytics',
+            'wc_realtime_pusher_port',
+            array(
+                'type' => 'integer',
+                'sanitize_callback' => 'absint',
+                'default' => 0,
+            )
+        );
+        
+        register_setting(
+            'wc_realtime_analytics',
+            'wc_realtime_pusher_use_tls',
+            array(
+                'type' => 'string',
+                'sanitize_callback' => 'sanitize_text_field',
+                'default' => 'yes',
+            )
+        );
     }
     
     /**
@@ -225,6 +387,15 @@ class WC_Realtime_Admin {
             true
         );
         
+        // Enqueue map script
+        wp_enqueue_script(
+            'wc-realtime-map',
+            WCRA_PLUGIN_URL . 'assets/js/map.js',
+            array('jquery', 'wc-realtime-admin'),
+            WCRA_VERSION,
+            true
+        );
+        
         // Enqueue admin style
         wp_enqueue_style(
             'wc-realtime-admin',
@@ -244,6 +415,8 @@ class WC_Realtime_Admin {
             $currency_format = get_woocommerce_price_format();
         }
         
+        $currency_symbol = html_entity_decode(get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8');
+        
         // Test connection to Pusher
         $pusher_connection_status = false;
         if ($this->pusher->is_configured()) {
@@ -260,10 +433,25 @@ class WC_Realtime_Admin {
             'nonce' => $admin_ajax_nonce,
             'pusher_key' => $this->pusher->get_key(),
             'pusher_cluster' => $this->pusher->get_cluster(),
+            'pusher_options' => $this->pusher->get_client_options(),
             'is_pusher_configured' => $this->pusher->is_configured(),
             'pusher_connection_status' => $pusher_connection_status,
+            'transport' => $this->get_transport(),
+            'poll_wait' => self::POLL_MAX_WAIT,
             'currency_format' => $currency_format,
+            'currency_symbol' => $currency_symbol,
+            'price_decimals' => function_exists('wc_get_price_decimals') ? wc_get_price_decimals() : 2,
             'last_events' => $last_events,
+            'funnels' => $this->funnels ? $this->funnels->get_funnels() : array(),
+            'funnel_event_types' => $this->funnels ? $this->funnels->get_event_type_labels() : array(),
+            'funnel_page_types' => $this->funnels ? $this->funnels->get_page_type_labels() : array(),
+            'funnel_max_steps' => WC_Realtime_Funnels::MAX_STEPS,
+            'custom_events' => $this->custom_events ? $this->custom_events->get_labels() : array(),
+            'export_url' => $this->export ? $this->export->get_export_url() : '',
+            'map_url' => WCRA_PLUGIN_URL . 'assets/data/countries.geojson',
+            'alerts' => $this->alerts ? $this->alerts->get_dashboard_alerts() : array(),
+            'alerts_url' => admin_url('admin.php?page=wc-realtime-analytics-alerts'),
+            'bot_reasons' => $this->bot_filter ? $this->bot_filter->get_reasons() : array(),
             'current_version' => WCRA_VERSION,
             'locale' => array(
                 'loading' => __('Loading...', 'wc-realtime-analytics'),
@@ -274,6 +462,7 @@ class WC_Realtime_Admin {
                 'atc_rate' => __('Add to Cart Rate', 'wc-realtime-analytics'),
                 'checkout_rate' => __('Checkout Rate', 'wc-realtime-analytics'),
                 'purchase_rate' => __('Purchase Rate', 'wc-realtime-analytics'),
+                'revenue' => __('Revenue', 'wc-realtime-analytics'),
                 'product' => __('Product', 'wc-realtime-analytics'),
                 'country' => __('Country', 'wc-realtime-analytics'),
                 'no_data' => __('No data available for this period', 'wc-realtime-analytics'),
@@ -281,16 +470,128 @@ class WC_Realtime_Admin {
                 'connection_error' => __('Error connecting to real-time service', 'wc-realtime-analytics'),
                 'connecting' => __('Connecting to real-time service...', 'wc-realtime-analytics'),
                 'connected' => __('Connected! Waiting for events...', 'wc-realtime-analytics'),
+                'polling' => __('Checking the server for new events...', 'wc-realtime-analytics'),
+                'transport_unavailable' => __('Real-time updates not available. Please configure Pusher in settings.', 'wc-realtime-analytics'),
                 'conversion_funnel' => __('Conversion Funnel', 'wc-realtime-analytics'),
+                'sessions' => __('sessions', 'wc-realtime-analytics'),
+                /* translators: %s: percentage of the first step */
+                'of_first_step' => __('%s of first step', 'wc-realtime-analytics'),
+                /* translators: 1: number of sessions, 2: percentage */
+                'step_drop_off' => __('%1$s dropped off (%2$s)', 'wc-realtime-analytics'),
+                'funnel_truncated' => __('Only part of the events in this period were analyzed', 'wc-realtime-analytics'),
+                'new_funnel' => __('New funnel', 'wc-realtime-analytics'),
+                'edit_funnel' => __('Edit funnel', 'wc-realtime-analytics'),
+                'delete_funnel_confirm' => __('Delete this funnel?', 'wc-realtime-analytics'),
+                'funnel_saved' => __('Funnel saved', 'wc-realtime-analytics'),
+                'step_label' => __('Label (optional)', 'wc-realtime-analytics'),
+                'step_product_id' => __('Product ID', 'wc-realtime-analytics'),
+                'step_page_url' => __('URL contains', 'wc-realtime-analytics'),
+                'any_page' => __('Any page', 'wc-realtime-analytics'),
+                'remove_step' => __('Remove step', 'wc-realtime-analytics'),
+                /* translators: %s: comparison period */
+                'compared_to' => __('Compared to %s', 'wc-realtime-analytics'),
+                'previous_period' => __('Previous period', 'wc-realtime-analytics'),
+                'previous_value' => __('Previous', 'wc-realtime-analytics'),
+                'trend_new' => __('new', 'wc-realtime-analytics'),
+                'load_older_events' => __('Load older events', 'wc-realtime-analytics'),
+                'no_more_events' => __('No older events', 'wc-realtime-analytics'),
+                'no_matching_events' => __('No events match the selected filters', 'wc-realtime-analytics'),
+                'filter_product' => __('Product', 'wc-realtime-analytics'),
+                'filter_country' => __('Country', 'wc-realtime-analytics'),
+                'filter_source' => __('Source', 'wc-realtime-analytics'),
+                'source_unknown' => __('(not tracked)', 'wc-realtime-analytics'),
+                'no_traffic_sources' => __('No traffic sources in this period', 'wc-realtime-analytics'),
+                'no_pages' => __('No page views in this period', 'wc-realtime-analytics'),
+                'no_categories' => __('No category page views in this period', 'wc-realtime-analytics'),
+                /* translators: 1: value for new visitors, 2: value for returning visitors */
+                'visitor_split' => __('New %1$s · Returning %2$s', 'wc-realtime-analytics'),
+                'no_cohorts' => __('No visitors with a visitor ID yet', 'wc-realtime-analytics'),
+                /* translators: %s: time the statistics were loaded */
+                'last_updated' => __('Updated %s', 'wc-realtime-analytics'),
+                'past_period' => __('Live events are not added to a period that has ended', 'wc-realtime-analytics'),
+                /* translators: 1: share of the cohort that came back, 2: share of its customers who ordered again */
+                'cohort_cell' => __('%1$s returned, %2$s ordered again', 'wc-realtime-analytics'),
+                'traffic_source' => __('Source', 'wc-realtime-analytics'),
+                'campaign' => __('Campaign', 'wc-realtime-analytics'),
+                'landing_page' => __('Landing page', 'wc-realtime-analytics'),
+                'referrer' => __('Referrer', 'wc-realtime-analytics'),
+                'remove_filter' => __('Remove filter', 'wc-realtime-analytics'),
+                'traffic_over_time' => __('Traffic Over Time', 'wc-realtime-analytics'),
+                'no_sessions' => __('No sessions found', 'wc-realtime-analytics'),
+                'session_journey' => __('Session journey', 'wc-realtime-analytics'),
+                'session_started' => __('Started', 'wc-realtime-analytics'),
+                'session_duration' => __('Duration', 'wc-realtime-analytics'),
+                'session_stage' => __('Furthest step', 'wc-realtime-analytics'),
+                'order' => __('Order', 'wc-realtime-analytics'),
+                'page_view' => __('Page view', 'wc-realtime-analytics'),
+                'viewed_product' => __('Viewed product', 'wc-realtime-analytics'),
+                'added_to_cart' => __('Added to cart', 'wc-realtime-analytics'),
+                'started_checkout' => __('Started checkout', 'wc-realtime-analytics'),
+                'purchased_product' => __('Purchased', 'wc-realtime-analytics'),
+                'completed_purchase' => __('Completed purchase', 'wc-realtime-analytics'),
+                'stage_visitor' => __('Browsed', 'wc-realtime-analytics'),
+                'stage_add_to_cart' => __('Added to cart', 'wc-realtime-analytics'),
+                'stage_checkout' => __('Abandoned checkout', 'wc-realtime-analytics'),
+                'stage_purchase' => __('Purchased', 'wc-realtime-analytics'),
                 'error_missing_dates' => __('Please select both start and end dates', 'wc-realtime-analytics'),
                 'error_invalid_date_format' => __('Invalid date format. Please use YYYY-MM-DD', 'wc-realtime-analytics'),
                 'error_date_range' => __('Start date must be before end date', 'wc-realtime-analytics'),
+                'removed_from_cart' => __('Removed from cart', 'wc-realtime-analytics'),
+                'changed_quantity' => __('Changed quantity', 'wc-realtime-analytics'),
+                'applied_coupon' => __('Applied coupon', 'wc-realtime-analytics'),
+                'removed_coupon' => __('Removed coupon', 'wc-realtime-analytics'),
+                'no_coupons' => __('No coupons used in this period', 'wc-realtime-analytics'),
+                'custom_event' => __('Custom event', 'wc-realtime-analytics'),
+                'no_custom_events' => __('No custom events in this period', 'wc-realtime-analytics'),
+                'no_matching_rows' => __('Nothing matches your search', 'wc-realtime-analytics'),
+                /* translators: 1: current page, 2: number of pages, 3: number of rows */
+                'table_page' => __('Page %1$s of %2$s (%3$s rows)', 'wc-realtime-analytics'),
+                'previous_page' => __('Previous', 'wc-realtime-analytics'),
+                'next_page' => __('Next', 'wc-realtime-analytics'),
+                'view_product' => __('Show product details', 'wc-realtime-analytics'),
+                'close' => __('Close', 'wc-realtime-analytics'),
+                'product_views' => __('Product views', 'wc-realtime-analytics'),
+                'conversion_rate' => __('Conversion Rate', 'wc-realtime-analytics'),
+                'daily_trend' => __('Daily trend', 'wc-realtime-analytics'),
+                'product_name' => __('Product Name', 'wc-realtime-analytics'),
+                'variation' => __('Variation', 'wc-realtime-analytics'),
+                'category' => __('Category', 'wc-realtime-analytics'),
+                'tag' => __('Tag', 'wc-realtime-analytics'),
+                'map_unavailable' => __('The map could not be loaded', 'wc-realtime-analytics'),
+                'region' => __('Region', 'wc-realtime-analytics'),
+                'unknown_region' => __('Unknown region', 'wc-realtime-analytics'),
+                'no_regions' => __('No regions recorded for this country in this period', 'wc-realtime-analytics'),
+                'back_to_world' => __('Back to world map', 'wc-realtime-analytics'),
+                'alert' => __('Alert', 'wc-realtime-analytics'),
+                'dismiss' => __('Dismiss', 'wc-realtime-analytics'),
+                'alert_history' => __('Alert history', 'wc-realtime-analytics'),
+                'test' => __('Test', 'wc-realtime-analytics'),
                 'test_event_sent' => __('Test event sent', 'wc-realtime-analytics'),
                 'test_event_failed' => __('Failed to send test event', 'wc-realtime-analytics')
             )
         ));
     }
     
+    /**
+     * Get the realtime transport used by the dashboard
+     *
+     * Pusher when configured, otherwise long-polling of the events table.
+     *
+     * @return string Transport name
+     */
+    private function get_transport() {
+        $transport = $this->pusher->is_configured() ? 'pusher' : 'polling';
+        
+        /**
+         * Filter the transport the dashboard uses for live events
+         *
+         * Custom transports are registered in JavaScript on window.WCRealtimeTransports.
+         *
+         * @param string $transport Transport name
+         */
+        return sanitize_key(apply_filters('wc_realtime_transport', $transport));
+    }
+    
     /**
      * Get last events for Live Events section
      *
@@ -298,43 +599,193 @@ class WC_Realtime_Admin {
      * @return array Last events
      */
     private function get_last_events($count = 10) {
-        global $wpdb;
-        
-        $table_name = $wpdb->prefix . 'wc_realtime_events';
-        
-        $results = $wpdb->get_results($wpdb->prepare(
-            "SELECT * FROM {$table_name} 
-            ORDER BY created_at DESC 
-            LIMIT %d",
-            (int)$count
-        ), ARRAY_A);
-        
-        $events = array();
-        
-        if (!empty($results)) {
-            foreach ($results as $row) {
-                // Get product name if needed
-                $product_name = '';
-                if (!empty($row['product_id'])) {
-                    $product = wc_get_product($row['product_id']);
-                    if ($product) {
-                        $product_name = html_entity_decode($product->get_name(), ENT_QUOTES, 'UTF-8');
-                    }
-                }
-                
-                // Format event data
-                $events[] = array(
-                    'event_type' => $row['event_type'],
-                    'product_id' => (int)$row['product_id'],
-                    'product_name' => $product_name,
-                    'country_code' => $row['country_code'],
-                    'country_name' => $row['country_name'],
-                    'created_at' => $row['created_at']
-                );
+        $result = $this->db->get_events(array('limit' => $count));
+        
+        return array_map(array($this, 'format_event'), $result['events']);
+    }
+    
+    /**
+     * Format an events table row for the Live Events feed
+     *
+     * @param array $row Event row
+     * @return array Event data
+     */
+    private function format_event($row) {
+        // Get product name if needed
+        $product_name = '';
+        if (!empty($row['product_id'])) {
+            $product_name = $this->get_product_name($row['product_id']);
+        }
+        
+        $event = array(
+            'id' => (int)$row['id'],
+            'event_type' => $row['event_type'],
+            'session_id' => $row['session_id'],
+            'product_id' => (int)$row['product_id'],
+            'product_name' => $product_name,
+            'variation_id' => isset($row['variation_id']) ? (int)$row['variation_id'] : 0,
+            'variation' => isset($row['variation']) ? $row['variation'] : '',
+            'country_code' => $row['country_code'],
+            'country_name' => $row['country_name'],
+            'source' => isset($row['source']) ? $row['source'] : '',
+            'medium' => isset($row['medium']) ? $row['medium'] : '',
+            'campaign' => isset($row['campaign']) ? $row['campaign'] : '',
+            'is_test' => !empty($row['is_test']),
+            'created_at' => $row['created_at']
+        );
+        
+        // Order level purchases carry the order total like the live event
+        if ($row['event_type'] === 'purchase' && empty($row['product_id']) && !empty($row['order_id'])) {
+            $event['order_id'] = (int)$row['order_id'];
+            $event['order_total'] = (float)$row['revenue'];
+            $event['currency'] = $row['currency'];
+        }
+        
+        // Page views carry their page and whether they counted a new visitor
+        if ($row['event_type'] === 'visitor') {
+            $event['page_type'] = isset($row['page_type']) ? $row['page_type'] : '';
+            $event['page_url'] = isset($row['page_url']) ? $row['page_url'] : '';
+            $event['page_title'] = isset($row['page_title']) ? $row['page_title'] : '';
+            $event['new_visitor'] = !empty($row['new_visitor']);
+        }
+        
+        // Cart changes carry their quantity delta and coupon events their code
+        if (in_array($row['event_type'], array('remove_from_cart', 'cart_update'), true)) {
+            $event['quantity'] = isset($row['quantity']) ? (int)$row['quantity'] : 0;
+        }
+        
+        if (in_array($row['event_type'], array('coupon_applied', 'coupon_removed'), true)) {
+            $event['coupon_code'] = isset($row['coupon_code']) ? $row['coupon_code'] : '';
+        }
+        
+        // Custom events carry their registered name and properties
+        if ($row['event_type'] === 'custom') {
+            $properties = !empty($row['properties']) ? json_decode($row['properties'], true) : array();
+            
+            $event['event_name'] = $row['event_name'];
+            $event['properties'] = is_array($properties) ? $properties : array();
+        }
+        
+        return $event;
+    }
+    
+    /**
+     * Format a session summary row for the recent sessions list
+     *
+     * @param array $row Session summary row
+     * @return array Session data
+     */
+    private function format_session($row) {
+        $purchases = (int)$row['purchases'];
+        $checkouts = (int)$row['checkouts'];
+        $add_to_cart = (int)$row['add_to_cart'];
+        
+        // Furthest step of the funnel the session reached
+        if ($purchases > 0) {
+            $stage = 'purchase';
+        } elseif ($checkouts > 0) {
+            $stage = 'checkout';
+        } elseif ($add_to_cart > 0) {
+            $stage = 'add_to_cart';
+        } else {
+            $stage = 'visitor';
+        }
+        
+        return array(
+            'session_id' => $row['session_id'],
+            'started_at' => $row['started_at'],
+            'last_seen_at' => $row['last_seen_at'],
+            'duration' => max(0, strtotime($row['last_seen_at']) - strtotime($row['started_at'])),
+            'events' => (int)$row['events'],
+            'country_code' => $row['country_code'],
+            'country_name' => $row['country_name'],
+            'add_to_cart' => $add_to_cart,
+            'checkouts' => $checkouts,
+            'purchases' => $purchases,
+            'revenue' => round((float)$row['revenue'], 2),
+            'order_id' => (int)$row['order_id'],
+            'stage' => $stage
+        );
+    }
+    
+    /**
+     * Build the timeline of a session from its events
+     *
+     * @param array $rows Event rows in chronological order
+     * @return array Timeline steps with the time since the previous step
+     */
+    private function format_session_timeline($rows) {
+        $steps = array();
+        $started = 0;
+        $previous = 0;
+        
+        foreach ($rows as $row) {
+            $time = strtotime($row['created_at']);
+            
+            if (!$started) {
+                $started = $time;
+                $previous = $time;
             }
+            
+            $step = $this->format_event($row);
+            $step['order_id'] = (int)$row['order_id'];
+            $step['since_previous'] = max(0, $time - $previous);
+            $step['since_start'] = max(0, $time - $started);
+            
+            // Order lines carry the line total, the order itself the order total
+            if ($row['event_type'] === 'purchase' && !empty($row['product_id'])) {
+                $step['line_total'] = (float)$row['revenue'];
+            }
+            
+            $steps[] = $step;
+            $previous = $time;
         }
         
-        return $events;
+        return $steps;
+    }
+    
+    /**
+     * Get a product name, caching lookups for the current request
+     *
+     * @param int $product_id Product ID
+     * @return string Product name or empty string if not found
+     */
+    private function get_product_name($product_id) {
+        static $names = array();
+        
+        $product_id = absint($product_id);
+        
+        if (!isset($names[$product_id])) {
+            $product = wc_get_product($product_id);
+            $names[$product_id] = $product ? html_entity_decode($product->get_name(), ENT_QUOTES, 'UTF-8') : '';
+        }
+        
+        return $names[$product_id];
+    }
+    
+    /**
+     * Output the export buttons of a dashboard panel
+     *
+     * @param string $dataset Dataset of WC_Realtime_Export::get_datasets()
+     */
+    private function render_export_buttons($dataset) {
+        if (!$this->export) {
+            return;
+        }
+        
+        $formats = array(
+            'csv' => __('CSV', 'wc-realtime-analytics'),
+            'json' => __('JSON', 'wc-realtime-analytics'),
+            'xlsx' => __('XLSX', 'wc-realtime-analytics')
+        );
+        ?>
+        <div class="wc-realtime-export" data-dataset="<?php echo esc_attr($dataset); ?>">
+            <span class="wc-realtime-export-label"><?php echo esc_html($dataset === 'events' ? __('Export events', 'wc-realtime-analytics') : __('Export', 'wc-realtime-analytics')); ?></span>
+            <?php foreach ($formats as $format => $label) : ?>
+                <button type="button" class="button button-small" data-format="<?php echo esc_attr($format); ?>"><?php echo esc_html($label); ?></button>
+            <?php endforeach; ?>
+        </div>
+        <?php
     }
     
     /**
@@ -418,13 +869,15 @@ class WC_Realtime_Admin {
             if (!$this->pusher->is_configured()) {
                 echo '<div class="notice notice-warning inline"><p>';
                 echo sprintf(
-                    __('Pusher is not fully configured. Real-time updates will not work. Please go to the <a href="%s">settings page</a> to complete the setup.', 'wc-realtime-analytics'),
+                    __('Pusher is not fully configured. Live events are checked on the server every few seconds instead. Please go to the <a href="%s">settings page</a> to connect Pusher or a self-hosted server for instant updates.', 'wc-realtime-analytics'),
                     esc_url(admin_url('admin.php?page=wc-realtime-analytics-settings'))
                 );
                 echo '</p></div>';
             }
             ?>
             
+            <div class="wc-realtime-alerts" id="wc-realtime-alerts"></div>
+            
             <div class="wc-realtime-date-filter">
                 <select id="wc-realtime-timeframe">
                     <option value="today" selected><?php _e('Today', 'wc-realtime-analytics'); ?></option>
@@ -441,75 +894,180 @@ class WC_Realtime_Admin {
                     <input type="text" id="wc-realtime-date-to" placeholder="<?php _e('To', 'wc-realtime-analytics'); ?>" />
                     <button id="wc-realtime-apply-range" class="button"><?php _e('Apply', 'wc-realtime-analytics'); ?></button>
                 </div>
+                
+                <label class="wc-realtime-compare-toggle">
+                    <input type="checkbox" id="wc-realtime-compare" />
+                    <?php _e('Compare with previous period', 'wc-realtime-analytics'); ?>
+                </label>
+                
+                <span class="wc-realtime-last-updated" id="wc-realtime-last-updated"></span>
             </div>
             
             <div class="wc-realtime-dashboard">
                 <!-- Store Overview Section -->
                 <div class="wc-realtime-card wc-realtime-store-overview">
                     <h2><?php _e('Store Overview', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('overview'); ?>
                     <div class="wc-realtime-card-content">
                         <div class="wc-realtime-stat-grid">
                             <div class="wc-realtime-stat">
                                 <div class="wc-realtime-stat-label"><?php _e('Visitors', 'wc-realtime-analytics'); ?></div>
                                 <div class="wc-realtime-stat-value" id="store-visitors">0</div>
+                                <div class="wc-realtime-stat-trend" id="store-visitors-trend"></div>
+                                <div class="wc-realtime-stat-split" id="store-visitors-split"></div>
                             </div>
                             <div class="wc-realtime-stat">
                                 <div class="wc-realtime-stat-label"><?php _e('Add to Cart', 'wc-realtime-analytics'); ?></div>
                                 <div class="wc-realtime-stat-value" id="store-add-to-cart">0</div>
+                                <div class="wc-realtime-stat-trend" id="store-add-to-cart-trend"></div>
+                                <div class="wc-realtime-stat-split" id="store-add-to-cart-split"></div>
                                 <div class="wc-realtime-stat-rate" id="store-atc-rate">0%</div>
                             </div>
                             <div class="wc-realtime-stat">
                                 <div class="wc-realtime-stat-label"><?php _e('Checkout', 'wc-realtime-analytics'); ?></div>
                                 <div class="wc-realtime-stat-value" id="store-checkout">0</div>
+                                <div class="wc-realtime-stat-trend" id="store-checkout-trend"></div>
+                                <div class="wc-realtime-stat-split" id="store-checkout-split"></div>
                                 <div class="wc-realtime-stat-rate" id="store-checkout-rate">0%</div>
                             </div>
                             <div class="wc-realtime-stat">
                                 <div class="wc-realtime-stat-label"><?php _e('Purchase', 'wc-realtime-analytics'); ?></div>
                                 <div class="wc-realtime-stat-value" id="store-purchase">0</div>
+                                <div class="wc-realtime-stat-trend" id="store-purchase-trend"></div>
+                                <div class="wc-realtime-stat-split" id="store-purchase-split"></div>
                                 <div class="wc-realtime-stat-rate" id="store-purchase-rate">0%</div>
                             </div>
                         </div>
+                        <?php if ($this->bot_filter) : ?>
+                        <p class="wc-realtime-excluded-bots" id="store-excluded-bots">
+                            <?php printf(
+                                /* translators: 1: excluded IP addresses, 2: excluded requests */
+                                esc_html__('Excluded bots: %1$s (%2$s requests)', 'wc-realtime-analytics'),
+                                '<span id="store-excluded-bot-visitors">0</span>',
+                                '<span id="store-excluded-bot-hits">0</span>'
+                            ); ?>
+                        </p>
+                        <?php endif; ?>
                     </div>
                 </div>
                 
                 <!-- Live Events Section -->
                 <div class="wc-realtime-card wc-realtime-live-events">
                     <h2><?php _e('Live Events', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('events'); ?>
                     <div class="wc-realtime-card-content">
+                        <div class="wc-realtime-event-filters" id="live-events-filters">
+                            <button type="button" class="wc-realtime-chip active" data-event-type=""><?php _e('All', 'wc-realtime-analytics'); ?></button>
+                            <button type="button" class="wc-realtime-chip" data-event-type="visitor"><?php _e('Visitors', 'wc-realtime-analytics'); ?></button>
+                            <button type="button" class="wc-realtime-chip" data-event-type="add_to_cart"><?php _e('Add to Cart', 'wc-realtime-analytics'); ?></button>
+                            <button type="button" class="wc-realtime-chip" data-event-type="remove_from_cart"><?php _e('Remove from Cart', 'wc-realtime-analytics'); ?></button>
+                            <button type="button" class="wc-realtime-chip" data-event-type="checkout"><?php _e('Checkout', 'wc-realtime-analytics'); ?></button>
+                            <button type="button" class="wc-realtime-chip" data-event-type="purchase"><?php _e('Purchase', 'wc-realtime-analytics'); ?></button>
+                            <button type="button" class="wc-realtime-chip" data-event-type="custom"><?php _e('Custom', 'wc-realtime-analytics'); ?></button>
+                            <span id="live-events-active-filters"></span>
+                        </div>
                         <div id="live-events-container">
                             <div class="wc-realtime-empty-state">
                                 <?php _e('Waiting for events...', 'wc-realtime-analytics'); ?>
                             </div>
                         </div>
+                        <div class="wc-realtime-load-more">
+                            <button type="button" id="live-events-load-older" class="button" style="display: none;"><?php _e('Load older events', 'wc-realtime-analytics'); ?></button>
+                        </div>
                     </div>
                 </div>
                 
-                <!-- Chart Section -->
-                <div class="wc-realtime-card wc-realtime-chart-container full-width">
-                    <h2><?php _e('Conversion Funnel', 'wc-realtime-analytics'); ?></h2>
+                <!-- Revenue Section -->
+                <div class="wc-realtime-card wc-realtime-revenue full-width">
+                    <h2><?php _e('Revenue', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('overview'); ?>
+                    <div class="wc-realtime-card-content">
+                        <div class="wc-realtime-stat-grid">
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Revenue', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="store-revenue" data-value="0">0</div>
+                                <div class="wc-realtime-stat-trend" id="store-revenue-trend"></div>
+                                <div class="wc-realtime-stat-split" id="store-revenue-split"></div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Average Order Value', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="store-aov" data-value="0">0</div>
+                                <div class="wc-realtime-stat-trend" id="store-aov-trend"></div>
+                                <div class="wc-realtime-stat-split" id="store-aov-split"></div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Revenue per Visitor', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="store-revenue-per-visitor" data-value="0">0</div>
+                                <div class="wc-realtime-stat-trend" id="store-revenue-per-visitor-trend"></div>
+                                <div class="wc-realtime-stat-split" id="store-revenue-per-visitor-split"></div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                
+                <!-- Engagement Section -->
+                <div class="wc-realtime-card wc-realtime-engagement full-width">
+                    <h2><?php _e('Engagement', 'wc-realtime-analytics'); ?></h2>
                     <div class="wc-realtime-card-content">
-                        <canvas id="conversion-chart"></canvas>
+                        <div class="wc-realtime-stat-grid">
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label" title="<?php esc_attr_e('Visitors with a page open in the last 5 minutes', 'wc-realtime-analytics'); ?>"><?php _e('On Site Now', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="engagement-active-visitors">0</div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Avg. Engaged Time', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="engagement-time">0s</div>
+                                <div class="wc-realtime-stat-split" id="engagement-time-split"></div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label" title="<?php esc_attr_e('Sessions that viewed a single page for less than 10 seconds', 'wc-realtime-analytics'); ?>"><?php _e('Bounce Rate', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="engagement-bounce-rate">0%</div>
+                                <div class="wc-realtime-stat-split" id="engagement-bounce-rate-split"></div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Avg. Scroll Depth', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="engagement-scroll-depth">0%</div>
+                                <div class="wc-realtime-stat-split" id="engagement-scroll-depth-split"></div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Pageviews', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="engagement-pageviews">0</div>
+                                <div class="wc-realtime-stat-split" id="engagement-pageviews-split"></div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Pageviews per Session', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="engagement-pageviews-per-session">0</div>
+                                <div class="wc-realtime-stat-split" id="engagement-pageviews-per-session-split"></div>
+                            </div>
+                        </div>
                     </div>
                 </div>
                 
-                <!-- Products Table Section -->
-                <div class="wc-realtime-card wc-realtime-products-table full-width">
-                    <h2><?php _e('Products Performance', 'wc-realtime-analytics'); ?></h2>
+                <!-- Cohort Retention Section -->
+                <div class="wc-realtime-card wc-realtime-cohorts full-width">
+                    <h2><?php _e('Retention by Acquisition Week', 'wc-realtime-analytics'); ?></h2>
                     <div class="wc-realtime-card-content">
-                        <table class="wc-realtime-table" id="products-table">
+                        <p class="description">
+                            <?php _e('Visitors grouped by the week they were first seen. Each week shows the share that came back and, below it, the share of the cohort\'s customers who ordered again.', 'wc-realtime-analytics'); ?>
+                        </p>
+                        <table class="wc-realtime-table wc-realtime-cohort-table" id="cohorts-table">
                             <thead>
                                 <tr>
-                                    <th><?php _e('ID', 'wc-realtime-analytics'); ?></th>
-                                    <th><?php _e('Product Name', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Week', 'wc-realtime-analytics'); ?></th>
                                     <th><?php _e('Visitors', 'wc-realtime-analytics'); ?></th>
-                                    <th><?php _e('Add to Cart', 'wc-realtime-analytics'); ?></th>
-                                    <th><?php _e('Checkout', 'wc-realtime-analytics'); ?></th>
-                                    <th><?php _e('Purchase', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Customers', 'wc-realtime-analytics'); ?></th>
+                                    <?php for ($week = 0; $week < self::COHORT_WEEKS; $week++) : ?>
+                                    <th><?php echo esc_html(sprintf(
+                                        /* translators: %d: weeks since the cohort was acquired */
+                                        __('Week %d', 'wc-realtime-analytics'),
+                                        $week
+                                    )); ?></th>
+                                    <?php endfor; ?>
                                 </tr>
                             </thead>
                             <tbody>
                                 <tr>
-                                    <td colspan="6" class="wc-realtime-loading">
+                                    <td colspan="<?php echo esc_attr(self::COHORT_WEEKS + 3); ?>" class="wc-realtime-loading">
                                         <?php _e('Loading...', 'wc-realtime-analytics'); ?>
                                     </td>
                                 </tr>
@@ -518,24 +1076,23 @@ class WC_Realtime_Admin {
                     </div>
                 </div>
                 
-                <!-- Countries Table Section -->
-                <div class="wc-realtime-card wc-realtime-countries-table full-width">
-                    <h2><?php _e('Traffic by Country', 'wc-realtime-analytics'); ?></h2>
+                <!-- Top Pages Section -->
+                <div class="wc-realtime-card wc-realtime-pages-table full-width">
+                    <h2><?php _e('Top Pages', 'wc-realtime-analytics'); ?></h2>
                     <div class="wc-realtime-card-content">
-                        <table class="wc-realtime-table" id="countries-table">
+                        <table class="wc-realtime-table" id="pages-table">
                             <thead>
                                 <tr>
                                     <th>#</th>
-                                    <th><?php _e('Country', 'wc-realtime-analytics'); ?></th>
-                                    <th><?php _e('Visitors', 'wc-realtime-analytics'); ?></th>
-                                    <th><?php _e('Add to Cart', 'wc-realtime-analytics'); ?></th>
-                                    <th><?php _e('Checkout', 'wc-realtime-analytics'); ?></th>
-                                    <th><?php _e('Purchase', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Page', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Page Type', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Pageviews', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Sessions', 'wc-realtime-analytics'); ?></th>
                                 </tr>
                             </thead>
                             <tbody>
                                 <tr>
-                                    <td colspan="6" class="wc-realtime-loading">
+                                    <td colspan="5" class="wc-realtime-loading">
                                         <?php _e('Loading...', 'wc-realtime-analytics'); ?>
                                     </td>
                                 </tr>
@@ -543,126 +1100,1891 @@ class WC_Realtime_Admin {
                         </table>
                     </div>
                 </div>
-            </div>
-<?php if (current_user_can('manage_options')): ?>
-    <div class="wc-realtime-reset-section" style="margin-top: 30px; border-top: 1px solid #ddd; padding-top: 20px;">
-        <h2><?php _e('Reset Analytics Data', 'wc-realtime-analytics'); ?></h2>
-        <p><?php _e('Use this button to reset all analytics data for testing purposes. This cannot be undone!', 'wc-realtime-analytics'); ?></p>
-        <?php
-        $nonce = wp_create_nonce('wcra_reset_data');
-        $reset_url = admin_url('admin.php?page=wc-realtime-analytics&wcra_reset=true&wcra_nonce=' . $nonce);
-        ?>
-        <a href="<?php echo esc_url($reset_url); ?>" class="button button-secondary" onclick="return confirm('<?php esc_attr_e('Are you sure you want to reset all analytics data? This action cannot be undone!', 'wc-realtime-analytics'); ?>');"><?php _e('Reset All Data', 'wc-realtime-analytics'); ?></a>
-    </div>
-<?php endif; ?>
-        </div>
-        <?php
-    }
-    
-    /**
-     * Render the settings page
-     */
-    public function render_settings_page() {
-        // Check capability
-        if (!current_user_can('manage_woocommerce')) {
-            wp_die(__('You do not have sufficient permissions to access this page.', 'wc-realtime-analytics'));
-        }
-        
-        // Check if settings are being saved
-        if (isset($_POST['wc_realtime_save_settings']) && check_admin_referer('wc_realtime_settings_nonce')) {
-            $app_id = isset($_POST['wc_realtime_pusher_app_id']) ? sanitize_text_field($_POST['wc_realtime_pusher_app_id']) : '';
-            $key = isset($_POST['wc_realtime_pusher_key']) ? sanitize_text_field($_POST['wc_realtime_pusher_key']) : '';
-            $secret = isset($_POST['wc_realtime_pusher_secret']) ? sanitize_text_field($_POST['wc_realtime_pusher_secret']) : '';
-            $cluster = isset($_POST['wc_realtime_pusher_cluster']) ? $this->sanitize_pusher_cluster($_POST['wc_realtime_pusher_cluster']) : 'mt1';
-            
-            // Save settings
-            if ($this->pusher->save_settings($app_id, $key, $secret, $cluster)) {
-                // Show success message
-                echo '<div class="notice notice-success is-dismissible"><p>' . 
-                     esc_html__('Settings saved successfully.', 'wc-realtime-analytics') . 
-                     '</p></div>';
-            } else {
-                // Show error message
-                echo '<div class="notice notice-error is-dismissible"><p>' . 
-                     esc_html__('Failed to save settings.', 'wc-realtime-analytics') . 
-                     '</p></div>';
-            }
-        }
-        
-        ?>
-        <div class="wrap">
-            <h1><?php _e('WooCommerce Real-time Analytics Settings', 'wc-realtime-analytics'); ?></h1>
-            
-            <form method="post" action="">
-                <?php wp_nonce_field('wc_realtime_settings_nonce'); ?>
                 
-                <table class="form-table">
-                    <tr valign="top">
-                        <th scope="row"><?php _e('Pusher App ID', 'wc-realtime-analytics'); ?></th>
-                        <td>
-                            <input type="text" name="wc_realtime_pusher_app_id" value="<?php echo esc_attr(get_option('wc_realtime_pusher_app_id')); ?>" class="regular-text" />
-                        </td>
-                    </tr>
-                    
+                <!-- Top Categories Section -->
+                <div class="wc-realtime-card wc-realtime-categories-table full-width">
+                    <h2><?php _e('Top Categories', 'wc-realtime-analytics'); ?></h2>
+                    <div class="wc-realtime-card-content">
+                        <table class="wc-realtime-table" id="categories-table">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th><?php _e('Category', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Pageviews', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Sessions', 'wc-realtime-analytics'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr>
+                                    <td colspan="4" class="wc-realtime-loading">
+                                        <?php _e('Loading...', 'wc-realtime-analytics'); ?>
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                
+                <!-- Cart Activity Section -->
+                <div class="wc-realtime-card wc-realtime-cart-activity full-width">
+                    <h2><?php _e('Cart Activity', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('coupons'); ?>
+                    <div class="wc-realtime-card-content">
+                        <div class="wc-realtime-stat-grid">
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Net Cart Adds', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="cart-net-adds">0</div>
+                                <div class="wc-realtime-stat-rate">
+                                    <?php printf(
+                                        /* translators: 1: add to cart events, 2: removals */
+                                        esc_html__('%1$s added, %2$s removed', 'wc-realtime-analytics'),
+                                        '<span id="cart-adds">0</span>',
+                                        '<span id="cart-removals">0</span>'
+                                    ); ?>
+                                </div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Net Units', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="cart-net-units">0</div>
+                                <div class="wc-realtime-stat-rate">
+                                    <?php printf(
+                                        /* translators: 1: units added, 2: units removed */
+                                        esc_html__('+%1$s / -%2$s units', 'wc-realtime-analytics'),
+                                        '<span id="cart-units-added">0</span>',
+                                        '<span id="cart-units-removed">0</span>'
+                                    ); ?>
+                                </div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Removal Rate', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="cart-removal-rate">0%</div>
+                                <div class="wc-realtime-stat-rate">
+                                    <?php printf(
+                                        /* translators: %s: number of cart quantity updates */
+                                        esc_html__('%s quantity updates', 'wc-realtime-analytics'),
+                                        '<span id="cart-updates">0</span>'
+                                    ); ?>
+                                </div>
+                            </div>
+                            <div class="wc-realtime-stat">
+                                <div class="wc-realtime-stat-label"><?php _e('Coupons Applied', 'wc-realtime-analytics'); ?></div>
+                                <div class="wc-realtime-stat-value" id="cart-coupons-applied">0</div>
+                                <div class="wc-realtime-stat-rate">
+                                    <?php printf(
+                                        /* translators: %s: number of removed coupons */
+                                        esc_html__('%s removed', 'wc-realtime-analytics'),
+                                        '<span id="cart-coupons-removed">0</span>'
+                                    ); ?>
+                                </div>
+                            </div>
+                        </div>
+                        <table class="wc-realtime-table" id="coupons-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Coupon', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Applied', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Removed', 'wc-realtime-analytics'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr>
+                                    <td colspan="3" class="wc-realtime-loading">
+                                        <?php _e('Loading...', 'wc-realtime-analytics'); ?>
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                
+                <!-- Funnel Section -->
+                <div class="wc-realtime-card wc-realtime-funnel-container full-width">
+                    <h2><?php _e('Conversion Funnel', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('funnel'); ?>
+                    <div class="wc-realtime-card-content">
+                        <div class="wc-realtime-funnel-controls">
+                            <select id="wc-realtime-funnel-select"></select>
+                            <button type="button" id="wc-realtime-funnel-new" class="button"><?php _e('New funnel', 'wc-realtime-analytics'); ?></button>
+                            <button type="button" id="wc-realtime-funnel-edit" class="button"><?php _e('Edit', 'wc-realtime-analytics'); ?></button>
+                            <button type="button" id="wc-realtime-funnel-delete" class="button"><?php _e('Delete', 'wc-realtime-analytics'); ?></button>
+                        </div>
+                        <div id="wc-realtime-funnel-builder" class="wc-realtime-funnel-builder" style="display: none;">
+                            <h3 id="wc-realtime-funnel-builder-title"></h3>
+                            <input type="hidden" id="wc-realtime-funnel-id" value="" />
+                            <p>
+                                <label for="wc-realtime-funnel-name"><?php _e('Funnel name', 'wc-realtime-analytics'); ?></label>
+                                <input type="text" id="wc-realtime-funnel-name" class="regular-text" maxlength="100" />
+                            </p>
+                            <ol id="wc-realtime-funnel-steps" class="wc-realtime-funnel-steps"></ol>
+                            <p class="wc-realtime-funnel-builder-actions">
+                                <button type="button" id="wc-realtime-funnel-add-step" class="button"><?php _e('Add step', 'wc-realtime-analytics'); ?></button>
+                                <button type="button" id="wc-realtime-funnel-save" class="button button-primary"><?php _e('Save funnel', 'wc-realtime-analytics'); ?></button>
+                                <button type="button" id="wc-realtime-funnel-cancel" class="button"><?php _e('Cancel', 'wc-realtime-analytics'); ?></button>
+                                <span id="wc-realtime-funnel-message" class="wc-realtime-funnel-message"></span>
+                            </p>
+                        </div>
+                        <div id="funnel-report" class="wc-realtime-funnel-report">
+                            <div class="wc-realtime-loading"><?php _e('Loading...', 'wc-realtime-analytics'); ?></div>
+                        </div>
+                    </div>
+                </div>
+                
+                <!-- Traffic Over Time Section -->
+                <div class="wc-realtime-card wc-realtime-chart-container full-width">
+                    <h2><?php _e('Traffic Over Time', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('timeseries'); ?>
+                    <div class="wc-realtime-card-content">
+                        <canvas id="traffic-chart"></canvas>
+                    </div>
+                </div>
+                
+                <!-- Products Table Section -->
+                <div class="wc-realtime-card wc-realtime-products-table full-width">
+                    <h2><?php _e('Products Performance', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('products'); ?>
+                    <div class="wc-realtime-card-content">
+                        <div class="wc-realtime-table-filters">
+                            <input type="search" class="wc-realtime-table-search" data-table="products" placeholder="<?php esc_attr_e('Search product name or ID', 'wc-realtime-analytics'); ?>" />
+                            <div class="wc-realtime-table-groups" data-table="products" role="group" aria-label="<?php esc_attr_e('View products by', 'wc-realtime-analytics'); ?>">
+                                <button type="button" class="button button-small active" data-group="product"><?php _e('By product', 'wc-realtime-analytics'); ?></button>
+                                <button type="button" class="button button-small" data-group="variation"><?php _e('By variation', 'wc-realtime-analytics'); ?></button>
+                                <button type="button" class="button button-small" data-group="category"><?php _e('By category', 'wc-realtime-analytics'); ?></button>
+                                <button type="button" class="button button-small" data-group="tag"><?php _e('By tag', 'wc-realtime-analytics'); ?></button>
+                            </div>
+                        </div>
+                        <div class="wc-realtime-product-detail" id="product-detail" style="display: none;"></div>
+                        <table class="wc-realtime-table wc-realtime-sortable-table" id="products-table" data-table="products">
+                            <thead>
+                                <tr>
+                                    <th data-sort="product_id"><?php _e('ID', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="name"><?php _e('Product Name', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="visitors"><?php _e('Visitors', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="add_to_cart"><?php _e('Add to Cart', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="checkouts"><?php _e('Checkout', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="purchases"><?php _e('Purchase', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="revenue"><?php _e('Revenue', 'wc-realtime-analytics'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr>
+                                    <td colspan="7" class="wc-realtime-loading">
+                                        <?php _e('Loading...', 'wc-realtime-analytics'); ?>
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                        <div class="wc-realtime-pagination" data-table="products"></div>
+                    </div>
+                </div>
+                
+                <!-- Visitor Map Section -->
+                <div class="wc-realtime-card wc-realtime-map-container full-width">
+                    <h2><?php _e('Visitor Map', 'wc-realtime-analytics'); ?></h2>
+                    <div class="wc-realtime-card-content">
+                        <div class="wc-realtime-table-filters">
+                            <div class="wc-realtime-map-metrics" role="group" aria-label="<?php esc_attr_e('Colour countries by', 'wc-realtime-analytics'); ?>">
+                                <button type="button" class="button button-small active" data-metric="visitors"><?php _e('Visitors', 'wc-realtime-analytics'); ?></button>
+                                <button type="button" class="button button-small" data-metric="conversion_rate"><?php _e('Conversion Rate', 'wc-realtime-analytics'); ?></button>
+                                <button type="button" class="button button-small" data-metric="revenue"><?php _e('Revenue', 'wc-realtime-analytics'); ?></button>
+                            </div>
+                            <button type="button" class="button button-small wc-realtime-map-back" style="display: none;"><?php _e('Back to world map', 'wc-realtime-analytics'); ?></button>
+                        </div>
+                        <div class="wc-realtime-map-layout">
+                            <div class="wc-realtime-map" id="visitor-map">
+                                <p class="wc-realtime-loading"><?php _e('Loading...', 'wc-realtime-analytics'); ?></p>
+                            </div>
+                            <div class="wc-realtime-map-regions" id="map-regions" style="display: none;"></div>
+                        </div>
+                        <div class="wc-realtime-map-legend" id="map-legend"></div>
+                    </div>
+                </div>
+                
+                <!-- Countries Table Section -->
+                <div class="wc-realtime-card wc-realtime-countries-table full-width">
+                    <h2><?php _e('Traffic by Country', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('countries'); ?>
+                    <div class="wc-realtime-card-content">
+                        <div class="wc-realtime-table-filters">
+                            <input type="search" class="wc-realtime-table-search" data-table="countries" placeholder="<?php esc_attr_e('Search country name or code', 'wc-realtime-analytics'); ?>" />
+                        </div>
+                        <table class="wc-realtime-table wc-realtime-sortable-table" id="countries-table" data-table="countries">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th data-sort="country_name"><?php _e('Country', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="visitors"><?php _e('Visitors', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="add_to_cart"><?php _e('Add to Cart', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="checkouts"><?php _e('Checkout', 'wc-realtime-analytics'); ?></th>
+                                    <th data-sort="purchases"><?php _e('Purchase', 'wc-realtime-analytics'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr>
+                                    <td colspan="6" class="wc-realtime-loading">
+                                        <?php _e('Loading...', 'wc-realtime-analytics'); ?>
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                        <div class="wc-realtime-pagination" data-table="countries"></div>
+                    </div>
+                </div>
+                
+                <!-- Traffic Sources Section -->
+                <div class="wc-realtime-card wc-realtime-sources-table full-width">
+                    <h2><?php _e('Traffic Sources', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('sources'); ?>
+                    <div class="wc-realtime-card-content">
+                        <table class="wc-realtime-table" id="sources-table">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th><?php _e('Source / Medium', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Sessions', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Add to Cart', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Checkout', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Purchase', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Revenue', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Conversion', 'wc-realtime-analytics'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr>
+                                    <td colspan="8" class="wc-realtime-loading">
+                                        <?php _e('Loading...', 'wc-realtime-analytics'); ?>
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                
+                <!-- Custom Events Section -->
+                <div class="wc-realtime-card wc-realtime-custom-events-table full-width">
+                    <h2><?php _e('Custom Events', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('custom_events'); ?>
+                    <div class="wc-realtime-card-content">
+                        <table class="wc-realtime-table" id="custom-events-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Event', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Count', 'wc-realtime-analytics'); ?></th>
+                                    <th><?php _e('Sessions', 'wc-realtime-analytics'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr>
+                                    <td colspan="3" class="wc-realtime-loading">
+                                        <?php _e('Loading...', 'wc-realtime-analytics'); ?>
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                
+                <!-- Sessions Section -->
+                <div class="wc-realtime-card wc-realtime-sessions full-width">
+                    <h2><?php _e('Recent Sessions', 'wc-realtime-analytics'); ?></h2>
+                    <?php $this->render_export_buttons('sessions'); ?>
+                    <div class="wc-realtime-card-content">
+                        <div class="wc-realtime-sessions-filters">
+                            <input type="search" id="wc-realtime-session-search" placeholder="<?php esc_attr_e('Search session, order or product ID', 'wc-realtime-analytics'); ?>" />
+                            <select id="wc-realtime-session-status">
+                                <option value=""><?php _e('All sessions', 'wc-realtime-analytics'); ?></option>
+                                <option value="abandoned_checkout"><?php _e('Abandoned checkout', 'wc-realtime-analytics'); ?></option>
+                                <option value="abandoned_cart"><?php _e('Abandoned cart', 'wc-realtime-analytics'); ?></option>
+                                <option value="purchased"><?php _e('Purchased', 'wc-realtime-analytics'); ?></option>
+                            </select>
+                            <select id="wc-realtime-session-days">
+                                <option value="1"><?php _e('Last 24 hours', 'wc-realtime-analytics'); ?></option>
+                                <option value="7" selected><?php _e('Last 7 Days', 'wc-realtime-analytics'); ?></option>
+                                <option value="30"><?php _e('Last 30 Days', 'wc-realtime-analytics'); ?></option>
+                            </select>
+                        </div>
+                        <div class="wc-realtime-sessions-layout">
+                            <div class="wc-realtime-sessions-list">
+                                <table class="wc-realtime-table" id="sessions-table">
+                                    <thead>
+                                        <tr>
+                                            <th><?php _e('Session', 'wc-realtime-analytics'); ?></th>
+                                            <th><?php _e('Country', 'wc-realtime-analytics'); ?></th>
+                                            <th><?php _e('Started', 'wc-realtime-analytics'); ?></th>
+                                            <th><?php _e('Duration', 'wc-realtime-analytics'); ?></th>
+                                            <th><?php _e('Events', 'wc-realtime-analytics'); ?></th>
+                                            <th><?php _e('Furthest step', 'wc-realtime-analytics'); ?></th>
+                                            <th><?php _e('Revenue', 'wc-realtime-analytics'); ?></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        <tr>
+                                            <td colspan="7" class="wc-realtime-loading">
+                                                <?php _e('Loading...', 'wc-realtime-analytics'); ?>
+                                            </td>
+                                        </tr>
+                                    </tbody>
+                                </table>
+                                <div class="wc-realtime-load-more">
+                                    <button type="button" id="sessions-load-more" class="button" style="display: none;"><?php _e('Load more sessions', 'wc-realtime-analytics'); ?></button>
+                                </div>
+                            </div>
+                            <div class="wc-realtime-session-timeline" id="session-timeline">
+                                <div class="wc-realtime-empty-state">
+                                    <?php _e('Click a session or a live event to see its journey', 'wc-realtime-analytics'); ?>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+<?php if (current_user_can('manage_options')): ?>
+    <div class="wc-realtime-reset-section" style="margin-top: 30px; border-top: 1px solid #ddd; padding-top: 20px;">
+        <h2><?php _e('Reset Analytics Data', 'wc-realtime-analytics'); ?></h2>
+        <p><?php _e('Use this button to reset all analytics data for testing purposes. This cannot be undone!', 'wc-realtime-analytics'); ?></p>
+        <?php
+        $nonce = wp_create_nonce('wcra_reset_data');
+        $reset_url = admin_url('admin.php?page=wc-realtime-analytics&wcra_reset=true&wcra_nonce=' . $nonce);
+        ?>
+        <a href="<?php echo esc_url($reset_url); ?>" class="button button-secondary" onclick="return confirm('<?php esc_attr_e('Are you sure you want to reset all analytics data? This action cannot be undone!', 'wc-realtime-analytics'); ?>');"><?php _e('Reset All Data', 'wc-realtime-analytics'); ?></a>
+    </div>
+<?php endif; ?>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render the alert rules and history page
+     */
+    public function render_alerts_page() {
+        // Check capability
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'wc-realtime-analytics'));
+        }
+        
+        $page_url = admin_url('admin.php?page=wc-realtime-analytics-alerts');
+        $form_rule = null;
+        
+        // Check if a rule is being saved
+        if (isset($_POST['wc_realtime_save_alert_rule']) && check_admin_referer('wc_realtime_alerts_nonce')) {
+            $form_rule = array(
+                'id' => isset($_POST['rule_id']) ? sanitize_key($_POST['rule_id']) : '',
+                'label' => isset($_POST['label']) ? sanitize_text_field(wp_unslash($_POST['label'])) : '',
+                'metric' => isset($_POST['metric']) ? sanitize_key($_POST['metric']) : '',
+                'condition' => isset($_POST['condition']) ? sanitize_key($_POST['condition']) : '',
+                'threshold' => isset($_POST['threshold']) ? sanitize_text_field(wp_unslash($_POST['threshold'])) : '',
+                'window' => isset($_POST['window']) ? absint($_POST['window']) : 0,
+                'channels' => isset($_POST['channels']) ? array_map('sanitize_key', (array) wp_unslash($_POST['channels'])) : array(),
+                'emails' => isset($_POST['emails']) ? sanitize_text_field(wp_unslash($_POST['emails'])) : '',
+                'webhook_url' => isset($_POST['webhook_url']) ? esc_url_raw(wp_unslash($_POST['webhook_url'])) : '',
+                'cooldown' => isset($_POST['cooldown']) ? absint($_POST['cooldown']) : 60,
+                'enabled' => !empty($_POST['enabled'])
+            );
+            $saved = $this->alerts->save_rule($form_rule);
+            
+            if (is_wp_error($saved)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($saved->get_error_message()) . 
+                     '</p></div>';
+            } else {
+                // Show an empty form again
+                $form_rule = null;
+                $this->alerts->schedule_checks();
+                
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Alert rule saved successfully.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Check if a rule is being deleted
+        if (isset($_POST['wc_realtime_delete_alert_rule']) && check_admin_referer('wc_realtime_alerts_nonce')) {
+            $deleted = $this->alerts->delete_rule(isset($_POST['rule_id']) ? sanitize_key($_POST['rule_id']) : '');
+            
+            if (is_wp_error($deleted)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($deleted->get_error_message()) . 
+                     '</p></div>';
+            } else {
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Alert rule deleted.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Rule being edited, or the defaults of a new rule
+        if ($form_rule === null && !empty($_GET['edit'])) {
+            $form_rule = $this->alerts->get_rule(sanitize_key($_GET['edit']));
+        }
+        
+        $form_rule = wp_parse_args((array) $form_rule, array(
+            'id' => '',
+            'label' => '',
+            'metric' => 'purchases',
+            'condition' => 'below',
+            'threshold' => 1,
+            'window' => 60,
+            'channels' => array('dashboard'),
+            'emails' => array(),
+            'webhook_url' => '',
+            'cooldown' => 60,
+            'enabled' => true
+        ));
+        $form_emails = is_array($form_rule['emails']) ? implode(', ', $form_rule['emails']) : $form_rule['emails'];
+        
+        $rules = $this->alerts->get_rules();
+        $channels = $this->alerts->get_channels();
+        
+        // Alert history
+        $per_page = 20;
+        $current_page = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+        $total_alerts = $this->db->count_alerts();
+        $total_pages = max(1, (int) ceil($total_alerts / $per_page));
+        $history = $this->db->get_alerts($per_page, ($current_page - 1) * $per_page);
+        
+        ?>
+        <div class="wrap">
+            <h1><?php _e('Real-time Analytics Alerts', 'wc-realtime-analytics'); ?></h1>
+            <p><?php _e('Get told when a metric crosses a threshold or moves away from its usual level. Rules are checked every five minutes, spikes also as events arrive.', 'wc-realtime-analytics'); ?></p>
+            
+            <h2><?php _e('Alert Rules', 'wc-realtime-analytics'); ?></h2>
+            
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th><?php _e('Rule', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Sent to', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Status', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Last Alert', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Actions', 'wc-realtime-analytics'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if (empty($rules)) : ?>
+                    <tr>
+                        <td colspan="5"><?php _e('No alert rules yet. Add one below.', 'wc-realtime-analytics'); ?></td>
+                    </tr>
+                    <?php endif; ?>
+                    
+                    <?php foreach ($rules as $rule) : ?>
+                    <?php $last_alert = $this->db->get_last_alert_time($rule['id']); ?>
+                    <tr>
+                        <td>
+                            <strong><?php echo esc_html($rule['label']); ?></strong><br>
+                            <span class="description"><?php echo esc_html($this->alerts->describe_rule($rule)); ?></span>
+                        </td>
+                        <td><?php echo esc_html(implode(', ', array_intersect_key($channels, array_flip($rule['channels'])))); ?></td>
+                        <td><?php echo $rule['enabled'] ? esc_html__('Enabled', 'wc-realtime-analytics') : esc_html__('Disabled', 'wc-realtime-analytics'); ?></td>
+                        <td><?php echo $last_alert ? esc_html(date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($last_alert))) : '&mdash;'; ?></td>
+                        <td>
+                            <a href="<?php echo esc_url(add_query_arg('edit', $rule['id'], $page_url)); ?>" class="button button-small"><?php _e('Edit', 'wc-realtime-analytics'); ?></a>
+                            <form method="post" action="<?php echo esc_url($page_url); ?>" style="display:inline;" onsubmit="return confirm('<?php esc_attr_e('Delete this alert rule? Its alert history is kept.', 'wc-realtime-analytics'); ?>');">
+                                <?php wp_nonce_field('wc_realtime_alerts_nonce'); ?>
+                                <input type="hidden" name="rule_id" value="<?php echo esc_attr($rule['id']); ?>" />
+                                <input type="submit" name="wc_realtime_delete_alert_rule" class="button button-small button-link-delete" value="<?php esc_attr_e('Delete', 'wc-realtime-analytics'); ?>" />
+                            </form>
+                        </td>
+                    </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+            
+            <h2><?php echo $form_rule['id'] ? esc_html__('Edit Alert Rule', 'wc-realtime-analytics') : esc_html__('Add Alert Rule', 'wc-realtime-analytics'); ?></h2>
+            
+            <form method="post" action="<?php echo esc_url($page_url); ?>">
+                <?php wp_nonce_field('wc_realtime_alerts_nonce'); ?>
+                <input type="hidden" name="rule_id" value="<?php echo esc_attr($form_rule['id']); ?>" />
+                
+                <table class="form-table">
                     <tr valign="top">
-                        <th scope="row"><?php _e('Pusher Key', 'wc-realtime-analytics'); ?></th>
+                        <th scope="row"><?php _e('Name', 'wc-realtime-analytics'); ?></th>
                         <td>
-                            <input type="text" name="wc_realtime_pusher_key" value="<?php echo esc_attr(get_option('wc_realtime_pusher_key')); ?>" class="regular-text" />
+                            <input type="text" name="label" value="<?php echo esc_attr($form_rule['label']); ?>" class="regular-text" maxlength="100" />
+                            <p class="description"><?php _e('Optional, the rule is described in words if left empty.', 'wc-realtime-analytics'); ?></p>
                         </td>
                     </tr>
                     
                     <tr valign="top">
-                        <th scope="row"><?php _e('Pusher Secret', 'wc-realtime-analytics'); ?></th>
+                        <th scope="row"><?php _e('Condition', 'wc-realtime-analytics'); ?></th>
                         <td>
-                            <input type="password" name="wc_realtime_pusher_secret" value="<?php echo esc_attr(get_option('wc_realtime_pusher_secret')); ?>" class="regular-text" />
+                            <select name="metric">
+                                <?php foreach ($this->alerts->get_metrics() as $metric => $label) : ?>
+                                <option value="<?php echo esc_attr($metric); ?>" <?php selected($form_rule['metric'], $metric); ?>><?php echo esc_html($label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                            <select name="condition">
+                                <?php foreach ($this->alerts->get_conditions() as $condition => $label) : ?>
+                                <option value="<?php echo esc_attr($condition); ?>" <?php selected($form_rule['condition'], $condition); ?>><?php echo esc_html($label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                            <input type="number" name="threshold" value="<?php echo esc_attr($form_rule['threshold']); ?>" min="0" step="any" class="small-text" />
+                            <p class="description"><?php _e('Rates and changes are percentages, revenue is in the store currency.', 'wc-realtime-analytics'); ?></p>
                         </td>
                     </tr>
                     
                     <tr valign="top">
-                        <th scope="row"><?php _e('Pusher Cluster', 'wc-realtime-analytics'); ?></th>
+                        <th scope="row"><?php _e('Time Window', 'wc-realtime-analytics'); ?></th>
                         <td>
-                            <select name="wc_realtime_pusher_cluster">
-                                <option value="mt1" <?php selected(get_option('wc_realtime_pusher_cluster'), 'mt1'); ?>>mt1 (US East)</option>
-                                <option value="us2" <?php selected(get_option('wc_realtime_pusher_cluster'), 'us2'); ?>>us2 (US East)</option>
-                                <option value="us3" <?php selected(get_option('wc_realtime_pusher_cluster'), 'us3'); ?>>us3 (US West)</option>
-                                <option value="eu" <?php selected(get_option('wc_realtime_pusher_cluster'), 'eu'); ?>>eu (Europe)</option>
-                                <option value="ap1" <?php selected(get_option('wc_realtime_pusher_cluster'), 'ap1'); ?>>ap1 (Asia Pacific)</option>
-                                <option value="ap2" <?php selected(get_option('wc_realtime_pusher_cluster'), 'ap2'); ?>>ap2 (Asia Pacific)</option>
-                                <option value="ap3" <?php selected(get_option('wc_realtime_pusher_cluster'), 'ap3'); ?>>ap3 (Asia Pacific)</option>
-                               <option value="ap4" <?php selected(get_option('wc_realtime_pusher_cluster'), 'ap4'); ?>>ap4 (Asia Pacific)</option>
-                           </select>
-                       </td>
-                   </tr>
-               </table>
-               
-               <p class="submit">
-                   <input type="submit" name="wc_realtime_save_settings" class="button-primary" value="<?php esc_attr_e('Save Settings', 'wc-realtime-analytics'); ?>" />
-               </p>
-           </form>
-           
-           <hr>
-           
-           <h2><?php _e('Setup Instructions', 'wc-realtime-analytics'); ?></h2>
-           <ol>
-               <li><?php printf(
-                   esc_html__('Create a free account at %s', 'wc-realtime-analytics'),
-                   '<a href="https://pusher.com/" target="_blank">Pusher.com</a>'
-               ); ?></li>
-               <li><?php esc_html_e('Create a new Channels app in your Pusher dashboard', 'wc-realtime-analytics'); ?></li>
-               <li><?php esc_html_e('Copy the App ID, Key, and Secret from your Pusher app', 'wc-realtime-analytics'); ?></li>
-               <li><?php esc_html_e('Select the appropriate cluster for your region', 'wc-realtime-analytics'); ?></li>
-               <li><?php esc_html_e('Enter these details above and save the settings', 'wc-realtime-analytics'); ?></li>
-           </ol>
+                            <input type="number" name="window" value="<?php echo esc_attr($form_rule['window']); ?>" min="1" max="<?php echo esc_attr(WC_Realtime_Alerts::MAX_WINDOW); ?>" class="small-text" />
+                            <?php _e('minutes', 'wc-realtime-analytics'); ?>
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Send To', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <?php foreach ($channels as $channel => $label) : ?>
+                            <label style="margin-right: 15px;">
+                                <input type="checkbox" name="channels[]" value="<?php echo esc_attr($channel); ?>" <?php checked(in_array($channel, (array) $form_rule['channels'], true)); ?> />
+                                <?php echo esc_html($label); ?>
+                            </label>
+                            <?php endforeach; ?>
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Email Recipients', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="text" name="emails" value="<?php echo esc_attr($form_emails); ?>" class="regular-text" placeholder="<?php echo esc_attr(get_option('admin_email')); ?>" />
+                            <p class="description"><?php _e('Comma separated, the site admin email is used if left empty.', 'wc-realtime-analytics'); ?></p>
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Webhook URL', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="url" name="webhook_url" value="<?php echo esc_attr($form_rule['webhook_url']); ?>" class="regular-text" placeholder="https://hooks.slack.com/services/..." />
+                            <p class="description"><?php _e('The alert is posted as JSON with a "text" field, which Slack and most chat tools accept.', 'wc-realtime-analytics'); ?></p>
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Cooldown', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="number" name="cooldown" value="<?php echo esc_attr($form_rule['cooldown']); ?>" min="5" max="10080" class="small-text" />
+                            <?php _e('minutes', 'wc-realtime-analytics'); ?>
+                            <p class="description"><?php _e('The rule does not alert again until this time has passed.', 'wc-realtime-analytics'); ?></p>
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Enabled', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <label>
+                                <input type="checkbox" name="enabled" value="yes" <?php checked(!empty($form_rule['enabled'])); ?> />
+                                <?php _e('Check this rule', 'wc-realtime-analytics'); ?>
+                            </label>
+                        </td>
+                    </tr>
+                </table>
+                
+                <p class="submit">
+                    <input type="submit" name="wc_realtime_save_alert_rule" class="button-primary" value="<?php esc_attr_e('Save Alert Rule', 'wc-realtime-analytics'); ?>" />
+                    <?php if ($form_rule['id']) : ?>
+                    <a href="<?php echo esc_url($page_url); ?>" class="button"><?php _e('Cancel', 'wc-realtime-analytics'); ?></a>
+                    <?php endif; ?>
+                </p>
+            </form>
+            
+            <hr>
+            
+            <h2><?php _e('Alert History', 'wc-realtime-analytics'); ?></h2>
+            
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th><?php _e('Time', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Rule', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Alert', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Status', 'wc-realtime-analytics'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if (empty($history)) : ?>
+                    <tr>
+                        <td colspan="4"><?php _e('No alerts have been sent yet.', 'wc-realtime-analytics'); ?></td>
+                    </tr>
+                    <?php endif; ?>
+                    
+                    <?php foreach ($history as $alert) : ?>
+                    <tr>
+                        <td><?php echo esc_html(date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($alert['created_at']))); ?></td>
+                        <td><?php echo esc_html($alert['rule_label']); ?></td>
+                        <td><?php echo esc_html($alert['message']); ?></td>
+                        <td><?php echo $alert['dismissed'] ? esc_html__('Dismissed', 'wc-realtime-analytics') : esc_html__('New', 'wc-realtime-analytics'); ?></td>
+                    </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+            
+            <?php if ($total_pages > 1) : ?>
+            <div class="tablenav">
+                <div class="tablenav-pages">
+                    <?php echo paginate_links(array(
+                        'base' => add_query_arg('paged', '%#%', $page_url),
+                        'format' => '',
+                        'current' => $current_page,
+                        'total' => $total_pages
+                    )); ?>
+                </div>
+            </div>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render the event webhooks page
+     */
+    public function render_webhooks_page() {
+        // Check capability
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'wc-realtime-analytics'));
+        }
+        
+        $page_url = admin_url('admin.php?page=wc-realtime-analytics-webhooks');
+        $form_webhook = null;
+        
+        // Check if a webhook is being saved
+        if (isset($_POST['wc_realtime_save_webhook']) && check_admin_referer('wc_realtime_webhooks_nonce')) {
+            $form_webhook = array(
+                'id' => isset($_POST['webhook_id']) ? sanitize_key($_POST['webhook_id']) : '',
+                'label' => isset($_POST['label']) ? sanitize_text_field(wp_unslash($_POST['label'])) : '',
+                'url' => isset($_POST['url']) ? esc_url_raw(wp_unslash($_POST['url'])) : '',
+                'event_types' => isset($_POST['event_types']) ? array_map('sanitize_key', (array) wp_unslash($_POST['event_types'])) : array(),
+                'enabled' => !empty($_POST['enabled']),
+                'regenerate_secret' => !empty($_POST['regenerate_secret'])
+            );
+            $saved = $this->webhooks->save_webhook($form_webhook);
+            
+            if (is_wp_error($saved)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($saved->get_error_message()) . 
+                     '</p></div>';
+            } else {
+                // Show the saved webhook with its secret
+                $form_webhook = $saved;
+                
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Webhook saved successfully.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Check if a webhook is being deleted
+        if (isset($_POST['wc_realtime_delete_webhook']) && check_admin_referer('wc_realtime_webhooks_nonce')) {
+            $deleted = $this->webhooks->delete_webhook(isset($_POST['webhook_id']) ? sanitize_key($_POST['webhook_id']) : '');
+            
+            if (is_wp_error($deleted)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($deleted->get_error_message()) . 
+                     '</p></div>';
+            } else {
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Webhook deleted.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Webhook being edited, or the defaults of a new webhook
+        if ($form_webhook === null && !empty($_GET['edit'])) {
+            $form_webhook = $this->webhooks->get_webhook(sanitize_key($_GET['edit']));
+        }
+        
+        $form_webhook = wp_parse_args((array) $form_webhook, array(
+            'id' => '',
+            'label' => '',
+            'url' => '',
+            'event_types' => array('visitor', 'add_to_cart', 'checkout', 'purchase'),
+            'secret' => '',
+            'enabled' => true
+        ));
+        
+        $webhooks = $this->webhooks->get_webhooks();
+        $event_types = $this->webhooks->get_event_types();
+        $labels = wp_list_pluck($webhooks, 'label', 'id');
+        
+        // Delivery log, optionally of one webhook
+        $log_webhook = isset($_GET['webhook']) ? sanitize_key($_GET['webhook']) : '';
+        $per_page = 20;
+        $current_page = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+        $total_deliveries = $this->db->count_webhook_deliveries($log_webhook);
+        $total_pages = max(1, (int) ceil($total_deliveries / $per_page));
+        $deliveries = $this->db->get_webhook_deliveries($log_webhook, $per_page, ($current_page - 1) * $per_page);
+        $statuses = array(
+            'pending' => __('Retrying', 'wc-realtime-analytics'),
+            'delivered' => __('Delivered', 'wc-realtime-analytics'),
+            'failed' => __('Failed', 'wc-realtime-analytics'),
+            'cancelled' => __('Cancelled', 'wc-realtime-analytics')
+        );
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+        
+        ?>
+        <div class="wrap">
+            <h1><?php _e('Real-time Analytics Webhooks', 'wc-realtime-analytics'); ?></h1>
+            <p><?php _e('Post tracked events as JSON to your own endpoints. Deliveries are sent in the background and retried with increasing delays when the endpoint does not answer with a 2xx status.', 'wc-realtime-analytics'); ?></p>
+            
+            <h2><?php _e('Webhooks', 'wc-realtime-analytics'); ?></h2>
+            
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th><?php _e('Webhook', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Events', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Status', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Actions', 'wc-realtime-analytics'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if (empty($webhooks)) : ?>
+                    <tr>
+                        <td colspan="4"><?php _e('No webhooks yet. Add one below.', 'wc-realtime-analytics'); ?></td>
+                    </tr>
+                    <?php endif; ?>
+                    
+                    <?php foreach ($webhooks as $webhook) : ?>
+                    <tr>
+                        <td>
+                            <strong><?php echo esc_html($webhook['label']); ?></strong><br>
+                            <code><?php echo esc_html($webhook['url']); ?></code>
+                        </td>
+                        <td><?php echo esc_html(implode(', ', array_intersect_key($event_types, array_flip($webhook['event_types'])))); ?></td>
+                        <td><?php echo $webhook['enabled'] ? esc_html__('Enabled', 'wc-realtime-analytics') : esc_html__('Disabled', 'wc-realtime-analytics'); ?></td>
+                        <td>
+                            <a href="<?php echo esc_url(add_query_arg('edit', $webhook['id'], $page_url)); ?>" class="button button-small"><?php _e('Edit', 'wc-realtime-analytics'); ?></a>
+                            <a href="<?php echo esc_url(add_query_arg('webhook', $webhook['id'], $page_url)); ?>" class="button button-small"><?php _e('Deliveries', 'wc-realtime-analytics'); ?></a>
+                            <button type="button" class="button button-small wcra-test-webhook" data-webhook-id="<?php echo esc_attr($webhook['id']); ?>"><?php _e('Send Test', 'wc-realtime-analytics'); ?></button>
+                            <form method="post" action="<?php echo esc_url($page_url); ?>" style="display:inline;" onsubmit="return confirm('<?php esc_attr_e('Delete this webhook? Its delivery log is kept.', 'wc-realtime-analytics'); ?>');">
+                                <?php wp_nonce_field('wc_realtime_webhooks_nonce'); ?>
+                                <input type="hidden" name="webhook_id" value="<?php echo esc_attr($webhook['id']); ?>" />
+                                <input type="submit" name="wc_realtime_delete_webhook" class="button button-small button-link-delete" value="<?php esc_attr_e('Delete', 'wc-realtime-analytics'); ?>" />
+                            </form>
+                            <span class="wcra-test-webhook-result" style="margin-left: 10px;"></span>
+                        </td>
+                    </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+            
+            <h2><?php echo $form_webhook['id'] ? esc_html__('Edit Webhook', 'wc-realtime-analytics') : esc_html__('Add Webhook', 'wc-realtime-analytics'); ?></h2>
+            
+            <form method="post" action="<?php echo esc_url($page_url); ?>">
+                <?php wp_nonce_field('wc_realtime_webhooks_nonce'); ?>
+                <input type="hidden" name="webhook_id" value="<?php echo esc_attr($form_webhook['id']); ?>" />
+                
+                <table class="form-table">
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Name', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="text" name="label" value="<?php echo esc_attr($form_webhook['label']); ?>" class="regular-text" maxlength="100" />
+                            <p class="description"><?php _e('Optional, the host name of the URL is used if left empty.', 'wc-realtime-analytics'); ?></p>
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('URL', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="url" name="url" value="<?php echo esc_attr($form_webhook['url']); ?>" class="regular-text" placeholder="https://example.com/events" required />
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Events', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <?php foreach ($event_types as $event_type => $label) : ?>
+                            <label style="display: inline-block; margin-right: 15px;">
+                                <input type="checkbox" name="event_types[]" value="<?php echo esc_attr($event_type); ?>" <?php checked(in_array($event_type, (array) $form_webhook['event_types'], true)); ?> />
+                                <?php echo esc_html($label); ?>
+                            </label>
+                            <?php endforeach; ?>
+                        </td>
+                    </tr>
+                    
+                    <?php if ($form_webhook['secret']) : ?>
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Signing Secret', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="text" value="<?php echo esc_attr($form_webhook['secret']); ?>" class="regular-text code" readonly onfocus="this.select();" />
+                            <p>
+                                <label>
+                                    <input type="checkbox" name="regenerate_secret" value="yes" />
+                                    <?php _e('Generate a new secret', 'wc-realtime-analytics'); ?>
+                                </label>
+                            </p>
+                            <p class="description"><?php printf(
+                                esc_html__('Each request carries %1$s, the hex HMAC-SHA256 of the %2$s header, a dot and the raw body, keyed with this secret.', 'wc-realtime-analytics'),
+                                '<code>X-WCRA-Signature: sha256=&hellip;</code>',
+                                '<code>X-WCRA-Timestamp</code>'
+                            ); ?></p>
+                        </td>
+                    </tr>
+                    <?php endif; ?>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Enabled', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <label>
+                                <input type="checkbox" name="enabled" value="yes" <?php checked(!empty($form_webhook['enabled'])); ?> />
+                                <?php _e('Send events to this webhook', 'wc-realtime-analytics'); ?>
+                            </label>
+                        </td>
+                    </tr>
+                </table>
+                
+                <p class="submit">
+                    <input type="submit" name="wc_realtime_save_webhook" class="button-primary" value="<?php esc_attr_e('Save Webhook', 'wc-realtime-analytics'); ?>" />
+                    <?php if ($form_webhook['id']) : ?>
+                    <a href="<?php echo esc_url($page_url); ?>" class="button"><?php _e('Cancel', 'wc-realtime-analytics'); ?></a>
+                    <?php endif; ?>
+                </p>
+            </form>
+            
+            <hr>
+            
+            <h2>
+                <?php if ($log_webhook !== '') : ?>
+                <?php printf(
+                    /* translators: %s: webhook name */
+                    esc_html__('Deliveries to %s', 'wc-realtime-analytics'),
+                    esc_html(isset($labels[$log_webhook]) ? $labels[$log_webhook] : $log_webhook)
+                ); ?>
+                <a href="<?php echo esc_url($page_url); ?>" class="page-title-action"><?php _e('Show all', 'wc-realtime-analytics'); ?></a>
+                <?php else : ?>
+                <?php _e('Delivery Log', 'wc-realtime-analytics'); ?>
+                <?php endif; ?>
+            </h2>
+            
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th><?php _e('Time', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Webhook', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Event', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Status', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Attempts', 'wc-realtime-analytics'); ?></th>
+                        <th><?php _e('Response', 'wc-realtime-analytics'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if (empty($deliveries)) : ?>
+                    <tr>
+                        <td colspan="6"><?php _e('No deliveries yet.', 'wc-realtime-analytics'); ?></td>
+                    </tr>
+                    <?php endif; ?>
+                    
+                    <?php foreach ($deliveries as $delivery) : ?>
+                    <tr>
+                        <td><?php echo esc_html(date_i18n($date_format, strtotime($delivery['created_at']))); ?></td>
+                        <td><?php echo esc_html(isset($labels[$delivery['webhook_id']]) ? $labels[$delivery['webhook_id']] : $delivery['webhook_id']); ?></td>
+                        <td>
+                            <?php echo esc_html(isset($event_types[$delivery['event_type']]) ? $event_types[$delivery['event_type']] : $delivery['event_type']); ?>
+                            <?php if ($delivery['event_id']) : ?>
+                            <span class="description">#<?php echo absint($delivery['event_id']); ?></span>
+                            <?php endif; ?>
+                        </td>
+                        <td>
+                            <?php echo esc_html(isset($statuses[$delivery['status']]) ? $statuses[$delivery['status']] : $delivery['status']); ?>
+                            <?php if ($delivery['status'] === 'pending' && $delivery['next_attempt_at']) : ?>
+                            <br><span class="description"><?php printf(
+                                /* translators: %s: time of the next attempt */
+                                esc_html__('Next attempt %s', 'wc-realtime-analytics'),
+                                esc_html(date_i18n($date_format, strtotime($delivery['next_attempt_at'])))
+                            ); ?></span>
+                            <?php endif; ?>
+                        </td>
+                        <td><?php echo absint($delivery['attempts']); ?></td>
+                        <td><?php echo esc_html(trim(($delivery['response_code'] ? $delivery['response_code'] . ' ' : '') . $delivery['response_message'])); ?></td>
+                    </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+            
+            <?php if ($total_pages > 1) : ?>
+            <div class="tablenav">
+                <div class="tablenav-pages">
+                    <?php echo paginate_links(array(
+                        'base' => add_query_arg('paged', '%#%', $log_webhook !== '' ? add_query_arg('webhook', $log_webhook, $page_url) : $page_url),
+                        'format' => '',
+                        'current' => $current_page,
+                        'total' => $total_pages
+                    )); ?>
+                </div>
+            </div>
+            <?php endif; ?>
+        </div>
+        
+        <script>
+        jQuery(document).ready(function($) {
+            // Send a test event to a webhook
+            $('.wcra-test-webhook').on('click', function() {
+                const $button = $(this);
+                const $result = $button.closest('td').find('.wcra-test-webhook-result');
+                
+                $button.prop('disabled', true);
+                $result.text('<?php echo esc_js(__('Sending...', 'wc-realtime-analytics')); ?>').css('color', '');
+                
+                $.ajax({
+                    url: ajaxurl,
+                    type: 'POST',
+                    data: {
+                        action: 'wc_realtime_test_webhook',
+                        nonce: '<?php echo esc_js(wp_create_nonce('wc_realtime_admin_nonce')); ?>',
+                        webhook_id: $button.data('webhook-id')
+                    },
+                    dataType: 'json',
+                    success: function(response) {
+                        const message = response.data && response.data.message ? response.data.message : '';
+                        
+                        $result.text(message || '<?php echo esc_js(__('Failed to send test event', 'wc-realtime-analytics')); ?>')
+                            .css('color', response.success ? 'green' : 'red');
+                    },
+                    error: function() {
+                        $result.text('<?php echo esc_js(__('Failed to send test event', 'wc-realtime-analytics')); ?>')
+                            .css('color', 'red');
+                    },
+                    complete: function() {
+                        $button.prop('disabled', false);
+                    }
+                });
+            });
+        });
+        </script>
+        <?php
+    }
+    
+    /**
+     * Render the settings page
+     */
+    public function render_settings_page() {
+        // Check capability
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'wc-realtime-analytics'));
+        }
+        
+        // Check if settings are being saved
+        if (isset($_POST['wc_realtime_save_settings']) && check_admin_referer('wc_realtime_settings_nonce')) {
+            $app_id = isset($_POST['wc_realtime_pusher_app_id']) ? sanitize_text_field($_POST['wc_realtime_pusher_app_id']) : '';
+            $key = isset($_POST['wc_realtime_pusher_key']) ? sanitize_text_field($_POST['wc_realtime_pusher_key']) : '';
+            $secret = isset($_POST['wc_realtime_pusher_secret']) ? sanitize_text_field($_POST['wc_realtime_pusher_secret']) : '';
+            $cluster = isset($_POST['wc_realtime_pusher_cluster']) ? $this->sanitize_pusher_cluster($_POST['wc_realtime_pusher_cluster']) : 'mt1';
+            $host = isset($_POST['wc_realtime_pusher_host']) ? WC_Realtime_Pusher::sanitize_host($_POST['wc_realtime_pusher_host']) : '';
+            $port = isset($_POST['wc_realtime_pusher_port']) ? absint($_POST['wc_realtime_pusher_port']) : 0;
+            $use_tls = !empty($_POST['wc_realtime_pusher_use_tls']);
+            
+            // Save settings
+            if ($this->pusher->save_settings($app_id, $key, $secret, $cluster, $host, $port, $use_tls)) {
+                // Show success message
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Settings saved successfully.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            } else {
+                // Show error message
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html__('Failed to save settings.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Check if custom events are being saved
+        $custom_events_text = null;
+        
+        if ($this->custom_events && isset($_POST['wc_realtime_save_custom_events']) && check_admin_referer('wc_realtime_settings_nonce')) {
+            $custom_events_text = isset($_POST['wc_realtime_custom_events']) ? sanitize_textarea_field(wp_unslash($_POST['wc_realtime_custom_events'])) : '';
+            $saved = $this->custom_events->save_definitions_text($custom_events_text);
+            
+            if (is_wp_error($saved)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($saved->get_error_message()) . 
+                     '</p></div>';
+            } else {
+                // Show the normalized definitions
+                $custom_events_text = null;
+                
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Custom events saved successfully.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Check if privacy settings are being saved
+        if ($this->privacy && isset($_POST['wc_realtime_save_privacy']) && check_admin_referer('wc_realtime_settings_nonce')) {
+            $saved = $this->privacy->save_settings(array(
+                'consent_mode' => isset($_POST['wc_realtime_consent_mode']) ? sanitize_key($_POST['wc_realtime_consent_mode']) : 'off',
+                'consent_cookie' => isset($_POST['wc_realtime_consent_cookie']) ? sanitize_text_field(wp_unslash($_POST['wc_realtime_consent_cookie'])) : '',
+                'respect_dnt' => !empty($_POST['wc_realtime_respect_dnt']),
+                'ip_mode' => isset($_POST['wc_realtime_ip_mode']) ? sanitize_key($_POST['wc_realtime_ip_mode']) : 'raw'
+            ));
+            
+            if (is_wp_error($saved)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($saved->get_error_message()) . 
+                     '</p></div>';
+            } else {
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Privacy settings saved successfully.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Check if staff traffic settings are being saved
+        if ($this->staff_filter && isset($_POST['wc_realtime_save_staff_filter']) && check_admin_referer('wc_realtime_settings_nonce')) {
+            $saved = $this->staff_filter->save_settings(array(
+                'excluded_roles' => isset($_POST['wc_realtime_excluded_roles']) ? array_map('sanitize_key', (array) $_POST['wc_realtime_excluded_roles']) : array(),
+                'office_ips' => isset($_POST['wc_realtime_office_ips']) ? sanitize_textarea_field(wp_unslash($_POST['wc_realtime_office_ips'])) : '',
+                'test_mode' => !empty($_POST['wc_realtime_staff_test_mode'])
+            ));
+            
+            if (is_wp_error($saved)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($saved->get_error_message()) . 
+                     '</p></div>';
+            } else {
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Staff traffic settings saved successfully.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Check if bot filter settings are being saved
+        if ($this->bot_filter && isset($_POST['wc_realtime_save_bot_filter']) && check_admin_referer('wc_realtime_settings_nonce')) {
+            $saved = $this->bot_filter->save_settings(array(
+                'enabled' => !empty($_POST['wc_realtime_bot_filter']),
+                'excluded_ips' => isset($_POST['wc_realtime_excluded_ips']) ? sanitize_textarea_field(wp_unslash($_POST['wc_realtime_excluded_ips'])) : '',
+                'excluded_user_agents' => isset($_POST['wc_realtime_excluded_user_agents']) ? sanitize_textarea_field(wp_unslash($_POST['wc_realtime_excluded_user_agents'])) : ''
+            ));
+            
+            if (is_wp_error($saved)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($saved->get_error_message()) . 
+                     '</p></div>';
+            } else {
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html__('Bot filter settings saved successfully.', 'wc-realtime-analytics') . 
+                     '</p></div>';
+            }
+        }
+        
+        // Check if personal data is being looked up or erased
+        $subject_type = 'email';
+        $subject_value = '';
+        
+        if ($this->privacy && (isset($_POST['wc_realtime_find_personal_data']) || isset($_POST['wc_realtime_erase_personal_data'])) && check_admin_referer('wc_realtime_privacy_nonce')) {
+            $subject_type = isset($_POST['subject_type']) ? sanitize_key($_POST['subject_type']) : 'email';
+            $subject_value = isset($_POST['subject_value']) ? sanitize_text_field(wp_unslash($_POST['subject_value'])) : '';
+            $subject = $this->privacy->find_subject($subject_type, $subject_value);
+            
+            if (is_wp_error($subject)) {
+                echo '<div class="notice notice-error is-dismissible"><p>' . 
+                     esc_html($subject->get_error_message()) . 
+                     '</p></div>';
+            } elseif (isset($_POST['wc_realtime_erase_personal_data'])) {
+                $erased = $this->privacy->erase_events($subject);
+                
+                echo '<div class="notice notice-success is-dismissible"><p>' . 
+                     esc_html(sprintf(
+                         /* translators: %d: number of events */
+                         _n('%d event erased.', '%d events erased.', $erased, 'wc-realtime-analytics'),
+                         $erased
+                     )) . 
+                     '</p></div>';
+            } else {
+                $count = $this->privacy->count_events($subject);
+                
+                echo '<div class="notice notice-info is-dismissible"><p>' . 
+                     esc_html(sprintf(
+                         /* translators: 1: number of events, 2: number of sessions, 3: number of orders */
+                         __('Found %1$d events in %2$d sessions and %3$d orders.', 'wc-realtime-analytics'),
+                         $count,
+                         count($subject['session_ids']),
+                         count($subject['order_ids'])
+                     )) . 
+                     '</p></div>';
+            }
+        }
+        
+        ?>
+        <div class="wrap">
+            <h1><?php _e('WooCommerce Real-time Analytics Settings', 'wc-realtime-analytics'); ?></h1>
+            
+            <form method="post" action="">
+                <?php wp_nonce_field('wc_realtime_settings_nonce'); ?>
+                
+                <table class="form-table">
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Pusher App ID', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="text" name="wc_realtime_pusher_app_id" value="<?php echo esc_attr(get_option('wc_realtime_pusher_app_id')); ?>" class="regular-text" />
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Pusher Key', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="text" name="wc_realtime_pusher_key" value="<?php echo esc_attr(get_option('wc_realtime_pusher_key')); ?>" class="regular-text" />
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Pusher Secret', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <input type="password" name="wc_realtime_pusher_secret" value="<?php echo esc_attr(get_option('wc_realtime_pusher_secret')); ?>" class="regular-text" />
+                        </td>
+                    </tr>
+                    
+                    <tr valign="top">
+                        <th scope="row"><?php _e('Pusher Cluster', 'wc-realtime-analytics'); ?></th>
+                        <td>
+                            <select name="wc_realtime_pusher_cluster">
+                                <option value="mt1" <?php selected(get_option('wc_realtime_pusher_cluster'), 'mt1'); ?>>mt1 (US East)</option>
+                                <option value="us2" <?php selected(get_option('wc_realtime_pusher_cluster'), 'us2'); ?>>us2 (US East)</option>
+                                <option value="us3" <?php selected(get_option('wc_realtime_pusher_cluster'), 'us3'); ?>>us3 (US West)</option>
+                                <option value="eu" <?php selected(get_option('wc_realtime_pusher_cluster'), 'eu'); ?>>eu (Europe)</option>
+                                <option value="ap1" <?php selected(get_option('wc_realtime_pusher_cluster'), 'ap1'); ?>>ap1 (Asia Pacific)</option>
+                                <option value="ap2" <?php selected(get_option('wc_realtime_pusher_cluster'), 'ap2'); ?>>ap2 (Asia Pacific)</option>
+                                <option value="ap3" <?php selected(get_option('wc_realtime_pusher_cluster'), 'ap3'); ?>>ap3 (Asia Pacific)</option>
+                               <option value="ap4" <?php selected(get_option('wc_realtime_pusher_cluster'), 'ap4'); ?>>ap4 (Asia Pacific)</option>
+                           </select>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Self-hosted Host', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <input type="text" name="wc_realtime_pusher_host" value="<?php echo esc_attr(get_option('wc_realtime_pusher_host')); ?>" class="regular-text" placeholder="soketi.example.com" />
+                           <p class="description"><?php _e('Leave empty to use Pusher. Set the host of a Pusher-compatible server such as Soketi to use it instead, the cluster is then ignored.', 'wc-realtime-analytics'); ?></p>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Self-hosted Port', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <input type="number" min="0" max="65535" name="wc_realtime_pusher_port" value="<?php echo esc_attr(get_option('wc_realtime_pusher_port') ? get_option('wc_realtime_pusher_port') : ''); ?>" class="small-text" placeholder="6001" />
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Use TLS', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <label>
+                               <input type="checkbox" name="wc_realtime_pusher_use_tls" value="yes" <?php checked(get_option('wc_realtime_pusher_use_tls', 'yes') !== 'no'); ?> />
+                               <?php _e('Connect over HTTPS and WSS', 'wc-realtime-analytics'); ?>
+                           </label>
+                       </td>
+                   </tr>
+               </table>
+               
+               <p class="submit">
+                   <input type="submit" name="wc_realtime_save_settings" class="button-primary" value="<?php esc_attr_e('Save Settings', 'wc-realtime-analytics'); ?>" />
+               </p>
+           </form>
+           
+           <?php if ($this->custom_events) : ?>
+           <hr>
+           
+           <h2><?php _e('Custom Events', 'wc-realtime-analytics'); ?></h2>
+           <p><?php printf(
+               esc_html__('Register the events your theme may send with %s. Events that are not registered here are rejected.', 'wc-realtime-analytics'),
+               '<code>window.WCRealtime.track(name, properties)</code>'
+           ); ?></p>
+           
+           <form method="post" action="">
+               <?php wp_nonce_field('wc_realtime_settings_nonce'); ?>
+               
+               <textarea name="wc_realtime_custom_events" rows="8" class="large-text code" placeholder="wishlist_add | Wishlist add | product_id:number, list:string"><?php echo esc_textarea($custom_events_text !== null ? $custom_events_text : $this->custom_events->get_definitions_text()); ?></textarea>
+               <p class="description"><?php _e('One event per line: name | label | property:type, property:type. Types are string, number and boolean, properties that are not listed are dropped.', 'wc-realtime-analytics'); ?></p>
+               
+               <p class="submit">
+                   <input type="submit" name="wc_realtime_save_custom_events" class="button-primary" value="<?php esc_attr_e('Save Custom Events', 'wc-realtime-analytics'); ?>" />
+               </p>
+           </form>
+           <?php endif; ?>
+           
+           <?php if ($this->privacy) : ?>
+           <?php $privacy_settings = $this->privacy->get_settings(); ?>
+           <hr>
+           
+           <h2><?php _e('Privacy', 'wc-realtime-analytics'); ?></h2>
+           
+           <form method="post" action="">
+               <?php wp_nonce_field('wc_realtime_settings_nonce'); ?>
+               
+               <table class="form-table">
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Consent', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <?php foreach ($this->privacy->get_consent_modes() as $mode => $label) : ?>
+                           <label style="display: block; margin-bottom: 5px;">
+                               <input type="radio" name="wc_realtime_consent_mode" value="<?php echo esc_attr($mode); ?>" <?php checked($privacy_settings['consent_mode'], $mode); ?> />
+                               <?php echo esc_html($label); ?>
+                           </label>
+                           <?php endforeach; ?>
+                           <p class="description"><?php printf(
+                               esc_html__('Nothing is tracked or stored in the browser until consent is given. Call %1$s from your cookie banner, %2$s withdraws it.', 'wc-realtime-analytics'),
+                               '<code>window.WCRealtime.consent(true)</code>',
+                               '<code>window.WCRealtime.consent(false)</code>'
+                           ); ?></p>
+                           <?php if ($privacy_settings['consent_mode'] === 'wp_consent_api' && !function_exists('wp_has_consent')) : ?>
+                           <p class="description" style="color: #d63638;"><?php _e('The WP Consent API plugin is not active, nothing is tracked until it is.', 'wc-realtime-analytics'); ?></p>
+                           <?php endif; ?>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Consent Cookie', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <input type="text" name="wc_realtime_consent_cookie" value="<?php echo esc_attr($privacy_settings['consent_cookie']); ?>" class="regular-text" placeholder="cookie_consent_statistics" />
+                           <p class="description"><?php _e('Name of the cookie your consent tool sets. Consent is given while it is set to anything but 0, false, no, deny or denied.', 'wc-realtime-analytics'); ?></p>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Do Not Track', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <label>
+                               <input type="checkbox" name="wc_realtime_respect_dnt" value="yes" <?php checked($privacy_settings['respect_dnt']); ?> />
+                               <?php _e('Never track browsers that send Do Not Track or Global Privacy Control', 'wc-realtime-analytics'); ?>
+                           </label>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('IP Addresses', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <select name="wc_realtime_ip_mode">
+                               <?php foreach ($this->privacy->get_ip_modes() as $mode => $label) : ?>
+                               <option value="<?php echo esc_attr($mode); ?>" <?php selected($privacy_settings['ip_mode'], $mode); ?>><?php echo esc_html($label); ?></option>
+                               <?php endforeach; ?>
+                           </select>
+                           <p class="description"><?php _e('Countries are looked up before the address is stored. Hashed addresses still count unique visitors per day. Events stored earlier keep their addresses.', 'wc-realtime-analytics'); ?></p>
+                       </td>
+                   </tr>
+               </table>
+               
+               <p class="submit">
+                   <input type="submit" name="wc_realtime_save_privacy" class="button-primary" value="<?php esc_attr_e('Save Privacy Settings', 'wc-realtime-analytics'); ?>" />
+               </p>
+           </form>
+           
+           <h3><?php _e('Personal Data', 'wc-realtime-analytics'); ?></h3>
+           <p><?php printf(
+               esc_html__('Find, export or erase the tracked events of a customer, including the other events of their sessions. Requests made under %s include these events too.', 'wc-realtime-analytics'),
+               '<a href="' . esc_url(admin_url('export-personal-data.php')) . '">' . esc_html__('Tools &gt; Export Personal Data', 'wc-realtime-analytics') . '</a>'
+           ); ?></p>
+           
+           <form method="post" action="">
+               <?php wp_nonce_field('wc_realtime_privacy_nonce'); ?>
+               
+               <select name="subject_type">
+                   <?php foreach ($this->privacy->get_subject_types() as $type => $label) : ?>
+                   <option value="<?php echo esc_attr($type); ?>" <?php selected($subject_type, $type); ?>><?php echo esc_html($label); ?></option>
+                   <?php endforeach; ?>
+               </select>
+               <input type="text" name="subject_value" value="<?php echo esc_attr($subject_value); ?>" class="regular-text" required />
+               
+               <input type="submit" name="wc_realtime_find_personal_data" class="button" value="<?php esc_attr_e('Find Events', 'wc-realtime-analytics'); ?>" />
+               <button type="submit" name="action" value="wc_realtime_privacy_export" class="button" formaction="<?php echo esc_url(admin_url('admin-post.php')); ?>"><?php _e('Export JSON', 'wc-realtime-analytics'); ?></button>
+               <input type="submit" name="wc_realtime_erase_personal_data" class="button button-link-delete" value="<?php esc_attr_e('Erase Events', 'wc-realtime-analytics'); ?>" onclick="return confirm('<?php esc_attr_e('Erase all tracked events of this customer? This cannot be undone.', 'wc-realtime-analytics'); ?>');" />
+           </form>
+           <?php endif; ?>
+           
+           <?php if ($this->staff_filter) : ?>
+           <?php $staff_settings = $this->staff_filter->get_settings(); ?>
+           <hr>
+           
+           <h2><?php _e('Staff Traffic', 'wc-realtime-analytics'); ?></h2>
+           
+           <form method="post" action="">
+               <?php wp_nonce_field('wc_realtime_settings_nonce'); ?>
+               
+               <table class="form-table">
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Excluded Roles', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <?php foreach ($this->staff_filter->get_roles() as $role => $role_name) : ?>
+                           <label style="display: block; margin-bottom: 5px;">
+                               <input type="checkbox" name="wc_realtime_excluded_roles[]" value="<?php echo esc_attr($role); ?>" <?php checked(in_array($role, $staff_settings['excluded_roles'], true)); ?> />
+                               <?php echo esc_html(translate_user_role($role_name)); ?>
+                           </label>
+                           <?php endforeach; ?>
+                           <p class="description"><?php _e('Logged-in users with any of these roles are not tracked.', 'wc-realtime-analytics'); ?></p>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Office IP Addresses', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <textarea name="wc_realtime_office_ips" rows="5" class="large-text code" placeholder="203.0.113.7&#10;198.51.100.0/24"><?php echo esc_textarea($staff_settings['office_ips']); ?></textarea>
+                           <p class="description"><?php _e('One IP address or CIDR range per line. Everyone browsing from these addresses counts as staff, logged in or not.', 'wc-realtime-analytics'); ?></p>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Test Mode', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <label>
+                               <input type="checkbox" name="wc_realtime_staff_test_mode" value="yes" <?php checked($staff_settings['test_mode']); ?> />
+                               <?php _e('Track staff as test traffic instead of dropping it', 'wc-realtime-analytics'); ?>
+                           </label>
+                           <p class="description"><?php _e('Test events show up in the live feed with a Test badge but are left out of all statistics, reports, exports and webhooks.', 'wc-realtime-analytics'); ?></p>
+                       </td>
+                   </tr>
+               </table>
+               
+               <p class="submit">
+                   <input type="submit" name="wc_realtime_save_staff_filter" class="button-primary" value="<?php esc_attr_e('Save Staff Traffic Settings', 'wc-realtime-analytics'); ?>" />
+               </p>
+           </form>
+           <?php endif; ?>
+           
+           <?php if ($this->bot_filter) : ?>
+           <?php $bot_settings = $this->bot_filter->get_settings(); ?>
+           <hr>
+           
+           <h2><?php _e('Bot Filtering', 'wc-realtime-analytics'); ?></h2>
+           <p><?php _e('Requests from crawlers, uptime monitors and scrapers are stored apart from the events and shown as excluded bots on the dashboard. They never count as visitors.', 'wc-realtime-analytics'); ?></p>
+           
+           <form method="post" action="">
+               <?php wp_nonce_field('wc_realtime_settings_nonce'); ?>
+               
+               <table class="form-table">
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Filter Bots', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <label>
+                               <input type="checkbox" name="wc_realtime_bot_filter" value="yes" <?php checked($bot_settings['enabled']); ?> />
+                               <?php _e('Exclude known bots, browsers that never ran the tracking script or showed the page, and IP addresses or sessions sending too many requests', 'wc-realtime-analytics'); ?>
+                           </label>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Excluded IP Addresses', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <textarea name="wc_realtime_excluded_ips" rows="5" class="large-text code" placeholder="203.0.113.7&#10;198.51.100.0/24"><?php echo esc_textarea($bot_settings['excluded_ips']); ?></textarea>
+                           <p class="description"><?php _e('One IP address or CIDR range per line.', 'wc-realtime-analytics'); ?></p>
+                       </td>
+                   </tr>
+                   
+                   <tr valign="top">
+                       <th scope="row"><?php _e('Excluded User Agents', 'wc-realtime-analytics'); ?></th>
+                       <td>
+                           <textarea name="wc_realtime_excluded_user_agents" rows="5" class="large-text code"><?php echo esc_textarea($bot_settings['excluded_user_agents']); ?></textarea>
+                           <p class="description"><?php _e('One user agent fragment per line, matched anywhere in the user agent and ignoring case.', 'wc-realtime-analytics'); ?></p>
+                       </td>
+                   </tr>
+               </table>
+               
+               <p class="submit">
+                   <input type="submit" name="wc_realtime_save_bot_filter" class="button-primary" value="<?php esc_attr_e('Save Bot Filter Settings', 'wc-realtime-analytics'); ?>" />
+               </p>
+           </form>
+           <?php endif; ?>
+           
+           <hr>
+           
+           <h2><?php _e('Setup Instructions', 'wc-realtime-analytics'); ?></h2>
+           <ol>
+               <li><?php printf(
+                   esc_html__('Create a free account at %s', 'wc-realtime-analytics'),
+                   '<a href="https://pusher.com/" target="_blank">Pusher.com</a>'
+               ); ?></li>
+               <li><?php esc_html_e('Create a new Channels app in your Pusher dashboard', 'wc-realtime-analytics'); ?></li>
+               <li><?php esc_html_e('Copy the App ID, Key, and Secret from your Pusher app', 'wc-realtime-analytics'); ?></li>
+               <li><?php esc_html_e('Select the appropriate cluster for your region', 'wc-realtime-analytics'); ?></li>
+               <li><?php esc_html_e('Enter these details above and save the settings', 'wc-realtime-analytics'); ?></li>
+           </ol>
+           
+           <p><?php esc_html_e('Once configured, real-time analytics will begin tracking automatically.', 'wc-realtime-analytics'); ?></p>
+       </div>
+       <?php
+   }
+   
+   /**
+    * AJAX handler to get statistics
+    */
+   public function ajax_get_stats() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Get timeframe parameter
+       $timeframe = isset($_POST['timeframe']) ? sanitize_text_field($_POST['timeframe']) : 'today';
+       
+       // Validate timeframe
+       $valid_timeframes = array(
+           'today', 'yesterday', 'this_week', 'this_month', 
+           'last_7_days', 'last_30_days', 'custom'
+       );
+       
+       if (!in_array($timeframe, $valid_timeframes, true)) {
+           wp_send_json_error(array(
+               'message' => __('Invalid timeframe', 'wc-realtime-analytics')
+           ), 400);
+           exit;
+       }
+       
+       // Get date range for custom timeframe
+       $from_date = '';
+       $to_date = '';
+       
+       if ($timeframe === 'custom') {
+           $from_date = isset($_POST['from_date']) ? sanitize_text_field($_POST['from_date']) : '';
+           $to_date = isset($_POST['to_date']) ? sanitize_text_field($_POST['to_date']) : '';
+           
+           // Validate date format
+           if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $from_date) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $to_date)) {
+               wp_send_json_error(array(
+                   'message' => __('Invalid date format', 'wc-realtime-analytics')
+               ), 400);
+               exit;
+           }
+       }
+       
+       // Get statistics based on timeframe
+       $stats = array();
+       
+       try {
+           // The data handler adds conversion rates, trends and the comparison period
+           if ($this->data) {
+               $stats = $this->data->get_dashboard_data($timeframe, $from_date, $to_date);
+           } else {
+               switch ($timeframe) {
+                   case 'today':
+                       $stats = $this->db->get_today_stats();
+                       break;
+                   
+                   case 'yesterday':
+                       $stats = $this->db->get_yesterday_stats();
+                       break;
+                   
+                   case 'this_week':
+                       $stats = $this->db->get_this_week_stats();
+                       break;
+                   
+                   case 'this_month':
+                       $stats = $this->db->get_this_month_stats();
+                       break;
+                   
+                   case 'last_7_days':
+                       $stats = $this->db->get_last_7_days_stats();
+                       break;
+                   
+                   case 'last_30_days':
+                       $stats = $this->db->get_last_30_days_stats();
+                       break;
+                   
+                   case 'custom':
+                       if (!empty($from_date) && !empty($to_date)) {
+                           $stats = $this->db->get_custom_range_stats($from_date, $to_date);
+                       } else {
+                           $stats = $this->db->get_today_stats();
+                       }
+                       break;
+                   
+                   default:
+                       $stats = $this->db->get_today_stats();
+                       break;
+               }
+           }
+           
+           // Ensure we have a properly structured response
+           if (!isset($stats['store']) || !isset($stats['products']) || !isset($stats['countries']) || !isset($stats['timeseries'])) {
+               $stats = array(
+                   'store' => isset($stats['store']) ? $stats['store'] : array(),
+                   'products' => isset($stats['products']) ? $stats['products'] : array(),
+                   'countries' => isset($stats['countries']) ? $stats['countries'] : array(),
+                   'timeseries' => isset($stats['timeseries']) ? $stats['timeseries'] : array()
+               );
+           }
+           
+           // Alerts raised since the dashboard was opened, for transports that do not push them
+           if ($this->alerts) {
+               $stats['alerts'] = $this->alerts->get_dashboard_alerts();
+           }
+           
+           // Visitors on the site now, whatever the period
+           $stats['active_visitors'] = $this->get_active_visitors();
+           
+           // Live events are only counted into periods that run until now
+           $data_handler = $this->data ? $this->data : new WC_Realtime_Data($this->db);
+           $range = $data_handler->get_timeframe_range($timeframe, $from_date, $to_date);
+           $stats['includes_now'] = $range['end_date'] >= current_time('Y-m-d');
+           
+           wp_send_json_success($stats);
+       } catch (Exception $e) {
+           wp_send_json_error(array(
+               'message' => $e->getMessage()
+           ), 500);
+       }
+   }
+   
+   /**
+    * AJAX handler to get a page of events for the Live Events feed
+    */
+   public function ajax_get_events() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       $event_type = isset($_POST['event_type']) ? sanitize_text_field($_POST['event_type']) : '';
+       
+       // Validate event type filter
+       if ($event_type !== '' && !in_array($event_type, $this->db->get_event_types(), true)) {
+           wp_send_json_error(array(
+               'message' => __('Invalid event type', 'wc-realtime-analytics')
+           ), 400);
+           exit;
+       }
+       
+       try {
+           $result = $this->db->get_events(array(
+               'limit' => isset($_POST['limit']) ? absint($_POST['limit']) : 20,
+               'before_id' => isset($_POST['before_id']) ? absint($_POST['before_id']) : 0,
+               'event_type' => $event_type,
+               'product_id' => isset($_POST['product_id']) ? absint($_POST['product_id']) : 0,
+               'country_code' => isset($_POST['country_code']) ? sanitize_text_field($_POST['country_code']) : '',
+               'source' => isset($_POST['source']) ? sanitize_text_field(wp_unslash($_POST['source'])) : ''
+           ));
+           
+           wp_send_json_success(array(
+               'events' => array_map(array($this, 'format_event'), $result['events']),
+               'has_more' => $result['has_more'],
+               'next_cursor' => $result['next_cursor']
+           ));
+       } catch (Exception $e) {
+           wp_send_json_error(array(
+               'message' => $e->getMessage()
+           ), 500);
+       }
+   }
+   
+   /**
+    * AJAX handler to get recent sessions
+    */
+   public function ajax_get_sessions() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       $status = isset($_POST['status']) ? sanitize_text_field($_POST['status']) : '';
+       
+       // Validate status filter
+       if ($status !== '' && !in_array($status, array('purchased', 'abandoned_checkout', 'abandoned_cart'), true)) {
+           wp_send_json_error(array(
+               'message' => __('Invalid session status', 'wc-realtime-analytics')
+           ), 400);
+           exit;
+       }
+       
+       try {
+           $result = $this->db->get_sessions(array(
+               'limit' => isset($_POST['limit']) ? absint($_POST['limit']) : 20,
+               'offset' => isset($_POST['offset']) ? absint($_POST['offset']) : 0,
+               'days' => isset($_POST['days']) ? absint($_POST['days']) : 7,
+               'search' => isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : '',
+               'country_code' => isset($_POST['country_code']) ? sanitize_text_field($_POST['country_code']) : '',
+               'status' => $status
+           ));
+           
+           wp_send_json_success(array(
+               'sessions' => array_map(array($this, 'format_session'), $result['sessions']),
+               'has_more' => $result['has_more']
+           ));
+       } catch (Exception $e) {
+           wp_send_json_error(array(
+               'message' => $e->getMessage()
+           ), 500);
+       }
+   }
+   
+   /**
+    * AJAX handler to get the timeline of a single session
+    */
+   public function ajax_get_session() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       $session_id = isset($_POST['session_id']) ? sanitize_text_field(wp_unslash($_POST['session_id'])) : '';
+       
+       if ($session_id === '') {
+           wp_send_json_error(array(
+               'message' => __('Missing session ID', 'wc-realtime-analytics')
+           ), 400);
+           exit;
+       }
+       
+       try {
+           $rows = $this->db->get_session_events($session_id);
+           
+           if (empty($rows)) {
+               wp_send_json_error(array(
+                   'message' => __('Session not found', 'wc-realtime-analytics')
+               ), 404);
+               exit;
+           }
+           
+           $first = reset($rows);
+           $last = end($rows);
+           $revenue = 0;
+           $order_id = 0;
+           
+           foreach ($rows as $row) {
+               if ($row['event_type'] === 'purchase' && empty($row['product_id'])) {
+                   $revenue += (float)$row['revenue'];
+                   $order_id = (int)$row['order_id'];
+               }
+           }
+           
+           wp_send_json_success(array(
+               'session' => $this->format_session(array(
+                   'session_id' => $session_id,
+                   'started_at' => $first['created_at'],
+                   'last_seen_at' => $last['created_at'],
+                   'events' => count($rows),
+                   'country_code' => $last['country_code'],
+                   'country_name' => $last['country_name'],
+                   'add_to_cart' => count(wp_list_filter($rows, array('event_type' => 'add_to_cart'))),
+                   'checkouts' => count(wp_list_filter($rows, array('event_type' => 'checkout'))),
+                   'purchases' => count(wp_list_filter($rows, array('event_type' => 'purchase', 'product_id' => 0))),
+                   'revenue' => $revenue,
+                   'order_id' => $order_id
+               )),
+               'timeline' => $this->format_session_timeline($rows),
+               'attribution' => $this->db->get_session_attribution($session_id)
+           ));
+       } catch (Exception $e) {
+           wp_send_json_error(array(
+               'message' => $e->getMessage()
+           ), 500);
+       }
+   }
+   
+   /**
+    * AJAX handler to get a page of the products table
+    */
+   public function ajax_get_products() {
+       $this->send_table_report('products');
+   }
+   
+   /**
+    * AJAX handler to get a page of the countries table
+    */
+   public function ajax_get_countries() {
+       $this->send_table_report('countries');
+   }
+   
+   /**
+    * Send a sorted, searched and paged dashboard table
+    *
+    * @param string $table products or countries
+    */
+   private function send_table_report($table) {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       if (!$this->data) {
+           wp_send_json_error(array(
+               'message' => __('Reports are not available', 'wc-realtime-analytics')
+           ), 500);
+           exit;
+       }
+       
+       $timeframe = isset($_POST['timeframe']) ? sanitize_text_field($_POST['timeframe']) : 'today';
+       $from_date = isset($_POST['from_date']) ? sanitize_text_field($_POST['from_date']) : '';
+       $to_date = isset($_POST['to_date']) ? sanitize_text_field($_POST['to_date']) : '';
+       $args = array(
+           'page' => isset($_POST['page']) ? absint($_POST['page']) : 1,
+           'per_page' => isset($_POST['per_page']) ? absint($_POST['per_page']) : 20,
+           'orderby' => isset($_POST['orderby']) ? sanitize_key($_POST['orderby']) : 'visitors',
+           'group' => isset($_POST['group']) ? sanitize_key($_POST['group']) : 'product',
+           'order' => isset($_POST['order']) && $_POST['order'] === 'asc' ? 'asc' : 'desc',
+           'search' => isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : ''
+       );
+       
+       try {
+           if ($table === 'countries') {
+               $report = $this->data->get_countries_report($timeframe, $from_date, $to_date, $args);
+           } else {
+               $report = $this->data->get_products_report($timeframe, $from_date, $to_date, $args);
+           }
+           
+           wp_send_json_success($report);
+       } catch (Exception $e) {
+           wp_send_json_error(array(
+               'message' => $e->getMessage()
+           ), 500);
+       }
+   }
+   
+   /**
+    * AJAX handler to get the drill-down of a product
+    */
+   public function ajax_get_product() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       if (!$this->data) {
+           wp_send_json_error(array(
+               'message' => __('Reports are not available', 'wc-realtime-analytics')
+           ), 500);
+           exit;
+       }
+       
+       $product_id = isset($_POST['product_id']) ? absint($_POST['product_id']) : 0;
+       $timeframe = isset($_POST['timeframe']) ? sanitize_text_field($_POST['timeframe']) : 'today';
+       $from_date = isset($_POST['from_date']) ? sanitize_text_field($_POST['from_date']) : '';
+       $to_date = isset($_POST['to_date']) ? sanitize_text_field($_POST['to_date']) : '';
+       
+       try {
+           $detail = $this->data->get_product_detail($product_id, $timeframe, $from_date, $to_date);
+           
+           if (is_wp_error($detail)) {
+               $error_data = $detail->get_error_data();
+               
+               wp_send_json_error(array(
+                   'message' => $detail->get_error_message()
+               ), isset($error_data['status']) ? $error_data['status'] : 400);
+               exit;
+           }
+           
+           wp_send_json_success($detail);
+       } catch (Exception $e) {
+           wp_send_json_error(array(
+               'message' => $e->getMessage()
+           ), 500);
+       }
+   }
+   
+   /**
+    * AJAX handler for the regions of a country on the map
+    */
+   public function ajax_get_regions() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       if (!$this->data) {
+           wp_send_json_error(array(
+               'message' => __('Reports are not available', 'wc-realtime-analytics')
+           ), 500);
+           exit;
+       }
+       
+       $country_code = isset($_POST['country_code']) ? sanitize_text_field($_POST['country_code']) : '';
+       $timeframe = isset($_POST['timeframe']) ? sanitize_text_field($_POST['timeframe']) : 'today';
+       $from_date = isset($_POST['from_date']) ? sanitize_text_field($_POST['from_date']) : '';
+       $to_date = isset($_POST['to_date']) ? sanitize_text_field($_POST['to_date']) : '';
+       
+       try {
+           $regions = $this->data->get_country_regions($country_code, $timeframe, $from_date, $to_date);
            
-           <p><?php esc_html_e('Once configured, real-time analytics will begin tracking automatically.', 'wc-realtime-analytics'); ?></p>
-       </div>
-       <?php
+           if (is_wp_error($regions)) {
+               $error_data = $regions->get_error_data();
+               
+               wp_send_json_error(array(
+                   'message' => $regions->get_error_message()
+               ), isset($error_data['status']) ? $error_data['status'] : 400);
+               exit;
+           }
+           
+           wp_send_json_success($regions);
+       } catch (Exception $e) {
+           wp_send_json_error(array(
+               'message' => $e->getMessage()
+           ), 500);
+       }
    }
    
    /**
-    * AJAX handler to get statistics
+    * AJAX handler to get the number of visitors on the site now
     */
-   public function ajax_get_stats() {
+   public function ajax_get_active_visitors() {
        // Verify nonce
        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
            wp_send_json_error(array(
@@ -679,91 +3001,281 @@ class WC_Realtime_Admin {
            exit;
        }
        
-       // Get timeframe parameter
-       $timeframe = isset($_POST['timeframe']) ? sanitize_text_field($_POST['timeframe']) : 'today';
+       wp_send_json_success(array('active_visitors' => $this->get_active_visitors()));
+   }
+   
+   /**
+    * AJAX handler to get the weekly acquisition cohorts of the retention grid
+    */
+   public function ajax_get_cohorts() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
        
-       // Validate timeframe
-       $valid_timeframes = array(
-           'today', 'yesterday', 'this_week', 'this_month', 
-           'last_7_days', 'last_30_days', 'custom'
-       );
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
        
-       if (!in_array($timeframe, $valid_timeframes, true)) {
+       wp_send_json_success(array(
+           'weeks' => self::COHORT_WEEKS,
+           'cohorts' => $this->db->get_cohort_retention(self::COHORT_WEEKS)
+       ));
+   }
+   
+   /**
+    * Count the visitors that sent a heartbeat in the last ACTIVE_VISITOR_WINDOW seconds
+    *
+    * @return int Number of sessions
+    */
+   private function get_active_visitors() {
+       return $this->db->count_active_visitors(date('Y-m-d H:i:s', current_time('timestamp') - self::ACTIVE_VISITOR_WINDOW));
+   }
+   
+   /**
+    * AJAX handler to dismiss an alert from the dashboard banner
+    */
+   public function ajax_dismiss_alert() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
            wp_send_json_error(array(
-               'message' => __('Invalid timeframe', 'wc-realtime-analytics')
-           ), 400);
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
            exit;
        }
        
-       // Get date range for custom timeframe
-       $from_date = '';
-       $to_date = '';
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
        
-       if ($timeframe === 'custom') {
-           $from_date = isset($_POST['from_date']) ? sanitize_text_field($_POST['from_date']) : '';
-           $to_date = isset($_POST['to_date']) ? sanitize_text_field($_POST['to_date']) : '';
+       $alert_id = isset($_POST['alert_id']) ? absint($_POST['alert_id']) : 0;
+       
+       if (!$alert_id || !$this->db->dismiss_alert($alert_id)) {
+           wp_send_json_error(array(
+               'message' => __('Alert not found', 'wc-realtime-analytics')
+           ), 404);
+           exit;
+       }
+       
+       wp_send_json_success(array('alert_id' => $alert_id));
+   }
+   
+   /**
+    * AJAX handler to create or update a funnel
+    */
+   public function ajax_save_funnel() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       if (!$this->funnels) {
+           wp_send_json_error(array(
+               'message' => __('Funnels are not available', 'wc-realtime-analytics')
+           ), 500);
+           exit;
+       }
+       
+       $funnel = $this->funnels->save_funnel(array(
+           'id' => isset($_POST['funnel_id']) ? wp_unslash($_POST['funnel_id']) : '',
+           'name' => isset($_POST['name']) ? wp_unslash($_POST['name']) : '',
+           'steps' => isset($_POST['steps']) && is_array($_POST['steps']) ? wp_unslash($_POST['steps']) : array()
+       ));
+       
+       if (is_wp_error($funnel)) {
+           $error_data = $funnel->get_error_data();
            
-           // Validate date format
-           if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $from_date) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $to_date)) {
+           wp_send_json_error(array(
+               'message' => $funnel->get_error_message()
+           ), isset($error_data['status']) ? $error_data['status'] : 400);
+           exit;
+       }
+       
+       wp_send_json_success(array(
+           'funnel' => $funnel,
+           'funnels' => $this->funnels->get_funnels()
+       ));
+   }
+   
+   /**
+    * AJAX handler to delete a funnel
+    */
+   public function ajax_delete_funnel() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       if (!$this->funnels) {
+           wp_send_json_error(array(
+               'message' => __('Funnels are not available', 'wc-realtime-analytics')
+           ), 500);
+           exit;
+       }
+       
+       $result = $this->funnels->delete_funnel(isset($_POST['funnel_id']) ? sanitize_key(wp_unslash($_POST['funnel_id'])) : '');
+       
+       if (is_wp_error($result)) {
+           $error_data = $result->get_error_data();
+           
+           wp_send_json_error(array(
+               'message' => $result->get_error_message()
+           ), isset($error_data['status']) ? $error_data['status'] : 400);
+           exit;
+       }
+       
+       wp_send_json_success(array(
+           'funnels' => $this->funnels->get_funnels()
+       ));
+   }
+   
+   /**
+    * AJAX handler to get the per-session report of a funnel
+    */
+   public function ajax_get_funnel_report() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       if (!$this->funnels) {
+           wp_send_json_error(array(
+               'message' => __('Funnels are not available', 'wc-realtime-analytics')
+           ), 500);
+           exit;
+       }
+       
+       $funnel_id = isset($_POST['funnel_id']) ? sanitize_key(wp_unslash($_POST['funnel_id'])) : WC_Realtime_Funnels::DEFAULT_FUNNEL_ID;
+       $timeframe = isset($_POST['timeframe']) ? sanitize_text_field($_POST['timeframe']) : 'today';
+       $from_date = isset($_POST['from_date']) ? sanitize_text_field($_POST['from_date']) : '';
+       $to_date = isset($_POST['to_date']) ? sanitize_text_field($_POST['to_date']) : '';
+       $compare = !empty($_POST['compare']) && $_POST['compare'] !== 'false';
+       
+       try {
+           $report = $this->funnels->get_report($funnel_id, $timeframe, $from_date, $to_date, $compare);
+           
+           if (is_wp_error($report)) {
+               $error_data = $report->get_error_data();
+               
                wp_send_json_error(array(
-                   'message' => __('Invalid date format', 'wc-realtime-analytics')
-               ), 400);
+                   'message' => $report->get_error_message()
+               ), isset($error_data['status']) ? $error_data['status'] : 400);
                exit;
            }
+           
+           wp_send_json_success($report);
+       } catch (Exception $e) {
+           wp_send_json_error(array(
+               'message' => $e->getMessage()
+           ), 500);
+       }
+   }
+   
+   /**
+    * AJAX handler for long-polling live events
+    * 
+    * Waits until events newer than the cursor exist or the wait time is over.
+    */
+   public function ajax_poll_events() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
        }
        
-       // Get statistics based on timeframe
-       $stats = array();
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       $after_id = isset($_POST['after_id']) ? absint($_POST['after_id']) : 0;
+       $wait = isset($_POST['wait']) ? min(self::POLL_MAX_WAIT, absint($_POST['wait'])) : 0;
        
        try {
-           switch ($timeframe) {
-               case 'today':
-                   $stats = $this->db->get_today_stats();
-                   break;
-                   
-               case 'yesterday':
-                   $stats = $this->db->get_yesterday_stats();
-                   break;
-                   
-               case 'this_week':
-                   $stats = $this->db->get_this_week_stats();
-                   break;
-                   
-               case 'this_month':
-                   $stats = $this->db->get_this_month_stats();
-                   break;
-                   
-               case 'last_7_days':
-                   $stats = $this->db->get_last_7_days_stats();
-                   break;
-                   
-               case 'last_30_days':
-                   $stats = $this->db->get_last_30_days_stats();
-                   break;
-                   
-               case 'custom':
-                   if (!empty($from_date) && !empty($to_date)) {
-                       $stats = $this->db->get_custom_range_stats($from_date, $to_date);
-                   } else {
-                       $stats = $this->db->get_today_stats();
-                   }
-                   break;
-                   
-               default:
-                   $stats = $this->db->get_today_stats();
-                   break;
+           // Without a cursor start from the latest event, older ones are loaded by the feed
+           if (!isset($_POST['after_id'])) {
+               wp_send_json_success(array(
+                   'events' => array(),
+                   'cursor' => $this->db->get_last_event_id()
+               ));
            }
            
-           // Ensure we have a properly structured response
-           if (!isset($stats['store']) || !isset($stats['products']) || !isset($stats['countries'])) {
-               $stats = array(
-                   'store' => isset($stats['store']) ? $stats['store'] : array(),
-                   'products' => isset($stats['products']) ? $stats['products'] : array(),
-                   'countries' => isset($stats['countries']) ? $stats['countries'] : array()
-               );
+           if (function_exists('set_time_limit')) {
+               set_time_limit($wait + 10);
            }
            
-           wp_send_json_success($stats);
+           $deadline = time() + $wait;
+           $rows = $this->db->get_events_since($after_id);
+           
+           while (empty($rows) && time() < $deadline && !connection_aborted()) {
+               sleep(1);
+               $rows = $this->db->get_events_since($after_id);
+           }
+           
+           $events = array();
+           $cursor = $after_id;
+           
+           foreach ($rows as $row) {
+               $event = $this->format_event($row);
+               $event['timestamp'] = $row['created_at'];
+               
+               $events[] = $event;
+               $cursor = max($cursor, (int)$row['id']);
+           }
+           
+           wp_send_json_success(array(
+               'events' => $events,
+               'cursor' => $cursor
+           ));
        } catch (Exception $e) {
            wp_send_json_error(array(
                'message' => $e->getMessage()
@@ -815,5 +3327,59 @@ class WC_Realtime_Admin {
            ));
        }
    }
+   
+   /**
+    * AJAX handler to send a test event to a webhook
+    */
+   public function ajax_test_webhook() {
+       // Verify nonce
+       if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_admin_nonce')) {
+           wp_send_json_error(array(
+               'message' => __('Security check failed', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       // Check capability
+       if (!current_user_can('manage_woocommerce')) {
+           wp_send_json_error(array(
+               'message' => __('Permission denied', 'wc-realtime-analytics')
+           ), 403);
+           exit;
+       }
+       
+       if (!$this->webhooks) {
+           wp_send_json_error(array(
+               'message' => __('Webhooks are not available', 'wc-realtime-analytics')
+           ), 500);
+           exit;
+       }
+       
+       $result = $this->webhooks->send_test(isset($_POST['webhook_id']) ? sanitize_key($_POST['webhook_id']) : '');
+       
+       if (is_wp_error($result)) {
+           $error_data = $result->get_error_data();
+           
+           wp_send_json_error(array(
+               'message' => $result->get_error_message()
+           ), isset($error_data['status']) ? $error_data['status'] : 400);
+           exit;
+       }
+       
+       $response = trim(($result['response_code'] ? $result['response_code'] . ' ' : '') . $result['response_message']);
+       
+       if ($result['status'] === 'delivered') {
+           wp_send_json_success(array(
+               /* translators: %s: HTTP status of the response */
+               'message' => sprintf(__('Test event delivered (%s)', 'wc-realtime-analytics'), $response),
+               'response_code' => $result['response_code']
+           ));
+       } else {
+           wp_send_json_error(array(
+               /* translators: %s: HTTP status or error message */
+               'message' => sprintf(__('Test event failed: %s', 'wc-realtime-analytics'), $response),
+               'response_code' => $result['response_code']
+           ));
+       }
+   }
 }
-                                
\ No newline at end of file
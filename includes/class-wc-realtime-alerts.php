@@ -0,0 +1,780 @@
+<?php
+/**
+ * Class WC_Realtime_Alerts
+ *
+ * Threshold and anomaly alert rules on the live store metrics
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Alerts {
+    /**
+     * Rule limits
+     */
+    const OPTION_NAME = 'wc_realtime_alert_rules';
+    const MAX_RULES = 20;
+    const MAX_WINDOW = 1440;
+    
+    /**
+     * WP-Cron hook and schedule of the rule checks
+     */
+    const CRON_HOOK = 'wcra_evaluate_alerts';
+    const CRON_SCHEDULE = 'wcra_five_minutes';
+    
+    /**
+     * WP-Cron hook of the spike checks queued by incoming events
+     */
+    const EVENT_CHECK_HOOK = 'wcra_check_spike_alerts';
+    
+    /**
+     * Days the anomaly rules compare the same time of day with
+     */
+    const BASELINE_DAYS = 7;
+    
+    /**
+     * Hours an alert stays on the dashboard unless dismissed
+     */
+    const DASHBOARD_HOURS = 24;
+    
+    /**
+     * Database handler
+     *
+     * @var WC_Realtime_DB
+     */
+    private $db;
+    
+    /**
+     * Pusher handler
+     *
+     * @var WC_Realtime_Pusher|null
+     */
+    private $pusher;
+    
+    /**
+     * Constructor
+     *
+     * @param WC_Realtime_DB $db Database handler
+     * @param WC_Realtime_Pusher|null $pusher Pusher handler, for live dashboard banners
+     */
+    public function __construct($db, $pusher = null) {
+        $this->db = $db;
+        $this->pusher = $pusher;
+        
+        add_filter('cron_schedules', array($this, 'add_cron_schedule'));
+        add_action('init', array($this, 'schedule_checks'));
+        add_action(self::CRON_HOOK, array($this, 'run_scheduled_checks'));
+        add_action(self::EVENT_CHECK_HOOK, array($this, 'run_spike_checks'));
+        add_action('wc_realtime_event_saved', array($this, 'check_on_event'), 10, 2);
+    }
+    
+    /**
+     * Get the metrics a rule can watch
+     *
+     * @return array Labels by metric
+     */
+    public function get_metrics() {
+        return array(
+            'visitors' => __('Visitors', 'wc-realtime-analytics'),
+            'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+            'checkouts' => __('Checkouts', 'wc-realtime-analytics'),
+            'purchases' => __('Purchases', 'wc-realtime-analytics'),
+            'revenue' => __('Revenue', 'wc-realtime-analytics'),
+            'atc_rate' => __('Add to Cart Rate', 'wc-realtime-analytics'),
+            'checkout_rate' => __('Checkout Rate', 'wc-realtime-analytics'),
+            'purchase_rate' => __('Purchase Rate', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Get the conditions a rule can use
+     *
+     * Above and below compare with a fixed threshold, rise and drop with the
+     * same time of day over the last days by a percentage.
+     *
+     * @return array Labels by condition
+     */
+    public function get_conditions() {
+        return array(
+            'above' => __('is above', 'wc-realtime-analytics'),
+            'below' => __('is below', 'wc-realtime-analytics'),
+            'rise' => __('rises by more than (%) vs. the last 7 days', 'wc-realtime-analytics'),
+            'drop' => __('drops by more than (%) vs. the last 7 days', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Get the ways an alert can be sent
+     *
+     * @return array Labels by channel
+     */
+    public function get_channels() {
+        return array(
+            'dashboard' => __('Dashboard banner', 'wc-realtime-analytics'),
+            'email' => __('Email', 'wc-realtime-analytics'),
+            'webhook' => __('Webhook', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Get the saved rules
+     *
+     * @return array Rules
+     */
+    public function get_rules() {
+        $rules = get_option(self::OPTION_NAME, array());
+        
+        return array_values(array_filter((array) $rules, function($rule) {
+            return is_array($rule) && !empty($rule['id']);
+        }));
+    }
+    
+    /**
+     * Get a rule by ID
+     *
+     * @param string $rule_id Rule ID
+     * @return array|null Rule or null if not found
+     */
+    public function get_rule($rule_id) {
+        foreach ($this->get_rules() as $rule) {
+            if ($rule['id'] === $rule_id) {
+                return $rule;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Create or update a rule
+     *
+     * @param array $rule Rule with optional id, label, metric, condition, threshold, window,
+     *                    channels, emails, webhook_url, cooldown and enabled
+     * @return array|WP_Error Saved rule or error
+     */
+    public function save_rule($rule) {
+        $rule_id = isset($rule['id']) ? sanitize_key($rule['id']) : '';
+        $result = $this->sanitize_rule($rule);
+        
+        if (is_wp_error($result)) {
+            return $result;
+        }
+        
+        $rules = $this->get_rules();
+        $index = null;
+        
+        foreach ($rules as $i => $existing) {
+            if ($existing['id'] === $rule_id) {
+                $index = $i;
+            }
+        }
+        
+        if ($rule_id !== '' && $index === null) {
+            return new WP_Error('rule_not_found', __('Alert rule not found', 'wc-realtime-analytics'));
+        }
+        
+        if ($index === null && count($rules) >= self::MAX_RULES) {
+            return new WP_Error('too_many_rules', sprintf(
+                /* translators: %d: maximum number of alert rules */
+                __('You can save up to %d alert rules', 'wc-realtime-analytics'),
+                self::MAX_RULES
+            ));
+        }
+        
+        $result['id'] = $index === null ? sanitize_key(uniqid('alert_')) : $rule_id;
+        
+        if ($index === null) {
+            $rules[] = $result;
+        } else {
+            $rules[$index] = $result;
+        }
+        
+        update_option(self::OPTION_NAME, $rules, false);
+        
+        return $result;
+    }
+    
+    /**
+     * Delete a rule, its alert history is kept
+     *
+     * @param string $rule_id Rule ID
+     * @return true|WP_Error True or error
+     */
+    public function delete_rule($rule_id) {
+        $rules = $this->get_rules();
+        $remaining = array_values(array_filter($rules, function($rule) use ($rule_id) {
+            return $rule['id'] !== $rule_id;
+        }));
+        
+        if (count($remaining) === count($rules)) {
+            return new WP_Error('rule_not_found', __('Alert rule not found', 'wc-realtime-analytics'));
+        }
+        
+        update_option(self::OPTION_NAME, $remaining, false);
+        
+        return true;
+    }
+    
+    /**
+     * Validate and normalize a rule
+     *
+     * @param array $rule Raw rule
+     * @return array|WP_Error Rule without ID or error naming the invalid field
+     */
+    private function sanitize_rule($rule) {
+        $metric = isset($rule['metric']) ? sanitize_key($rule['metric']) : '';
+        $condition = isset($rule['condition']) ? sanitize_key($rule['condition']) : '';
+        $threshold = isset($rule['threshold']) && is_numeric($rule['threshold']) ? (float) $rule['threshold'] : null;
+        $window = isset($rule['window']) ? absint($rule['window']) : 0;
+        $channels = array_values(array_intersect(array_keys($this->get_channels()), isset($rule['channels']) ? (array) $rule['channels'] : array()));
+        $emails = array();
+        $webhook_url = isset($rule['webhook_url']) ? esc_url_raw(trim($rule['webhook_url']), array('http', 'https')) : '';
+        
+        if (!isset($this->get_metrics()[$metric])) {
+            return new WP_Error('invalid_rule', __('Please select a metric', 'wc-realtime-analytics'));
+        }
+        
+        if (!isset($this->get_conditions()[$condition])) {
+            return new WP_Error('invalid_rule', __('Please select a condition', 'wc-realtime-analytics'));
+        }
+        
+        if ($threshold === null || $threshold < 0 || ($condition === 'drop' && ($threshold <= 0 || $threshold > 100)) || ($condition === 'rise' && $threshold <= 0)) {
+            return new WP_Error('invalid_rule', $this->is_change_condition($condition)
+                ? __('Please enter the change as a percentage above 0, drops of at most 100', 'wc-realtime-analytics')
+                : __('Please enter a threshold of 0 or more', 'wc-realtime-analytics'));
+        }
+        
+        if ($window < 1 || $window > self::MAX_WINDOW) {
+            return new WP_Error('invalid_rule', sprintf(
+                /* translators: %d: maximum window in minutes */
+                __('The time window must be between 1 and %d minutes', 'wc-realtime-analytics'),
+                self::MAX_WINDOW
+            ));
+        }
+        
+        if (empty($channels)) {
+            return new WP_Error('invalid_rule', __('Please select at least one way to send the alert', 'wc-realtime-analytics'));
+        }
+        
+        if (in_array('email', $channels, true)) {
+            $addresses = isset($rule['emails']) ? $rule['emails'] : '';
+            
+            foreach (array_filter(array_map('trim', is_array($addresses) ? $addresses : explode(',', $addresses))) as $email) {
+                if (!is_email($email)) {
+                    return new WP_Error('invalid_rule', sprintf(
+                        /* translators: %s: email address */
+                        __('"%s" is not a valid email address', 'wc-realtime-analytics'),
+                        $email
+                    ));
+                }
+                
+                $emails[] = sanitize_email($email);
+            }
+        }
+        
+        if (in_array('webhook', $channels, true) && $webhook_url === '') {
+            return new WP_Error('invalid_rule', __('Please enter the webhook URL', 'wc-realtime-analytics'));
+        }
+        
+        $result = array(
+            'label' => isset($rule['label']) ? substr(sanitize_text_field($rule['label']), 0, 100) : '',
+            'metric' => $metric,
+            'condition' => $condition,
+            'threshold' => $threshold,
+            'window' => $window,
+            'channels' => $channels,
+            'emails' => $emails,
+            'webhook_url' => in_array('webhook', $channels, true) ? $webhook_url : '',
+            'cooldown' => isset($rule['cooldown']) ? min(10080, max(5, absint($rule['cooldown']))) : 60,
+            'enabled' => !empty($rule['enabled'])
+        );
+        
+        if ($result['label'] === '') {
+            $result['label'] = $this->describe_rule($result);
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Check whether a condition compares with the last days
+     *
+     * @param string $condition Condition
+     * @return bool
+     */
+    private function is_change_condition($condition) {
+        return $condition === 'rise' || $condition === 'drop';
+    }
+    
+    /**
+     * Describe a rule in words
+     *
+     * @param array $rule Rule
+     * @return string Description, e.g. "Purchases in the last 60 minutes is below 3"
+     */
+    public function describe_rule($rule) {
+        $metrics = $this->get_metrics();
+        $metric = isset($metrics[$rule['metric']]) ? $metrics[$rule['metric']] : $rule['metric'];
+        
+        if ($this->is_change_condition($rule['condition'])) {
+            return sprintf(
+                $rule['condition'] === 'drop'
+                    /* translators: 1: metric, 2: window in minutes, 3: percentage, 4: number of days */
+                    ? __('%1$s in the last %2$d minutes drops by more than %3$s%% vs. the same time over the last %4$d days', 'wc-realtime-analytics')
+                    /* translators: 1: metric, 2: window in minutes, 3: percentage, 4: number of days */
+                    : __('%1$s in the last %2$d minutes rises by more than %3$s%% vs. the same time over the last %4$d days', 'wc-realtime-analytics'),
+                $metric,
+                $rule['window'],
+                $this->format_number($rule['threshold']),
+                self::BASELINE_DAYS
+            );
+        }
+        
+        return sprintf(
+            $rule['condition'] === 'below'
+                /* translators: 1: metric, 2: window in minutes, 3: threshold */
+                ? __('%1$s in the last %2$d minutes is below %3$s', 'wc-realtime-analytics')
+                /* translators: 1: metric, 2: window in minutes, 3: threshold */
+                : __('%1$s in the last %2$d minutes is above %3$s', 'wc-realtime-analytics'),
+            $metric,
+            $rule['window'],
+            $this->format_value($rule['metric'], $rule['threshold'])
+        );
+    }
+    
+    /**
+     * Add the five minute schedule the rules are checked on
+     *
+     * @param array $schedules Cron schedules
+     * @return array Cron schedules
+     */
+    public function add_cron_schedule($schedules) {
+        $schedules[self::CRON_SCHEDULE] = array(
+            'interval' => 5 * MINUTE_IN_SECONDS,
+            'display' => __('Every five minutes', 'wc-realtime-analytics')
+        );
+        
+        return $schedules;
+    }
+    
+    /**
+     * Schedule the rule checks while there are enabled rules
+     */
+    public function schedule_checks() {
+        $has_rules = count(array_filter(wp_list_pluck($this->get_rules(), 'enabled'))) > 0;
+        $next = wp_next_scheduled(self::CRON_HOOK);
+        
+        if ($has_rules && !$next) {
+            wp_schedule_event(time(), self::CRON_SCHEDULE, self::CRON_HOOK);
+        } elseif (!$has_rules && $next) {
+            wp_clear_scheduled_hook(self::CRON_HOOK);
+        }
+    }
+    
+    /**
+     * Check every enabled rule, run by WP-Cron
+     */
+    public function run_scheduled_checks() {
+        $this->evaluate_rules($this->get_rules());
+    }
+    
+    /**
+     * Queue a check of the spike rules when an event comes in
+     *
+     * Falling metrics are noticed by the scheduled checks, an event can only
+     * push a metric up. Checks are queued at most once a minute and run by
+     * WP-Cron, so the visitor's request never runs the queries or sends mail.
+     *
+     * @param int $event_id Event ID
+     * @param string $event_type Event type
+     */
+    public function check_on_event($event_id, $event_type) {
+        if ($event_type === 'custom' || get_transient('wcra_alerts_checked') || empty($this->get_spike_rules())) {
+            return;
+        }
+        
+        set_transient('wcra_alerts_checked', 1, MINUTE_IN_SECONDS);
+        
+        if (!wp_next_scheduled(self::EVENT_CHECK_HOOK)) {
+            wp_schedule_single_event(time(), self::EVENT_CHECK_HOOK);
+        }
+    }
+    
+    /**
+     * Check the spike rules, run by WP-Cron after an event came in
+     */
+    public function run_spike_checks() {
+        $rules = $this->get_spike_rules();
+        
+        if (!empty($rules)) {
+            $this->evaluate_rules($rules);
+        }
+    }
+    
+    /**
+     * Get the rules an incoming event can meet
+     *
+     * @return array Rules watching for a metric above a threshold or rising
+     */
+    private function get_spike_rules() {
+        return array_filter($this->get_rules(), function($rule) {
+            return in_array($rule['condition'], array('above', 'rise'), true);
+        });
+    }
+    
+    /**
+     * Check rules and send an alert for each one that is met
+     *
+     * Rules that alerted within their cooldown are skipped.
+     *
+     * @param array $rules Rules
+     * @return array Saved alerts
+     */
+    public function evaluate_rules($rules) {
+        $now = current_time('timestamp');
+        $alerts = array();
+        
+        foreach ($rules as $rule) {
+            if (empty($rule['enabled'])) {
+                continue;
+            }
+            
+            $last_alert = $this->db->get_last_alert_time($rule['id']);
+            
+            if ($last_alert && strtotime($last_alert) > $now - $rule['cooldown'] * MINUTE_IN_SECONDS) {
+                continue;
+            }
+            
+            try {
+                $result = $this->evaluate_rule($rule, $now);
+            } catch (Exception $e) {
+                error_log('WC Realtime Analytics: Error checking alert rule ' . $rule['id'] . ' - ' . $e->getMessage());
+                continue;
+            }
+            
+            if ($result && $result['triggered']) {
+                $alert = $this->send_alert($rule, $result);
+                
+                if ($alert) {
+                    $alerts[] = $alert;
+                }
+            }
+        }
+        
+        return $alerts;
+    }
+    
+    /**
+     * Check a rule against the store metrics
+     *
+     * @param array $rule Rule
+     * @param int $now Current time as a local timestamp
+     * @return array|null Value, baseline (null for fixed thresholds) and whether the rule is met,
+     *                    or null if there is not enough traffic to tell
+     */
+    public function evaluate_rule($rule, $now) {
+        $start = $now - $rule['window'] * MINUTE_IN_SECONDS;
+        $value = $this->get_metric_value($rule['metric'], $this->db->get_store_stats_between(
+            date('Y-m-d H:i:s', $start),
+            date('Y-m-d H:i:s', $now)
+        ));
+        
+        if ($value === null) {
+            return null;
+        }
+        
+        if (!$this->is_change_condition($rule['condition'])) {
+            return array(
+                'value' => $value,
+                'baseline' => null,
+                'triggered' => $rule['condition'] === 'below' ? $value < $rule['threshold'] : $value > $rule['threshold']
+            );
+        }
+        
+        $baseline = $this->get_metric_value($rule['metric'], $this->get_baseline_stats($start, $now));
+        
+        // Nothing to compare with
+        if (!$baseline) {
+            return null;
+        }
+        
+        return array(
+            'value' => $value,
+            'baseline' => $baseline,
+            'triggered' => $rule['condition'] === 'drop'
+                ? $value <= $baseline * (1 - $rule['threshold'] / 100)
+                : $value >= $baseline * (1 + $rule['threshold'] / 100)
+        );
+    }
+    
+    /**
+     * Get the average store totals of the same time of day over the last days
+     *
+     * @param int $start Start of the window as a local timestamp
+     * @param int $end End of the window as a local timestamp
+     * @return array Totals per day, rates are recalculated from the summed totals
+     */
+    private function get_baseline_stats($start, $end) {
+        $fields = array('visitors', 'add_to_cart', 'checkouts', 'purchases', 'revenue');
+        $totals = array_fill_keys($fields, 0);
+        
+        for ($day = 1; $day <= self::BASELINE_DAYS; $day++) {
+            $stats = $this->db->get_store_stats_between(
+                date('Y-m-d H:i:s', $start - $day * DAY_IN_SECONDS),
+                date('Y-m-d H:i:s', $end - $day * DAY_IN_SECONDS)
+            );
+            
+            foreach ($fields as $field) {
+                $totals[$field] += isset($stats[$field]) ? (float) $stats[$field] : 0;
+            }
+        }
+        
+        foreach ($fields as $field) {
+            $totals[$field] = $totals[$field] / self::BASELINE_DAYS;
+        }
+        
+        return $totals;
+    }
+    
+    /**
+     * Get the value of a metric from store totals
+     *
+     * @param string $metric Metric
+     * @param array $stats Store totals
+     * @return float|null Value, or null for a rate without traffic to divide by
+     */
+    private function get_metric_value($metric, $stats) {
+        $rates = array(
+            'atc_rate' => array('add_to_cart', 'visitors'),
+            'checkout_rate' => array('checkouts', 'add_to_cart'),
+            'purchase_rate' => array('purchases', 'checkouts')
+        );
+        
+        if (isset($rates[$metric])) {
+            $numerator = isset($stats[$rates[$metric][0]]) ? (float) $stats[$rates[$metric][0]] : 0;
+            $denominator = isset($stats[$rates[$metric][1]]) ? (float) $stats[$rates[$metric][1]] : 0;
+            
+            return $denominator > 0 ? round($numerator / $denominator * 100, 2) : null;
+        }
+        
+        return isset($stats[$metric]) ? round((float) $stats[$metric], 2) : 0.0;
+    }
+    
+    /**
+     * Save an alert and send it by the channels of its rule
+     *
+     * @param array $rule Rule that was met
+     * @param array $result Result of evaluate_rule()
+     * @return array|null Alert or null if it could not be saved
+     */
+    private function send_alert($rule, $result) {
+        $alert = array(
+            'rule_id' => $rule['id'],
+            'rule_label' => $rule['label'],
+            'metric' => $rule['metric'],
+            'value' => $result['value'],
+            'baseline' => $result['baseline'],
+            'threshold' => $rule['threshold'],
+            'message' => $this->build_message($rule, $result),
+            'channels' => $rule['channels'],
+            'created_at' => current_time('mysql')
+        );
+        
+        $alert_id = $this->db->save_alert($alert);
+        
+        if (!$alert_id) {
+            return null;
+        }
+        
+        $alert['id'] = $alert_id;
+        
+        /**
+         * Fires when an alert rule is met, before it is sent
+         *
+         * @param array $alert Alert
+         * @param array $rule Rule that was met
+         */
+        do_action('wc_realtime_alert_triggered', $alert, $rule);
+        
+        if (in_array('email', $rule['channels'], true)) {
+            $this->send_email($rule, $alert);
+        }
+        
+        if (in_array('webhook', $rule['channels'], true)) {
+            $this->send_webhook($rule, $alert);
+        }
+        
+        if (in_array('dashboard', $rule['channels'], true) && $this->pusher && $this->pusher->is_configured()) {
+            $this->pusher->trigger('wc-analytics', 'alert', $this->format_alert($alert));
+        }
+        
+        return $alert;
+    }
+    
+    /**
+     * Describe what an alert found
+     *
+     * @param array $rule Rule that was met
+     * @param array $result Result of evaluate_rule()
+     * @return string Message
+     */
+    private function build_message($rule, $result) {
+        $metrics = $this->get_metrics();
+        $metric = $metrics[$rule['metric']];
+        
+        if ($result['baseline'] !== null) {
+            return sprintf(
+                /* translators: 1: metric, 2: window in minutes, 3: value, 4: usual value, 5: number of days */
+                __('%1$s in the last %2$d minutes is %3$s, usually %4$s at this time over the last %5$d days', 'wc-realtime-analytics'),
+                $metric,
+                $rule['window'],
+                $this->format_value($rule['metric'], $result['value']),
+                $this->format_value($rule['metric'], $result['baseline']),
+                self::BASELINE_DAYS
+            );
+        }
+        
+        return sprintf(
+            /* translators: 1: metric, 2: window in minutes, 3: value, 4: threshold */
+            $rule['condition'] === 'below'
+                ? __('%1$s in the last %2$d minutes is %3$s, below %4$s', 'wc-realtime-analytics')
+                : __('%1$s in the last %2$d minutes is %3$s, above %4$s', 'wc-realtime-analytics'),
+            $metric,
+            $rule['window'],
+            $this->format_value($rule['metric'], $result['value']),
+            $this->format_value($rule['metric'], $rule['threshold'])
+        );
+    }
+    
+    /**
+     * Email an alert to the addresses of its rule, or the site admin
+     *
+     * @param array $rule Rule that was met
+     * @param array $alert Alert
+     */
+    private function send_email($rule, $alert) {
+        $recipients = !empty($rule['emails']) ? $rule['emails'] : array(get_option('admin_email'));
+        
+        $subject = sprintf(
+            /* translators: 1: site name, 2: rule label */
+            __('[%1$s] Alert: %2$s', 'wc-realtime-analytics'),
+            wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES),
+            $rule['label']
+        );
+        
+        $body = $alert['message'] . "\n\n" . sprintf(
+            /* translators: %s: URL of the alert history */
+            __('Alert history: %s', 'wc-realtime-analytics'),
+            admin_url('admin.php?page=wc-realtime-analytics-alerts')
+        );
+        
+        if (!wp_mail($recipients, $subject, $body)) {
+            error_log('WC Realtime Analytics: Could not email alert ' . $alert['id']);
+        }
+    }
+    
+    /**
+     * Post an alert as JSON to the webhook URL of its rule
+     *
+     * @param array $rule Rule that was met
+     * @param array $alert Alert
+     */
+    private function send_webhook($rule, $alert) {
+        /**
+         * Filter the JSON body posted to an alert webhook
+         *
+         * @param array $payload Webhook body
+         * @param array $alert Alert
+         * @param array $rule Rule that was met
+         */
+        $payload = apply_filters('wc_realtime_alert_webhook_payload', array(
+            'type' => 'alert',
+            'text' => $alert['message'],
+            'site' => home_url(),
+            'alert' => $this->format_alert($alert),
+            'rule' => array(
+                'id' => $rule['id'],
+                'label' => $rule['label'],
+                'metric' => $rule['metric'],
+                'condition' => $rule['condition'],
+                'threshold' => $rule['threshold'],
+                'window' => $rule['window']
+            )
+        ), $alert, $rule);
+        
+        // Like event webhooks, refuse internal and loopback hosts
+        $response = wp_safe_remote_post($rule['webhook_url'], array(
+            'timeout' => 5,
+            'headers' => array('Content-Type' => 'application/json'),
+            'body' => wp_json_encode($payload)
+        ));
+        
+        if (is_wp_error($response)) {
+            error_log('WC Realtime Analytics: Could not post alert ' . $alert['id'] . ' to webhook - ' . $response->get_error_message());
+        }
+    }
+    
+    /**
+     * Get the alerts to show on the dashboard
+     *
+     * @return array Alerts of the last day that were not dismissed
+     */
+    public function get_dashboard_alerts() {
+        $since = date('Y-m-d H:i:s', current_time('timestamp') - self::DASHBOARD_HOURS * HOUR_IN_SECONDS);
+        
+        return array_map(array($this, 'format_alert'), $this->db->get_active_alerts($since));
+    }
+    
+    /**
+     * Format an alert for the dashboard and webhooks
+     *
+     * @param array $alert Alert row
+     * @return array Alert with ID, label, metric, value, baseline, threshold, message and time
+     */
+    public function format_alert($alert) {
+        return array(
+            'id' => absint($alert['id']),
+            'rule_id' => $alert['rule_id'],
+            'rule_label' => $alert['rule_label'],
+            'metric' => $alert['metric'],
+            'value' => (float) $alert['value'],
+            'baseline' => $alert['baseline'] !== null ? (float) $alert['baseline'] : null,
+            'threshold' => (float) $alert['threshold'],
+            'message' => $alert['message'],
+            'created_at' => $alert['created_at']
+        );
+    }
+    
+    /**
+     * Format a metric value for messages
+     *
+     * @param string $metric Metric
+     * @param float $value Value
+     * @return string Value with a percent sign for rates and the currency for revenue
+     */
+    public function format_value($metric, $value) {
+        if (in_array($metric, array('atc_rate', 'checkout_rate', 'purchase_rate'), true)) {
+            return $this->format_number($value) . '%';
+        }
+        
+        if ($metric === 'revenue') {
+            return html_entity_decode(wp_strip_all_tags(wc_price($value)), ENT_QUOTES, 'UTF-8');
+        }
+        
+        return $this->format_number($value);
+    }
+    
+    /**
+     * Format a number with at most two decimals
+     *
+     * @param float $value Number
+     * @return string Formatted number
+     */
+    private function format_number($value) {
+        $value = round((float) $value, 2);
+        
+        return number_format_i18n($value, floor($value) == $value ? 0 : 2);
+    }
+}
@@ -0,0 +1,241 @@
+<?php
+/**
+ * Class WC_Realtime_Attribution
+ *
+ * Works out which campaign or site brought a session to the store
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Attribution {
+    /**
+     * Source and medium of sessions without a campaign or external referrer
+     */
+    const DIRECT_SOURCE = '(direct)';
+    const DIRECT_MEDIUM = '(none)';
+    const NOT_SET = '(not set)';
+    
+    /**
+     * Maximum length of a stored campaign value
+     */
+    const MAX_LENGTH = 100;
+    
+    /**
+     * Get the request fields the storefront sends with the first page view of a session
+     *
+     * @return array Field names
+     */
+    public function get_request_fields() {
+        return array('utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid', 'referrer', 'landing_page');
+    }
+    
+    /**
+     * Build the attribution of a session from a first page view
+     *
+     * UTM parameters win over click IDs, click IDs over the referrer. Sessions
+     * without any of them, or referred by the store itself, are direct.
+     *
+     * @param array $request Raw request fields, see get_request_fields()
+     * @return array|null Attribution (source, medium, campaign, term, content, gclid, fbclid, referrer, landing_page)
+     *                    or null if the request carries no attribution fields
+     */
+    public function from_request($request) {
+        $fields = array();
+        
+        foreach ($this->get_request_fields() as $field) {
+            $fields[$field] = isset($request[$field]) && is_scalar($request[$field]) ? trim(sanitize_text_field((string) $request[$field])) : '';
+        }
+        
+        // Only the first page view of a session sends its landing page
+        if ($fields['landing_page'] === '') {
+            return null;
+        }
+        
+        $referrer = $this->sanitize_referrer($fields['referrer']);
+        $referrer_host = $referrer !== '' ? $this->get_host($referrer) : '';
+        
+        $attribution = array(
+            'source' => self::DIRECT_SOURCE,
+            'medium' => self::DIRECT_MEDIUM,
+            'campaign' => $this->sanitize_value($fields['utm_campaign']),
+            'term' => $this->sanitize_value($fields['utm_term']),
+            'content' => $this->sanitize_value($fields['utm_content']),
+            'gclid' => substr($fields['gclid'], 0, 255),
+            'fbclid' => substr($fields['fbclid'], 0, 255),
+            'referrer' => $referrer,
+            'landing_page' => $this->sanitize_path($fields['landing_page'])
+        );
+        
+        if ($fields['utm_source'] !== '') {
+            $attribution['source'] = strtolower($this->sanitize_value($fields['utm_source']));
+            $attribution['medium'] = $fields['utm_medium'] !== '' ? strtolower($this->sanitize_value($fields['utm_medium'])) : self::NOT_SET;
+        } elseif ($attribution['gclid'] !== '') {
+            $attribution['source'] = 'google';
+            $attribution['medium'] = 'cpc';
+        } elseif ($attribution['fbclid'] !== '') {
+            $attribution['source'] = 'facebook';
+            $attribution['medium'] = 'social';
+        } elseif ($referrer_host !== '' && $referrer_host !== $this->get_host(home_url())) {
+            $attribution['source'] = $this->get_referrer_source($referrer_host);
+            $attribution['medium'] = $this->get_referrer_medium($attribution['source']);
+        }
+        
+        /**
+         * Filter the attribution of a new session
+         *
+         * @param array $attribution Session attribution
+         * @param array $fields Sanitized request fields
+         */
+        return apply_filters('wc_realtime_session_attribution', $attribution, $fields);
+    }
+    
+    /**
+     * Get the known referrers, a source name by host name fragment
+     *
+     * @return array Search engines and social networks
+     */
+    private function get_known_referrers() {
+        return array(
+            'search' => array(
+                'google.' => 'google',
+                'bing.com' => 'bing',
+                'yahoo.' => 'yahoo',
+                'duckduckgo.com' => 'duckduckgo',
+                'baidu.com' => 'baidu',
+                'yandex.' => 'yandex',
+                'ecosia.org' => 'ecosia'
+            ),
+            'social' => array(
+                'facebook.com' => 'facebook',
+                'instagram.com' => 'instagram',
+                't.co' => 'twitter',
+                'twitter.com' => 'twitter',
+                'x.com' => 'twitter',
+                'linkedin.com' => 'linkedin',
+                'lnkd.in' => 'linkedin',
+                'pinterest.' => 'pinterest',
+                'youtube.com' => 'youtube',
+                'tiktok.com' => 'tiktok',
+                'reddit.com' => 'reddit'
+            )
+        );
+    }
+    
+    /**
+     * Name the source of a referrer, search engines and social networks by name
+     *
+     * @param string $host Referrer host name
+     * @return string Source
+     */
+    private function get_referrer_source($host) {
+        foreach ($this->get_known_referrers() as $referrers) {
+            foreach ($referrers as $fragment => $source) {
+                if ($this->host_matches($host, $fragment)) {
+                    return $source;
+                }
+            }
+        }
+        
+        return $host;
+    }
+    
+    /**
+     * Check a host name against a known referrer
+     *
+     * @param string $host Host name
+     * @param string $fragment Domain, or a name ending in a dot that matches any top level domain
+     * @return bool
+     */
+    private function host_matches($host, $fragment) {
+        if (substr($fragment, -1) === '.') {
+            return strpos($host, $fragment) === 0 || strpos($host, '.' . $fragment) !== false;
+        }
+        
+        return $host === $fragment || substr($host, -strlen($fragment) - 1) === '.' . $fragment;
+    }
+    
+    /**
+     * Get the medium of a referrer source
+     *
+     * @param string $source Source from get_referrer_source()
+     * @return string organic, social or referral
+     */
+    private function get_referrer_medium($source) {
+        $referrers = $this->get_known_referrers();
+        
+        if (in_array($source, $referrers['search'], true)) {
+            return 'organic';
+        }
+        
+        if (in_array($source, $referrers['social'], true)) {
+            return 'social';
+        }
+        
+        return 'referral';
+    }
+    
+    /**
+     * Get the host name of a URL without "www."
+     *
+     * @param string $url URL
+     * @return string Lowercase host name or empty string
+     */
+    private function get_host($url) {
+        $host = wp_parse_url($url, PHP_URL_HOST);
+        
+        if (!is_string($host) || $host === '') {
+            return '';
+        }
+        
+        return preg_replace('/^www\./', '', strtolower($host));
+    }
+    
+    /**
+     * Reduce a referrer to its origin and path
+     *
+     * Query strings are dropped, they may contain personal data.
+     *
+     * @param string $url Referrer URL
+     * @return string URL without query string, at most 255 characters
+     */
+    private function sanitize_referrer($url) {
+        $parts = wp_parse_url(esc_url_raw($url));
+        
+        if (empty($parts['host']) || empty($parts['scheme']) || !in_array($parts['scheme'], array('http', 'https'), true)) {
+            return '';
+        }
+        
+        $path = isset($parts['path']) ? $parts['path'] : '/';
+        
+        return substr($parts['scheme'] . '://' . strtolower($parts['host']) . $path, 0, 255);
+    }
+    
+    /**
+     * Reduce a landing page URL to its path
+     *
+     * @param string $url Landing page URL or path
+     * @return string Path, at most 255 characters
+     */
+    private function sanitize_path($url) {
+        $path = wp_parse_url($url, PHP_URL_PATH);
+        
+        if (!is_string($path) || $path === '') {
+            return '/';
+        }
+        
+        return substr('/' . ltrim($path, '/'), 0, 255);
+    }
+    
+    /**
+     * Limit the length of a campaign value
+     *
+     * @param string $value Sanitized value
+     * @return string Value
+     */
+    private function sanitize_value($value) {
+        return substr($value, 0, self::MAX_LENGTH);
+    }
+}
@@ -0,0 +1,391 @@
+<?php
+/**
+ * Class WC_Realtime_Bot_Filter
+ *
+ * Keeps crawlers, monitors and scrapers out of the visitor counts
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Bot_Filter {
+    /**
+     * Most events one session may send in RATE_WINDOW seconds, counted per
+     * session so shoppers behind a shared address are not limited together
+     */
+    const RATE_WINDOW = 60;
+    const MAX_EVENTS_PER_WINDOW = 60;
+    
+    /**
+     * Most sessions one IP address may start in SESSION_WINDOW seconds,
+     * clients that drop the session cookie start a new one on every page
+     */
+    const SESSION_WINDOW = 3600;
+    const MAX_SESSIONS_PER_WINDOW = 30;
+    
+    /**
+     * Database handler
+     *
+     * @var WC_Realtime_DB
+     */
+    private $db;
+    
+    /**
+     * Constructor
+     *
+     * @param WC_Realtime_DB $db Database handler
+     */
+    public function __construct($db) {
+        $this->db = $db;
+    }
+    
+    /**
+     * Get the reasons traffic is excluded for
+     *
+     * @return array Labels by reason
+     */
+    public function get_reasons() {
+        return array(
+            'user_agent' => __('Known bot', 'wc-realtime-analytics'),
+            'excluded_ip' => __('Excluded IP address', 'wc-realtime-analytics'),
+            'excluded_user_agent' => __('Excluded user agent', 'wc-realtime-analytics'),
+            'no_javascript' => __('No JavaScript', 'wc-realtime-analytics'),
+            'no_interaction' => __('Never visible or used', 'wc-realtime-analytics'),
+            'rate_limit' => __('Too many requests', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Get the bot filter settings
+     *
+     * @return array Whether filtering is enabled and the excluded IP addresses and user agents, one per line
+     */
+    public function get_settings() {
+        return array(
+            'enabled' => get_option('wc_realtime_bot_filter', 'yes') === 'yes',
+            'excluded_ips' => (string) get_option('wc_realtime_excluded_ips', ''),
+            'excluded_user_agents' => (string) get_option('wc_realtime_excluded_user_agents', '')
+        );
+    }
+    
+    /**
+     * Save the bot filter settings
+     *
+     * @param array $settings Enabled flag, excluded IP addresses and user agents
+     * @return true|WP_Error
+     */
+    public function save_settings($settings) {
+        $excluded_ips = $this->parse_list(isset($settings['excluded_ips']) ? $settings['excluded_ips'] : '');
+        $excluded_user_agents = $this->parse_list(isset($settings['excluded_user_agents']) ? $settings['excluded_user_agents'] : '');
+        
+        foreach ($excluded_ips as $rule) {
+            if (!self::is_valid_ip_rule($rule)) {
+                return new WP_Error('invalid_ip', sprintf(
+                    /* translators: %s: excluded IP address */
+                    __('"%s" is not an IP address or range.', 'wc-realtime-analytics'),
+                    $rule
+                ));
+            }
+        }
+        
+        update_option('wc_realtime_bot_filter', !empty($settings['enabled']) ? 'yes' : 'no');
+        update_option('wc_realtime_excluded_ips', implode("\n", $excluded_ips));
+        update_option('wc_realtime_excluded_user_agents', implode("\n", $excluded_user_agents));
+        
+        return true;
+    }
+    
+    /**
+     * Work out whether a request comes from a bot
+     *
+     * Requests from the storefront script carry signals showing it ran and
+     * the page was seen, server-side events only get the list and rate checks.
+     *
+     * @param string $event_type Event type
+     * @param string $ip_address Full IP address
+     * @param string $stored_ip IP address in the form it is stored in
+     * @param string $session_id Session ID
+     * @param array|null $signals Signals sent by tracking.js (js, visible, interacted), null for server-side events
+     * @return string Reason the request is excluded for, empty for people
+     */
+    public function get_exclusion_reason($event_type, $ip_address, $stored_ip, $session_id, $signals = null) {
+        $user_agent = $this->get_user_agent();
+        
+        if (!$this->get_settings()['enabled']) {
+            return '';
+        }
+        
+        $reason = $this->get_list_reason($ip_address);
+        
+        if ($reason === '') {
+            if ($signals !== null && empty($signals['js'])) {
+                $reason = 'no_javascript';
+            } elseif ($signals !== null && $event_type === 'visitor' && empty($signals['visible']) && empty($signals['interacted'])) {
+                $reason = 'no_interaction';
+            } elseif ($this->is_rate_limited($event_type, $stored_ip, $session_id)) {
+                $reason = 'rate_limit';
+            }
+        }
+        
+        /**
+         * Filter the reason a request is excluded as bot traffic
+         *
+         * @param string $reason Reason, empty to count the request
+         * @param string $event_type Event type
+         * @param string $ip_address Full IP address
+         * @param string $user_agent User agent
+         */
+        $reason = (string) apply_filters('wc_realtime_bot_exclusion_reason', $reason, $event_type, $ip_address, $user_agent);
+        
+        return $reason;
+    }
+    
+    /**
+     * Check a request against the excluded addresses, user agents and known bots only
+     *
+     * Used for requests that are not stored as events, such as engagement heartbeats.
+     *
+     * @param string $ip_address Full IP address
+     * @return string Reason the request is excluded for, empty for people
+     */
+    public function get_list_reason($ip_address) {
+        $settings = $this->get_settings();
+        $user_agent = $this->get_user_agent();
+        
+        if (!$settings['enabled']) {
+            return '';
+        }
+        
+        if (self::ip_matches($ip_address, $this->parse_list($settings['excluded_ips']))) {
+            return 'excluded_ip';
+        }
+        
+        if ($this->matches_user_agent($user_agent, $this->parse_list($settings['excluded_user_agents']))) {
+            return 'excluded_user_agent';
+        }
+        
+        return $this->is_known_bot($user_agent) ? 'user_agent' : '';
+    }
+    
+    /**
+     * Store an excluded request
+     *
+     * @param string $event_type Event type
+     * @param string $reason Reason it was excluded for
+     * @param string $stored_ip IP address in the form it is stored in
+     * @param string $session_id Session ID
+     * @param string $page_url Path of the page
+     * @return int|false ID of the hit or false on failure
+     */
+    public function record($event_type, $reason, $stored_ip, $session_id, $page_url = '') {
+        return $this->db->save_bot_hit(array(
+            'event_type' => $event_type,
+            'reason' => $reason,
+            'session_id' => $session_id,
+            'ip_address' => $stored_ip,
+            'user_agent' => $this->get_user_agent(),
+            'page_url' => $page_url
+        ));
+    }
+    
+    /**
+     * Check the user agent against crawlers, monitors and HTTP libraries
+     *
+     * @param string $user_agent User agent
+     * @return bool
+     */
+    public function is_known_bot($user_agent) {
+        if (trim($user_agent) === '') {
+            return true;
+        }
+        
+        // Crawlers name themselves, like Googlebot or AhrefsBot, Cubot is a phone maker
+        if (preg_match('~(?<!cu)bot\b|crawler|spider|slurp~i', $user_agent)) {
+            return true;
+        }
+        
+        $patterns = array(
+            'headlesschrome', 'phantomjs', 'puppeteer', 'playwright', 'selenium', 'chrome-lighthouse',
+            'google page speed', 'gtmetrix', 'pingdom.com_bot', 'statuscake', 'site24x7', 'facebookexternalhit',
+            'embedly', 'ia_archiver', 'scrapy', 'curl/', 'wget/', 'python-requests', 'python-urllib', 'python/',
+            'aiohttp', 'httpx', 'go-http-client', 'java/', 'okhttp/', 'node-fetch', 'axios/', 'guzzlehttp',
+            'libwww-perl', 'apache-httpclient', 'wordpress/', 'woocommerce/'
+        );
+        
+        /**
+         * Filter the user agent tokens of known bots
+         *
+         * @param array $patterns Lowercase product tokens, matched where a token of the user agent starts
+         */
+        $patterns = apply_filters('wc_realtime_bot_user_agents', $patterns);
+        
+        return $this->matches_token($user_agent, $patterns);
+    }
+    
+    /**
+     * Check whether a session or IP address sends more than people do
+     *
+     * @param string $event_type Event type
+     * @param string $stored_ip IP address in the form it is stored in
+     * @param string $session_id Session ID
+     * @return bool
+     */
+    private function is_rate_limited($event_type, $stored_ip, $session_id) {
+        $since = date('Y-m-d H:i:s', current_time('timestamp') - self::RATE_WINDOW);
+        
+        if ($session_id !== '' && $this->db->count_recent_hits($session_id, $since) >= self::MAX_EVENTS_PER_WINDOW) {
+            return true;
+        }
+        
+        if ($event_type !== 'visitor') {
+            return false;
+        }
+        
+        $since = date('Y-m-d H:i:s', current_time('timestamp') - self::SESSION_WINDOW);
+        
+        return $this->db->count_recent_sessions($stored_ip, $session_id, $since) >= self::MAX_SESSIONS_PER_WINDOW;
+    }
+    
+    /**
+     * Check an IP address against exact addresses and CIDR ranges
+     *
+     * @param string $ip_address IP address
+     * @param array $rules Addresses and ranges
+     * @return bool
+     */
+    public static function ip_matches($ip_address, $rules) {
+        if (!filter_var($ip_address, FILTER_VALIDATE_IP)) {
+            return false;
+        }
+        
+        $packed = inet_pton($ip_address);
+        
+        foreach ($rules as $rule) {
+            $parts = explode('/', $rule, 2);
+            
+            if (!filter_var($parts[0], FILTER_VALIDATE_IP)) {
+                continue;
+            }
+            
+            $network = inet_pton($parts[0]);
+            
+            if (strlen($network) !== strlen($packed)) {
+                continue;
+            }
+            
+            $bits = isset($parts[1]) ? (int) $parts[1] : strlen($packed) * 8;
+            $bytes = (int) floor($bits / 8);
+            
+            if (substr($packed, 0, $bytes) !== substr($network, 0, $bytes)) {
+                continue;
+            }
+            
+            // Compare the leftover bits of a range that does not end on a byte
+            $remainder = $bits % 8;
+            
+            if ($remainder) {
+                $mask = (0xff << (8 - $remainder)) & 0xff;
+                
+                if ((ord($packed[$bytes]) & $mask) !== (ord($network[$bytes]) & $mask)) {
+                    continue;
+                }
+            }
+            
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Check an excluded IP address line
+     *
+     * @param string $rule IP address or CIDR range
+     * @return bool
+     */
+    public static function is_valid_ip_rule($rule) {
+        $parts = explode('/', $rule, 2);
+        
+        if (!filter_var($parts[0], FILTER_VALIDATE_IP)) {
+            return false;
+        }
+        
+        if (!isset($parts[1])) {
+            return true;
+        }
+        
+        $max_bits = filter_var($parts[0], FILTER_VALIDATE_IP, FILTER_FLAG_IPV6) ? 128 : 32;
+        
+        return ctype_digit($parts[1]) && (int) $parts[1] <= $max_bits;
+    }
+    
+    /**
+     * Check a user agent for any of a list of fragments, ignoring case
+     *
+     * @param string $user_agent User agent
+     * @param array $fragments Fragments
+     * @return bool
+     */
+    private function matches_user_agent($user_agent, $fragments) {
+        $user_agent = strtolower($user_agent);
+        
+        foreach ($fragments as $fragment) {
+            $fragment = strtolower(trim($fragment));
+            
+            if ($fragment !== '' && strpos($user_agent, $fragment) !== false) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Check whether a token of the user agent starts with one of the given ones
+     *
+     * Tokens follow the start of the user agent, a space, an opening parenthesis,
+     * a semicolon, a comma or a plus, so "java/" does not match "JavaScript/".
+     *
+     * @param string $user_agent User agent
+     * @param array $tokens Tokens
+     * @return bool
+     */
+    private function matches_token($user_agent, $tokens) {
+        $alternatives = array();
+        
+        foreach ((array) $tokens as $token) {
+            $token = trim($token);
+            
+            if ($token !== '') {
+                $alternatives[] = preg_quote($token, '~');
+            }
+        }
+        
+        if (empty($alternatives)) {
+            return false;
+        }
+        
+        return (bool) preg_match('~(?:^|[\s(;,+])(?:' . implode('|', $alternatives) . ')~i', $user_agent);
+    }
+    
+    /**
+     * Split a setting into its non-empty lines
+     *
+     * @param string $value One entry per line
+     * @return array Entries
+     */
+    private function parse_list($value) {
+        return array_values(array_unique(array_filter(array_map('trim', preg_split('/[\r\n]+/', (string) $value)))));
+    }
+    
+    /**
+     * Get the user agent of the current request
+     *
+     * @return string User agent
+     */
+    private function get_user_agent() {
+        return isset($_SERVER['HTTP_USER_AGENT']) ? substr(sanitize_text_field(wp_unslash($_SERVER['HTTP_USER_AGENT'])), 0, 255) : '';
+    }
+}
@@ -0,0 +1,304 @@
+<?php
+/**
+ * Class WC_Realtime_Custom_Events
+ *
+ * Registry of the custom storefront events the tracker accepts
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Custom_Events {
+    /**
+     * Registry limits
+     */
+    const OPTION_NAME = 'wc_realtime_custom_events';
+    const MAX_EVENTS = 50;
+    const MAX_PROPERTIES = 20;
+    const MAX_VALUE_LENGTH = 255;
+    
+    /**
+     * Get the property types a schema can use
+     *
+     * @return array Property types
+     */
+    public function get_property_types() {
+        return array('string', 'number', 'boolean');
+    }
+    
+    /**
+     * Get the registered custom events
+     *
+     * @return array Definitions by event name, each with a label and property types by property name
+     */
+    public function get_definitions() {
+        $definitions = get_option(self::OPTION_NAME, array());
+        
+        /**
+         * Filter the custom events the storefront tracker accepts
+         *
+         * Themes and plugins can register events in code next to the ones
+         * added on the settings page.
+         *
+         * @param array $definitions Definitions by event name, e.g.
+         *                           array('wishlist_add' => array('label' => 'Wishlist add', 'properties' => array('product_id' => 'number')))
+         */
+        $definitions = apply_filters('wc_realtime_custom_events', is_array($definitions) ? $definitions : array());
+        
+        return $this->sanitize_definitions($definitions);
+    }
+    
+    /**
+     * Get a registered custom event
+     *
+     * @param string $name Event name
+     * @return array|null Definition or null if not registered
+     */
+    public function get_definition($name) {
+        $definitions = $this->get_definitions();
+        
+        return isset($definitions[$name]) ? $definitions[$name] : null;
+    }
+    
+    /**
+     * Get the labels of the registered custom events
+     *
+     * @return array Labels by event name
+     */
+    public function get_labels() {
+        return wp_list_pluck($this->get_definitions(), 'label');
+    }
+    
+    /**
+     * Check a custom event against its schema
+     *
+     * Properties that are not in the schema are dropped, values must match
+     * the type of their property.
+     *
+     * @param string $name Event name
+     * @param mixed $properties Event properties, an array or a JSON encoded object
+     * @return array|WP_Error Sanitized properties or error with HTTP status in its data
+     */
+    public function validate_event($name, $properties) {
+        $definition = $this->get_definition($name);
+        
+        if (!$definition) {
+            return new WP_Error('unknown_event', 'Unknown custom event', array('status' => 400));
+        }
+        
+        if (is_string($properties)) {
+            $properties = $properties === '' ? array() : json_decode($properties, true);
+        }
+        
+        if ($properties === null) {
+            $properties = array();
+        }
+        
+        if (!is_array($properties)) {
+            return new WP_Error('invalid_properties', 'Invalid event properties', array('status' => 400));
+        }
+        
+        $result = array();
+        
+        foreach ($definition['properties'] as $property => $type) {
+            if (!isset($properties[$property])) {
+                continue;
+            }
+            
+            $value = $this->sanitize_value($properties[$property], $type);
+            
+            if ($value === null) {
+                return new WP_Error('invalid_properties', sprintf('Property %s must be a %s', $property, $type), array('status' => 400));
+            }
+            
+            $result[$property] = $value;
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Convert a property value to its schema type
+     *
+     * @param mixed $value Raw value
+     * @param string $type Property type
+     * @return mixed Value or null if it does not match the type
+     */
+    private function sanitize_value($value, $type) {
+        switch ($type) {
+            case 'number':
+                return is_numeric($value) ? $value + 0 : null;
+            
+            case 'boolean':
+                if (is_bool($value)) {
+                    return $value;
+                }
+                
+                if (in_array($value, array(1, '1', 'true'), true)) {
+                    return true;
+                }
+                
+                return in_array($value, array(0, '0', 'false'), true) ? false : null;
+            
+            default:
+                if (!is_scalar($value)) {
+                    return null;
+                }
+                
+                return substr(sanitize_text_field((string) $value), 0, self::MAX_VALUE_LENGTH);
+        }
+    }
+    
+    /**
+     * Keep only well-formed definitions
+     *
+     * @param array $definitions Raw definitions by event name
+     * @return array Definitions
+     */
+    private function sanitize_definitions($definitions) {
+        $result = array();
+        
+        foreach ((array) $definitions as $name => $definition) {
+            if (!$this->is_valid_event_name($name) || !is_array($definition) || count($result) >= self::MAX_EVENTS) {
+                continue;
+            }
+            
+            $properties = array();
+            
+            foreach (isset($definition['properties']) ? (array) $definition['properties'] : array() as $property => $type) {
+                if ($this->is_valid_name($property) && in_array($type, $this->get_property_types(), true) && count($properties) < self::MAX_PROPERTIES) {
+                    $properties[$property] = $type;
+                }
+            }
+            
+            $result[$name] = array(
+                'label' => !empty($definition['label']) ? substr(sanitize_text_field($definition['label']), 0, 100) : $name,
+                'properties' => $properties
+            );
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Check an event or property name, lowercase letters, digits and underscores
+     *
+     * @param string $name Name
+     * @return bool
+     */
+    private function is_valid_name($name) {
+        return is_string($name) && (bool) preg_match('/^[a-z][a-z0-9_]{0,49}$/', $name);
+    }
+    
+    /**
+     * Check an event name, which cannot reuse the built-in event types
+     *
+     * @param string $name Event name
+     * @return bool
+     */
+    private function is_valid_event_name($name) {
+        return $this->is_valid_name($name)
+            && !in_array($name, array('visitor', 'add_to_cart', 'remove_from_cart', 'cart_update', 'coupon_applied', 'coupon_removed', 'checkout', 'purchase', 'custom', 'test'), true);
+    }
+    
+    /**
+     * Save definitions entered on the settings page
+     *
+     * One event per line: "name | label | property:type, property:type",
+     * the label and properties are optional.
+     *
+     * @param string $text Definitions text
+     * @return array|WP_Error Saved definitions or error naming the invalid line
+     */
+    public function save_definitions_text($text) {
+        $definitions = array();
+        $lines = preg_split('/\r\n|\r|\n/', (string) $text);
+        
+        foreach ($lines as $index => $line) {
+            $line = trim($line);
+            
+            if ($line === '' || strpos($line, '#') === 0) {
+                continue;
+            }
+            
+            $parts = array_map('trim', explode('|', $line));
+            $name = strtolower($parts[0]);
+            
+            if (!$this->is_valid_event_name($name)) {
+                return new WP_Error('invalid_custom_event', sprintf(
+                    /* translators: 1: line number, 2: event name */
+                    __('Line %1$d: "%2$s" is not a valid event name. Use lowercase letters, digits and underscores.', 'wc-realtime-analytics'),
+                    $index + 1,
+                    $parts[0]
+                ));
+            }
+            
+            $properties = array();
+            
+            if (!empty($parts[2])) {
+                foreach (array_map('trim', explode(',', $parts[2])) as $property) {
+                    if ($property === '') {
+                        continue;
+                    }
+                    
+                    $property_parts = array_map('trim', explode(':', $property));
+                    $property_name = strtolower($property_parts[0]);
+                    $type = isset($property_parts[1]) ? strtolower($property_parts[1]) : 'string';
+                    
+                    if (!$this->is_valid_name($property_name) || !in_array($type, $this->get_property_types(), true)) {
+                        return new WP_Error('invalid_custom_event', sprintf(
+                            /* translators: 1: line number, 2: property definition */
+                            __('Line %1$d: "%2$s" is not a valid property. Use name:string, name:number or name:boolean.', 'wc-realtime-analytics'),
+                            $index + 1,
+                            $property
+                        ));
+                    }
+                    
+                    $properties[$property_name] = $type;
+                }
+            }
+            
+            $definitions[$name] = array(
+                'label' => isset($parts[1]) ? $parts[1] : '',
+                'properties' => $properties
+            );
+        }
+        
+        if (count($definitions) > self::MAX_EVENTS) {
+            return new WP_Error('invalid_custom_event', sprintf(
+                /* translators: %d: maximum number of custom events */
+                __('You can register up to %d custom events', 'wc-realtime-analytics'),
+                self::MAX_EVENTS
+            ));
+        }
+        
+        $definitions = $this->sanitize_definitions($definitions);
+        update_option(self::OPTION_NAME, $definitions);
+        
+        return $definitions;
+    }
+    
+    /**
+     * Get the saved definitions in the settings page format
+     *
+     * @return string Definitions text
+     */
+    public function get_definitions_text() {
+        $definitions = $this->sanitize_definitions(get_option(self::OPTION_NAME, array()));
+        $lines = array();
+        
+        foreach ($definitions as $name => $definition) {
+            $properties = array();
+            
+            foreach ($definition['properties'] as $property => $type) {
+                $properties[] = $property . ':' . $type;
+            }
+            
+            $lines[] = implode(' | ', array($name, $definition['label'], implode(', ', $properties)));
+        }
+        
+        return implode("\n", $lines);
+    }
+}
@@ -120,6 +120,64 @@ class WC_Realtime_Data {
         }
     }
     
+    /**
+     * Get the dates a timeframe covers
+     *
+     * @param string $timeframe Timeframe
+     * @param string $from_date From date for custom timeframe (Y-m-d)
+     * @param string $to_date To date for custom timeframe (Y-m-d)
+     * @return array Start and end date (Y-m-d)
+     */
+    public function get_timeframe_range($timeframe, $from_date = '', $to_date = '') {
+        // Days follow the site's timezone, like the stored event times
+        $now = current_time('timestamp');
+        $today = date('Y-m-d', $now);
+        
+        switch ($this->sanitize_timeframe($timeframe)) {
+            case 'yesterday':
+                $start = $end = date('Y-m-d', strtotime('-1 day', $now));
+                break;
+                
+            case 'this_week':
+                $start = date('Y-m-d', strtotime('this week monday', $now));
+                $end = $today;
+                break;
+                
+            case 'this_month':
+                $start = date('Y-m-01', $now);
+                $end = $today;
+                break;
+                
+            case 'last_7_days':
+                $start = date('Y-m-d', strtotime('-6 days', $now));
+                $end = $today;
+                break;
+                
+            case 'last_30_days':
+                $start = date('Y-m-d', strtotime('-29 days', $now));
+                $end = $today;
+                break;
+                
+            case 'custom':
+                if ($this->validate_date_format($from_date) && $this->validate_date_format($to_date)) {
+                    $start = $from_date;
+                    $end = $to_date;
+                    break;
+                }
+                // Invalid custom ranges fall back to today, like the statistics do
+                $start = $end = $today;
+                break;
+                
+            default:
+                $start = $end = $today;
+        }
+        
+        return array(
+            'start_date' => $start,
+            'end_date' => $end
+        );
+    }
+    
     /**
      * Validate date format
      *
@@ -153,7 +211,17 @@ class WC_Realtime_Data {
         $stats = array_merge(array(
             'store' => array(),
             'products' => array(),
-            'countries' => array()
+            'countries' => array(),
+            'timeseries' => array(),
+            'custom_events' => array(),
+            'cart_activity' => array(),
+            'traffic_sources' => array(),
+            'bot_traffic' => array(),
+            'engagement' => array(),
+            'pageviews' => array(),
+            'top_pages' => array(),
+            'top_categories' => array(),
+            'visitor_types' => array()
         ), $stats);
         
         // Process store data with advanced calculations
@@ -169,6 +237,17 @@ class WC_Realtime_Data {
             'store' => $store_data,
             'products' => $product_data,
             'countries' => $country_data,
+            'timeseries' => $stats['timeseries'],
+            'custom_events' => $stats['custom_events'],
+            'cart_activity' => $stats['cart_activity'],
+            'traffic_sources' => $stats['traffic_sources'],
+            'bot_traffic' => $stats['bot_traffic'],
+            'engagement' => $stats['engagement'],
+            'pageviews' => $stats['pageviews'],
+            'top_pages' => $stats['top_pages'],
+            'top_categories' => $stats['top_categories'],
+            'visitor_types' => $stats['visitor_types'],
+            'comparison' => $this->get_comparison_data($timeframe, $from_date, $to_date),
             'timeframe' => $timeframe
         );
     }
@@ -202,76 +281,377 @@ class WC_Realtime_Data {
             $store_stats['checkouts']
         );
         
-        // Calculate total revenue (if possible)
-        $store_stats['estimated_revenue'] = $this->calculate_estimated_revenue($store_stats);
+        // Revenue metrics from recorded order totals
+        $store_stats['aov'] = $store_stats['purchases'] > 0
+            ? round($store_stats['revenue'] / $store_stats['purchases'], 2)
+            : 0;
+        
+        $store_stats['revenue_per_visitor'] = $store_stats['visitors'] > 0
+            ? round($store_stats['revenue'] / $store_stats['visitors'], 2)
+            : 0;
         
         // Add trend information based on timeframe
-        $store_stats['trend'] = $this->get_trend_data($timeframe, $from_date, $to_date);
+        $store_stats['trend'] = $this->get_trend_data($store_stats, $timeframe, $from_date, $to_date);
         
         return $store_stats;
     }
     
     /**
-     * Calculate estimated revenue from purchases
+     * Get trend data for store performance
+     * 
+     * Compares each metric with the equivalent previous period.
+     *
+     * @param array $store_stats Store statistics of the current period
+     * @param string $timeframe Current timeframe
+     * @param string $from_date From date (for custom range)
+     * @param string $to_date To date (for custom range)
+     * @return array Trend information per metric
+     */
+    private function get_trend_data($store_stats, $timeframe, $from_date = '', $to_date = '') {
+        // Caching to prevent multiple calculations
+        $cache_key = "trend_{$timeframe}_{$from_date}_{$to_date}";
+        
+        if (isset($this->cache[$cache_key])) {
+            return $this->cache[$cache_key];
+        }
+        
+        $comparison = $this->get_comparison_data($timeframe, $from_date, $to_date);
+        $previous = $this->ensure_default_values($comparison['store']);
+        
+        $metrics = array(
+            'visitors', 'add_to_cart', 'checkouts', 'purchases',
+            'atc_rate', 'checkout_rate', 'purchase_rate',
+            'revenue', 'aov', 'revenue_per_visitor'
+        );
+        
+        $trend = array();
+        
+        foreach ($metrics as $metric) {
+            $trend[$metric] = $this->calculate_change($store_stats[$metric], $previous[$metric]);
+        }
+        
+        $this->cache[$cache_key] = $trend;
+        return $trend;
+    }
+    
+    /**
+     * Calculate the change of a metric against its previous value
      *
-     * @param array $store_stats Store statistics
-     * @return float Estimated revenue
+     * @param int|float $current Current value
+     * @param int|float $previous Previous value
+     * @return array Direction, values, absolute and percent change
      */
-    private function calculate_estimated_revenue($store_stats) {
-        global $wpdb;
+    private function calculate_change($current, $previous) {
+        $current = round((float) $current, 2);
+        $previous = round((float) $previous, 2);
+        $change = round($current - $previous, 2);
+        
+        if ($change > 0) {
+            $direction = 'up';
+        } elseif ($change < 0) {
+            $direction = 'down';
+        } else {
+            $direction = 'stable';
+        }
+        
+        return array(
+            'direction' => $direction,
+            'current' => $current,
+            'previous' => $previous,
+            'change' => $change,
+            // There is no meaningful percentage when growing from zero
+            'change_percent' => $previous > 0 ? round(($change / $previous) * 100, 2) : null
+        );
+    }
+    
+    /**
+     * Get statistics of the period the current timeframe is compared with
+     *
+     * @param string $timeframe Current timeframe
+     * @param string $from_date From date (for custom range)
+     * @param string $to_date To date (for custom range)
+     * @return array Comparison range, label, store statistics and time series
+     */
+    public function get_comparison_data($timeframe, $from_date = '', $to_date = '') {
+        $cache_key = "comparison_{$timeframe}_{$from_date}_{$to_date}";
+        
+        if (isset($this->cache[$cache_key])) {
+            return $this->cache[$cache_key];
+        }
+        
+        $range = $this->get_comparison_range($timeframe, $from_date, $to_date);
+        $date_format = get_option('date_format');
         
         try {
-            $avg_order_total = $wpdb->get_var(
-                "SELECT AVG(total) FROM {$wpdb->prefix}woocommerce_order_items 
-                JOIN {$wpdb->prefix}woocommerce_order_itemmeta ON 
-                {$wpdb->prefix}woocommerce_order_items.order_id = {$wpdb->prefix}woocommerce_order_itemmeta.order_id 
-                WHERE meta_key = '_line_total'"
-            );
+            if ($range['until_time'] !== '') {
+                // Today so far is compared with the same part of the earlier day
+                $store = $this->db->get_store_stats_between(
+                    $range['start_date'] . ' 00:00:00',
+                    $range['end_date'] . ' ' . $range['until_time']
+                );
+                
+                $label = sprintf(
+                    /* translators: 1: date, 2: time of day */
+                    __('%1$s until %2$s', 'wc-realtime-analytics'),
+                    date_i18n($date_format, strtotime($range['start_date'])),
+                    date_i18n(get_option('time_format'), strtotime($range['end_date'] . ' ' . $range['until_time']))
+                );
+            } else {
+                $store = $this->db->get_store_stats($range['start_date'], $range['end_date']);
+                
+                $label = ($range['start_date'] === $range['end_date'])
+                    ? date_i18n($date_format, strtotime($range['start_date']))
+                    : sprintf(
+                        /* translators: 1: start date, 2: end date */
+                        __('%1$s - %2$s', 'wc-realtime-analytics'),
+                        date_i18n($date_format, strtotime($range['start_date'])),
+                        date_i18n($date_format, strtotime($range['end_date']))
+                    );
+            }
             
-            $purchases = max(1, $store_stats['purchases']);
-            return round($avg_order_total * $purchases, 2);
+            $timeseries = $this->db->get_timeseries($range['start_date'], $range['end_date']);
         } catch (Exception $e) {
-            error_log('WC Realtime Analytics: Error calculating estimated revenue - ' . $e->getMessage());
-            return 0;
+            error_log('WC Realtime Analytics: Error getting comparison stats - ' . $e->getMessage());
+            $store = array();
+            $timeseries = array();
+            $label = '';
         }
+        
+        $comparison = array(
+            'start_date' => $range['start_date'],
+            'end_date' => $range['end_date'],
+            'label' => $label,
+            'store' => $this->ensure_default_values($store),
+            'timeseries' => $timeseries
+        );
+        
+        $this->cache[$cache_key] = $comparison;
+        return $comparison;
     }
     
     /**
-     * Get trend data for store performance
+     * Get the equivalent previous period of a timeframe
+     * 
+     * Single days are compared with the same weekday a week earlier, this week
+     * and this month with the same span of the previous week or month, and
+     * rolling or custom ranges with the range of equal length before them.
      *
      * @param string $timeframe Current timeframe
      * @param string $from_date From date (for custom range)
      * @param string $to_date To date (for custom range)
-     * @return array Trend information
+     * @return array Start date, end date and time of day the comparison stops at ('' for whole days)
      */
-    private function get_trend_data($timeframe, $from_date = '', $to_date = '') {
-        // Caching to prevent multiple calculations
-        $cache_key = "trend_{$timeframe}_{$from_date}_{$to_date}";
+    public function get_comparison_range($timeframe, $from_date = '', $to_date = '') {
+        $today = strtotime(current_time('Y-m-d'));
+        $until_time = '';
         
-        if (isset($this->cache[$cache_key])) {
-            return $this->cache[$cache_key];
+        switch ($timeframe) {
+            case 'today':
+                $start = strtotime('-7 days', $today);
+                $end = $start;
+                $until_time = current_time('H:i:s');
+                break;
+                
+            case 'yesterday':
+                $start = strtotime('-8 days', $today);
+                $end = $start;
+                break;
+                
+            case 'this_week':
+                $start = strtotime('-7 days', strtotime('this week monday', $today));
+                $end = strtotime('-7 days', $today);
+                break;
+                
+            case 'this_month':
+                $start = strtotime('first day of last month', $today);
+                // Same day of the previous month, clamped to its last day
+                $end = min(
+                    strtotime(date('Y-m-', $start) . date('d', $today)),
+                    strtotime('last day of last month', $today)
+                );
+                break;
+                
+            case 'last_7_days':
+                $start = strtotime('-13 days', $today);
+                $end = strtotime('-7 days', $today);
+                break;
+                
+            case 'last_30_days':
+                $start = strtotime('-59 days', $today);
+                $end = strtotime('-30 days', $today);
+                break;
+                
+            case 'custom':
+                if ($this->validate_date_format($from_date) && $this->validate_date_format($to_date)) {
+                    $days = max(1, (int) round((strtotime($to_date) - strtotime($from_date)) / DAY_IN_SECONDS) + 1);
+                    $end = strtotime('-1 day', strtotime($from_date));
+                    $start = strtotime('-' . ($days - 1) . ' days', $end);
+                    break;
+                }
+                // Invalid custom ranges fall back to today, like the statistics do
+                return $this->get_comparison_range('today');
+                
+            default:
+                return $this->get_comparison_range('today');
+        }
+        
+        return array(
+            'start_date' => date('Y-m-d', $start),
+            'end_date' => date('Y-m-d', $end),
+            'until_time' => $until_time
+        );
+    }
+    
+    /**
+     * Get a page of the products report
+     *
+     * @param string $timeframe Timeframe
+     * @param string $from_date From date for custom timeframe (Y-m-d)
+     * @param string $to_date To date for custom timeframe (Y-m-d)
+     * @param array $args Paging, sorting and search, see WC_Realtime_DB::get_product_report()
+     * @return array Products with conversion rates, total and pages
+     */
+    public function get_products_report($timeframe, $from_date = '', $to_date = '', $args = array()) {
+        $range = $this->get_timeframe_range($timeframe, $from_date, $to_date);
+        $report = $this->db->get_product_report($range['start_date'], $range['end_date'], $args);
+        
+        return $this->add_report_paging(array(
+            'items' => $this->process_product_insights($report['items'], false),
+            'total' => $report['total']
+        ), $args);
+    }
+    
+    /**
+     * Get a page of the countries report
+     *
+     * @param string $timeframe Timeframe
+     * @param string $from_date From date for custom timeframe (Y-m-d)
+     * @param string $to_date To date for custom timeframe (Y-m-d)
+     * @param array $args Paging, sorting and search, see WC_Realtime_DB::get_country_report()
+     * @return array Countries with conversion rates and visitor shares, total and pages
+     */
+    public function get_countries_report($timeframe, $from_date = '', $to_date = '', $args = array()) {
+        $range = $this->get_timeframe_range($timeframe, $from_date, $to_date);
+        $report = $this->db->get_country_report($range['start_date'], $range['end_date'], $args);
+        
+        return $this->add_report_paging(array(
+            'items' => $this->process_country_insights($report['items'], $report['total_visitors'], false),
+            'total' => $report['total']
+        ), $args);
+    }
+    
+    /**
+     * Get the regions of a country for the map
+     *
+     * @param string $country_code Country code
+     * @param string $timeframe Timeframe
+     * @param string $from_date From date for custom timeframe (Y-m-d)
+     * @param string $to_date To date for custom timeframe (Y-m-d)
+     * @return array|WP_Error Country code and regions with conversion rates and visitor shares
+     */
+    public function get_country_regions($country_code, $timeframe, $from_date = '', $to_date = '') {
+        $country_code = strtoupper(sanitize_text_field($country_code));
+        
+        if (!preg_match('/^[A-Z]{2}$/', $country_code)) {
+            return new WP_Error('invalid_country', __('Invalid country', 'wc-realtime-analytics'), array('status' => 400));
+        }
+        
+        $range = $this->get_timeframe_range($timeframe, $from_date, $to_date);
+        $regions = $this->db->get_region_report($country_code, $range['start_date'] . ' 00:00:00', $range['end_date'] . ' 23:59:59');
+        $total_visitors = array_sum(array_column($regions, 'visitors'));
+        
+        foreach ($regions as &$region) {
+            $region['visitors_percentage'] = $this->calculate_percentage($region['visitors'], $total_visitors);
+            $region['conversion_rate'] = $this->calculate_percentage($region['purchases'], $region['visitors']);
+        }
+        
+        unset($region);
+        
+        return array(
+            'country_code' => $country_code,
+            'regions' => $regions
+        );
+    }
+    
+    /**
+     * Get the drill-down of a single product
+     *
+     * @param int $product_id Product ID
+     * @param string $timeframe Timeframe
+     * @param string $from_date From date for custom timeframe (Y-m-d)
+     * @param string $to_date To date for custom timeframe (Y-m-d)
+     * @return array|WP_Error Product funnel, totals, countries and daily trend
+     */
+    public function get_product_detail($product_id, $timeframe, $from_date = '', $to_date = '') {
+        $product_id = absint($product_id);
+        
+        if (!$product_id) {
+            return new WP_Error('invalid_product', __('Invalid product', 'wc-realtime-analytics'), array('status' => 400));
         }
         
-        // Placeholder for trend calculation
-        // In a real implementation, this would compare current period with previous period
-        $trend = array(
-            'visitors' => 'stable', // Could be 'up', 'down', or 'stable'
-            'add_to_cart' => 'stable',
-            'checkouts' => 'stable',
-            'purchases' => 'stable'
+        $range = $this->get_timeframe_range($timeframe, $from_date, $to_date);
+        $detail = $this->db->get_product_stats($product_id, $range['start_date'], $range['end_date']);
+        $totals = $detail['totals'];
+        
+        $steps = array();
+        $labels = array(
+            'visitors' => __('Product views', 'wc-realtime-analytics'),
+            'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+            'checkouts' => __('Checkout', 'wc-realtime-analytics'),
+            'purchases' => __('Purchase', 'wc-realtime-analytics')
         );
+        $previous = null;
         
-        $this->cache[$cache_key] = $trend;
-        return $trend;
+        // Same step fields as the funnel reports, counted in events instead of sessions
+        foreach ($labels as $field => $label) {
+            $count = absint($totals[$field]);
+            
+            $steps[] = array(
+                'label' => $label,
+                'count' => $count,
+                'percent_of_first' => $this->calculate_percentage($count, $totals['visitors']),
+                'drop_off' => $previous ? max(0, $previous - $count) : 0,
+                'drop_off_rate' => $previous ? max(0, round(100 - $this->calculate_percentage($count, $previous), 2)) : 0
+            );
+            
+            $previous = $count;
+        }
+        
+        $detail['funnel'] = array(
+            'steps' => $steps,
+            'unit' => __('events', 'wc-realtime-analytics')
+        );
+        $detail['start_date'] = $range['start_date'];
+        $detail['end_date'] = $range['end_date'];
+        
+        return $detail;
+    }
+    
+    /**
+     * Add the page number and page count to a report page
+     *
+     * @param array $report Items and total
+     * @param array $args Report arguments with page and per_page
+     * @return array Report with page, per_page and pages
+     */
+    private function add_report_paging($report, $args) {
+        $per_page = isset($args['per_page']) ? min(100, max(1, absint($args['per_page']))) : 20;
+        
+        $report['page'] = isset($args['page']) ? max(1, absint($args['page'])) : 1;
+        $report['per_page'] = $per_page;
+        $report['pages'] = max(1, (int) ceil($report['total'] / $per_page));
+        
+        return $report;
     }
     
     /**
      * Process product insights with advanced ranking
      *
      * @param array $products Raw product data
+     * @param bool $sort Sort by visitors, off for pages that are sorted in the query
      * @return array Enhanced product insights
      */
-    private function process_product_insights($products) {
+    private function process_product_insights($products, $sort = true) {
         if (empty($products)) {
             return array();
         }
@@ -283,6 +663,7 @@ class WC_Realtime_Data {
             $product['add_to_cart'] = absint($product['add_to_cart']);
             $product['checkouts'] = absint($product['checkouts']);
             $product['purchases'] = absint($product['purchases']);
+            $product['revenue'] = isset($product['revenue']) ? round((float) $product['revenue'], 2) : 0;
             
             // Calculate conversion rates
             $product['atc_rate'] = $this->calculate_percentage(
@@ -302,10 +683,14 @@ class WC_Realtime_Data {
             }
         }
         
+        unset($product);
+        
         // Sort products by visitors in descending order
-        usort($products, function($a, $b) {
-            return $b['visitors'] - $a['visitors'];
-        });
+        if ($sort) {
+            usort($products, function($a, $b) {
+                return $b['visitors'] - $a['visitors'];
+            });
+        }
         
         return $products;
     }
@@ -314,15 +699,19 @@ class WC_Realtime_Data {
      * Process country insights with geographic analysis
      *
      * @param array $countries Raw country data
+     * @param int|null $total_visitors Visitors of all countries, when only a page of them is passed
+     * @param bool $sort Sort by visitors, off for pages that are sorted in the query
      * @return array Enhanced country insights
      */
-    private function process_country_insights($countries) {
+    private function process_country_insights($countries, $total_visitors = null, $sort = true) {
         if (empty($countries)) {
             return array();
         }
         
         // Calculate total metrics for comparison
-        $total_visitors = array_sum(array_column($countries, 'visitors'));
+        if ($total_visitors === null) {
+            $total_visitors = array_sum(array_column($countries, 'visitors'));
+        }
         
         // Process each country
         foreach ($countries as &$country) {
@@ -331,6 +720,7 @@ class WC_Realtime_Data {
             $country['add_to_cart'] = absint($country['add_to_cart']);
             $country['checkouts'] = absint($country['checkouts']);
             $country['purchases'] = absint($country['purchases']);
+            $country['revenue'] = isset($country['revenue']) ? round((float) $country['revenue'], 2) : 0;
             
             // Calculate country-specific rates
             $country['visitors_percentage'] = $total_visitors > 0 
@@ -346,12 +736,21 @@ class WC_Realtime_Data {
                 $country['purchases'], 
                 $country['add_to_cart']
             );
+            
+            $country['conversion_rate'] = $this->calculate_percentage(
+                $country['purchases'], 
+                $country['visitors']
+            );
         }
         
+        unset($country);
+        
         // Sort countries by visitors in descending order
-        usort($countries, function($a, $b) {
-            return $b['visitors'] - $a['visitors'];
-        });
+        if ($sort) {
+            usort($countries, function($a, $b) {
+                return $b['visitors'] - $a['visitors'];
+            });
+        }
         
         return $countries;
     }
@@ -370,10 +769,16 @@ class WC_Realtime_Data {
             'purchases' => 0,
             'atc_rate' => 0,
             'checkout_rate' => 0,
-            'purchase_rate' => 0
+            'purchase_rate' => 0,
+            'revenue' => 0,
+            'aov' => 0,
+            'revenue_per_visitor' => 0
         );
         
-        return array_merge($defaults, array_intersect_key($data, $defaults));
+        $data = array_merge($defaults, array_intersect_key((array) $data, $defaults));
+        $data['revenue'] = round((float) $data['revenue'], 2);
+        
+        return $data;
     }
     
     /**
@@ -11,6 +11,21 @@ if (!defined('ABSPATH')) {
 }
 
 class WC_Realtime_DB {
+    /**
+     * Sessions viewing a single page for less than this many seconds bounced
+     */
+    const BOUNCE_SECONDS = 10;
+    
+    /**
+     * Visitors not seen for this many days are forgotten, as their visitor ID cookie has expired
+     */
+    const VISITOR_ID_DAYS = 730;
+    
+    /**
+     * Most weeks shown in the cohort retention grid
+     */
+    const MAX_COHORT_WEEKS = 26;
+    
     /**
      * Database table names
      */
@@ -18,6 +33,20 @@ class WC_Realtime_DB {
     private $table_daily;
     private $table_products;
     private $table_visitors;
+    private $table_sessions;
+    private $table_alerts;
+    private $table_webhook_deliveries;
+    private $table_bot_hits;
+    private $table_engagement;
+    private $table_visitor_ids;
+    private $table_rate_limits;
+    
+    /**
+     * Session attribution looked up during this request, by session ID
+     *
+     * @var array
+     */
+    private $attribution_cache = array();
     
     /**
      * Constructor
@@ -30,6 +59,13 @@ class WC_Realtime_DB {
         $this->table_daily = $wpdb->prefix . 'wc_realtime_daily';
         $this->table_products = $wpdb->prefix . 'wc_realtime_products';
         $this->table_visitors = $wpdb->prefix . 'wc_realtime_visitors';
+        $this->table_sessions = $wpdb->prefix . 'wc_realtime_sessions';
+        $this->table_alerts = $wpdb->prefix . 'wc_realtime_alerts';
+        $this->table_webhook_deliveries = $wpdb->prefix . 'wc_realtime_webhook_deliveries';
+        $this->table_bot_hits = $wpdb->prefix . 'wc_realtime_bot_hits';
+        $this->table_engagement = $wpdb->prefix . 'wc_realtime_engagement';
+        $this->table_visitor_ids = $wpdb->prefix . 'wc_realtime_visitor_ids';
+        $this->table_rate_limits = $wpdb->prefix . 'wc_realtime_rate_limits';
     }
     
     /**
@@ -46,18 +82,44 @@ class WC_Realtime_DB {
         $sql_events = "CREATE TABLE {$this->table_events} (
             id bigint(20) NOT NULL AUTO_INCREMENT,
             event_type varchar(20) NOT NULL,
+            event_name varchar(50) DEFAULT '',
             session_id varchar(50) NOT NULL,
+            visitor_id varchar(50) DEFAULT '',
             product_id bigint(20) DEFAULT 0,
+            variation_id bigint(20) DEFAULT 0,
+            variation varchar(255) DEFAULT '',
+            quantity int(11) DEFAULT 0,
+            coupon_code varchar(50) DEFAULT '',
             user_id bigint(20) DEFAULT 0,
+            order_id bigint(20) DEFAULT 0,
+            revenue decimal(19,4) DEFAULT 0,
+            currency varchar(3) DEFAULT '',
+            page_type varchar(20) DEFAULT '',
+            page_url varchar(255) DEFAULT '',
+            page_title varchar(255) DEFAULT '',
+            term_id bigint(20) DEFAULT 0,
+            properties text,
             ip_address varchar(100) NOT NULL,
             country_code varchar(2) DEFAULT '',
             country_name varchar(50) DEFAULT '',
+            region varchar(100) DEFAULT '',
+            source varchar(100) DEFAULT '',
+            medium varchar(100) DEFAULT '',
+            campaign varchar(100) DEFAULT '',
+            new_visitor tinyint(1) DEFAULT 0,
+            returning_visitor tinyint(1) DEFAULT 0,
+            is_test tinyint(1) DEFAULT 0,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY  (id),
             KEY event_type (event_type),
+            KEY event_name (event_name),
             KEY session_id (session_id),
+            KEY visitor_id (visitor_id),
             KEY product_id (product_id),
+            KEY variation_id (variation_id),
             KEY country_code (country_code),
+            KEY source (source),
+            KEY ip_address (ip_address),
             KEY created_at (created_at)
         ) $charset_collate;";
         
@@ -69,6 +131,7 @@ class WC_Realtime_DB {
             add_to_cart int(11) DEFAULT 0,
             checkouts int(11) DEFAULT 0,
             purchases int(11) DEFAULT 0,
+            revenue decimal(19,4) DEFAULT 0,
             country_code varchar(2) DEFAULT '',
             country_name varchar(50) DEFAULT '',
             PRIMARY KEY  (id),
@@ -81,14 +144,16 @@ class WC_Realtime_DB {
             id bigint(20) NOT NULL AUTO_INCREMENT,
             date date NOT NULL,
             product_id bigint(20) NOT NULL,
+            variation_id bigint(20) NOT NULL DEFAULT 0,
             visitors int(11) DEFAULT 0,
             add_to_cart int(11) DEFAULT 0,
             checkouts int(11) DEFAULT 0,
             purchases int(11) DEFAULT 0,
+            revenue decimal(19,4) DEFAULT 0,
             country_code varchar(2) DEFAULT '',
             country_name varchar(50) DEFAULT '',
             PRIMARY KEY  (id),
-            UNIQUE KEY product_date_country (product_id, date, country_code),
+            UNIQUE KEY product_variation_date_country (product_id, variation_id, date, country_code),
             KEY date (date),
             KEY product_id (product_id)
         ) $charset_collate;";
@@ -106,11 +171,151 @@ class WC_Realtime_DB {
             KEY date (date)
         ) $charset_collate;";
         
+        // Table for storing the first touch attribution of each session
+        $sql_sessions = "CREATE TABLE {$this->table_sessions} (
+            session_id varchar(50) NOT NULL,
+            source varchar(100) DEFAULT '',
+            medium varchar(100) DEFAULT '',
+            campaign varchar(100) DEFAULT '',
+            term varchar(100) DEFAULT '',
+            content varchar(100) DEFAULT '',
+            gclid varchar(255) DEFAULT '',
+            fbclid varchar(255) DEFAULT '',
+            referrer varchar(255) DEFAULT '',
+            landing_page varchar(255) DEFAULT '',
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (session_id),
+            KEY source (source),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+        
+        // Table for the history of triggered alerts
+        $sql_alerts = "CREATE TABLE {$this->table_alerts} (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            rule_id varchar(50) NOT NULL,
+            rule_label varchar(100) DEFAULT '',
+            metric varchar(20) DEFAULT '',
+            value decimal(19,4) DEFAULT 0,
+            baseline decimal(19,4) DEFAULT NULL,
+            threshold decimal(19,4) DEFAULT 0,
+            message varchar(255) DEFAULT '',
+            channels varchar(100) DEFAULT '',
+            dismissed tinyint(1) DEFAULT 0,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (id),
+            KEY rule_id (rule_id),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+        
+        // Webhook delivery queue, kept as the delivery log once sent
+        $sql_webhook_deliveries = "CREATE TABLE {$this->table_webhook_deliveries} (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            webhook_id varchar(50) NOT NULL,
+            event_id bigint(20) DEFAULT 0,
+            event_type varchar(50) NOT NULL,
+            payload longtext NOT NULL,
+            status varchar(20) DEFAULT 'pending',
+            attempts int(11) DEFAULT 0,
+            response_code int(11) DEFAULT 0,
+            response_message varchar(255) DEFAULT '',
+            next_attempt_at datetime DEFAULT NULL,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            updated_at datetime DEFAULT NULL,
+            PRIMARY KEY  (id),
+            KEY status_next_attempt (status, next_attempt_at),
+            KEY webhook_id (webhook_id),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+        
+        // Requests excluded as bot traffic, kept apart from the events
+        $sql_bot_hits = "CREATE TABLE {$this->table_bot_hits} (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            event_type varchar(20) NOT NULL,
+            reason varchar(30) NOT NULL,
+            session_id varchar(50) DEFAULT '',
+            ip_address varchar(100) DEFAULT '',
+            user_agent varchar(255) DEFAULT '',
+            page_url varchar(255) DEFAULT '',
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (id),
+            KEY session_id (session_id),
+            KEY ip_address (ip_address),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+        
+        // Time and scroll depth of each page view, kept up to date by heartbeats
+        $sql_engagement = "CREATE TABLE {$this->table_engagement} (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            page_view_id varchar(32) NOT NULL,
+            session_id varchar(50) NOT NULL,
+            page_type varchar(20) DEFAULT '',
+            page_url varchar(255) DEFAULT '',
+            active_seconds int(11) DEFAULT 0,
+            max_scroll tinyint(3) DEFAULT 0,
+            returning_visitor tinyint(1) DEFAULT 0,
+            is_test tinyint(1) DEFAULT 0,
+            started_at datetime DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (id),
+            UNIQUE KEY page_view_id (page_view_id),
+            KEY session_id (session_id),
+            KEY started_at (started_at),
+            KEY last_seen_at (last_seen_at)
+        ) $charset_collate;";
+        
+        // Long-lived visitor IDs set by tracking.js, linked to the customer once they log in or buy.
+        // The first order is kept here as its event is cleaned up long before the visitor ID
+        $sql_visitor_ids = "CREATE TABLE {$this->table_visitor_ids} (
+            visitor_id varchar(50) NOT NULL,
+            user_id bigint(20) DEFAULT 0,
+            first_seen_at datetime DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at datetime DEFAULT CURRENT_TIMESTAMP,
+            first_order_at datetime DEFAULT NULL,
+            PRIMARY KEY  (visitor_id),
+            KEY user_id (user_id),
+            KEY first_seen_at (first_seen_at),
+            KEY last_seen_at (last_seen_at)
+        ) $charset_collate;";
+        
+        // Requests counted against a rate limit, one row per key holding its current window
+        $sql_rate_limits = "CREATE TABLE {$this->table_rate_limits} (
+            rate_key char(32) NOT NULL,
+            window_start int(11) unsigned NOT NULL DEFAULT 0,
+            hits int(11) unsigned NOT NULL DEFAULT 0,
+            PRIMARY KEY  (rate_key),
+            KEY window_start (window_start)
+        ) $charset_collate;";
+        
         // Execute table creation queries
         dbDelta($sql_events);
         dbDelta($sql_daily);
         dbDelta($sql_products);
         dbDelta($sql_visitors);
+        dbDelta($sql_sessions);
+        dbDelta($sql_alerts);
+        dbDelta($sql_webhook_deliveries);
+        dbDelta($sql_bot_hits);
+        dbDelta($sql_engagement);
+        dbDelta($sql_visitor_ids);
+        dbDelta($sql_rate_limits);
+        
+        // dbDelta adds indexes but never drops them, products were unique per date and country before variations
+        if ($wpdb->get_var("SHOW INDEX FROM {$this->table_products} WHERE Key_name = 'product_date_country'")) {
+            $wpdb->query("ALTER TABLE {$this->table_products} DROP INDEX product_date_country");
+        }
+        
+        // Visitor IDs saved before first_order_at existed take it from the orders still stored
+        $wpdb->query(
+            "UPDATE {$this->table_visitor_ids} v
+            INNER JOIN (
+                SELECT visitor_id, MIN(created_at) as first_order_at
+                FROM {$this->table_events}
+                WHERE event_type = 'purchase' AND product_id = 0 AND is_test = 0 AND visitor_id != ''
+                GROUP BY visitor_id
+            ) o ON o.visitor_id = v.visitor_id
+            SET v.first_order_at = o.first_order_at
+            WHERE v.first_order_at IS NULL"
+        );
     }
     
     /**
@@ -124,7 +329,14 @@ class WC_Realtime_DB {
         $required_tables = array(
             $this->table_events,
             $this->table_daily,
-            $this->table_products
+            $this->table_products,
+            $this->table_sessions,
+            $this->table_alerts,
+            $this->table_webhook_deliveries,
+            $this->table_bot_hits,
+            $this->table_engagement,
+            $this->table_visitor_ids,
+            $this->table_rate_limits
         );
         
         foreach ($required_tables as $table) {
@@ -167,29 +379,93 @@ class WC_Realtime_DB {
         return true;
     }
     
+    /**
+     * Get the event types stored in the events table
+     *
+     * @return array Event types
+     */
+    public function get_event_types() {
+        return array_merge(
+            array('visitor', 'add_to_cart', 'checkout', 'purchase'),
+            $this->get_cart_event_types(),
+            array('custom')
+        );
+    }
+    
+    /**
+     * Get the event types of changes to an existing cart
+     *
+     * @return array Event types
+     */
+    public function get_cart_event_types() {
+        return array('remove_from_cart', 'cart_update', 'coupon_applied', 'coupon_removed');
+    }
+    
+    /**
+     * Get the page types stored with events
+     *
+     * @return array Page types
+     */
+    public function get_page_types() {
+        return array('home', 'shop', 'category', 'tag', 'product', 'cart', 'checkout', 'account', 'search', 'blog', 'post', 'page', 'other');
+    }
+    
     /**
      * Save event to the database
      * 
-     * @param string $event_type Type of event (visitor, add_to_cart, checkout, purchase)
-     * @param array $data Event data
+     * @param string $event_type Type of event, one of get_event_types()
+     * @param array $data Event data, keyed by column of the events table
      * @return int|false ID of the record or false on failure
      */
     public function save_event($event_type, $data = array()) {
         global $wpdb;
         
         // Validate event type
-        $valid_event_types = array('visitor', 'add_to_cart', 'checkout', 'purchase');
-        if (!in_array($event_type, $valid_event_types, true)) {
+        if (!in_array($event_type, $this->get_event_types(), true)) {
             return false;
         }
         
         // Sanitize and validate data
         $product_id = isset($data['product_id']) ? absint($data['product_id']) : 0;
+        $variation_id = $product_id && isset($data['variation_id']) ? absint($data['variation_id']) : 0;
+        $variation = $variation_id && isset($data['variation']) ? sanitize_text_field($data['variation']) : '';
         $session_id = isset($data['session_id']) ? sanitize_text_field($data['session_id']) : '';
         $user_id = isset($data['user_id']) ? absint($data['user_id']) : 0;
         $ip_address = isset($data['ip_address']) ? sanitize_text_field($data['ip_address']) : '';
         $country_code = isset($data['country_code']) ? sanitize_text_field($data['country_code']) : '';
         $country_name = isset($data['country_name']) ? sanitize_text_field($data['country_name']) : '';
+        $region = isset($data['region']) ? sanitize_text_field($data['region']) : '';
+        
+        // Purchases carry their order
+        $order_id = isset($data['order_id']) ? absint($data['order_id']) : 0;
+        $revenue = isset($data['revenue']) ? round((float) $data['revenue'], 4) : 0;
+        $currency = isset($data['currency']) ? strtoupper(sanitize_text_field($data['currency'])) : '';
+        
+        // Client-side events carry their page, page views its title and the term of category and tag archives
+        $page_type = isset($data['page_type']) && in_array($data['page_type'], $this->get_page_types(), true) ? $data['page_type'] : '';
+        $page_url = isset($data['page_url']) ? sanitize_text_field($data['page_url']) : '';
+        $page_title = isset($data['page_title']) ? sanitize_text_field($data['page_title']) : '';
+        $term_id = isset($data['term_id']) ? absint($data['term_id']) : 0;
+        
+        // new_visitor marks the first page view of a visitor that day
+        $new_visitor = $event_type === 'visitor' && !empty($data['new_visitor']) ? 1 : 0;
+        
+        // Cart events carry the quantity change, coupon events the code
+        $quantity = isset($data['quantity']) ? intval($data['quantity']) : 0;
+        $coupon_code = isset($data['coupon_code']) ? strtolower(sanitize_text_field($data['coupon_code'])) : '';
+        
+        // Custom events carry their registered name and properties
+        $event_name = $event_type === 'custom' && isset($data['event_name']) ? sanitize_key($data['event_name']) : '';
+        $properties = $event_type === 'custom' && !empty($data['properties']) ? wp_json_encode($data['properties']) : '';
+        
+        // Long-lived visitor ID from tracking.js, and the test flag of staff traffic
+        $visitor_id = isset($data['visitor_id']) ? substr(sanitize_key($data['visitor_id']), 0, 50) : '';
+        $is_test = !empty($data['is_test']) ? 1 : 0;
+        
+        // Custom events are stored under their registered name
+        if ($event_type === 'custom' && $event_name === '') {
+            return false;
+        }
         
         // Validate required fields
         if (empty($session_id) || empty($ip_address)) {
@@ -201,21 +477,75 @@ class WC_Realtime_DB {
         $ip_address = substr($ip_address, 0, 100);
         $country_code = substr($country_code, 0, 2);
         $country_name = substr($country_name, 0, 50);
+        $region = substr($region, 0, 100);
+        $currency = substr($currency, 0, 3);
+        $page_url = substr($page_url, 0, 255);
+        $page_title = substr($page_title, 0, 255);
+        $event_name = substr($event_name, 0, 50);
+        $coupon_code = substr($coupon_code, 0, 50);
+        $variation = substr($variation, 0, 255);
+        
+        // Attribute the event to the campaign that brought its session
+        if (!isset($data['source'])) {
+            $data = array_merge($data, $this->get_event_attribution($session_id));
+        }
+        
+        $source = substr(sanitize_text_field($data['source']), 0, 100);
+        $medium = isset($data['medium']) ? substr(sanitize_text_field($data['medium']), 0, 100) : '';
+        $campaign = isset($data['campaign']) ? substr(sanitize_text_field($data['campaign']), 0, 100) : '';
+        
+        // Orders placed without the visitor cookie, such as on another device, belong to the customer's first visitor ID
+        if ($visitor_id === '' && $user_id) {
+            $visitor_id = $this->get_user_visitor_id($user_id);
+        }
+        
+        // Visitors first seen on an earlier day are returning visitors
+        $returning_visitor = $visitor_id !== '' && !$is_test && $this->save_visitor_id($visitor_id, $user_id) ? 1 : 0;
+        
+        // Quantities are stored as the change to the cart
+        if ($event_type === 'remove_from_cart') {
+            $quantity = -abs($quantity);
+        } elseif ($event_type === 'add_to_cart') {
+            $quantity = abs($quantity);
+        }
+        
+        $created_at = current_time('mysql');
         
         // Insert event record
         $result = $wpdb->insert(
             $this->table_events,
             array(
                 'event_type' => $event_type,
+                'event_name' => $event_name,
                 'session_id' => $session_id,
+                'visitor_id' => $visitor_id,
                 'product_id' => $product_id,
+                'variation_id' => $variation_id,
+                'variation' => $variation,
+                'quantity' => $quantity,
+                'coupon_code' => $coupon_code,
                 'user_id' => $user_id,
+                'order_id' => $order_id,
+                'revenue' => $revenue,
+                'currency' => $currency,
+                'page_type' => $page_type,
+                'page_url' => $page_url,
+                'page_title' => $page_title,
+                'term_id' => $term_id,
+                'properties' => $properties,
                 'ip_address' => $ip_address,
                 'country_code' => $country_code,
                 'country_name' => $country_name,
-                'created_at' => current_time('mysql')
+                'region' => $region,
+                'source' => $source,
+                'medium' => $medium,
+                'campaign' => $campaign,
+                'new_visitor' => $new_visitor,
+                'returning_visitor' => $returning_visitor,
+                'is_test' => $is_test,
+                'created_at' => $created_at
             ),
-            array('%s', '%s', '%d', '%d', '%s', '%s', '%s', '%s')
+            array('%s', '%s', '%s', '%s', '%d', '%d', '%s', '%d', '%s', '%d', '%d', '%f', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%d', '%s')
         );
         
         if (!$result) {
@@ -224,17 +554,214 @@ class WC_Realtime_DB {
         
         $event_id = $wpdb->insert_id;
         
-        // Handle visitor events differently - track unique IP addresses
-        if ($event_type === 'visitor') {
+        // Test events are stored for the live feed but left out of every statistic.
+        // Every page view is a visitor event, the visitor itself is only counted once a day
+        if ($event_type === 'visitor' && !$is_test) {
             $this->track_unique_visitor($ip_address, $country_code, $country_name);
         }
         
-        // Update today's stats
-        $this->update_today_stats($event_type, $product_id, $country_code, $country_name);
+        // Custom events are counted from the events table, not the aggregates
+        if ($event_type !== 'custom' && !$is_test) {
+            $this->update_today_stats($event_type, $product_id, $country_code, $country_name, $revenue, $variation_id);
+        }
+        
+        // Later orders of the visitor are repeat orders
+        if ($event_type === 'purchase' && !$product_id && $visitor_id !== '' && !$is_test) {
+            $wpdb->query($wpdb->prepare(
+                "UPDATE {$this->table_visitor_ids} SET first_order_at = %s WHERE visitor_id = %s AND first_order_at IS NULL",
+                $created_at,
+                $visitor_id
+            ));
+        }
+        
+        /**
+         * Fires after an event has been saved and counted
+         *
+         * @param int $event_id ID of the event
+         * @param string $event_type Event type
+         * @param array $data Event data as passed to save_event()
+         */
+        do_action('wc_realtime_event_saved', $event_id, $event_type, $data);
         
         return $event_id;
     }
     
+    /**
+     * Record that a visitor ID was seen, linking it to a customer
+     *
+     * A visitor ID keeps the first customer it was linked to.
+     *
+     * @param string $visitor_id Visitor ID set by tracking.js
+     * @param int $user_id User ID of the logged in customer, 0 for guests
+     * @return bool True if the visitor was first seen on an earlier day
+     */
+    public function save_visitor_id($visitor_id, $user_id = 0) {
+        global $wpdb;
+        
+        $visitor_id = substr(sanitize_key($visitor_id), 0, 50);
+        
+        if ($visitor_id === '') {
+            return false;
+        }
+        
+        $now = current_time('mysql');
+        $first_seen = $wpdb->get_var($wpdb->prepare(
+            "SELECT first_seen_at FROM {$this->table_visitor_ids} WHERE visitor_id = %s",
+            $visitor_id
+        ));
+        
+        $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->table_visitor_ids} (visitor_id, user_id, first_seen_at, last_seen_at)
+            VALUES (%s, %d, %s, %s)
+            ON DUPLICATE KEY UPDATE
+                user_id = IF(user_id = 0, VALUES(user_id), user_id),
+                last_seen_at = VALUES(last_seen_at)",
+            $visitor_id,
+            absint($user_id),
+            $now,
+            $now
+        ));
+        
+        return $first_seen && substr($first_seen, 0, 10) < substr($now, 0, 10);
+    }
+    
+    /**
+     * Check whether a visitor ID was first seen on an earlier day
+     *
+     * @param string $visitor_id Visitor ID
+     * @return bool
+     */
+    public function is_returning_visitor($visitor_id) {
+        global $wpdb;
+        
+        $first_seen = $wpdb->get_var($wpdb->prepare(
+            "SELECT first_seen_at FROM {$this->table_visitor_ids} WHERE visitor_id = %s",
+            substr(sanitize_key($visitor_id), 0, 50)
+        ));
+        
+        return $first_seen && substr($first_seen, 0, 10) < substr(current_time('mysql'), 0, 10);
+    }
+    
+    /**
+     * Get the first visitor ID linked to a customer
+     *
+     * tracking.js adopts it when the customer logs in on another device, so
+     * all their devices count as one visitor from then on.
+     *
+     * @param int $user_id User ID
+     * @return string Visitor ID or empty string if the customer has none
+     */
+    public function get_user_visitor_id($user_id) {
+        global $wpdb;
+        
+        if (!absint($user_id)) {
+            return '';
+        }
+        
+        return (string) $wpdb->get_var($wpdb->prepare(
+            "SELECT visitor_id FROM {$this->table_visitor_ids}
+            WHERE user_id = %d
+            ORDER BY first_seen_at ASC
+            LIMIT 1",
+            absint($user_id)
+        ));
+    }
+    
+    /**
+     * Save the first touch attribution of a session
+     *
+     * Sessions keep the campaign they started with, later attribution is ignored.
+     *
+     * @param string $session_id Session ID
+     * @param array $attribution Attribution from WC_Realtime_Attribution::from_request()
+     * @return bool True if the session was new
+     */
+    public function save_session_attribution($session_id, $attribution) {
+        global $wpdb;
+        
+        $session_id = substr(sanitize_text_field($session_id), 0, 50);
+        
+        if ($session_id === '' || !is_array($attribution)) {
+            return false;
+        }
+        
+        $lengths = array(
+            'source' => 100,
+            'medium' => 100,
+            'campaign' => 100,
+            'term' => 100,
+            'content' => 100,
+            'gclid' => 255,
+            'fbclid' => 255,
+            'referrer' => 255,
+            'landing_page' => 255
+        );
+        
+        $values = array($session_id);
+        
+        foreach ($lengths as $field => $length) {
+            $values[] = isset($attribution[$field]) ? substr(sanitize_text_field($attribution[$field]), 0, $length) : '';
+        }
+        
+        $values[] = current_time('mysql');
+        
+        $result = $wpdb->query($wpdb->prepare(
+            "INSERT IGNORE INTO {$this->table_sessions} 
+                (session_id, source, medium, campaign, term, content, gclid, fbclid, referrer, landing_page, created_at)
+            VALUES (%s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s)",
+            $values
+        ));
+        
+        unset($this->attribution_cache[$session_id]);
+        
+        return (int) $result > 0;
+    }
+    
+    /**
+     * Get the first touch attribution of a session
+     *
+     * @param string $session_id Session ID
+     * @return array|null Attribution row or null if the session has none
+     */
+    public function get_session_attribution($session_id) {
+        global $wpdb;
+        
+        $session_id = substr(sanitize_text_field($session_id), 0, 50);
+        
+        if ($session_id === '') {
+            return null;
+        }
+        
+        if (!array_key_exists($session_id, $this->attribution_cache)) {
+            $row = $wpdb->get_row($wpdb->prepare(
+                "SELECT source, medium, campaign, term, content, gclid, fbclid, referrer, landing_page, created_at
+                FROM {$this->table_sessions}
+                WHERE session_id = %s",
+                $session_id
+            ), ARRAY_A);
+            
+            $this->attribution_cache[$session_id] = is_array($row) ? $row : null;
+        }
+        
+        return $this->attribution_cache[$session_id];
+    }
+    
+    /**
+     * Get the source, medium and campaign events of a session are attributed to
+     *
+     * @param string $session_id Session ID
+     * @return array Source, medium and campaign, empty for sessions without attribution
+     */
+    public function get_event_attribution($session_id) {
+        $attribution = $this->get_session_attribution($session_id);
+        
+        return array(
+            'source' => $attribution ? $attribution['source'] : '',
+            'medium' => $attribution ? $attribution['medium'] : '',
+            'campaign' => $attribution ? $attribution['campaign'] : ''
+        );
+    }
+    
     /**
      * Track unique visitor by IP address
      *
@@ -246,7 +773,7 @@ class WC_Realtime_DB {
     private function track_unique_visitor($ip_address, $country_code, $country_name) {
         global $wpdb;
         
-        $today = date('Y-m-d');
+        $today = current_time('Y-m-d');
         
         // Check if this IP is already recorded for today
         $exists = $wpdb->get_var($wpdb->prepare(
@@ -331,25 +858,34 @@ class WC_Realtime_DB {
      * @param int $product_id Product ID
      * @param string $country_code Country code
      * @param string $country_name Country name
+     * @param float $revenue Revenue of purchase events
+     * @param int $variation_id Variation ID of variable products
      */
-    private function update_today_stats($event_type, $product_id, $country_code, $country_name) {
-        $today = date('Y-m-d');
+    private function update_today_stats($event_type, $product_id, $country_code, $country_name, $revenue = 0, $variation_id = 0) {
+        $today = current_time('Y-m-d');
         
         // Skip visitor events as they're handled separately
         if ($event_type === 'visitor') {
             // Update product-specific visitor stats if product ID is provided
             if ($product_id > 0) {
-                $this->update_product_stats($event_type, $today, $product_id, $country_code, $country_name);
+                $this->update_product_stats($event_type, $today, $product_id, $country_code, $country_name, 0, $variation_id);
             }
             return;
         }
         
+        // Purchases are saved once per order and once per order line, the
+        // order counts for the store and each line for its product only
+        if ($event_type === 'purchase' && $product_id > 0) {
+            $this->update_product_stats($event_type, $today, $product_id, $country_code, $country_name, $revenue, $variation_id);
+            return;
+        }
+        
         // Update daily stats for non-visitor events
-        $this->update_daily_stats($event_type, $today, $country_code, $country_name);
+        $this->update_daily_stats($event_type, $today, $country_code, $country_name, $revenue);
         
         // If we have a product_id, update product stats
         if ($product_id > 0) {
-            $this->update_product_stats($event_type, $today, $product_id, $country_code, $country_name);
+            $this->update_product_stats($event_type, $today, $product_id, $country_code, $country_name, 0, $variation_id);
         }
     }
     
@@ -360,8 +896,9 @@ class WC_Realtime_DB {
      * @param string $date Date (Y-m-d)
      * @param string $country_code Country code
      * @param string $country_name Country name
+     * @param float $revenue Revenue to add
      */
-    private function update_daily_stats($event_type, $date, $country_code, $country_name) {
+    private function update_daily_stats($event_type, $date, $country_code, $country_name, $revenue = 0) {
         global $wpdb;
         
         // Validate parameters
@@ -399,15 +936,16 @@ class WC_Realtime_DB {
                     'date' => $date,
                     'country_code' => $country_code,
                     'country_name' => $country_name,
-                    $field => 1
+                    $field => 1,
+                    'revenue' => (float) $revenue
                 ),
-                array('%s', '%s', '%s', '%d')
+                array('%s', '%s', '%s', '%d', '%f')
             );
         } else {
             // Update stats based on event type using prepared statement
             $wpdb->query($wpdb->prepare(
-                "UPDATE {$this->table_daily} SET {$field} = {$field} + 1 WHERE date = %s AND country_code = %s",
-                $date, $country_code
+                "UPDATE {$this->table_daily} SET {$field} = {$field} + 1, revenue = revenue + %f WHERE date = %s AND country_code = %s",
+                (float) $revenue, $date, $country_code
             ));
         }
     }
@@ -420,8 +958,10 @@ class WC_Realtime_DB {
      * @param int $product_id Product ID
      * @param string $country_code Country code
      * @param string $country_name Country name
+     * @param float $revenue Revenue to add
+     * @param int $variation_id Variation ID, 0 for simple products and the parent of variable products
      */
-    private function update_product_stats($event_type, $date, $product_id, $country_code, $country_name) {
+    private function update_product_stats($event_type, $date, $product_id, $country_code, $country_name, $revenue = 0, $variation_id = 0) {
         global $wpdb;
         
         // Validate parameters
@@ -438,6 +978,7 @@ class WC_Realtime_DB {
         
         // Sanitize other inputs
         $product_id = absint($product_id);
+        $variation_id = absint($variation_id);
         $country_code = sanitize_text_field($country_code);
         $country_name = sanitize_text_field($country_name);
         
@@ -448,8 +989,8 @@ class WC_Realtime_DB {
         
         // Check if record exists using prepared statement
         $exists = $wpdb->get_var($wpdb->prepare(
-            "SELECT id FROM {$this->table_products} WHERE date = %s AND product_id = %d AND country_code = %s",
-            $date, $product_id, $country_code
+            "SELECT id FROM {$this->table_products} WHERE date = %s AND product_id = %d AND variation_id = %d AND country_code = %s",
+            $date, $product_id, $variation_id, $country_code
         ));
         
         if (!$exists) {
@@ -459,18 +1000,20 @@ class WC_Realtime_DB {
                 array(
                     'date' => $date,
                     'product_id' => $product_id,
+                    'variation_id' => $variation_id,
                     'country_code' => $country_code,
                     'country_name' => $country_name,
-                    $field => 1
+                    $field => 1,
+                    'revenue' => (float) $revenue
                 ),
-                array('%s', '%d', '%s', '%s', '%d')
+                array('%s', '%d', '%d', '%s', '%s', '%d', '%f')
             );
         } else {
             // Update stats based on event type using prepared statement
             $wpdb->query($wpdb->prepare(
-                "UPDATE {$this->table_products} SET {$field} = {$field} + 1 
-                WHERE date = %s AND product_id = %d AND country_code = %s",
-                $date, $product_id, $country_code
+                "UPDATE {$this->table_products} SET {$field} = {$field} + 1, revenue = revenue + %f 
+                WHERE date = %s AND product_id = %d AND variation_id = %d AND country_code = %s",
+                (float) $revenue, $date, $product_id, $variation_id, $country_code
             ));
         }
     }
@@ -510,29 +1053,13 @@ class WC_Realtime_DB {
             return array(
                 'store' => array(),
                 'products' => array(),
-                'countries' => array()
+                'countries' => array(),
+                'timeseries' => array()
             );
         }
         
         // Get overall store statistics
-        $store_stats = $wpdb->get_row($wpdb->prepare(
-            "SELECT 
-                SUM(visitors) as visitors,
-                SUM(add_to_cart) as add_to_cart,
-                SUM(checkouts) as checkouts,
-                SUM(purchases) as purchases
-            FROM {$this->table_daily}
-            WHERE date BETWEEN %s AND %s",
-            $start_date, $end_date
-        ), ARRAY_A);
-        
-        // Default values for null results
-        $store_stats = $this->ensure_default_values($store_stats);
-        
-        // Calculate conversion rates
-        $store_stats['atc_rate'] = $this->calculate_percentage($store_stats['add_to_cart'], $store_stats['visitors']);
-        $store_stats['checkout_rate'] = $this->calculate_percentage($store_stats['checkouts'], $store_stats['add_to_cart']);
-        $store_stats['purchase_rate'] = $this->calculate_percentage($store_stats['purchases'], $store_stats['checkouts']);
+        $store_stats = $this->get_store_stats($start_date, $end_date);
         
         // Get product-specific statistics
         $product_stats = $wpdb->get_results($wpdb->prepare(
@@ -541,7 +1068,8 @@ class WC_Realtime_DB {
                 SUM(visitors) as visitors,
                 SUM(add_to_cart) as add_to_cart,
                 SUM(checkouts) as checkouts,
-                SUM(purchases) as purchases
+                SUM(purchases) as purchases,
+                SUM(revenue) as revenue
             FROM {$this->table_products}
             WHERE date BETWEEN %s AND %s
             GROUP BY product_id
@@ -557,15 +1085,10 @@ class WC_Realtime_DB {
                 $product['add_to_cart'] = absint($product['add_to_cart']);
                 $product['checkouts'] = absint($product['checkouts']);
                 $product['purchases'] = absint($product['purchases']);
+                $product['revenue'] = round((float) $product['revenue'], 2);
                 
                 // Get product name
-                $product_id = absint($product['product_id']);
-                $product_obj = wc_get_product($product_id);
-                if ($product_obj) {
-                    $product['name'] = html_entity_decode($product_obj->get_name(), ENT_QUOTES, 'UTF-8');
-                } else {
-                    $product['name'] = 'Product #' . $product_id;
-                }
+                $product['name'] = $this->get_product_name($product['product_id']);
             }
         }
         
@@ -577,7 +1100,8 @@ class WC_Realtime_DB {
                 SUM(visitors) as visitors,
                 SUM(add_to_cart) as add_to_cart,
                 SUM(checkouts) as checkouts,
-                SUM(purchases) as purchases
+                SUM(purchases) as purchases,
+                SUM(revenue) as revenue
             FROM {$this->table_daily}
             WHERE date BETWEEN %s AND %s AND country_code != ''
             GROUP BY country_code, country_name
@@ -592,153 +1116,2344 @@ class WC_Realtime_DB {
                 $country['add_to_cart'] = absint($country['add_to_cart']);
                 $country['checkouts'] = absint($country['checkouts']);
                 $country['purchases'] = absint($country['purchases']);
+                $country['revenue'] = round((float) $country['revenue'], 2);
             }
         }
         
         return array(
             'store' => $store_stats,
             'products' => $product_stats,
-            'countries' => $country_stats
+            'countries' => $country_stats,
+            'timeseries' => $this->get_timeseries($start_date, $end_date),
+            'custom_events' => $this->get_custom_event_counts($start_date . ' 00:00:00', $end_date . ' 23:59:59'),
+            'cart_activity' => $this->get_cart_activity($start_date . ' 00:00:00', $end_date . ' 23:59:59'),
+            'traffic_sources' => $this->get_traffic_sources($start_date . ' 00:00:00', $end_date . ' 23:59:59'),
+            'bot_traffic' => $this->get_bot_traffic($start_date . ' 00:00:00', $end_date . ' 23:59:59'),
+            'engagement' => $this->get_engagement_stats($start_date . ' 00:00:00', $end_date . ' 23:59:59'),
+            'pageviews' => $this->get_pageview_stats($start_date . ' 00:00:00', $end_date . ' 23:59:59'),
+            'top_pages' => $this->get_top_pages($start_date . ' 00:00:00', $end_date . ' 23:59:59'),
+            'top_categories' => $this->get_top_categories($start_date . ' 00:00:00', $end_date . ' 23:59:59'),
+            'visitor_types' => $this->get_visitor_type_stats($start_date . ' 00:00:00', $end_date . ' 23:59:59')
         );
     }
     
     /**
-     * Get total unique visitors for a date range
+     * Get overall store totals and conversion rates for a date range
      *
      * @param string $start_date Start date (Y-m-d)
      * @param string $end_date End date (Y-m-d)
-     * @return int Count of unique visitors
+     * @return array Store statistics
      */
-    public function get_unique_visitors($start_date, $end_date) {
+    public function get_store_stats($start_date, $end_date) {
         global $wpdb;
         
-        $count = $wpdb->get_var($wpdb->prepare(
-            "SELECT COUNT(*) FROM {$this->table_visitors} 
+        $store_stats = $wpdb->get_row($wpdb->prepare(
+            "SELECT 
+                SUM(visitors) as visitors,
+                SUM(add_to_cart) as add_to_cart,
+                SUM(checkouts) as checkouts,
+                SUM(purchases) as purchases,
+                SUM(revenue) as revenue
+            FROM {$this->table_daily}
             WHERE date BETWEEN %s AND %s",
             $start_date, $end_date
-        ));
+        ), ARRAY_A);
         
-        return absint($count);
+        $revenue = isset($store_stats['revenue']) ? $store_stats['revenue'] : 0;
+        
+        // Default values for null results
+        $store_stats = $this->ensure_default_values($store_stats);
+        
+        return $this->add_revenue_metrics($this->add_conversion_rates($store_stats), $revenue);
     }
     
     /**
-     * Ensure default values for null database results
+     * Get store totals between two points in time from the raw events
+     * 
+     * Daily aggregates cannot tell how far into a day an event happened, this
+     * is used to compare a partial day with the same part of an earlier day.
      *
-     * @param array|null $data Data to check
-     * @return array Data with default values
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @return array Store statistics
      */
-    private function ensure_default_values($data) {
-        if (!is_array($data)) {
-            $data = array();
-        }
+    public function get_store_stats_between($start_time, $end_time) {
+        global $wpdb;
         
-        $defaults = array(
-            'visitors' => 0,
-            'add_to_cart' => 0,
-            'checkouts' => 0,
-            'purchases' => 0
+        $store_stats = array(
+            'visitors' => $wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(*) FROM {$this->table_visitors}
+                WHERE created_at BETWEEN %s AND %s",
+                $start_time, $end_time
+            ))
         );
         
-        foreach ($defaults as $key => $value) {
-            if (!isset($data[$key]) || is_null($data[$key])) {
-                $data[$key] = $value;
-            } else {
-                // Ensure values are integers
-                $data[$key] = absint($data[$key]);
+        $event_rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT event_type, COUNT(*) as total, SUM(revenue) as revenue
+            FROM {$this->table_events}
+            WHERE created_at BETWEEN %s AND %s AND event_type != 'visitor' AND is_test = 0
+            AND NOT (event_type = 'purchase' AND product_id > 0)
+            GROUP BY event_type",
+            $start_time, $end_time
+        ), ARRAY_A);
+        
+        $revenue = 0;
+        
+        foreach ((array) $event_rows as $row) {
+            $field = $this->get_field_from_event_type($row['event_type']);
+            if ($field) {
+                $store_stats[$field] = $row['total'];
+            }
+            
+            if ($row['event_type'] === 'purchase') {
+                $revenue = $row['revenue'];
             }
         }
         
-        return $data;
+        $store_stats = $this->ensure_default_values($store_stats);
+        
+        return $this->add_revenue_metrics($this->add_conversion_rates($store_stats), $revenue);
     }
     
     /**
-     * Calculate percentage with safety for division by zero
-     * 
-     * @param int $numerator Numerator
-     * @param int $denominator Denominator
-     * @return float Percentage value
+     * Add add to cart, checkout and purchase rates to store totals
+     *
+     * @param array $store_stats Store totals
+     * @return array Store totals with rates
      */
-    private function calculate_percentage($numerator, $denominator) {
-        if (empty($denominator) || $denominator == 0) {
-            return 0;
-        }
+    private function add_conversion_rates($store_stats) {
+        $store_stats['atc_rate'] = $this->calculate_percentage($store_stats['add_to_cart'], $store_stats['visitors']);
+        $store_stats['checkout_rate'] = $this->calculate_percentage($store_stats['checkouts'], $store_stats['add_to_cart']);
+        $store_stats['purchase_rate'] = $this->calculate_percentage($store_stats['purchases'], $store_stats['checkouts']);
         
-        return round(($numerator / $denominator) * 100, 2);
+        return $store_stats;
     }
     
     /**
-     * Get today's statistics
-     * 
-     * @return array Statistics data
+     * Add revenue, average order value and revenue per visitor to store totals
+     *
+     * @param array $store_stats Store totals
+     * @param float $revenue Revenue of the orders counted as purchases
+     * @return array Store totals with revenue metrics
+     */
+    private function add_revenue_metrics($store_stats, $revenue) {
+        $revenue = round((float) $revenue, 2);
+        
+        $store_stats['revenue'] = $revenue;
+        $store_stats['aov'] = $store_stats['purchases'] > 0 ? round($revenue / $store_stats['purchases'], 2) : 0;
+        $store_stats['revenue_per_visitor'] = $store_stats['visitors'] > 0 ? round($revenue / $store_stats['visitors'], 2) : 0;
+        
+        return $store_stats;
+    }
+    
+    /**
+     * Get visitors, add to cart, checkouts and purchases over time
+     * 
+     * Single-day ranges are broken down by hour from the events and visitors
+     * tables, longer ranges by day from the daily aggregates.
+     *
+     * @param string $start_date Start date (Y-m-d)
+     * @param string $end_date End date (Y-m-d)
+     * @return array Granularity, live flag and one point per bucket
+     */
+    public function get_timeseries($start_date, $end_date) {
+        global $wpdb;
+        
+        $granularity = ($start_date === $end_date) ? 'hour' : 'day';
+        $buckets = $this->build_time_buckets($start_date, $end_date, $granularity);
+        
+        if ($granularity === 'hour') {
+            $start_time = $start_date . ' 00:00:00';
+            $end_time = $end_date . ' 23:59:59';
+            
+            // Unique visitors are recorded with their first visit time
+            $visitor_rows = $wpdb->get_results($wpdb->prepare(
+                "SELECT 
+                    DATE_FORMAT(created_at, '%%Y-%%m-%%d %%H:00:00') as bucket,
+                    COUNT(*) as total
+                FROM {$this->table_visitors}
+                WHERE created_at BETWEEN %s AND %s
+                GROUP BY bucket",
+                $start_time, $end_time
+            ), ARRAY_A);
+            
+            foreach ((array) $visitor_rows as $row) {
+                if (isset($buckets[$row['bucket']])) {
+                    $buckets[$row['bucket']]['visitors'] = absint($row['total']);
+                }
+            }
+            
+            $event_rows = $wpdb->get_results($wpdb->prepare(
+                "SELECT 
+                    DATE_FORMAT(created_at, '%%Y-%%m-%%d %%H:00:00') as bucket,
+                    event_type,
+                    COUNT(*) as total
+                FROM {$this->table_events}
+                WHERE created_at BETWEEN %s AND %s AND event_type != 'visitor' AND is_test = 0
+                AND NOT (event_type = 'purchase' AND product_id > 0)
+                GROUP BY bucket, event_type",
+                $start_time, $end_time
+            ), ARRAY_A);
+            
+            foreach ((array) $event_rows as $row) {
+                $field = $this->get_field_from_event_type($row['event_type']);
+                if ($field && isset($buckets[$row['bucket']])) {
+                    $buckets[$row['bucket']][$field] = absint($row['total']);
+                }
+            }
+        } else {
+            $daily_rows = $wpdb->get_results($wpdb->prepare(
+                "SELECT 
+                    date as bucket,
+                    SUM(visitors) as visitors,
+                    SUM(add_to_cart) as add_to_cart,
+                    SUM(checkouts) as checkouts,
+                    SUM(purchases) as purchases
+                FROM {$this->table_daily}
+                WHERE date BETWEEN %s AND %s
+                GROUP BY date",
+                $start_date, $end_date
+            ), ARRAY_A);
+            
+            foreach ((array) $daily_rows as $row) {
+                if (isset($buckets[$row['bucket']])) {
+                    $buckets[$row['bucket']] = $this->ensure_default_values($row);
+                }
+            }
+        }
+        
+        return array(
+            'granularity' => $granularity,
+            // Live events may only be appended when the range reaches the present
+            'is_live' => $end_date >= current_time('Y-m-d'),
+            'points' => array_values($buckets)
+        );
+    }
+    
+    /**
+     * Build empty time buckets for a date range
+     * 
+     * Buckets in the future are left out so live events can append to the end.
+     *
+     * @param string $start_date Start date (Y-m-d)
+     * @param string $end_date End date (Y-m-d)
+     * @param string $granularity 'hour' or 'day'
+     * @return array Empty points keyed by bucket
+     */
+    private function build_time_buckets($start_date, $end_date, $granularity) {
+        $buckets = array();
+        $now = current_time('timestamp');
+        $step = ($granularity === 'hour') ? HOUR_IN_SECONDS : DAY_IN_SECONDS;
+        $format = ($granularity === 'hour') ? 'Y-m-d H:00:00' : 'Y-m-d';
+        
+        $current = strtotime($start_date . ' 00:00:00');
+        $last = strtotime($end_date . ' 23:59:59');
+        
+        // Guard against runaway ranges
+        $max_buckets = 366;
+        
+        while ($current <= $last && $current <= $now && count($buckets) < $max_buckets) {
+            $bucket = date($format, $current);
+            $buckets[$bucket] = array(
+                'bucket' => $bucket,
+                'visitors' => 0,
+                'add_to_cart' => 0,
+                'checkouts' => 0,
+                'purchases' => 0
+            );
+            $current += $step;
+        }
+        
+        return $buckets;
+    }
+    
+    /**
+     * Get raw events, newest first, with cursor-based paging
+     *
+     * @param array $args {
+     *     @type int    $limit        Number of events per page (1-100)
+     *     @type int    $before_id    Cursor, only events with a lower ID are returned
+     *     @type string $event_type   Filter by event type
+     *     @type int    $product_id   Filter by product ID
+     *     @type string $country_code Filter by country code
+     *     @type string $source       Filter by traffic source
+     * }
+     * @return array Events, whether there are more and the cursor for the next page
+     */
+    public function get_events($args = array()) {
+        global $wpdb;
+        
+        $args = wp_parse_args($args, array(
+            'limit' => 20,
+            'before_id' => 0,
+            'event_type' => '',
+            'product_id' => 0,
+            'country_code' => '',
+            'source' => ''
+        ));
+        
+        $limit = min(100, max(1, absint($args['limit'])));
+        
+        $where = array('1=1');
+        $params = array();
+        
+        if (absint($args['before_id']) > 0) {
+            $where[] = 'id < %d';
+            $params[] = absint($args['before_id']);
+        }
+        
+        if (in_array($args['event_type'], $this->get_event_types(), true)) {
+            $where[] = 'event_type = %s';
+            $params[] = $args['event_type'];
+        }
+        
+        if (absint($args['product_id']) > 0) {
+            $where[] = 'product_id = %d';
+            $params[] = absint($args['product_id']);
+        }
+        
+        $country_code = strtoupper(substr(sanitize_text_field($args['country_code']), 0, 2));
+        if ($country_code !== '') {
+            $where[] = 'country_code = %s';
+            $params[] = $country_code;
+        }
+        
+        $source = substr(sanitize_text_field($args['source']), 0, 100);
+        if ($source !== '') {
+            $where[] = 'source = %s';
+            $params[] = $source;
+        }
+        
+        // Fetch one extra row to know whether another page exists
+        $params[] = $limit + 1;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, event_type, event_name, session_id, product_id, variation_id, variation, quantity, coupon_code, user_id, order_id, revenue, currency, properties, country_code, country_name, source, medium, campaign, page_type, page_url, page_title, new_visitor, is_test, created_at
+            FROM {$this->table_events}
+            WHERE " . implode(' AND ', $where) . "
+            ORDER BY id DESC
+            LIMIT %d",
+            $params
+        ), ARRAY_A);
+        
+        $rows = is_array($rows) ? $rows : array();
+        $has_more = count($rows) > $limit;
+        
+        if ($has_more) {
+            array_pop($rows);
+        }
+        
+        $last_row = end($rows);
+        
+        return array(
+            'events' => $rows,
+            'has_more' => $has_more,
+            'next_cursor' => ($has_more && $last_row) ? absint($last_row['id']) : 0
+        );
+    }
+    
+    /**
+     * Get events saved after a cursor, oldest first
+     *
+     * Order lines are left out, live purchase events are per order.
+     *
+     * @param int $after_id Cursor, only events with a higher ID are returned
+     * @param int $limit Maximum number of events (1-100)
+     * @return array Event rows
+     */
+    public function get_events_since($after_id, $limit = 50) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, event_type, event_name, session_id, product_id, variation_id, variation, quantity, coupon_code, user_id, order_id, revenue, currency, properties, country_code, country_name, source, medium, campaign, page_type, page_url, page_title, new_visitor, is_test, created_at
+            FROM {$this->table_events}
+            WHERE id > %d AND NOT (event_type = 'purchase' AND product_id > 0)
+            ORDER BY id ASC
+            LIMIT %d",
+            absint($after_id), min(100, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        return is_array($rows) ? $rows : array();
+    }
+    
+    /**
+     * Get a chunk of raw events for an export, oldest first
+     *
+     * Exports walk the events table with an ID cursor so that any number
+     * of events can be read in chunks of bounded size.
+     *
+     * @param string $start_time Start of the range (Y-m-d H:i:s)
+     * @param string $end_time End of the range (Y-m-d H:i:s)
+     * @param int $after_id Cursor, only events with a higher ID are returned
+     * @param int $limit Maximum number of events (1-10000)
+     * @return array Event rows with every column
+     */
+    public function get_events_for_export($start_time, $end_time, $after_id = 0, $limit = 5000) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, created_at, event_type, event_name, session_id, visitor_id, returning_visitor, user_id, product_id, variation_id, variation, quantity, order_id, revenue, currency,
+                coupon_code, page_type, page_url, page_title, term_id, source, medium, campaign, country_code, country_name, region, ip_address, properties
+            FROM {$this->table_events}
+            WHERE id > %d AND created_at BETWEEN %s AND %s AND is_test = 0
+            ORDER BY id ASC
+            LIMIT %d",
+            absint($after_id), $start_time, $end_time, min(10000, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        // Chunks are not kept around by wpdb
+        $wpdb->flush();
+        
+        return is_array($rows) ? $rows : array();
+    }
+    
+    /**
+     * Get events that match any step of a funnel, grouped by session
+     *
+     * @param array $steps Funnel steps (event_type, product_id, page_type, page_url)
+     * @param string $start_time Start of the range (Y-m-d H:i:s)
+     * @param string $end_time End of the range (Y-m-d H:i:s)
+     * @param int $offset Number of events to skip
+     * @param int $limit Maximum number of events
+     * @return array Event rows ordered by session and time
+     */
+    public function get_funnel_events($steps, $start_time, $end_time, $offset = 0, $limit = 5000) {
+        global $wpdb;
+        
+        $conditions = array();
+        $params = array($start_time, $end_time);
+        
+        foreach ((array) $steps as $step) {
+            if (empty($step['event_type']) || !in_array($step['event_type'], $this->get_event_types(), true)) {
+                continue;
+            }
+            
+            $condition = array('event_type = %s');
+            $params[] = $step['event_type'];
+            
+            if (!empty($step['product_id'])) {
+                $condition[] = 'product_id = %d';
+                $params[] = absint($step['product_id']);
+            } elseif ($step['event_type'] === 'purchase') {
+                // Order lines only count for product steps
+                $condition[] = 'product_id = 0';
+            }
+            
+            if (!empty($step['page_type'])) {
+                $condition[] = 'page_type = %s';
+                $params[] = $step['page_type'];
+            }
+            
+            if (!empty($step['page_url'])) {
+                $condition[] = 'page_url LIKE %s';
+                $params[] = '%' . $wpdb->esc_like($step['page_url']) . '%';
+            }
+            
+            $conditions[] = '(' . implode(' AND ', $condition) . ')';
+        }
+        
+        if (empty($conditions)) {
+            return array();
+        }
+        
+        $params[] = min(10000, max(1, absint($limit)));
+        $params[] = absint($offset);
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, session_id, event_type, product_id, page_type, page_url, created_at
+            FROM {$this->table_events}
+            WHERE created_at BETWEEN %s AND %s AND is_test = 0 AND (" . implode(' OR ', $conditions) . ")
+            ORDER BY session_id ASC, created_at ASC, id ASC
+            LIMIT %d OFFSET %d",
+            $params
+        ), ARRAY_A);
+        
+        return is_array($rows) ? $rows : array();
+    }
+    
+    /**
+     * Count custom events by name
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @return array Rows with event_name, total and sessions, most frequent first
+     */
+    public function get_custom_event_counts($start_time, $end_time) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT event_name, COUNT(*) as total, COUNT(DISTINCT session_id) as sessions
+            FROM {$this->table_events}
+            WHERE event_type = 'custom' AND created_at BETWEEN %s AND %s AND is_test = 0
+            GROUP BY event_name
+            ORDER BY total DESC",
+            $start_time, $end_time
+        ), ARRAY_A);
+        
+        $counts = array();
+        
+        foreach ((array) $rows as $row) {
+            $counts[] = array(
+                'event_name' => $row['event_name'],
+                'total' => absint($row['total']),
+                'sessions' => absint($row['sessions'])
+            );
+        }
+        
+        return $counts;
+    }
+    
+    /**
+     * Get cart additions, removals, quantity changes and coupon usage
+     *
+     * Net cart adds are add to cart events minus removals, net units the
+     * quantities added minus the quantities removed, including cart updates.
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @return array Cart activity totals and coupon usage by code
+     */
+    public function get_cart_activity($start_time, $end_time) {
+        global $wpdb;
+        
+        // Add to cart events saved before quantities were stored count as one unit
+        $totals = $wpdb->get_row($wpdb->prepare(
+            "SELECT 
+                SUM(CASE WHEN event_type = 'add_to_cart' THEN 1 ELSE 0 END) as adds,
+                SUM(CASE WHEN event_type = 'remove_from_cart' THEN 1 ELSE 0 END) as removals,
+                SUM(CASE WHEN event_type = 'cart_update' THEN 1 ELSE 0 END) as updates,
+                SUM(CASE WHEN event_type = 'coupon_applied' THEN 1 ELSE 0 END) as coupons_applied,
+                SUM(CASE WHEN event_type = 'coupon_removed' THEN 1 ELSE 0 END) as coupons_removed,
+                SUM(CASE 
+                    WHEN event_type = 'add_to_cart' THEN GREATEST(quantity, 1)
+                    WHEN event_type = 'cart_update' AND quantity > 0 THEN quantity
+                    ELSE 0 END) as units_added,
+                SUM(CASE 
+                    WHEN event_type IN ('remove_from_cart', 'cart_update') AND quantity < 0 THEN -quantity
+                    ELSE 0 END) as units_removed
+            FROM {$this->table_events}
+            WHERE created_at BETWEEN %s AND %s AND is_test = 0
+            AND event_type IN ('add_to_cart', 'remove_from_cart', 'cart_update', 'coupon_applied', 'coupon_removed')",
+            $start_time, $end_time
+        ), ARRAY_A);
+        
+        $activity = array();
+        
+        foreach (array('adds', 'removals', 'updates', 'coupons_applied', 'coupons_removed', 'units_added', 'units_removed') as $field) {
+            $activity[$field] = isset($totals[$field]) ? absint($totals[$field]) : 0;
+        }
+        
+        $activity['net_cart_adds'] = $activity['adds'] - $activity['removals'];
+        $activity['net_units'] = $activity['units_added'] - $activity['units_removed'];
+        $activity['removal_rate'] = $this->calculate_percentage($activity['removals'], $activity['adds']);
+        
+        $coupons = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                coupon_code,
+                SUM(CASE WHEN event_type = 'coupon_applied' THEN 1 ELSE 0 END) as applied,
+                SUM(CASE WHEN event_type = 'coupon_removed' THEN 1 ELSE 0 END) as removed
+            FROM {$this->table_events}
+            WHERE created_at BETWEEN %s AND %s AND is_test = 0
+            AND event_type IN ('coupon_applied', 'coupon_removed') AND coupon_code != ''
+            GROUP BY coupon_code
+            ORDER BY applied DESC
+            LIMIT 10",
+            $start_time, $end_time
+        ), ARRAY_A);
+        
+        $activity['coupons'] = array();
+        
+        foreach ((array) $coupons as $coupon) {
+            $activity['coupons'][] = array(
+                'coupon_code' => $coupon['coupon_code'],
+                'applied' => absint($coupon['applied']),
+                'removed' => absint($coupon['removed'])
+            );
+        }
+        
+        return $activity;
+    }
+    
+    /**
+     * Get sessions, cart adds, checkouts, purchases and revenue by traffic source
+     *
+     * Events saved before attribution was tracked have an empty source.
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @param int $limit Maximum number of sources
+     * @return array Rows with source, medium, sessions, add_to_cart, checkouts, purchases,
+     *               revenue and conversion_rate, most sessions first
+     */
+    public function get_traffic_sources($start_time, $end_time, $limit = 20) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                source,
+                medium,
+                COUNT(DISTINCT session_id) as sessions,
+                SUM(CASE WHEN event_type = 'add_to_cart' THEN 1 ELSE 0 END) as add_to_cart,
+                SUM(CASE WHEN event_type = 'checkout' THEN 1 ELSE 0 END) as checkouts,
+                SUM(CASE WHEN event_type = 'purchase' AND product_id = 0 THEN 1 ELSE 0 END) as purchases,
+                SUM(CASE WHEN event_type = 'purchase' AND product_id = 0 THEN revenue ELSE 0 END) as revenue
+            FROM {$this->table_events}
+            WHERE created_at BETWEEN %s AND %s AND is_test = 0
+            GROUP BY source, medium
+            ORDER BY sessions DESC
+            LIMIT %d",
+            $start_time, $end_time, min(100, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        $sources = array();
+        
+        foreach ((array) $rows as $row) {
+            $sources[] = array(
+                'source' => $row['source'],
+                'medium' => $row['medium'],
+                'sessions' => absint($row['sessions']),
+                'add_to_cart' => absint($row['add_to_cart']),
+                'checkouts' => absint($row['checkouts']),
+                'purchases' => absint($row['purchases']),
+                'revenue' => round((float) $row['revenue'], 2),
+                'conversion_rate' => $this->calculate_percentage($row['purchases'], $row['sessions'])
+            );
+        }
+        
+        return $sources;
+    }
+    
+    /**
+     * Count page views and the sessions they belong to
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @param bool|null $returning Only returning (true) or new (false) visitors, null for all
+     * @return array Page views, sessions and page views per session
+     */
+    public function get_pageview_stats($start_time, $end_time, $returning = null) {
+        global $wpdb;
+        
+        $visitor_where = $this->get_returning_where($returning);
+        
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT COUNT(*) as pageviews, COUNT(DISTINCT session_id) as sessions
+            FROM {$this->table_events}
+            WHERE event_type = 'visitor' AND created_at BETWEEN %s AND %s AND is_test = 0{$visitor_where}",
+            $start_time, $end_time
+        ), ARRAY_A);
+        
+        $pageviews = isset($row['pageviews']) ? absint($row['pageviews']) : 0;
+        $sessions = isset($row['sessions']) ? absint($row['sessions']) : 0;
+        
+        return array(
+            'pageviews' => $pageviews,
+            'sessions' => $sessions,
+            'pageviews_per_session' => $sessions > 0 ? round($pageviews / $sessions, 2) : 0
+        );
+    }
+    
+    /**
+     * Build the condition keeping only returning or new visitors
+     *
+     * @param bool|null $returning Only returning (true) or new (false) visitors, null for all
+     * @return string SQL condition starting with AND, empty for all visitors
+     */
+    private function get_returning_where($returning) {
+        return $returning === null ? '' : ' AND returning_visitor = ' . ($returning ? 1 : 0);
+    }
+    
+    /**
+     * Get the store totals, revenue, page views and engagement of new and of returning visitors
+     *
+     * Visitors are counted by visitor ID, or by IP address for events sent
+     * before visitor IDs were set. Returning visitors were first seen on an
+     * earlier day.
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @return array Statistics keyed by "new" and "returning", each with the store totals, rates and revenue metrics,
+     *               pageviews and engagement
+     */
+    public function get_visitor_type_stats($start_time, $end_time) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT
+                returning_visitor,
+                COUNT(DISTINCT CASE WHEN event_type = 'visitor' THEN IF(visitor_id != '', visitor_id, ip_address) END) as visitors,
+                SUM(CASE WHEN event_type = 'add_to_cart' THEN 1 ELSE 0 END) as add_to_cart,
+                SUM(CASE WHEN event_type = 'checkout' THEN 1 ELSE 0 END) as checkouts,
+                SUM(CASE WHEN event_type = 'purchase' THEN 1 ELSE 0 END) as purchases,
+                SUM(CASE WHEN event_type = 'purchase' THEN revenue ELSE 0 END) as revenue
+            FROM {$this->table_events}
+            WHERE created_at BETWEEN %s AND %s AND is_test = 0
+            AND NOT (event_type = 'purchase' AND product_id > 0)
+            GROUP BY returning_visitor",
+            $start_time, $end_time
+        ), ARRAY_A);
+        
+        $by_type = array();
+        
+        foreach ((array) $rows as $row) {
+            $by_type[$row['returning_visitor'] ? 'returning' : 'new'] = $row;
+        }
+        
+        $stats = array();
+        
+        foreach (array('new' => false, 'returning' => true) as $type => $returning) {
+            $row = isset($by_type[$type]) ? $by_type[$type] : array();
+            $revenue = isset($row['revenue']) ? $row['revenue'] : 0;
+            unset($row['returning_visitor'], $row['revenue']);
+            
+            $stats[$type] = array_merge(
+                $this->add_revenue_metrics($this->add_conversion_rates($this->ensure_default_values($row)), $revenue),
+                array(
+                    'pageviews' => $this->get_pageview_stats($start_time, $end_time, $returning),
+                    'engagement' => $this->get_engagement_stats($start_time, $end_time, $returning)
+                )
+            );
+        }
+        
+        return $stats;
+    }
+    
+    /**
+     * Get the weekly acquisition cohorts and how they came back and bought again
+     *
+     * Visitors belong to the week their visitor ID was first seen. Each week
+     * after that counts the cohort's visitors with any event that week, and the
+     * customers of the cohort who placed another order after their first one.
+     * Cohorts are limited to the weeks still in the events table, the first
+     * order of each customer is kept with their visitor ID.
+     *
+     * @param int $weeks Number of weeks, the current week included (1-MAX_COHORT_WEEKS, at most the weeks events are kept)
+     * @return array One row per cohort, oldest first, with week (Y-m-d of its Monday), visitors, customers and
+     *               the weeks since it was acquired, each with week, visitors, return_rate, repeat_customers and repurchase_rate
+     */
+    public function get_cohort_retention($weeks = 8) {
+        global $wpdb;
+        
+        $now = current_time('timestamp');
+        $this_week = strtotime('monday this week', $now);
+        
+        // Cohorts acquired before the oldest events kept would never show anyone coming back
+        $days_to_keep = absint(apply_filters('wcra_events_days_to_keep', 30));
+        $kept_weeks = (int) floor(($this_week - (strtotime(date('Y-m-d', $now)) - $days_to_keep * DAY_IN_SECONDS)) / WEEK_IN_SECONDS) + 1;
+        
+        $weeks = max(1, min(self::MAX_COHORT_WEEKS, $kept_weeks, absint($weeks)));
+        $first_week = date('Y-m-d', $this_week - ($weeks - 1) * WEEK_IN_SECONDS);
+        
+        // Customers are counted by their first order, repeat customers by a later one
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT
+                cohorts.cohort_week,
+                FLOOR(DATEDIFF(e.created_at, cohorts.cohort_week) / 7) as week_offset,
+                COUNT(DISTINCT e.visitor_id) as visitors,
+                COUNT(DISTINCT CASE WHEN e.event_type = 'purchase' AND e.product_id = 0 AND e.created_at > cohorts.first_order_at THEN e.visitor_id END) as repeat_customers
+            FROM {$this->table_events} e
+            INNER JOIN (
+                SELECT
+                    visitor_id,
+                    DATE_SUB(DATE(first_seen_at), INTERVAL WEEKDAY(first_seen_at) DAY) as cohort_week,
+                    first_order_at
+                FROM {$this->table_visitor_ids}
+                WHERE first_seen_at >= %s
+            ) cohorts ON cohorts.visitor_id = e.visitor_id
+            WHERE e.is_test = 0 AND e.created_at >= cohorts.cohort_week
+            GROUP BY cohorts.cohort_week, week_offset
+            ORDER BY cohorts.cohort_week ASC, week_offset ASC",
+            $first_week . ' 00:00:00'
+        ), ARRAY_A);
+        
+        $customers = $wpdb->get_results($wpdb->prepare(
+            "SELECT DATE_SUB(DATE(first_seen_at), INTERVAL WEEKDAY(first_seen_at) DAY) as cohort_week, COUNT(*) as customers
+            FROM {$this->table_visitor_ids}
+            WHERE first_seen_at >= %s AND first_order_at IS NOT NULL
+            GROUP BY cohort_week",
+            $first_week . ' 00:00:00'
+        ), ARRAY_A);
+        
+        $customers = wp_list_pluck((array) $customers, 'customers', 'cohort_week');
+        $cohorts = array();
+        
+        foreach ((array) $rows as $row) {
+            $week = $row['cohort_week'];
+            $offset = absint($row['week_offset']);
+            
+            if (!isset($cohorts[$week])) {
+                $cohorts[$week] = array(
+                    'week' => $week,
+                    'visitors' => 0,
+                    'customers' => isset($customers[$week]) ? absint($customers[$week]) : 0,
+                    'weeks' => array()
+                );
+            }
+            
+            if ($offset === 0) {
+                $cohorts[$week]['visitors'] = absint($row['visitors']);
+            }
+            
+            $cohorts[$week]['weeks'][$offset] = array(
+                'week' => $offset,
+                'visitors' => absint($row['visitors']),
+                'repeat_customers' => absint($row['repeat_customers'])
+            );
+        }
+        
+        // Rates are shares of the cohort, weeks nobody came back in are filled in
+        foreach ($cohorts as $week => $cohort) {
+            $elapsed = (int) floor((strtotime('monday this week', $now) - strtotime($week)) / WEEK_IN_SECONDS);
+            $filled = array();
+            
+            for ($offset = 0; $offset <= $elapsed; $offset++) {
+                $cell = isset($cohort['weeks'][$offset]) ? $cohort['weeks'][$offset] : array(
+                    'week' => $offset,
+                    'visitors' => 0,
+                    'repeat_customers' => 0
+                );
+                
+                $cell['return_rate'] = $this->calculate_percentage($cell['visitors'], $cohort['visitors']);
+                $cell['repurchase_rate'] = $this->calculate_percentage($cell['repeat_customers'], $cohort['customers']);
+                $filled[] = $cell;
+            }
+            
+            $cohorts[$week]['weeks'] = $filled;
+        }
+        
+        return array_values($cohorts);
+    }
+    
+    /**
+     * Get the most viewed pages
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @param int $limit Number of pages (1-100)
+     * @return array Rows with page_url, page_title, page_type, pageviews and sessions, most viewed first
+     */
+    public function get_top_pages($start_time, $end_time, $limit = 20) {
+        global $wpdb;
+        
+        // Page views saved before paths were stored have no page to group on
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT
+                page_url,
+                MAX(page_title) as page_title,
+                MAX(page_type) as page_type,
+                COUNT(*) as pageviews,
+                COUNT(DISTINCT session_id) as sessions
+            FROM {$this->table_events}
+            WHERE event_type = 'visitor' AND page_url != '' AND created_at BETWEEN %s AND %s AND is_test = 0
+            GROUP BY page_url
+            ORDER BY pageviews DESC, page_url ASC
+            LIMIT %d",
+            $start_time, $end_time, min(100, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        $pages = array();
+        
+        foreach ((array) $rows as $row) {
+            $pages[] = array(
+                'page_url' => $row['page_url'],
+                'page_title' => $row['page_title'],
+                'page_type' => $row['page_type'],
+                'pageviews' => absint($row['pageviews']),
+                'sessions' => absint($row['sessions'])
+            );
+        }
+        
+        return $pages;
+    }
+    
+    /**
+     * Get the most viewed product category archives
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @param int $limit Number of categories (1-100)
+     * @return array Rows with term_id, name, url, pageviews and sessions, most viewed first
+     */
+    public function get_top_categories($start_time, $end_time, $limit = 20) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT term_id, COUNT(*) as pageviews, COUNT(DISTINCT session_id) as sessions
+            FROM {$this->table_events}
+            WHERE event_type = 'visitor' AND page_type = 'category' AND term_id > 0
+                AND created_at BETWEEN %s AND %s AND is_test = 0
+            GROUP BY term_id
+            ORDER BY pageviews DESC
+            LIMIT %d",
+            $start_time, $end_time, min(100, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        $categories = array();
+        
+        foreach ((array) $rows as $row) {
+            $term = get_term(absint($row['term_id']), 'product_cat');
+            $exists = $term && !is_wp_error($term);
+            $link = $exists ? get_term_link($term) : '';
+            
+            $categories[] = array(
+                'term_id' => absint($row['term_id']),
+                /* translators: %d: term ID of a deleted category */
+                'name' => $exists ? html_entity_decode($term->name, ENT_QUOTES, 'UTF-8') : sprintf(__('Category #%d', 'wc-realtime-analytics'), $row['term_id']),
+                'url' => is_string($link) ? $link : '',
+                'pageviews' => absint($row['pageviews']),
+                'sessions' => absint($row['sessions'])
+            );
+        }
+        
+        return $categories;
+    }
+    
+    /**
+     * Get the ways the products report can be grouped
+     *
+     * @return array Group names
+     */
+    public function get_product_report_groups() {
+        return array('product', 'variation', 'category', 'tag');
+    }
+    
+    /**
+     * Get a page of product statistics for a date range
+     *
+     * Products are reported by parent, by variation, or rolled up into their
+     * categories or tags. Products in several terms count for each of them.
+     *
+     * @param string $start_date Start date (Y-m-d)
+     * @param string $end_date End date (Y-m-d)
+     * @param array $args {
+     *     @type int    $page     Page number, starting at 1
+     *     @type int    $per_page Rows per page (1-100)
+     *     @type string $orderby  product_id, name, visitors, add_to_cart, checkouts, purchases,
+     *                            revenue, atc_rate or purchase_rate
+     *     @type string $order    asc or desc
+     *     @type string $search   Product or term name fragment, or product ID
+     *     @type string $group    product, variation, category or tag
+     * }
+     * @return array Rows and the number of matching rows
+     */
+    public function get_product_report($start_date, $end_date, $args = array()) {
+        global $wpdb;
+        
+        $group = isset($args['group']) && in_array($args['group'], $this->get_product_report_groups(), true) ? $args['group'] : 'product';
+        $args = $this->parse_report_args($args);
+        
+        $where = array('stats.date BETWEEN %s AND %s');
+        $params = array($start_date, $end_date);
+        
+        if ($group === 'category' || $group === 'tag') {
+            $join_sql = "INNER JOIN {$wpdb->term_relationships} relationships ON relationships.object_id = stats.product_id
+                INNER JOIN {$wpdb->term_taxonomy} taxonomy ON taxonomy.term_taxonomy_id = relationships.term_taxonomy_id
+                INNER JOIN {$wpdb->terms} terms ON terms.term_id = taxonomy.term_id";
+            $where[] = 'taxonomy.taxonomy = %s';
+            $params[] = $group === 'category' ? 'product_cat' : 'product_tag';
+            $id_sql = 'taxonomy.term_id';
+            $term_id_sql = 'taxonomy.term_id';
+            $name_sql = 'terms.name';
+        } else {
+            $join_sql = "LEFT JOIN {$wpdb->posts} posts ON posts.ID = stats.product_id";
+            $id_sql = $group === 'variation' ? 'stats.product_id, stats.variation_id' : 'stats.product_id';
+            $term_id_sql = '0';
+            $name_sql = 'posts.post_title';
+        }
+        
+        if ($args['search'] !== '') {
+            if (ctype_digit($args['search']) && $group !== 'category' && $group !== 'tag') {
+                $where[] = "(stats.product_id = %d OR stats.variation_id = %d OR {$name_sql} LIKE %s)";
+                $params[] = absint($args['search']);
+                $params[] = absint($args['search']);
+            } else {
+                $where[] = "{$name_sql} LIKE %s";
+            }
+            $params[] = '%' . $wpdb->esc_like($args['search']) . '%';
+        }
+        
+        $from_sql = "FROM {$this->table_products} stats
+            {$join_sql}
+            WHERE " . implode(' AND ', $where);
+        
+        $total = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(DISTINCT {$id_sql}) {$from_sql}",
+            $params
+        ));
+        
+        $order_sql = $this->get_report_order_sql($args, array(
+            'product_id' => $term_id_sql === '0' ? 'stats.product_id' : $term_id_sql,
+            'name' => 'name',
+            'visitors' => 'visitors',
+            'add_to_cart' => 'add_to_cart',
+            'checkouts' => 'checkouts',
+            'purchases' => 'purchases',
+            'revenue' => 'revenue',
+            'atc_rate' => 'atc_ratio',
+            'purchase_rate' => 'purchase_ratio'
+        ), $id_sql);
+        
+        $params[] = $args['per_page'];
+        $params[] = ($args['page'] - 1) * $args['per_page'];
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                {$term_id_sql} as term_id,
+                MAX(stats.product_id) as product_id,
+                MAX(stats.variation_id) as variation_id,
+                MAX({$name_sql}) as name,
+                SUM(stats.visitors) as visitors,
+                SUM(stats.add_to_cart) as add_to_cart,
+                SUM(stats.checkouts) as checkouts,
+                SUM(stats.purchases) as purchases,
+                SUM(stats.revenue) as revenue,
+                SUM(stats.add_to_cart) / NULLIF(SUM(stats.visitors), 0) as atc_ratio,
+                SUM(stats.purchases) / NULLIF(SUM(stats.add_to_cart), 0) as purchase_ratio
+            {$from_sql}
+            GROUP BY {$id_sql}
+            ORDER BY {$order_sql}
+            LIMIT %d OFFSET %d",
+            $params
+        ), ARRAY_A);
+        
+        $items = array();
+        
+        foreach ((array) $rows as $row) {
+            $item = array(
+                'product_id' => absint($row['product_id']),
+                'variation_id' => 0,
+                'name' => '',
+                'visitors' => absint($row['visitors']),
+                'add_to_cart' => absint($row['add_to_cart']),
+                'checkouts' => absint($row['checkouts']),
+                'purchases' => absint($row['purchases']),
+                'revenue' => round((float) $row['revenue'], 2)
+            );
+            
+            if ($group === 'category' || $group === 'tag') {
+                // Terms have no product, the ID column shows the term
+                $item['product_id'] = 0;
+                $item['term_id'] = absint($row['term_id']);
+                $item['name'] = html_entity_decode($row['name'], ENT_QUOTES, 'UTF-8');
+            } elseif ($group === 'variation' && absint($row['variation_id'])) {
+                $item['variation_id'] = absint($row['variation_id']);
+                $item['name'] = $this->get_product_name($item['variation_id']);
+            } else {
+                $item['name'] = $this->get_product_name($item['product_id']);
+            }
+            
+            $items[] = $item;
+        }
+        
+        return array(
+            'items' => $items,
+            'total' => $total
+        );
+    }
+    
+    /**
+     * Get a page of country statistics for a date range
+     *
+     * @param string $start_date Start date (Y-m-d)
+     * @param string $end_date End date (Y-m-d)
+     * @param array $args {
+     *     @type int    $page     Page number, starting at 1
+     *     @type int    $per_page Countries per page (1-100)
+     *     @type string $orderby  country_name, visitors, add_to_cart, checkouts, purchases,
+     *                            revenue, atc_rate or purchase_rate
+     *     @type string $order    asc or desc
+     *     @type string $search   Country name fragment or country code
+     * }
+     * @return array Countries, the number of matching countries and the visitors of all countries
+     */
+    public function get_country_report($start_date, $end_date, $args = array()) {
+        global $wpdb;
+        
+        $args = $this->parse_report_args($args);
+        
+        $where = array('date BETWEEN %s AND %s', "country_code != ''");
+        $params = array($start_date, $end_date);
+        
+        // Shares are of all countries, whatever the search
+        $total_visitors = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT SUM(visitors) FROM {$this->table_daily} WHERE " . implode(' AND ', $where),
+            $params
+        ));
+        
+        if ($args['search'] !== '') {
+            $where[] = '(country_code = %s OR country_name LIKE %s)';
+            $params[] = strtoupper(substr($args['search'], 0, 2));
+            $params[] = '%' . $wpdb->esc_like($args['search']) . '%';
+        }
+        
+        $where_sql = implode(' AND ', $where);
+        
+        $total = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(DISTINCT country_code) FROM {$this->table_daily} WHERE {$where_sql}",
+            $params
+        ));
+        
+        $order_sql = $this->get_report_order_sql($args, array(
+            'country_name' => 'country_name',
+            'visitors' => 'visitors',
+            'add_to_cart' => 'add_to_cart',
+            'checkouts' => 'checkouts',
+            'purchases' => 'purchases',
+            'revenue' => 'revenue',
+            'atc_rate' => 'atc_ratio',
+            'purchase_rate' => 'purchase_ratio'
+        ), 'country_code');
+        
+        $params[] = $args['per_page'];
+        $params[] = ($args['page'] - 1) * $args['per_page'];
+        
+        $countries = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                country_code,
+                MAX(country_name) as country_name,
+                SUM(visitors) as visitors,
+                SUM(add_to_cart) as add_to_cart,
+                SUM(checkouts) as checkouts,
+                SUM(purchases) as purchases,
+                SUM(revenue) as revenue,
+                SUM(add_to_cart) / NULLIF(SUM(visitors), 0) as atc_ratio,
+                SUM(purchases) / NULLIF(SUM(add_to_cart), 0) as purchase_ratio
+            FROM {$this->table_daily}
+            WHERE {$where_sql}
+            GROUP BY country_code
+            ORDER BY {$order_sql}
+            LIMIT %d OFFSET %d",
+            $params
+        ), ARRAY_A);
+        
+        $items = array();
+        
+        foreach ((array) $countries as $country) {
+            $items[] = array(
+                'country_code' => $country['country_code'],
+                'country_name' => $country['country_name'],
+                'visitors' => absint($country['visitors']),
+                'add_to_cart' => absint($country['add_to_cart']),
+                'checkouts' => absint($country['checkouts']),
+                'purchases' => absint($country['purchases']),
+                'revenue' => round((float) $country['revenue'], 2)
+            );
+        }
+        
+        return array(
+            'items' => $items,
+            'total' => $total,
+            'total_visitors' => $total_visitors
+        );
+    }
+    
+    /**
+     * Get the statistics of the regions of a country
+     *
+     * Regions are counted from the events table, events saved before regions
+     * were tracked or without a known region are grouped under an empty region.
+     *
+     * @param string $country_code Country code
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @param int $limit Maximum number of regions
+     * @return array Rows with region, visitors, add_to_cart, checkouts, purchases and revenue,
+     *               most visitors first
+     */
+    public function get_region_report($country_code, $start_time, $end_time, $limit = 100) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                region,
+                COUNT(DISTINCT CASE WHEN event_type = 'visitor' THEN ip_address END) as visitors,
+                SUM(CASE WHEN event_type = 'add_to_cart' THEN 1 ELSE 0 END) as add_to_cart,
+                SUM(CASE WHEN event_type = 'checkout' THEN 1 ELSE 0 END) as checkouts,
+                SUM(CASE WHEN event_type = 'purchase' AND product_id = 0 THEN 1 ELSE 0 END) as purchases,
+                SUM(CASE WHEN event_type = 'purchase' AND product_id = 0 THEN revenue ELSE 0 END) as revenue
+            FROM {$this->table_events}
+            WHERE country_code = %s AND created_at BETWEEN %s AND %s AND is_test = 0
+            GROUP BY region
+            ORDER BY visitors DESC, region ASC
+            LIMIT %d",
+            strtoupper(substr($country_code, 0, 2)), $start_time, $end_time, min(500, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        $regions = array();
+        
+        foreach ((array) $rows as $row) {
+            $regions[] = array(
+                'region' => $row['region'],
+                'visitors' => absint($row['visitors']),
+                'add_to_cart' => absint($row['add_to_cart']),
+                'checkouts' => absint($row['checkouts']),
+                'purchases' => absint($row['purchases']),
+                'revenue' => round((float) $row['revenue'], 2)
+            );
+        }
+        
+        return $regions;
+    }
+    
+    /**
+     * Normalize the paging, sorting and search arguments of a report
+     *
+     * @param array $args Raw arguments
+     * @return array Arguments with page, per_page, orderby, order and search
+     */
+    private function parse_report_args($args) {
+        $args = wp_parse_args($args, array(
+            'page' => 1,
+            'per_page' => 20,
+            'orderby' => 'visitors',
+            'order' => 'desc',
+            'search' => ''
+        ));
+        
+        return array(
+            'page' => max(1, absint($args['page'])),
+            'per_page' => min(100, max(1, absint($args['per_page']))),
+            'orderby' => sanitize_key($args['orderby']),
+            'order' => strtolower($args['order']) === 'asc' ? 'ASC' : 'DESC',
+            'search' => substr(trim(sanitize_text_field($args['search'])), 0, 100)
+        );
+    }
+    
+    /**
+     * Build the ORDER BY clause of a report from a whitelist of columns
+     *
+     * @param array $args Arguments from parse_report_args()
+     * @param array $columns SQL expressions by sort key
+     * @param string $tiebreaker Unique column that keeps pages stable
+     * @return string ORDER BY clause without the keywords
+     */
+    private function get_report_order_sql($args, $columns, $tiebreaker) {
+        $column = isset($columns[$args['orderby']]) ? $columns[$args['orderby']] : $columns['visitors'];
+        
+        return "{$column} {$args['order']}, {$tiebreaker} ASC";
+    }
+    
+    /**
+     * Get the statistics of a single product for a date range
+     *
+     * @param int $product_id Product ID
+     * @param string $start_date Start date (Y-m-d)
+     * @param string $end_date End date (Y-m-d)
+     * @return array Totals with conversion rates, countries, variations and one point per day
+     */
+    public function get_product_stats($product_id, $start_date, $end_date) {
+        global $wpdb;
+        
+        $product_id = absint($product_id);
+        
+        $totals = $wpdb->get_row($wpdb->prepare(
+            "SELECT 
+                SUM(visitors) as visitors,
+                SUM(add_to_cart) as add_to_cart,
+                SUM(checkouts) as checkouts,
+                SUM(purchases) as purchases,
+                SUM(revenue) as revenue
+            FROM {$this->table_products}
+            WHERE product_id = %d AND date BETWEEN %s AND %s",
+            $product_id, $start_date, $end_date
+        ), ARRAY_A);
+        
+        $totals = $this->add_conversion_rates($this->ensure_default_values($totals));
+        $totals['conversion_rate'] = $this->calculate_percentage($totals['purchases'], $totals['visitors']);
+        
+        $country_rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                country_code,
+                MAX(country_name) as country_name,
+                SUM(visitors) as visitors,
+                SUM(add_to_cart) as add_to_cart,
+                SUM(checkouts) as checkouts,
+                SUM(purchases) as purchases,
+                SUM(revenue) as revenue
+            FROM {$this->table_products}
+            WHERE product_id = %d AND date BETWEEN %s AND %s
+            GROUP BY country_code
+            ORDER BY visitors DESC, purchases DESC
+            LIMIT 50",
+            $product_id, $start_date, $end_date
+        ), ARRAY_A);
+        
+        $countries = array();
+        
+        foreach ((array) $country_rows as $row) {
+            $countries[] = array(
+                'country_code' => $row['country_code'],
+                'country_name' => $row['country_name'],
+                'visitors' => absint($row['visitors']),
+                'add_to_cart' => absint($row['add_to_cart']),
+                'checkouts' => absint($row['checkouts']),
+                'purchases' => absint($row['purchases']),
+                'revenue' => round((float) $row['revenue'], 2),
+                'visitors_percentage' => $this->calculate_percentage($row['visitors'], $totals['visitors'])
+            );
+        }
+        
+        // Variations are stored next to their parent, views are only counted for the parent
+        $variation_rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                variation_id,
+                SUM(add_to_cart) as add_to_cart,
+                SUM(checkouts) as checkouts,
+                SUM(purchases) as purchases,
+                SUM(revenue) as revenue
+            FROM {$this->table_products}
+            WHERE product_id = %d AND variation_id > 0 AND date BETWEEN %s AND %s
+            GROUP BY variation_id
+            ORDER BY add_to_cart DESC, purchases DESC
+            LIMIT 50",
+            $product_id, $start_date, $end_date
+        ), ARRAY_A);
+        
+        $variations = array();
+        
+        foreach ((array) $variation_rows as $row) {
+            $variations[] = array(
+                'variation_id' => absint($row['variation_id']),
+                'name' => $this->get_product_name($row['variation_id']),
+                'add_to_cart' => absint($row['add_to_cart']),
+                'checkouts' => absint($row['checkouts']),
+                'purchases' => absint($row['purchases']),
+                'revenue' => round((float) $row['revenue'], 2),
+                'purchase_rate' => $this->calculate_percentage($row['purchases'], $row['add_to_cart'])
+            );
+        }
+        
+        // Products are aggregated by day, so even single days get a daily point
+        $buckets = $this->build_time_buckets($start_date, $end_date, 'day');
+        
+        $daily_rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                date as bucket,
+                SUM(visitors) as visitors,
+                SUM(add_to_cart) as add_to_cart,
+                SUM(checkouts) as checkouts,
+                SUM(purchases) as purchases,
+                SUM(revenue) as revenue
+            FROM {$this->table_products}
+            WHERE product_id = %d AND date BETWEEN %s AND %s
+            GROUP BY date",
+            $product_id, $start_date, $end_date
+        ), ARRAY_A);
+        
+        foreach ($buckets as $bucket => $point) {
+            $buckets[$bucket]['revenue'] = 0;
+        }
+        
+        foreach ((array) $daily_rows as $row) {
+            if (isset($buckets[$row['bucket']])) {
+                $buckets[$row['bucket']] = array(
+                    'bucket' => $row['bucket'],
+                    'visitors' => absint($row['visitors']),
+                    'add_to_cart' => absint($row['add_to_cart']),
+                    'checkouts' => absint($row['checkouts']),
+                    'purchases' => absint($row['purchases']),
+                    'revenue' => round((float) $row['revenue'], 2)
+                );
+            }
+        }
+        
+        return array(
+            'product_id' => $product_id,
+            'name' => $this->get_product_name($product_id),
+            'totals' => $totals,
+            'countries' => $countries,
+            'variations' => $variations,
+            'daily' => array_values($buckets)
+        );
+    }
+    
+    /**
+     * Get the display name of a product, also for deleted products
+     *
+     * @param int $product_id Product ID
+     * @return string Product name
+     */
+    private function get_product_name($product_id) {
+        $product_id = absint($product_id);
+        $product_obj = wc_get_product($product_id);
+        
+        if ($product_obj) {
+            return html_entity_decode($product_obj->get_name(), ENT_QUOTES, 'UTF-8');
+        }
+        
+        return 'Product #' . $product_id;
+    }
+    
+    /**
+     * Get the ID of the most recent event
+     *
+     * @return int Event ID, 0 if there are no events
+     */
+    public function get_last_event_id() {
+        global $wpdb;
+        
+        return absint($wpdb->get_var("SELECT MAX(id) FROM {$this->table_events}"));
+    }
+    
+    /**
+     * Get the events of a single session in chronological order
+     *
+     * @param string $session_id Session ID
+     * @param int $limit Maximum number of events
+     * @return array Event rows
+     */
+    public function get_session_events($session_id, $limit = 500) {
+        global $wpdb;
+        
+        $session_id = sanitize_text_field($session_id);
+        
+        if ($session_id === '') {
+            return array();
+        }
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, event_type, event_name, session_id, product_id, variation_id, variation, quantity, coupon_code, user_id, order_id, revenue, currency, properties, country_code, country_name, source, medium, campaign, page_type, page_url, page_title, new_visitor, is_test, created_at
+            FROM {$this->table_events}
+            WHERE session_id = %s
+            ORDER BY created_at ASC, id ASC
+            LIMIT %d",
+            $session_id, min(1000, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        return is_array($rows) ? $rows : array();
+    }
+    
+    /**
+     * Get recent sessions with a summary of what happened in each
+     *
+     * @param array $args {
+     *     @type int    $limit        Number of sessions per page (1-100)
+     *     @type int    $offset       Number of sessions to skip
+     *     @type int    $days         Only sessions active in the last N days (1-90)
+     *     @type string $search       Session ID fragment, or an order or product ID
+     *     @type string $country_code Filter by country code
+     *     @type string $status       purchased, abandoned_checkout or abandoned_cart
+     * }
+     * @return array Sessions and whether there are more
+     */
+    public function get_sessions($args = array()) {
+        global $wpdb;
+        
+        $args = wp_parse_args($args, array(
+            'limit' => 20,
+            'offset' => 0,
+            'days' => 7,
+            'search' => '',
+            'country_code' => '',
+            'status' => ''
+        ));
+        
+        $limit = min(100, max(1, absint($args['limit'])));
+        $days = min(90, max(1, absint($args['days'])));
+        
+        $where = array('created_at >= %s', 'is_test = 0');
+        $params = array(date('Y-m-d H:i:s', current_time('timestamp') - $days * DAY_IN_SECONDS));
+        
+        $search = trim(sanitize_text_field($args['search']));
+        if ($search !== '') {
+            if (ctype_digit($search)) {
+                // Numbers are order or product IDs, match every event of those sessions
+                $where[] = "session_id IN (SELECT session_id FROM {$this->table_events} WHERE order_id = %d OR product_id = %d)";
+                $params[] = absint($search);
+                $params[] = absint($search);
+            } else {
+                $where[] = 'session_id LIKE %s';
+                $params[] = '%' . $wpdb->esc_like($search) . '%';
+            }
+        }
+        
+        $country_code = strtoupper(substr(sanitize_text_field($args['country_code']), 0, 2));
+        if ($country_code !== '') {
+            $where[] = 'country_code = %s';
+            $params[] = $country_code;
+        }
+        
+        $having = array(
+            'purchased' => 'purchases > 0',
+            'abandoned_checkout' => 'checkouts > 0 AND purchases = 0',
+            'abandoned_cart' => 'add_to_cart > 0 AND checkouts = 0 AND purchases = 0'
+        );
+        $having_sql = isset($having[$args['status']]) ? 'HAVING ' . $having[$args['status']] : '';
+        
+        // Fetch one extra row to know whether another page exists
+        $params[] = $limit + 1;
+        $params[] = absint($args['offset']);
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT 
+                session_id,
+                MIN(created_at) as started_at,
+                MAX(created_at) as last_seen_at,
+                COUNT(*) as events,
+                MAX(country_code) as country_code,
+                MAX(country_name) as country_name,
+                SUM(CASE WHEN event_type = 'visitor' THEN 1 ELSE 0 END) as visitors,
+                SUM(CASE WHEN event_type = 'add_to_cart' THEN 1 ELSE 0 END) as add_to_cart,
+                SUM(CASE WHEN event_type = 'checkout' THEN 1 ELSE 0 END) as checkouts,
+                SUM(CASE WHEN event_type = 'purchase' AND product_id = 0 THEN 1 ELSE 0 END) as purchases,
+                SUM(CASE WHEN event_type = 'purchase' AND product_id = 0 THEN revenue ELSE 0 END) as revenue,
+                MAX(order_id) as order_id
+            FROM {$this->table_events}
+            WHERE " . implode(' AND ', $where) . "
+            GROUP BY session_id
+            {$having_sql}
+            ORDER BY last_seen_at DESC
+            LIMIT %d OFFSET %d",
+            $params
+        ), ARRAY_A);
+        
+        $rows = is_array($rows) ? $rows : array();
+        $has_more = count($rows) > $limit;
+        
+        if ($has_more) {
+            array_pop($rows);
+        }
+        
+        return array(
+            'sessions' => $rows,
+            'has_more' => $has_more
+        );
+    }
+    
+    /**
+     * Get total unique visitors for a date range
+     *
+     * @param string $start_date Start date (Y-m-d)
+     * @param string $end_date End date (Y-m-d)
+     * @return int Count of unique visitors
+     */
+    public function get_unique_visitors($start_date, $end_date) {
+        global $wpdb;
+        
+        $count = $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->table_visitors} 
+            WHERE date BETWEEN %s AND %s",
+            $start_date, $end_date
+        ));
+        
+        return absint($count);
+    }
+    
+    /**
+     * Ensure default values for null database results
+     *
+     * @param array|null $data Data to check
+     * @return array Data with default values
+     */
+    private function ensure_default_values($data) {
+        if (!is_array($data)) {
+            $data = array();
+        }
+        
+        $defaults = array(
+            'visitors' => 0,
+            'add_to_cart' => 0,
+            'checkouts' => 0,
+            'purchases' => 0
+        );
+        
+        foreach ($defaults as $key => $value) {
+            if (!isset($data[$key]) || is_null($data[$key])) {
+                $data[$key] = $value;
+            } else {
+                // Ensure values are integers
+                $data[$key] = absint($data[$key]);
+            }
+        }
+        
+        return $data;
+    }
+    
+    /**
+     * Calculate percentage with safety for division by zero
+     * 
+     * @param int $numerator Numerator
+     * @param int $denominator Denominator
+     * @return float Percentage value
+     */
+    private function calculate_percentage($numerator, $denominator) {
+        if (empty($denominator) || $denominator == 0) {
+            return 0;
+        }
+        
+        return round(($numerator / $denominator) * 100, 2);
+    }
+    
+    /**
+     * Get today's statistics
+     * 
+     * @return array Statistics data
      */
     public function get_today_stats() {
-        $today = date('Y-m-d');
+        $today = current_time('Y-m-d');
         return $this->get_stats($today, $today);
     }
     
     /**
-     * Get yesterday's statistics
-     * 
-     * @return array Statistics data
+     * Get yesterday's statistics
+     * 
+     * @return array Statistics data
+     */
+    public function get_yesterday_stats() {
+        $yesterday = date('Y-m-d', strtotime('-1 day', current_time('timestamp')));
+        return $this->get_stats($yesterday, $yesterday);
+    }
+    
+    /**
+     * Get this week's statistics
+     * 
+     * @return array Statistics data
+     */
+    public function get_this_week_stats() {
+        $start_of_week = date('Y-m-d', strtotime('this week monday', current_time('timestamp')));
+        $today = current_time('Y-m-d');
+        return $this->get_stats($start_of_week, $today);
+    }
+    
+    /**
+     * Get this month's statistics
+     * 
+     * @return array Statistics data
+     */
+    public function get_this_month_stats() {
+        $start_of_month = current_time('Y-m-01');
+        $today = current_time('Y-m-d');
+        return $this->get_stats($start_of_month, $today);
+    }
+    
+    /**
+     * Get statistics for the last 7 days
+     * 
+     * @return array Statistics data
+     */
+    public function get_last_7_days_stats() {
+        $start_date = date('Y-m-d', strtotime('-6 days', current_time('timestamp')));
+        $today = current_time('Y-m-d');
+        return $this->get_stats($start_date, $today);
+    }
+    
+    /**
+     * Get statistics for the last 30 days
+     * 
+     * @return array Statistics data
+     */
+    public function get_last_30_days_stats() {
+        $start_date = date('Y-m-d', strtotime('-29 days', current_time('timestamp')));
+        $today = current_time('Y-m-d');
+        return $this->get_stats($start_date, $today);
+    }
+    
+    /**
+     * Get statistics for a custom date range
+     * 
+     * @param string $start_date Start date (Y-m-d)
+     * @param string $end_date End date (Y-m-d)
+     * @return array Statistics data
+     */
+    public function get_custom_range_stats($start_date, $end_date) {
+        return $this->get_stats($start_date, $end_date);
+    }
+    
+    /**
+     * Save a triggered alert
+     *
+     * @param array $alert Alert with rule_id, rule_label, metric, value, baseline
+     *                     (null for fixed thresholds), threshold, message and channels
+     * @return int|false ID of the alert or false on failure
+     */
+    public function save_alert($alert) {
+        global $wpdb;
+        
+        $baseline = isset($alert['baseline']) && $alert['baseline'] !== null ? round((float) $alert['baseline'], 4) : null;
+        
+        $row = array(
+            'rule_id' => substr(sanitize_key($alert['rule_id']), 0, 50),
+            'rule_label' => isset($alert['rule_label']) ? substr(sanitize_text_field($alert['rule_label']), 0, 100) : '',
+            'metric' => isset($alert['metric']) ? substr(sanitize_key($alert['metric']), 0, 20) : '',
+            'value' => isset($alert['value']) ? round((float) $alert['value'], 4) : 0,
+            'threshold' => isset($alert['threshold']) ? round((float) $alert['threshold'], 4) : 0,
+            'message' => isset($alert['message']) ? substr(sanitize_text_field($alert['message']), 0, 255) : '',
+            'channels' => isset($alert['channels']) ? implode(',', array_map('sanitize_key', (array) $alert['channels'])) : '',
+            'created_at' => current_time('mysql')
+        );
+        $formats = array('%s', '%s', '%s', '%f', '%f', '%s', '%s', '%s');
+        
+        // wpdb writes a null value as an empty string, leave the column out instead
+        if ($baseline !== null) {
+            $row['baseline'] = $baseline;
+            $formats[] = '%f';
+        }
+        
+        $result = $wpdb->insert($this->table_alerts, $row, $formats);
+        
+        return $result ? $wpdb->insert_id : false;
+    }
+    
+    /**
+     * Get a page of the alert history, newest first
+     *
+     * @param int $limit Maximum number of alerts (1-100)
+     * @param int $offset Number of alerts to skip
+     * @return array Alert rows
+     */
+    public function get_alerts($limit = 20, $offset = 0) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, rule_id, rule_label, metric, value, baseline, threshold, message, channels, dismissed, created_at
+            FROM {$this->table_alerts}
+            ORDER BY created_at DESC, id DESC
+            LIMIT %d OFFSET %d",
+            min(100, max(1, absint($limit))), absint($offset)
+        ), ARRAY_A);
+        
+        return is_array($rows) ? $rows : array();
+    }
+    
+    /**
+     * Count the alerts in the history
+     *
+     * @return int Number of alerts
+     */
+    public function count_alerts() {
+        global $wpdb;
+        
+        return (int) $wpdb->get_var("SELECT COUNT(*) FROM {$this->table_alerts}");
+    }
+    
+    /**
+     * Get the alerts shown on the dashboard, not dismissed and sent to the dashboard
+     *
+     * @param string $since Oldest alert time (Y-m-d H:i:s)
+     * @param int $limit Maximum number of alerts
+     * @return array Alert rows, newest first
+     */
+    public function get_active_alerts($since, $limit = 10) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, rule_id, rule_label, metric, value, baseline, threshold, message, channels, dismissed, created_at
+            FROM {$this->table_alerts}
+            WHERE dismissed = 0 AND created_at >= %s AND FIND_IN_SET('dashboard', channels)
+            ORDER BY created_at DESC, id DESC
+            LIMIT %d",
+            $since, min(100, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        return is_array($rows) ? $rows : array();
+    }
+    
+    /**
+     * Hide an alert from the dashboard
+     *
+     * @param int $alert_id Alert ID
+     * @return bool True on success
+     */
+    public function dismiss_alert($alert_id) {
+        global $wpdb;
+        
+        $result = $wpdb->update(
+            $this->table_alerts,
+            array('dismissed' => 1),
+            array('id' => absint($alert_id)),
+            array('%d'),
+            array('%d')
+        );
+        
+        return $result !== false;
+    }
+    
+    /**
+     * Get the time a rule last triggered an alert
+     *
+     * @param string $rule_id Rule ID
+     * @return string|null Time (Y-m-d H:i:s) or null if it never did
+     */
+    public function get_last_alert_time($rule_id) {
+        global $wpdb;
+        
+        return $wpdb->get_var($wpdb->prepare(
+            "SELECT MAX(created_at) FROM {$this->table_alerts} WHERE rule_id = %s",
+            $rule_id
+        ));
+    }
+    
+    /**
+     * Queue a webhook delivery
+     *
+     * @param string $webhook_id Webhook ID
+     * @param int $event_id ID of the event, 0 for test deliveries
+     * @param string $event_type Event type
+     * @param string $payload JSON encoded request body
+     * @param bool $due Whether the queue should send it, false for deliveries sent right away
+     * @return int|false ID of the delivery or false on failure
+     */
+    public function queue_webhook_delivery($webhook_id, $event_id, $event_type, $payload, $due = true) {
+        global $wpdb;
+        
+        $now = current_time('mysql');
+        
+        $row = array(
+            'webhook_id' => substr(sanitize_key($webhook_id), 0, 50),
+            'event_id' => absint($event_id),
+            'event_type' => substr(sanitize_key($event_type), 0, 50),
+            'payload' => $payload,
+            'status' => 'pending',
+            'created_at' => $now,
+            'updated_at' => $now
+        );
+        $formats = array('%s', '%d', '%s', '%s', '%s', '%s', '%s');
+        
+        // Deliveries without a next attempt time are never picked up by the queue
+        if ($due) {
+            $row['next_attempt_at'] = $now;
+            $formats[] = '%s';
+        }
+        
+        $result = $wpdb->insert($this->table_webhook_deliveries, $row, $formats);
+        
+        return $result ? $wpdb->insert_id : false;
+    }
+    
+    /**
+     * Get the pending deliveries that are due, oldest first
+     *
+     * @param int $limit Maximum number of deliveries
+     * @return array Delivery rows with their payload
      */
-    public function get_yesterday_stats() {
-        $yesterday = date('Y-m-d', strtotime('-1 day'));
-        return $this->get_stats($yesterday, $yesterday);
+    public function get_due_webhook_deliveries($limit = 20) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, webhook_id, event_id, event_type, payload, status, attempts, created_at
+            FROM {$this->table_webhook_deliveries}
+            WHERE status = 'pending' AND next_attempt_at <= %s
+            ORDER BY next_attempt_at ASC, id ASC
+            LIMIT %d",
+            current_time('mysql'), min(100, max(1, absint($limit)))
+        ), ARRAY_A);
+        
+        return is_array($rows) ? $rows : array();
     }
     
     /**
-     * Get this week's statistics
-     * 
-     * @return array Statistics data
+     * Get the time the next pending delivery is due
+     *
+     * @return string|null Time (Y-m-d H:i:s) or null if nothing is pending
      */
-    public function get_this_week_stats() {
-        $start_of_week = date('Y-m-d', strtotime('this week monday'));
-        $today = date('Y-m-d');
-        return $this->get_stats($start_of_week, $today);
+    public function get_next_webhook_attempt() {
+        global $wpdb;
+        
+        return $wpdb->get_var("SELECT MIN(next_attempt_at) FROM {$this->table_webhook_deliveries} WHERE status = 'pending'");
     }
     
     /**
-     * Get this month's statistics
-     * 
-     * @return array Statistics data
+     * Record the result of a delivery attempt
+     *
+     * @param int $delivery_id Delivery ID
+     * @param string $status pending to retry, delivered or failed
+     * @param int $attempts Number of attempts so far
+     * @param int $response_code HTTP status code, 0 if the request failed
+     * @param string $response_message Status text or error message
+     * @param string|null $next_attempt_at Time of the next attempt (Y-m-d H:i:s), null when done
+     * @return bool True on success
      */
-    public function get_this_month_stats() {
-        $start_of_month = date('Y-m-01');
-        $today = date('Y-m-d');
-        return $this->get_stats($start_of_month, $today);
+    public function update_webhook_delivery($delivery_id, $status, $attempts, $response_code, $response_message, $next_attempt_at = null) {
+        global $wpdb;
+        
+        $row = array(
+            'status' => $status,
+            'attempts' => absint($attempts),
+            'response_code' => absint($response_code),
+            'response_message' => substr(sanitize_text_field($response_message), 0, 255),
+            'updated_at' => current_time('mysql')
+        );
+        $formats = array('%s', '%d', '%d', '%s', '%s');
+        
+        if ($next_attempt_at !== null) {
+            $row['next_attempt_at'] = $next_attempt_at;
+            $formats[] = '%s';
+        }
+        
+        $result = $wpdb->update(
+            $this->table_webhook_deliveries,
+            $row,
+            array('id' => absint($delivery_id)),
+            $formats,
+            array('%d')
+        );
+        
+        return $result !== false;
     }
     
     /**
-     * Get statistics for the last 7 days
-     * 
-     * @return array Statistics data
+     * Get a page of the delivery log, newest first
+     *
+     * @param string $webhook_id Only deliveries of this webhook, empty for all
+     * @param int $limit Maximum number of deliveries (1-100)
+     * @param int $offset Number of deliveries to skip
+     * @return array Delivery rows without their payload
      */
-    public function get_last_7_days_stats() {
-        $start_date = date('Y-m-d', strtotime('-6 days'));
-        $today = date('Y-m-d');
-        return $this->get_stats($start_date, $today);
+    public function get_webhook_deliveries($webhook_id = '', $limit = 20, $offset = 0) {
+        global $wpdb;
+        
+        $where = $webhook_id !== '' ? $wpdb->prepare('WHERE webhook_id = %s', $webhook_id) : '';
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, webhook_id, event_id, event_type, status, attempts, response_code, response_message, next_attempt_at, created_at, updated_at
+            FROM {$this->table_webhook_deliveries}
+            {$where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT %d OFFSET %d",
+            min(100, max(1, absint($limit))), absint($offset)
+        ), ARRAY_A);
+        
+        return is_array($rows) ? $rows : array();
     }
     
     /**
-     * Get statistics for the last 30 days
-     * 
-     * @return array Statistics data
+     * Count the deliveries in the log
+     *
+     * @param string $webhook_id Only deliveries of this webhook, empty for all
+     * @return int Number of deliveries
      */
-    public function get_last_30_days_stats() {
-        $start_date = date('Y-m-d', strtotime('-29 days'));
-        $today = date('Y-m-d');
-        return $this->get_stats($start_date, $today);
+    public function count_webhook_deliveries($webhook_id = '') {
+        global $wpdb;
+        
+        if ($webhook_id !== '') {
+            return (int) $wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(*) FROM {$this->table_webhook_deliveries} WHERE webhook_id = %s",
+                $webhook_id
+            ));
+        }
+        
+        return (int) $wpdb->get_var("SELECT COUNT(*) FROM {$this->table_webhook_deliveries}");
     }
     
     /**
-     * Get statistics for a custom date range
-     * 
-     * @param string $start_date Start date (Y-m-d)
-     * @param string $end_date End date (Y-m-d)
-     * @return array Statistics data
+     * Stop retrying the pending deliveries of a webhook
+     *
+     * @param string $webhook_id Webhook ID
+     * @return int Number of deliveries cancelled
      */
-    public function get_custom_range_stats($start_date, $end_date) {
-        return $this->get_stats($start_date, $end_date);
+    public function cancel_webhook_deliveries($webhook_id) {
+        global $wpdb;
+        
+        $result = $wpdb->query($wpdb->prepare(
+            "UPDATE {$this->table_webhook_deliveries}
+            SET status = 'cancelled', updated_at = %s
+            WHERE webhook_id = %s AND status = 'pending'",
+            current_time('mysql'), $webhook_id
+        ));
+        
+        return (int) $result;
+    }
+    
+    /**
+     * Save a request excluded as bot traffic
+     *
+     * @param array $hit Event type, reason, session ID, IP address, user agent and page URL
+     * @return int|false ID of the hit or false on failure
+     */
+    public function save_bot_hit($hit) {
+        global $wpdb;
+        
+        $result = $wpdb->insert(
+            $this->table_bot_hits,
+            array(
+                'event_type' => isset($hit['event_type']) ? substr(sanitize_key($hit['event_type']), 0, 20) : '',
+                'reason' => isset($hit['reason']) ? substr(sanitize_key($hit['reason']), 0, 30) : '',
+                'session_id' => isset($hit['session_id']) ? substr(sanitize_text_field($hit['session_id']), 0, 50) : '',
+                'ip_address' => isset($hit['ip_address']) ? substr(sanitize_text_field($hit['ip_address']), 0, 100) : '',
+                'user_agent' => isset($hit['user_agent']) ? substr(sanitize_text_field($hit['user_agent']), 0, 255) : '',
+                'page_url' => isset($hit['page_url']) ? substr(sanitize_text_field($hit['page_url']), 0, 255) : '',
+                'created_at' => current_time('mysql')
+            ),
+            array('%s', '%s', '%s', '%s', '%s', '%s', '%s')
+        );
+        
+        return $result ? $wpdb->insert_id : false;
+    }
+    
+    /**
+     * Count requests against a rate limit
+     *
+     * Each key keeps a single row, a request in a new window starts it again.
+     *
+     * @param string $key Key of the limit, such as an IP address
+     * @param int $window Length of the window in seconds
+     * @param int $cost Number of hits of the request
+     * @return int Hits in the current window, the request included
+     */
+    public function add_rate_limit_hits($key, $window, $cost = 1) {
+        global $wpdb;
+        
+        $rate_key = md5($key);
+        $window_start = (int) (floor(time() / max(1, $window)) * max(1, $window));
+        
+        // The hits are reset before window_start is updated, MySQL assigns from left to right
+        $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->table_rate_limits} (rate_key, window_start, hits) VALUES (%s, %d, %d)
+            ON DUPLICATE KEY UPDATE
+                hits = IF(window_start = VALUES(window_start), hits + VALUES(hits), VALUES(hits)),
+                window_start = VALUES(window_start)",
+            $rate_key, $window_start, absint($cost)
+        ));
+        
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT hits FROM {$this->table_rate_limits} WHERE rate_key = %s",
+            $rate_key
+        ));
+    }
+    
+    /**
+     * Count the stored events of a session since a point in time
+     *
+     * @param string $session_id Session ID
+     * @param string $since Start (Y-m-d H:i:s)
+     * @return int Number of events
+     */
+    public function count_recent_hits($session_id, $since) {
+        global $wpdb;
+        
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->table_events}
+            WHERE session_id = %s AND created_at >= %s",
+            $session_id, $since
+        ));
+    }
+    
+    /**
+     * Count the sessions an IP address started since a point in time, including the current one
+     *
+     * @param string $ip_address IP address in the form it is stored in
+     * @param string $session_id Session ID of the current request
+     * @param string $since Start (Y-m-d H:i:s)
+     * @return int Number of sessions
+     */
+    public function count_recent_sessions($ip_address, $session_id, $since) {
+        global $wpdb;
+        
+        $session_ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT DISTINCT session_id FROM {$this->table_events}
+            WHERE created_at >= %s AND ip_address = %s
+            UNION
+            SELECT DISTINCT session_id FROM {$this->table_bot_hits}
+            WHERE created_at >= %s AND ip_address = %s",
+            $since, $ip_address, $since, $ip_address
+        ));
+        
+        $session_ids[] = $session_id;
+        
+        return count(array_unique(array_filter($session_ids)));
+    }
+    
+    /**
+     * Get the requests excluded as bot traffic in a period
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @return array Number of excluded IP addresses (visitors), requests (hits) and requests by reason
+     */
+    public function get_bot_traffic($start_time, $end_time) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT reason, COUNT(*) as hits
+            FROM {$this->table_bot_hits}
+            WHERE created_at BETWEEN %s AND %s
+            GROUP BY reason
+            ORDER BY hits DESC",
+            $start_time, $end_time
+        ), ARRAY_A);
+        
+        $reasons = array();
+        
+        foreach ((array) $rows as $row) {
+            $reasons[$row['reason']] = absint($row['hits']);
+        }
+        
+        return array(
+            'visitors' => empty($reasons) ? 0 : absint($wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(DISTINCT ip_address) FROM {$this->table_bot_hits}
+                WHERE created_at BETWEEN %s AND %s",
+                $start_time, $end_time
+            ))),
+            'hits' => array_sum($reasons),
+            'reasons' => $reasons
+        );
+    }
+    
+    /**
+     * Save the engagement of a page view, a later heartbeat of the same page view updates it
+     *
+     * Time and scroll depth only ever grow, a heartbeat that arrives late
+     * cannot undo a newer one.
+     *
+     * @param array $engagement Page view ID, session ID, page type, page URL, active seconds, max scroll (0-100),
+     *                          returning_visitor and is_test
+     * @return bool True on success
+     */
+    public function save_engagement($engagement) {
+        global $wpdb;
+        
+        $now = current_time('mysql');
+        $page_type = isset($engagement['page_type']) && in_array($engagement['page_type'], $this->get_page_types(), true) ? $engagement['page_type'] : '';
+        
+        // A page view ID sent from another session does not touch the page view
+        $result = $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->table_engagement}
+                (page_view_id, session_id, page_type, page_url, active_seconds, max_scroll, returning_visitor, is_test, started_at, last_seen_at)
+            VALUES (%s, %s, %s, %s, %d, %d, %d, %d, %s, %s)
+            ON DUPLICATE KEY UPDATE
+                active_seconds = IF(session_id = VALUES(session_id), GREATEST(active_seconds, VALUES(active_seconds)), active_seconds),
+                max_scroll = IF(session_id = VALUES(session_id), GREATEST(max_scroll, VALUES(max_scroll)), max_scroll),
+                last_seen_at = IF(session_id = VALUES(session_id), VALUES(last_seen_at), last_seen_at)",
+            substr(sanitize_key($engagement['page_view_id']), 0, 32),
+            substr(sanitize_text_field($engagement['session_id']), 0, 50),
+            $page_type,
+            isset($engagement['page_url']) ? substr(sanitize_text_field($engagement['page_url']), 0, 255) : '',
+            isset($engagement['active_seconds']) ? absint($engagement['active_seconds']) : 0,
+            isset($engagement['max_scroll']) ? min(100, absint($engagement['max_scroll'])) : 0,
+            !empty($engagement['returning_visitor']) ? 1 : 0,
+            !empty($engagement['is_test']) ? 1 : 0,
+            $now,
+            $now
+        ));
+        
+        return $result !== false;
+    }
+    
+    /**
+     * Count the sessions with a page open since a point in time
+     *
+     * @param string $since Start (Y-m-d H:i:s)
+     * @return int Number of sessions
+     */
+    public function count_active_visitors($since) {
+        global $wpdb;
+        
+        return absint($wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(DISTINCT session_id) FROM {$this->table_engagement}
+            WHERE last_seen_at >= %s AND is_test = 0",
+            $since
+        )));
+    }
+    
+    /**
+     * Get the engagement of the sessions that started in a period
+     *
+     * A session bounced when it viewed a single page for less than
+     * BOUNCE_SECONDS seconds.
+     *
+     * @param string $start_time Start (Y-m-d H:i:s)
+     * @param string $end_time End (Y-m-d H:i:s)
+     * @param bool|null $returning Only returning (true) or new (false) visitors, null for all
+     * @return array Sessions, average engaged time per session in seconds, bounce rate and average scroll depth in percent
+     */
+    public function get_engagement_stats($start_time, $end_time, $returning = null) {
+        global $wpdb;
+        
+        $visitor_where = $this->get_returning_where($returning);
+        
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT
+                COUNT(*) as sessions,
+                AVG(engaged_seconds) as avg_engaged_time,
+                SUM(CASE WHEN page_views = 1 AND engaged_seconds < %d THEN 1 ELSE 0 END) as bounces,
+                AVG(scroll_depth) as avg_scroll_depth
+            FROM (
+                SELECT session_id, COUNT(*) as page_views, SUM(active_seconds) as engaged_seconds, AVG(max_scroll) as scroll_depth
+                FROM {$this->table_engagement}
+                WHERE started_at BETWEEN %s AND %s AND is_test = 0{$visitor_where}
+                GROUP BY session_id
+            ) engaged_sessions",
+            self::BOUNCE_SECONDS, $start_time, $end_time
+        ), ARRAY_A);
+        
+        $sessions = isset($row['sessions']) ? absint($row['sessions']) : 0;
+        
+        return array(
+            'sessions' => $sessions,
+            'avg_engaged_time' => $sessions ? (int) round((float) $row['avg_engaged_time']) : 0,
+            'bounce_rate' => $this->calculate_percentage($sessions ? absint($row['bounces']) : 0, $sessions),
+            'avg_scroll_depth' => $sessions ? round((float) $row['avg_scroll_depth'], 1) : 0
+        );
+    }
+    
+    /**
+     * Get the sessions of a data subject's events
+     *
+     * @param array $user_ids User IDs
+     * @param array $order_ids Order IDs
+     * @return array Session IDs
+     */
+    public function get_subject_session_ids($user_ids, $order_ids) {
+        global $wpdb;
+        
+        $where = $this->get_subject_where(array('user_ids' => $user_ids, 'order_ids' => $order_ids));
+        
+        if ($where === '') {
+            return array();
+        }
+        
+        return $wpdb->get_col("SELECT DISTINCT session_id FROM {$this->table_events} WHERE {$where} AND session_id != ''");
+    }
+    
+    /**
+     * Get a page of a data subject's events, oldest first
+     *
+     * @param array $subject User IDs, order IDs and session IDs (user_ids, order_ids, session_ids)
+     * @param int $limit Maximum number of events (1-1000)
+     * @param int $offset Number of events to skip
+     * @return array Event rows
+     */
+    public function get_subject_events($subject, $limit = 100, $offset = 0) {
+        global $wpdb;
+        
+        $where = $this->get_subject_where($subject);
+        
+        if ($where === '') {
+            return array();
+        }
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, event_type, event_name, session_id, visitor_id, user_id, order_id, product_id, variation_id, variation,
+                quantity, coupon_code, revenue, currency, page_type, page_url, properties, ip_address,
+                country_code, country_name, region, source, medium, campaign, created_at
+            FROM {$this->table_events}
+            WHERE {$where}
+            ORDER BY created_at ASC, id ASC
+            LIMIT %d OFFSET %d",
+            min(1000, max(1, absint($limit))), absint($offset)
+        ), ARRAY_A);
+        
+        return is_array($rows) ? $rows : array();
+    }
+    
+    /**
+     * Count a data subject's events
+     *
+     * @param array $subject User IDs, order IDs and session IDs (user_ids, order_ids, session_ids)
+     * @return int Number of events
+     */
+    public function count_subject_events($subject) {
+        global $wpdb;
+        
+        $where = $this->get_subject_where($subject);
+        
+        return $where === '' ? 0 : (int) $wpdb->get_var("SELECT COUNT(*) FROM {$this->table_events} WHERE {$where}");
+    }
+    
+    /**
+     * Erase a batch of a data subject's events
+     *
+     * The attribution and page engagement of their sessions, requests of
+     * their sessions excluded as bot traffic, the visitor records of their IP addresses, their visitor IDs and webhook
+     * deliveries of the events go with them. Daily
+     * totals are anonymous and kept.
+     *
+     * @param array $subject User IDs, order IDs and session IDs (user_ids, order_ids, session_ids)
+     * @param int $limit Maximum number of events to erase
+     * @return int Number of events erased
+     */
+    public function erase_subject_events($subject, $limit = 500) {
+        global $wpdb;
+        
+        $where = $this->get_subject_where($subject);
+        
+        if ($where === '') {
+            return 0;
+        }
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, ip_address, visitor_id FROM {$this->table_events} WHERE {$where} LIMIT %d",
+            max(1, absint($limit))
+        ), ARRAY_A);
+        
+        if (!empty($subject['session_ids'])) {
+            $session_ids = array_values(array_map('strval', (array) $subject['session_ids']));
+            
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$this->table_sessions} WHERE session_id IN (" . implode(', ', array_fill(0, count($session_ids), '%s')) . ")",
+                $session_ids
+            ));
+            
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$this->table_bot_hits} WHERE session_id IN (" . implode(', ', array_fill(0, count($session_ids), '%s')) . ")",
+                $session_ids
+            ));
+            
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$this->table_engagement} WHERE session_id IN (" . implode(', ', array_fill(0, count($session_ids), '%s')) . ")",
+                $session_ids
+            ));
+        }
+        
+        if (!empty($subject['user_ids'])) {
+            $wpdb->query("DELETE FROM {$this->table_visitor_ids} WHERE user_id IN (" . implode(',', array_map('absint', (array) $subject['user_ids'])) . ")");
+        }
+        
+        if (empty($rows)) {
+            return 0;
+        }
+        
+        $event_ids = implode(',', array_map('absint', wp_list_pluck($rows, 'id')));
+        $ip_addresses = array_values(array_unique(array_filter(wp_list_pluck($rows, 'ip_address'))));
+        $visitor_ids = array_values(array_unique(array_filter(wp_list_pluck($rows, 'visitor_id'))));
+        
+        $wpdb->query("DELETE FROM {$this->table_webhook_deliveries} WHERE event_id IN ({$event_ids})");
+        $deleted = $wpdb->query("DELETE FROM {$this->table_events} WHERE id IN ({$event_ids})");
+        
+        if (!empty($ip_addresses)) {
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$this->table_visitors} WHERE ip_address IN (" . implode(', ', array_fill(0, count($ip_addresses), '%s')) . ")",
+                $ip_addresses
+            ));
+        }
+        
+        if (!empty($visitor_ids)) {
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$this->table_visitor_ids} WHERE visitor_id IN (" . implode(', ', array_fill(0, count($visitor_ids), '%s')) . ")",
+                $visitor_ids
+            ));
+        }
+        
+        return (int) $deleted;
+    }
+    
+    /**
+     * Build the condition matching a data subject's events
+     *
+     * @param array $subject User IDs, order IDs and session IDs (user_ids, order_ids, session_ids)
+     * @return string SQL condition or empty string if the subject has nothing to match
+     */
+    private function get_subject_where($subject) {
+        global $wpdb;
+        
+        $conditions = array();
+        $user_ids = array_filter(array_map('absint', isset($subject['user_ids']) ? (array) $subject['user_ids'] : array()));
+        $order_ids = array_filter(array_map('absint', isset($subject['order_ids']) ? (array) $subject['order_ids'] : array()));
+        $session_ids = array_values(array_filter(array_map('strval', isset($subject['session_ids']) ? (array) $subject['session_ids'] : array())));
+        
+        if (!empty($user_ids)) {
+            $conditions[] = 'user_id IN (' . implode(',', $user_ids) . ')';
+        }
+        
+        if (!empty($order_ids)) {
+            $conditions[] = 'order_id IN (' . implode(',', $order_ids) . ')';
+        }
+        
+        if (!empty($session_ids)) {
+            $conditions[] = $wpdb->prepare('session_id IN (' . implode(', ', array_fill(0, count($session_ids), '%s')) . ')', $session_ids);
+        }
+        
+        return empty($conditions) ? '' : '(' . implode(' OR ', $conditions) . ')';
     }
     
     /**
@@ -772,6 +3487,48 @@ class WC_Realtime_DB {
             $date_limit_day
         ));
         
-        return $deleted_events + $deleted_visitors;
+        // Delete the attribution of old sessions
+        $deleted_sessions = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->table_sessions} WHERE created_at < %s",
+            $date_limit
+        ));
+        
+        // Delete old alerts
+        $deleted_alerts = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->table_alerts} WHERE created_at < %s",
+            $date_limit
+        ));
+        
+        // Delete old webhook deliveries
+        $deleted_deliveries = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->table_webhook_deliveries} WHERE created_at < %s",
+            $date_limit
+        ));
+        
+        // Delete old bot traffic
+        $deleted_bot_hits = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->table_bot_hits} WHERE created_at < %s",
+            $date_limit
+        ));
+        
+        // Delete old page engagement
+        $deleted_engagement = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->table_engagement} WHERE started_at < %s",
+            $date_limit
+        ));
+        
+        // Forget visitor IDs whose cookie has expired, they are kept longer than events to recognise returning visitors
+        $deleted_visitor_ids = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->table_visitor_ids} WHERE last_seen_at < %s",
+            date('Y-m-d H:i:s', current_time('timestamp') - self::VISITOR_ID_DAYS * DAY_IN_SECONDS)
+        ));
+        
+        // Rate limits only need their current window
+        $deleted_rate_limits = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->table_rate_limits} WHERE window_start < %d",
+            time() - DAY_IN_SECONDS
+        ));
+        
+        return $deleted_events + $deleted_visitors + $deleted_sessions + $deleted_alerts + $deleted_deliveries + $deleted_bot_hits + $deleted_engagement + $deleted_visitor_ids + $deleted_rate_limits;
     }
 }
\ No newline at end of file
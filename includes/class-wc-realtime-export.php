@@ -0,0 +1,607 @@
+<?php
+/**
+ * Class WC_Realtime_Export
+ *
+ * Downloads of the dashboard tables and the raw events as CSV,
+ * newline-delimited JSON or XLSX
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Export {
+    /**
+     * Export limits
+     */
+    const CHUNK_SIZE = 5000;
+    const XLSX_MAX_ROWS = 1048575; // Excel rows, less the header row
+    const SESSIONS_PAGE_SIZE = 100;
+    
+    /**
+     * Database handler
+     *
+     * @var WC_Realtime_DB
+     */
+    private $db;
+    
+    /**
+     * Data handler
+     *
+     * @var WC_Realtime_Data
+     */
+    private $data;
+    
+    /**
+     * Funnels handler
+     *
+     * @var WC_Realtime_Funnels
+     */
+    private $funnels;
+    
+    /**
+     * State of the export being written
+     *
+     * @var array
+     */
+    private $writer = array();
+    
+    /**
+     * Constructor
+     *
+     * @param WC_Realtime_DB $db Database handler
+     * @param WC_Realtime_Data $data Data handler
+     * @param WC_Realtime_Funnels $funnels Funnels handler (optional)
+     */
+    public function __construct($db, $data, $funnels = null) {
+        $this->db = $db;
+        $this->data = $data;
+        $this->funnels = $funnels;
+        
+        $this->init();
+    }
+    
+    /**
+     * Initialize hooks
+     */
+    public function init() {
+        add_action('admin_post_wc_realtime_export', array($this, 'handle_export'));
+    }
+    
+    /**
+     * Get the export formats
+     *
+     * @return array File extensions
+     */
+    public function get_formats() {
+        return array('csv', 'json', 'xlsx');
+    }
+    
+    /**
+     * Get the datasets that can be exported
+     *
+     * @return array Dataset names, one per dashboard panel and the raw events
+     */
+    public function get_datasets() {
+        return array('overview', 'timeseries', 'products', 'countries', 'sources', 'custom_events', 'coupons', 'funnel', 'sessions', 'events');
+    }
+    
+    /**
+     * Get the URL that downloads a dataset, the dashboard adds the timeframe and format
+     *
+     * @return string admin-post.php URL with the action and nonce
+     */
+    public function get_export_url() {
+        return add_query_arg(array(
+            'action' => 'wc_realtime_export',
+            'nonce' => wp_create_nonce('wc_realtime_export')
+        ), admin_url('admin-post.php'));
+    }
+    
+    /**
+     * Send a dataset as a download
+     */
+    public function handle_export() {
+        if (!isset($_GET['nonce']) || !wp_verify_nonce(sanitize_text_field($_GET['nonce']), 'wc_realtime_export')) {
+            wp_die(esc_html__('Security check failed', 'wc-realtime-analytics'), '', array('response' => 403));
+        }
+        
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(esc_html__('Permission denied', 'wc-realtime-analytics'), '', array('response' => 403));
+        }
+        
+        $dataset = isset($_GET['dataset']) ? sanitize_key($_GET['dataset']) : '';
+        $format = isset($_GET['format']) ? sanitize_key($_GET['format']) : 'csv';
+        
+        if (!in_array($dataset, $this->get_datasets(), true) || !in_array($format, $this->get_formats(), true)) {
+            wp_die(esc_html__('Invalid export', 'wc-realtime-analytics'), '', array('response' => 400));
+        }
+        
+        if ($format === 'xlsx' && !class_exists('ZipArchive')) {
+            wp_die(esc_html__('XLSX export requires the PHP zip extension, use CSV instead', 'wc-realtime-analytics'), '', array('response' => 500));
+        }
+        
+        $timeframe = isset($_GET['timeframe']) ? sanitize_text_field($_GET['timeframe']) : 'today';
+        $from_date = isset($_GET['from_date']) ? sanitize_text_field($_GET['from_date']) : '';
+        $to_date = isset($_GET['to_date']) ? sanitize_text_field($_GET['to_date']) : '';
+        $range = $this->data->get_timeframe_range($timeframe, $from_date, $to_date);
+        
+        // Large exports take a while and must not be cut short
+        if (function_exists('wc_set_time_limit')) {
+            wc_set_time_limit(0);
+        }
+        
+        $filename = sprintf('wc-realtime-%s-%s-%s.%s', str_replace('_', '-', $dataset), $range['start_date'], $range['end_date'], $format);
+        
+        if ($dataset === 'events') {
+            $this->export_events($range, $format, $filename);
+        } else {
+            $result = $this->get_dataset($dataset, $timeframe, $from_date, $to_date);
+            
+            if (is_wp_error($result)) {
+                $error_data = $result->get_error_data();
+                wp_die(esc_html($result->get_error_message()), '', array('response' => isset($error_data['status']) ? $error_data['status'] : 400));
+            }
+            
+            $this->begin($format, $filename, $result['columns']);
+            $this->write_rows($result['rows']);
+            $this->finish();
+        }
+        
+        exit;
+    }
+    
+    /**
+     * Stream the raw events of a date range chunk by chunk
+     *
+     * @param array $range Start and end date (Y-m-d)
+     * @param string $format Export format
+     * @param string $filename Download file name
+     */
+    private function export_events($range, $format, $filename) {
+        $columns = array(
+            'id' => __('ID', 'wc-realtime-analytics'),
+            'created_at' => __('Time', 'wc-realtime-analytics'),
+            'event_type' => __('Event type', 'wc-realtime-analytics'),
+            'event_name' => __('Custom event', 'wc-realtime-analytics'),
+            'session_id' => __('Session', 'wc-realtime-analytics'),
+            'visitor_id' => __('Visitor', 'wc-realtime-analytics'),
+            'returning_visitor' => __('Returning visitor', 'wc-realtime-analytics'),
+            'user_id' => __('User ID', 'wc-realtime-analytics'),
+            'product_id' => __('Product ID', 'wc-realtime-analytics'),
+            'variation_id' => __('Variation ID', 'wc-realtime-analytics'),
+            'variation' => __('Variation', 'wc-realtime-analytics'),
+            'quantity' => __('Quantity', 'wc-realtime-analytics'),
+            'order_id' => __('Order ID', 'wc-realtime-analytics'),
+            'revenue' => __('Revenue', 'wc-realtime-analytics'),
+            'currency' => __('Currency', 'wc-realtime-analytics'),
+            'coupon_code' => __('Coupon', 'wc-realtime-analytics'),
+            'page_type' => __('Page type', 'wc-realtime-analytics'),
+            'page_url' => __('Page', 'wc-realtime-analytics'),
+            'page_title' => __('Page title', 'wc-realtime-analytics'),
+            'term_id' => __('Term ID', 'wc-realtime-analytics'),
+            'source' => __('Source', 'wc-realtime-analytics'),
+            'medium' => __('Medium', 'wc-realtime-analytics'),
+            'campaign' => __('Campaign', 'wc-realtime-analytics'),
+            'country_code' => __('Country code', 'wc-realtime-analytics'),
+            'country_name' => __('Country', 'wc-realtime-analytics'),
+            'region' => __('Region', 'wc-realtime-analytics'),
+            'ip_address' => __('IP address', 'wc-realtime-analytics'),
+            'properties' => __('Properties', 'wc-realtime-analytics')
+        );
+        
+        $this->begin($format, $filename, $columns);
+        
+        $after_id = 0;
+        
+        do {
+            $rows = $this->db->get_events_for_export(
+                $range['start_date'] . ' 00:00:00',
+                $range['end_date'] . ' 23:59:59',
+                $after_id,
+                self::CHUNK_SIZE
+            );
+            
+            if (empty($rows) || !$this->write_rows($rows)) {
+                break;
+            }
+            
+            $last_row = end($rows);
+            $after_id = absint($last_row['id']);
+        } while (count($rows) === self::CHUNK_SIZE);
+        
+        $this->finish();
+    }
+    
+    /**
+     * Get the columns and rows of a dashboard panel
+     *
+     * @param string $dataset Dataset name
+     * @param string $timeframe Timeframe
+     * @param string $from_date From date for custom timeframe (Y-m-d)
+     * @param string $to_date To date for custom timeframe (Y-m-d)
+     * @return array|WP_Error Columns (labels by key) and rows, or error with HTTP status in its data
+     */
+    private function get_dataset($dataset, $timeframe, $from_date, $to_date) {
+        $funnel_columns = array(
+            'step' => __('Step', 'wc-realtime-analytics'),
+            'label' => __('Label', 'wc-realtime-analytics'),
+            'sessions' => __('Sessions', 'wc-realtime-analytics'),
+            'percent_of_first' => __('% of first step', 'wc-realtime-analytics'),
+            'conversion_rate' => __('Conversion from previous step %', 'wc-realtime-analytics'),
+            'drop_off' => __('Drop-off', 'wc-realtime-analytics'),
+            'drop_off_rate' => __('Drop-off %', 'wc-realtime-analytics')
+        );
+        
+        if ($dataset === 'funnel') {
+            if (!$this->funnels) {
+                return new WP_Error('invalid_export', __('Invalid export', 'wc-realtime-analytics'), array('status' => 400));
+            }
+            
+            $funnel_id = isset($_GET['funnel_id']) ? sanitize_key($_GET['funnel_id']) : WC_Realtime_Funnels::DEFAULT_FUNNEL_ID;
+            $report = $this->funnels->get_report($funnel_id, $timeframe, $from_date, $to_date);
+            
+            if (is_wp_error($report)) {
+                return $report;
+            }
+            
+            $rows = array();
+            
+            foreach ($report['steps'] as $index => $step) {
+                $rows[] = array_merge(array('step' => $index + 1), $step);
+            }
+            
+            return array('columns' => $funnel_columns, 'rows' => $rows);
+        }
+        
+        if ($dataset === 'sessions') {
+            return $this->get_sessions_dataset();
+        }
+        
+        $stats = $this->data->get_dashboard_data($timeframe, $from_date, $to_date);
+        $columns = array();
+        $rows = array();
+        
+        switch ($dataset) {
+            case 'overview':
+                $columns = array(
+                    'visitors' => __('Visitors', 'wc-realtime-analytics'),
+                    'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+                    'checkouts' => __('Checkouts', 'wc-realtime-analytics'),
+                    'purchases' => __('Purchases', 'wc-realtime-analytics'),
+                    'atc_rate' => __('Add to cart rate %', 'wc-realtime-analytics'),
+                    'checkout_rate' => __('Checkout rate %', 'wc-realtime-analytics'),
+                    'purchase_rate' => __('Purchase rate %', 'wc-realtime-analytics'),
+                    'revenue' => __('Revenue', 'wc-realtime-analytics'),
+                    'aov' => __('Average order value', 'wc-realtime-analytics'),
+                    'revenue_per_visitor' => __('Revenue per visitor', 'wc-realtime-analytics')
+                );
+                $rows = array($stats['store']);
+                break;
+            
+            case 'timeseries':
+                $columns = array(
+                    'bucket' => __('Date', 'wc-realtime-analytics'),
+                    'visitors' => __('Visitors', 'wc-realtime-analytics'),
+                    'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+                    'checkouts' => __('Checkouts', 'wc-realtime-analytics'),
+                    'purchases' => __('Purchases', 'wc-realtime-analytics')
+                );
+                $rows = isset($stats['timeseries']['points']) ? $stats['timeseries']['points'] : array();
+                break;
+            
+            case 'products':
+                $columns = array(
+                    'product_id' => __('Product ID', 'wc-realtime-analytics'),
+                    'name' => __('Product', 'wc-realtime-analytics'),
+                    'visitors' => __('Views', 'wc-realtime-analytics'),
+                    'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+                    'checkouts' => __('Checkouts', 'wc-realtime-analytics'),
+                    'purchases' => __('Purchases', 'wc-realtime-analytics'),
+                    'revenue' => __('Revenue', 'wc-realtime-analytics'),
+                    'atc_rate' => __('Add to cart rate %', 'wc-realtime-analytics'),
+                    'purchase_rate' => __('Purchase rate %', 'wc-realtime-analytics')
+                );
+                $rows = $stats['products'];
+                break;
+            
+            case 'countries':
+                $columns = array(
+                    'country_code' => __('Country code', 'wc-realtime-analytics'),
+                    'country_name' => __('Country', 'wc-realtime-analytics'),
+                    'visitors' => __('Visitors', 'wc-realtime-analytics'),
+                    'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+                    'checkouts' => __('Checkouts', 'wc-realtime-analytics'),
+                    'purchases' => __('Purchases', 'wc-realtime-analytics'),
+                    'revenue' => __('Revenue', 'wc-realtime-analytics')
+                );
+                $rows = $stats['countries'];
+                break;
+            
+            case 'sources':
+                $columns = array(
+                    'source' => __('Source', 'wc-realtime-analytics'),
+                    'medium' => __('Medium', 'wc-realtime-analytics'),
+                    'sessions' => __('Sessions', 'wc-realtime-analytics'),
+                    'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+                    'checkouts' => __('Checkouts', 'wc-realtime-analytics'),
+                    'purchases' => __('Purchases', 'wc-realtime-analytics'),
+                    'revenue' => __('Revenue', 'wc-realtime-analytics'),
+                    'conversion_rate' => __('Conversion rate %', 'wc-realtime-analytics')
+                );
+                $rows = $stats['traffic_sources'];
+                break;
+            
+            case 'custom_events':
+                $columns = array(
+                    'event_name' => __('Event', 'wc-realtime-analytics'),
+                    'total' => __('Total', 'wc-realtime-analytics'),
+                    'sessions' => __('Sessions', 'wc-realtime-analytics')
+                );
+                $rows = $stats['custom_events'];
+                break;
+            
+            case 'coupons':
+                $columns = array(
+                    'coupon_code' => __('Coupon', 'wc-realtime-analytics'),
+                    'applied' => __('Applied', 'wc-realtime-analytics'),
+                    'removed' => __('Removed', 'wc-realtime-analytics')
+                );
+                $rows = isset($stats['cart_activity']['coupons']) ? $stats['cart_activity']['coupons'] : array();
+                break;
+        }
+        
+        return array('columns' => $columns, 'rows' => is_array($rows) ? $rows : array());
+    }
+    
+    /**
+     * Get every session that matches the filters of the recent sessions panel
+     *
+     * @return array Columns and rows
+     */
+    private function get_sessions_dataset() {
+        $columns = array(
+            'session_id' => __('Session', 'wc-realtime-analytics'),
+            'started_at' => __('Started', 'wc-realtime-analytics'),
+            'last_seen_at' => __('Last seen', 'wc-realtime-analytics'),
+            'events' => __('Events', 'wc-realtime-analytics'),
+            'country_code' => __('Country code', 'wc-realtime-analytics'),
+            'country_name' => __('Country', 'wc-realtime-analytics'),
+            'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+            'checkouts' => __('Checkouts', 'wc-realtime-analytics'),
+            'purchases' => __('Purchases', 'wc-realtime-analytics'),
+            'revenue' => __('Revenue', 'wc-realtime-analytics'),
+            'order_id' => __('Order ID', 'wc-realtime-analytics')
+        );
+        
+        $args = array(
+            'limit' => self::SESSIONS_PAGE_SIZE,
+            'offset' => 0,
+            'days' => isset($_GET['days']) ? absint($_GET['days']) : 7,
+            'search' => isset($_GET['search']) ? sanitize_text_field(wp_unslash($_GET['search'])) : '',
+            'status' => isset($_GET['status']) ? sanitize_key($_GET['status']) : ''
+        );
+        
+        $rows = array();
+        
+        do {
+            $result = $this->db->get_sessions($args);
+            $rows = array_merge($rows, $result['sessions']);
+            $args['offset'] += self::SESSIONS_PAGE_SIZE;
+        } while ($result['has_more'] && count($rows) < self::XLSX_MAX_ROWS);
+        
+        return array('columns' => $columns, 'rows' => $rows);
+    }
+    
+    /**
+     * Start an export, CSV and JSON are written to the response as rows arrive
+     *
+     * @param string $format Export format
+     * @param string $filename Download file name
+     * @param array $columns Column labels by row key
+     */
+    private function begin($format, $filename, $columns) {
+        // Rows must reach the browser as they are written, not pile up in buffers
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+        
+        $this->writer = array(
+            'format' => $format,
+            'filename' => $filename,
+            'columns' => $columns,
+            'rows' => 0,
+            'handle' => null,
+            'sheet_file' => ''
+        );
+        
+        if ($format === 'xlsx') {
+            // The sheet is written to a temporary file and zipped when complete
+            $this->writer['sheet_file'] = wp_tempnam('wc-realtime-export');
+            $this->writer['handle'] = fopen($this->writer['sheet_file'], 'w');
+            
+            fwrite($this->writer['handle'], '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n"
+                . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+            fwrite($this->writer['handle'], $this->get_xlsx_row(1, array_values($columns)));
+            return;
+        }
+        
+        nocache_headers();
+        header('Content-Type: ' . ($format === 'csv' ? 'text/csv' : 'application/x-ndjson') . '; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+        header('X-Content-Type-Options: nosniff');
+        
+        $this->writer['handle'] = fopen('php://output', 'w');
+        
+        if ($format === 'csv') {
+            // Byte order mark so that spreadsheet apps read the file as UTF-8
+            fwrite($this->writer['handle'], "\xEF\xBB\xBF");
+            fputcsv($this->writer['handle'], array_values($columns));
+        }
+    }
+    
+    /**
+     * Write rows to the export
+     *
+     * @param array $rows Rows keyed like the columns
+     * @return bool False once the format cannot take more rows
+     */
+    private function write_rows($rows) {
+        $keys = array_keys($this->writer['columns']);
+        $handle = $this->writer['handle'];
+        
+        foreach ($rows as $row) {
+            if ($this->writer['format'] === 'xlsx' && $this->writer['rows'] >= self::XLSX_MAX_ROWS) {
+                return false;
+            }
+            
+            $values = array();
+            
+            foreach ($keys as $key) {
+                $values[$key] = isset($row[$key]) && is_scalar($row[$key]) ? $row[$key] : '';
+            }
+            
+            $this->writer['rows']++;
+            
+            switch ($this->writer['format']) {
+                case 'csv':
+                    fputcsv($handle, array_map(array($this, 'escape_csv_value'), array_values($values)));
+                    break;
+                
+                case 'json':
+                    // Stored properties are JSON already
+                    if (isset($values['properties']) && $values['properties'] !== '') {
+                        $properties = json_decode($values['properties'], true);
+                        $values['properties'] = is_array($properties) ? $properties : $values['properties'];
+                    }
+                    
+                    fwrite($handle, wp_json_encode($values) . "\n");
+                    break;
+                
+                case 'xlsx':
+                    fwrite($handle, $this->get_xlsx_row($this->writer['rows'] + 1, array_values($values)));
+                    break;
+            }
+        }
+        
+        if ($this->writer['format'] !== 'xlsx') {
+            flush();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Complete the export, an XLSX file is sent only now
+     */
+    private function finish() {
+        if ($this->writer['format'] !== 'xlsx') {
+            fclose($this->writer['handle']);
+            return;
+        }
+        
+        fwrite($this->writer['handle'], '</sheetData></worksheet>');
+        fclose($this->writer['handle']);
+        
+        $zip_file = wp_tempnam('wc-realtime-export');
+        $zip = new ZipArchive();
+        
+        if ($zip->open($zip_file, ZipArchive::OVERWRITE) !== true) {
+            wp_delete_file($this->writer['sheet_file']);
+            wp_die(esc_html__('Could not create the XLSX file', 'wc-realtime-analytics'), '', array('response' => 500));
+        }
+        
+        foreach ($this->get_xlsx_parts() as $name => $content) {
+            $zip->addFromString($name, $content);
+        }
+        
+        // The sheet is read from disk when the archive is closed
+        $zip->addFile($this->writer['sheet_file'], 'xl/worksheets/sheet1.xml');
+        $zip->close();
+        
+        nocache_headers();
+        header('Content-Type: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        header('Content-Disposition: attachment; filename="' . $this->writer['filename'] . '"');
+        header('Content-Length: ' . filesize($zip_file));
+        header('X-Content-Type-Options: nosniff');
+        
+        readfile($zip_file);
+        
+        wp_delete_file($this->writer['sheet_file']);
+        wp_delete_file($zip_file);
+    }
+    
+    /**
+     * Build a worksheet row, numbers as numbers and everything else as inline text
+     *
+     * Database values arrive as strings, plain decimal numbers among them are
+     * stored as numbers. Values with leading zeros stay text.
+     *
+     * @param int $number Row number, starting at 1
+     * @param array $values Cell values
+     * @return string Row XML
+     */
+    private function get_xlsx_row($number, $values) {
+        $xml = '<row r="' . $number . '">';
+        
+        foreach ($values as $value) {
+            if (is_int($value) || is_float($value) || (is_string($value) && preg_match('/^-?(0|[1-9]\d{0,14})(\.\d+)?$/', $value))) {
+                $xml .= '<c t="n"><v>' . $value . '</v></c>';
+            } elseif ($value === '' || $value === null) {
+                $xml .= '<c/>';
+            } else {
+                // Control characters are not allowed in XML
+                $text = preg_replace('/[\x00-\x08\x0B\x0C\x0E-\x1F]/', '', (string) $value);
+                $xml .= '<c t="inlineStr"><is><t xml:space="preserve">' . htmlspecialchars($text, ENT_QUOTES | ENT_XML1, 'UTF-8') . '</t></is></c>';
+            }
+        }
+        
+        return $xml . '</row>';
+    }
+    
+    /**
+     * Get the parts of a single sheet workbook besides the sheet itself
+     *
+     * @return array File contents by path in the archive
+     */
+    private function get_xlsx_parts() {
+        $header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n";
+        
+        return array(
+            '[Content_Types].xml' => $header
+                . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                . '<Default Extension="xml" ContentType="application/xml"/>'
+                . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                . '</Types>',
+            '_rels/.rels' => $header
+                . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                . '</Relationships>',
+            'xl/workbook.xml' => $header
+                . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                . '<sheets><sheet name="Export" sheetId="1" r:id="rId1"/></sheets>'
+                . '</workbook>',
+            'xl/_rels/workbook.xml.rels' => $header
+                . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                . '</Relationships>'
+        );
+    }
+    
+    /**
+     * Keep spreadsheet apps from running text that looks like a formula
+     *
+     * @param mixed $value Cell value
+     * @return mixed Value, text starting with a formula character is prefixed with a quote
+     */
+    private function escape_csv_value($value) {
+        if (is_string($value) && $value !== '' && !is_numeric($value) && in_array($value[0], array('=', '+', '-', '@', "\t", "\r"), true)) {
+            return "'" . $value;
+        }
+        
+        return $value;
+    }
+}
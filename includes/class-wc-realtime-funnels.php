@@ -0,0 +1,486 @@
+<?php
+/**
+ * Class WC_Realtime_Funnels
+ *
+ * Named multi-step funnels computed per session from the events table
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Funnels {
+    /**
+     * Funnel limits
+     */
+    const OPTION_NAME = 'wc_realtime_funnels';
+    const MAX_FUNNELS = 20;
+    const MIN_STEPS = 2;
+    const MAX_STEPS = 10;
+    
+    /**
+     * Events are read in batches, up to a maximum per report
+     */
+    const BATCH_SIZE = 5000;
+    const MAX_EVENTS = 200000;
+    
+    /**
+     * ID of the built-in store funnel
+     */
+    const DEFAULT_FUNNEL_ID = 'store';
+    
+    /**
+     * Database handler
+     *
+     * @var WC_Realtime_DB
+     */
+    private $db;
+    
+    /**
+     * Data handler
+     *
+     * @var WC_Realtime_Data
+     */
+    private $data;
+    
+    /**
+     * Constructor
+     *
+     * @param WC_Realtime_DB $db Database handler
+     * @param WC_Realtime_Data $data Data handler
+     */
+    public function __construct($db, $data) {
+        $this->db = $db;
+        $this->data = $data;
+    }
+    
+    /**
+     * Get the built-in visitor to purchase funnel
+     *
+     * @return array Funnel
+     */
+    public function get_default_funnel() {
+        return array(
+            'id' => self::DEFAULT_FUNNEL_ID,
+            'name' => __('Store funnel', 'wc-realtime-analytics'),
+            'builtin' => true,
+            'steps' => array(
+                $this->normalize_step(array('event_type' => 'visitor')),
+                $this->normalize_step(array('event_type' => 'add_to_cart')),
+                $this->normalize_step(array('event_type' => 'checkout')),
+                $this->normalize_step(array('event_type' => 'purchase'))
+            )
+        );
+    }
+    
+    /**
+     * Get all funnels, the built-in funnel first
+     *
+     * @return array Funnels
+     */
+    public function get_funnels() {
+        $saved = get_option(self::OPTION_NAME, array());
+        $funnels = array($this->get_default_funnel());
+        
+        foreach ((array) $saved as $funnel) {
+            if (is_array($funnel) && !empty($funnel['id']) && !empty($funnel['steps'])) {
+                $funnel['builtin'] = false;
+                $funnels[] = $funnel;
+            }
+        }
+        
+        return $funnels;
+    }
+    
+    /**
+     * Get a funnel by ID
+     *
+     * @param string $funnel_id Funnel ID
+     * @return array|null Funnel or null if not found
+     */
+    public function get_funnel($funnel_id) {
+        foreach ($this->get_funnels() as $funnel) {
+            if ($funnel['id'] === $funnel_id) {
+                return $funnel;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Create or update a funnel
+     *
+     * @param array $funnel Funnel with optional id, name and steps
+     * @return array|WP_Error Saved funnel or error with HTTP status in its data
+     */
+    public function save_funnel($funnel) {
+        $funnel_id = isset($funnel['id']) ? sanitize_key($funnel['id']) : '';
+        $name = isset($funnel['name']) ? sanitize_text_field($funnel['name']) : '';
+        
+        if ($funnel_id === self::DEFAULT_FUNNEL_ID) {
+            return new WP_Error('builtin_funnel', __('The store funnel cannot be changed', 'wc-realtime-analytics'), array('status' => 400));
+        }
+        
+        if ($name === '') {
+            return new WP_Error('invalid_funnel', __('Please enter a funnel name', 'wc-realtime-analytics'), array('status' => 400));
+        }
+        
+        $steps = $this->sanitize_steps(isset($funnel['steps']) ? $funnel['steps'] : array());
+        
+        if (is_wp_error($steps)) {
+            return $steps;
+        }
+        
+        $saved = array_values(array_filter((array) get_option(self::OPTION_NAME, array()), 'is_array'));
+        $index = null;
+        
+        foreach ($saved as $i => $existing) {
+            if (isset($existing['id']) && $existing['id'] === $funnel_id) {
+                $index = $i;
+            }
+        }
+        
+        if ($funnel_id !== '' && $index === null) {
+            return new WP_Error('funnel_not_found', __('Funnel not found', 'wc-realtime-analytics'), array('status' => 404));
+        }
+        
+        if ($index === null && count($saved) >= self::MAX_FUNNELS) {
+            return new WP_Error('too_many_funnels', sprintf(
+                /* translators: %d: maximum number of funnels */
+                __('You can save up to %d funnels', 'wc-realtime-analytics'),
+                self::MAX_FUNNELS
+            ), array('status' => 400));
+        }
+        
+        $result = array(
+            'id' => $index === null ? sanitize_key(uniqid('funnel_')) : $funnel_id,
+            'name' => substr($name, 0, 100),
+            'steps' => $steps
+        );
+        
+        if ($index === null) {
+            $saved[] = $result;
+        } else {
+            $saved[$index] = $result;
+        }
+        
+        update_option(self::OPTION_NAME, $saved, false);
+        
+        $result['builtin'] = false;
+        return $result;
+    }
+    
+    /**
+     * Delete a funnel
+     *
+     * @param string $funnel_id Funnel ID
+     * @return true|WP_Error True or error with HTTP status in its data
+     */
+    public function delete_funnel($funnel_id) {
+        if ($funnel_id === self::DEFAULT_FUNNEL_ID) {
+            return new WP_Error('builtin_funnel', __('The store funnel cannot be deleted', 'wc-realtime-analytics'), array('status' => 400));
+        }
+        
+        $saved = array_values(array_filter((array) get_option(self::OPTION_NAME, array()), 'is_array'));
+        $remaining = array_values(array_filter($saved, function($funnel) use ($funnel_id) {
+            return !isset($funnel['id']) || $funnel['id'] !== $funnel_id;
+        }));
+        
+        if (count($remaining) === count($saved)) {
+            return new WP_Error('funnel_not_found', __('Funnel not found', 'wc-realtime-analytics'), array('status' => 404));
+        }
+        
+        update_option(self::OPTION_NAME, $remaining, false);
+        return true;
+    }
+    
+    /**
+     * Validate and normalize funnel steps
+     *
+     * @param array $steps Raw steps
+     * @return array|WP_Error Steps or error with HTTP status in its data
+     */
+    private function sanitize_steps($steps) {
+        if (!is_array($steps)) {
+            $steps = array();
+        }
+        
+        $result = array();
+        
+        foreach ($steps as $step) {
+            if (!is_array($step)) {
+                continue;
+            }
+            
+            $event_type = isset($step['event_type']) ? sanitize_key($step['event_type']) : '';
+            
+            if (!in_array($event_type, $this->db->get_event_types(), true)) {
+                return new WP_Error('invalid_funnel', __('Invalid step event type', 'wc-realtime-analytics'), array('status' => 400));
+            }
+            
+            $page_type = isset($step['page_type']) ? sanitize_key($step['page_type']) : '';
+            
+            if ($page_type !== '' && !in_array($page_type, $this->db->get_page_types(), true)) {
+                return new WP_Error('invalid_funnel', __('Invalid step page type', 'wc-realtime-analytics'), array('status' => 400));
+            }
+            
+            $result[] = $this->normalize_step(array(
+                'event_type' => $event_type,
+                'product_id' => isset($step['product_id']) ? absint($step['product_id']) : 0,
+                'page_type' => $page_type,
+                'page_url' => isset($step['page_url']) ? substr(sanitize_text_field($step['page_url']), 0, 255) : '',
+                'label' => isset($step['label']) ? substr(sanitize_text_field($step['label']), 0, 100) : ''
+            ));
+        }
+        
+        if (count($result) < self::MIN_STEPS || count($result) > self::MAX_STEPS) {
+            return new WP_Error('invalid_funnel', sprintf(
+                /* translators: 1: minimum number of steps, 2: maximum number of steps */
+                __('A funnel needs between %1$d and %2$d steps', 'wc-realtime-analytics'),
+                self::MIN_STEPS,
+                self::MAX_STEPS
+            ), array('status' => 400));
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Fill in the defaults of a step
+     *
+     * @param array $step Step
+     * @return array Step with all fields
+     */
+    private function normalize_step($step) {
+        return array_merge(array(
+            'event_type' => 'visitor',
+            'product_id' => 0,
+            'page_type' => '',
+            'page_url' => '',
+            'label' => ''
+        ), $step);
+    }
+    
+    /**
+     * Get the funnel report of a timeframe
+     *
+     * @param string $funnel_id Funnel ID
+     * @param string $timeframe Timeframe
+     * @param string $from_date From date for custom timeframe (Y-m-d)
+     * @param string $to_date To date for custom timeframe (Y-m-d)
+     * @param bool $compare Whether to add the previous period
+     * @return array|WP_Error Report or error with HTTP status in its data
+     */
+    public function get_report($funnel_id, $timeframe, $from_date = '', $to_date = '', $compare = false) {
+        $funnel = $this->get_funnel($funnel_id);
+        
+        if (!$funnel) {
+            return new WP_Error('funnel_not_found', __('Funnel not found', 'wc-realtime-analytics'), array('status' => 404));
+        }
+        
+        $range = $this->data->get_timeframe_range($timeframe, $from_date, $to_date);
+        
+        $report = array(
+            'funnel' => $funnel,
+            'start_date' => $range['start_date'],
+            'end_date' => $range['end_date'],
+            'previous' => null
+        );
+        
+        $report = array_merge($report, $this->calculate(
+            $funnel['steps'],
+            $range['start_date'] . ' 00:00:00',
+            $range['end_date'] . ' 23:59:59'
+        ));
+        
+        if ($compare) {
+            $previous = $this->data->get_comparison_range($timeframe, $from_date, $to_date);
+            
+            $report['previous'] = array_merge(array(
+                'start_date' => $previous['start_date'],
+                'end_date' => $previous['end_date']
+            ), $this->calculate(
+                $funnel['steps'],
+                $previous['start_date'] . ' 00:00:00',
+                $previous['end_date'] . ' ' . ($previous['until_time'] !== '' ? $previous['until_time'] : '23:59:59')
+            ));
+        }
+        
+        return $report;
+    }
+    
+    /**
+     * Count the sessions that reach each step in order
+     *
+     * A session reaches a step when it has a matching event after reaching
+     * the previous step, other events in between are ignored.
+     *
+     * @param array $steps Funnel steps
+     * @param string $start_time Start of the range (Y-m-d H:i:s)
+     * @param string $end_time End of the range (Y-m-d H:i:s)
+     * @return array Steps with sessions, conversion and drop-off, and
+     *               whether the event limit cut the scan short
+     */
+    public function calculate($steps, $start_time, $end_time) {
+        $steps = array_values($steps);
+        $step_count = count($steps);
+        $counts = array_fill(0, $step_count, 0);
+        
+        $session_id = null;
+        $position = 0;
+        $offset = 0;
+        
+        do {
+            $rows = $this->db->get_funnel_events($steps, $start_time, $end_time, $offset, self::BATCH_SIZE);
+            
+            // Rows are ordered by session, a session may continue in the next batch
+            foreach ($rows as $row) {
+                if ($row['session_id'] !== $session_id) {
+                    $session_id = $row['session_id'];
+                    $position = 0;
+                }
+                
+                if ($position < $step_count && $this->matches_step($row, $steps[$position])) {
+                    $counts[$position]++;
+                    $position++;
+                }
+            }
+            
+            $offset += count($rows);
+        } while (count($rows) === self::BATCH_SIZE && $offset < self::MAX_EVENTS);
+        
+        $truncated = count($rows) === self::BATCH_SIZE;
+        
+        $result = array();
+        
+        foreach ($steps as $index => $step) {
+            $sessions = $counts[$index];
+            $previous = $index > 0 ? $counts[$index - 1] : $sessions;
+            
+            $result[] = array(
+                'label' => $this->get_step_label($step),
+                'event_type' => $step['event_type'],
+                'sessions' => $sessions,
+                'percent_of_first' => $counts[0] > 0 ? round(($sessions / $counts[0]) * 100, 2) : 0,
+                'conversion_rate' => $previous > 0 ? round(($sessions / $previous) * 100, 2) : 0,
+                'drop_off' => $index > 0 ? $previous - $sessions : 0,
+                'drop_off_rate' => ($index > 0 && $previous > 0) ? round((($previous - $sessions) / $previous) * 100, 2) : 0
+            );
+        }
+        
+        return array(
+            'steps' => $result,
+            'truncated' => $truncated
+        );
+    }
+    
+    /**
+     * Check whether an event matches a step
+     *
+     * Mirrors the conditions of WC_Realtime_DB::get_funnel_events().
+     *
+     * @param array $row Event row
+     * @param array $step Funnel step
+     * @return bool
+     */
+    private function matches_step($row, $step) {
+        if ($row['event_type'] !== $step['event_type']) {
+            return false;
+        }
+        
+        if (!empty($step['product_id'])) {
+            if ((int) $row['product_id'] !== (int) $step['product_id']) {
+                return false;
+            }
+        } elseif ($step['event_type'] === 'purchase' && (int) $row['product_id'] !== 0) {
+            return false;
+        }
+        
+        if (!empty($step['page_type']) && $row['page_type'] !== $step['page_type']) {
+            return false;
+        }
+        
+        if (!empty($step['page_url']) && stripos($row['page_url'], $step['page_url']) === false) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get the label of a step, describing it when no label was given
+     *
+     * @param array $step Funnel step
+     * @return string Label
+     */
+    private function get_step_label($step) {
+        if (!empty($step['label'])) {
+            return $step['label'];
+        }
+        
+        $event_labels = $this->get_event_type_labels();
+        $label = isset($event_labels[$step['event_type']]) ? $event_labels[$step['event_type']] : $step['event_type'];
+        $details = array();
+        
+        if (!empty($step['page_type'])) {
+            $page_labels = $this->get_page_type_labels();
+            $details[] = isset($page_labels[$step['page_type']]) ? $page_labels[$step['page_type']] : $step['page_type'];
+        }
+        
+        if (!empty($step['page_url'])) {
+            $details[] = $step['page_url'];
+        }
+        
+        if (!empty($step['product_id'])) {
+            $product = wc_get_product($step['product_id']);
+            $details[] = $product
+                ? html_entity_decode($product->get_name(), ENT_QUOTES, 'UTF-8')
+                : sprintf(__('Product #%d', 'wc-realtime-analytics'), $step['product_id']);
+        }
+        
+        return $details ? $label . ': ' . implode(', ', $details) : $label;
+    }
+    
+    /**
+     * Get the labels of the event types a step can match
+     *
+     * @return array Labels by event type
+     */
+    public function get_event_type_labels() {
+        return array(
+            'visitor' => __('Page view', 'wc-realtime-analytics'),
+            'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+            'checkout' => __('Checkout', 'wc-realtime-analytics'),
+            'purchase' => __('Purchase', 'wc-realtime-analytics'),
+            'remove_from_cart' => __('Remove from Cart', 'wc-realtime-analytics'),
+            'cart_update' => __('Cart quantity change', 'wc-realtime-analytics'),
+            'coupon_applied' => __('Coupon applied', 'wc-realtime-analytics'),
+            'coupon_removed' => __('Coupon removed', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Get the labels of the page types a step can match
+     *
+     * @return array Labels by page type
+     */
+    public function get_page_type_labels() {
+        return array(
+            'home' => __('Home page', 'wc-realtime-analytics'),
+            'shop' => __('Shop page', 'wc-realtime-analytics'),
+            'category' => __('Category page', 'wc-realtime-analytics'),
+            'tag' => __('Product tag page', 'wc-realtime-analytics'),
+            'product' => __('Product page', 'wc-realtime-analytics'),
+            'cart' => __('Cart page', 'wc-realtime-analytics'),
+            'checkout' => __('Checkout page', 'wc-realtime-analytics'),
+            'account' => __('Account page', 'wc-realtime-analytics'),
+            'search' => __('Search results', 'wc-realtime-analytics'),
+            'blog' => __('Blog page', 'wc-realtime-analytics'),
+            'post' => __('Blog post', 'wc-realtime-analytics'),
+            'page' => __('Other page', 'wc-realtime-analytics'),
+            'other' => __('Other', 'wc-realtime-analytics')
+        );
+    }
+}
@@ -57,7 +57,7 @@ class WC_Realtime_Geo {
      * Get country information from IP address
      *
      * @param string $ip_address IP address
-     * @return array Country data (code and name)
+     * @return array Country data (code, name and region, the region may be empty)
      */
     public function get_country_from_ip($ip_address) {
         // Sanitize IP address
@@ -151,7 +151,7 @@ class WC_Realtime_Geo {
             
             // Validate and format result
             if (isset($geo_data['country'])) {
-                return $this->format_country_result($geo_data['country']);
+                return $this->format_country_result($geo_data['country'], '', isset($geo_data['state']) ? $geo_data['state'] : '');
             }
         } catch (Exception $e) {
             error_log("WC Realtime Analytics: WooCommerce geolocation failed - " . $e->getMessage());
@@ -169,7 +169,11 @@ class WC_Realtime_Geo {
     private function get_country_with_cloudflare($ip_address) {
         if (isset($_SERVER['HTTP_CF_IPCOUNTRY']) && !empty($_SERVER['HTTP_CF_IPCOUNTRY'])) {
             $country_code = sanitize_text_field($_SERVER['HTTP_CF_IPCOUNTRY']);
-            return $this->format_country_result($country_code);
+            
+            // Cloudflare only sends the region with the visitor location headers transform
+            $region = isset($_SERVER['HTTP_CF_REGION']) ? sanitize_text_field($_SERVER['HTTP_CF_REGION']) : '';
+            
+            return $this->format_country_result($country_code, '', $region);
         }
         
         return $this->get_default_result();
@@ -183,7 +187,7 @@ class WC_Realtime_Geo {
      */
     private function get_country_with_ip_api($ip_address) {
         try {
-            $response = wp_remote_get("http://ip-api.com/json/{$ip_address}?fields=countryCode,country");
+            $response = wp_remote_get("http://ip-api.com/json/{$ip_address}?fields=countryCode,country,regionName");
             
             if (is_wp_error($response)) {
                 return $this->get_default_result();
@@ -195,7 +199,8 @@ class WC_Realtime_Geo {
             if (isset($data['countryCode']) && !empty($data['countryCode'])) {
                 return array(
                     'country_code' => sanitize_text_field($data['countryCode']),
-                    'country_name' => isset($data['country']) ? sanitize_text_field($data['country']) : ''
+                    'country_name' => isset($data['country']) ? sanitize_text_field($data['country']) : '',
+                    'region' => isset($data['regionName']) ? sanitize_text_field($data['regionName']) : ''
                 );
             }
         } catch (Exception $e) {
@@ -223,8 +228,9 @@ class WC_Realtime_Geo {
             $data = json_decode($body, true);
             
             if (isset($data['country']) && !empty($data['country'])) {
-                return $this->format_country_result($data['country'], 
-                    isset($data['region']) ? $data['region'] : '');
+                $region = isset($data['region']) ? $data['region'] : '';
+                
+                return $this->format_country_result($data['country'], $region, $region);
             }
         } catch (Exception $e) {
             error_log("WC Realtime Analytics: IPInfo geolocation failed - " . $e->getMessage());
@@ -253,7 +259,8 @@ class WC_Realtime_Geo {
             if (isset($data['country_code']) && !empty($data['country_code'])) {
                 return array(
                     'country_code' => sanitize_text_field($data['country_code']),
-                    'country_name' => isset($data['country_name']) ? sanitize_text_field($data['country_name']) : ''
+                    'country_name' => isset($data['country_name']) ? sanitize_text_field($data['country_name']) : '',
+                    'region' => isset($data['region']) ? sanitize_text_field($data['region']) : ''
                 );
             }
         } catch (Exception $e) {
@@ -267,25 +274,46 @@ class WC_Realtime_Geo {
      * Format country result with WooCommerce country name if possible
      *
      * @param string $country_code Country code
-     * @param string $region Optional region name
+     * @param string $fallback_name Optional name used when WooCommerce does not know the country
+     * @param string $region Optional region, state or province of the visitor
      * @return array Formatted country data
      */
-    private function format_country_result($country_code, $region = '') {
+    private function format_country_result($country_code, $fallback_name = '', $region = '') {
         $country_code = strtoupper(sanitize_text_field($country_code));
         
         // Try to get full country name from WooCommerce
         $country_name = '';
         if (class_exists('WC_Countries')) {
             $countries = WC()->countries->get_countries();
-            $country_name = isset($countries[$country_code]) ? $countries[$country_code] : $region;
+            $country_name = isset($countries[$country_code]) ? $countries[$country_code] : $fallback_name;
         }
         
         return array(
             'country_code' => $country_code,
-            'country_name' => $country_name
+            'country_name' => $country_name,
+            'region' => $this->format_region($country_code, sanitize_text_field($region))
         );
     }
     
+    /**
+     * Turn a state code into its name where WooCommerce knows the states of the country
+     *
+     * @param string $country_code Country code
+     * @param string $region State code or region name
+     * @return string Region name, at most 100 characters
+     */
+    private function format_region($country_code, $region) {
+        if ($region !== '' && function_exists('WC') && WC()->countries) {
+            $states = WC()->countries->get_states($country_code);
+            
+            if (is_array($states) && isset($states[strtoupper($region)])) {
+                $region = html_entity_decode($states[strtoupper($region)], ENT_QUOTES, 'UTF-8');
+            }
+        }
+        
+        return substr($region, 0, 100);
+    }
+    
     /**
      * Check if an IP address is private/local
      *
@@ -334,7 +362,8 @@ class WC_Realtime_Geo {
     private function get_default_result() {
         return array(
             'country_code' => '',
-            'country_name' => ''
+            'country_name' => '',
+            'region' => ''
         );
     }
     
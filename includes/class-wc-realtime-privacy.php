@@ -0,0 +1,540 @@
+<?php
+/**
+ * Class WC_Realtime_Privacy
+ *
+ * Tracking consent, IP address anonymization and data subject requests
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Privacy {
+    /**
+     * Cookie the storefront sets when consent is given with WCRealtime.consent()
+     */
+    const CONSENT_COOKIE = 'wc_realtime_consent';
+    
+    /**
+     * Option holding the salt of today's IP address hashes
+     */
+    const SALT_OPTION = 'wc_realtime_ip_salt';
+    
+    /**
+     * Events exported or erased per query
+     */
+    const BATCH_SIZE = 500;
+    
+    /**
+     * Database handler
+     *
+     * @var WC_Realtime_DB
+     */
+    private $db;
+    
+    /**
+     * Constructor
+     *
+     * @param WC_Realtime_DB $db Database handler
+     */
+    public function __construct($db) {
+        $this->db = $db;
+        
+        add_filter('wp_privacy_personal_data_exporters', array($this, 'register_exporter'));
+        add_filter('wp_privacy_personal_data_erasers', array($this, 'register_eraser'));
+        add_action('admin_post_wc_realtime_privacy_export', array($this, 'handle_export'));
+    }
+    
+    /**
+     * Get the ways tracking can wait for consent
+     *
+     * @return array Labels by consent mode
+     */
+    public function get_consent_modes() {
+        return array(
+            'off' => __('Track without waiting for consent', 'wc-realtime-analytics'),
+            'js' => __('Wait for WCRealtime.consent(true)', 'wc-realtime-analytics'),
+            'wp_consent_api' => __('Wait for statistics consent from the WP Consent API', 'wc-realtime-analytics'),
+            'cookie' => __('Wait for a consent cookie', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Get the ways IP addresses can be stored
+     *
+     * @return array Labels by IP mode
+     */
+    public function get_ip_modes() {
+        return array(
+            'raw' => __('Full IP address', 'wc-realtime-analytics'),
+            'truncated' => __('Truncated (last IPv4 byte, last 80 IPv6 bits removed)', 'wc-realtime-analytics'),
+            'hashed' => __('Hashed with a salt that changes daily', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Get the privacy settings
+     *
+     * @return array Consent mode, consent cookie name, whether DNT and GPC are honoured and IP mode
+     */
+    public function get_settings() {
+        $consent_mode = get_option('wc_realtime_consent_mode', 'off');
+        $ip_mode = get_option('wc_realtime_ip_mode', 'raw');
+        
+        return array(
+            'consent_mode' => isset($this->get_consent_modes()[$consent_mode]) ? $consent_mode : 'off',
+            'consent_cookie' => (string) get_option('wc_realtime_consent_cookie', ''),
+            'respect_dnt' => get_option('wc_realtime_respect_dnt', 'no') === 'yes',
+            'ip_mode' => isset($this->get_ip_modes()[$ip_mode]) ? $ip_mode : 'raw'
+        );
+    }
+    
+    /**
+     * Save the privacy settings
+     *
+     * @param array $settings Consent mode, consent cookie name, respect_dnt and IP mode
+     * @return true|WP_Error True or error naming the invalid setting
+     */
+    public function save_settings($settings) {
+        $consent_mode = isset($settings['consent_mode']) ? sanitize_key($settings['consent_mode']) : 'off';
+        $consent_cookie = isset($settings['consent_cookie']) ? trim(sanitize_text_field($settings['consent_cookie'])) : '';
+        $ip_mode = isset($settings['ip_mode']) ? sanitize_key($settings['ip_mode']) : 'raw';
+        
+        if (!isset($this->get_consent_modes()[$consent_mode]) || !isset($this->get_ip_modes()[$ip_mode])) {
+            return new WP_Error('invalid_privacy_settings', __('Invalid privacy settings', 'wc-realtime-analytics'));
+        }
+        
+        // Cookie names cannot contain separators or whitespace
+        if ($consent_mode === 'cookie' && !preg_match('/^[A-Za-z0-9_\-\.]{1,100}$/', $consent_cookie)) {
+            return new WP_Error('invalid_privacy_settings', __('Please enter the name of the consent cookie', 'wc-realtime-analytics'));
+        }
+        
+        update_option('wc_realtime_consent_mode', $consent_mode);
+        update_option('wc_realtime_consent_cookie', $consent_cookie);
+        update_option('wc_realtime_respect_dnt', !empty($settings['respect_dnt']) ? 'yes' : 'no');
+        update_option('wc_realtime_ip_mode', $ip_mode);
+        
+        return true;
+    }
+    
+    /**
+     * Get the settings the storefront tracker needs
+     *
+     * @return array Consent mode, consent cookie name, the cookie set by WCRealtime.consent() and whether DNT and GPC are honoured
+     */
+    public function get_client_settings() {
+        $settings = $this->get_settings();
+        
+        return array(
+            'consent_mode' => $settings['consent_mode'],
+            'consent_cookie' => $settings['consent_mode'] === 'js' ? self::CONSENT_COOKIE : $settings['consent_cookie'],
+            'respect_dnt' => $settings['respect_dnt']
+        );
+    }
+    
+    /**
+     * Check whether the current request may be tracked
+     *
+     * The storefront waits for consent before sending events, this check
+     * covers events tracked on the server and requests that skip the script.
+     *
+     * @return bool
+     */
+    public function has_consent() {
+        $settings = $this->get_settings();
+        
+        if ($settings['respect_dnt'] && $this->is_opted_out()) {
+            return false;
+        }
+        
+        switch ($settings['consent_mode']) {
+            case 'js':
+                $allowed = $this->is_cookie_granted(self::CONSENT_COOKIE);
+                break;
+            
+            case 'wp_consent_api':
+                $allowed = function_exists('wp_has_consent') && wp_has_consent('statistics');
+                break;
+            
+            case 'cookie':
+                $allowed = $this->is_cookie_granted($settings['consent_cookie']);
+                break;
+            
+            default:
+                $allowed = true;
+        }
+        
+        /**
+         * Filter whether the current request may be tracked
+         *
+         * @param bool $allowed Whether tracking is allowed
+         * @param array $settings Privacy settings
+         */
+        return (bool) apply_filters('wc_realtime_has_consent', $allowed, $settings);
+    }
+    
+    /**
+     * Check for a Do Not Track or Global Privacy Control header
+     *
+     * @return bool
+     */
+    private function is_opted_out() {
+        return (isset($_SERVER['HTTP_DNT']) && $_SERVER['HTTP_DNT'] === '1')
+            || (isset($_SERVER['HTTP_SEC_GPC']) && $_SERVER['HTTP_SEC_GPC'] === '1');
+    }
+    
+    /**
+     * Check whether a consent cookie is set to a value that grants consent
+     *
+     * @param string $name Cookie name
+     * @return bool
+     */
+    private function is_cookie_granted($name) {
+        if ($name === '' || !isset($_COOKIE[$name])) {
+            return false;
+        }
+        
+        $value = strtolower(trim(sanitize_text_field(wp_unslash($_COOKIE[$name]))));
+        
+        return !in_array($value, array('', '0', 'false', 'no', 'deny', 'denied'), true);
+    }
+    
+    /**
+     * Convert an IP address to the form it is stored in
+     *
+     * @param string $ip_address IP address
+     * @return string Full, truncated or hashed IP address
+     */
+    public function anonymize_ip($ip_address) {
+        switch ($this->get_settings()['ip_mode']) {
+            case 'truncated':
+                return $this->truncate_ip($ip_address);
+            
+            case 'hashed':
+                // Prefixed so hashes are never mistaken for addresses
+                return 'h:' . substr(hash_hmac('sha256', $ip_address, $this->get_daily_salt()), 0, 40);
+            
+            default:
+                return $ip_address;
+        }
+    }
+    
+    /**
+     * Remove the host part of an IP address
+     *
+     * @param string $ip_address IP address
+     * @return string IPv4 address in a /24 or IPv6 address in a /48 network
+     */
+    private function truncate_ip($ip_address) {
+        if (!filter_var($ip_address, FILTER_VALIDATE_IP)) {
+            return '';
+        }
+        
+        $packed = inet_pton($ip_address);
+        
+        $keep = strlen($packed) === 4 ? 3 : 6;
+        
+        return inet_ntop(substr($packed, 0, $keep) . str_repeat("\0", strlen($packed) - $keep));
+    }
+    
+    /**
+     * Get the salt of today's IP address hashes
+     *
+     * A new salt is made every day and the old one is dropped, so stored
+     * hashes cannot be matched with an IP address once the day is over.
+     *
+     * @return string Salt
+     */
+    private function get_daily_salt() {
+        $today = current_time('Y-m-d');
+        $salt = get_option(self::SALT_OPTION);
+        
+        if (!is_array($salt) || !isset($salt['date'], $salt['salt']) || $salt['date'] !== $today) {
+            $salt = array(
+                'date' => $today,
+                'salt' => wp_generate_password(64, true, true)
+            );
+            
+            update_option(self::SALT_OPTION, $salt, false);
+        }
+        
+        return $salt['salt'];
+    }
+    
+    /**
+     * Get the ways a data subject can be looked up
+     *
+     * @return array Labels by lookup type
+     */
+    public function get_subject_types() {
+        return array(
+            'email' => __('Email address', 'wc-realtime-analytics'),
+            'user' => __('User ID', 'wc-realtime-analytics'),
+            'order' => __('Order ID', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Find the users, orders and sessions of a data subject
+     *
+     * An email address matches the account with that address and the orders
+     * billed to it or placed by that account. Events of the same sessions are
+     * included, such as the page views before a guest checkout.
+     *
+     * @param string $type Lookup type, see get_subject_types()
+     * @param string $value Email address, user ID or order ID
+     * @return array|WP_Error Subject with user_ids, order_ids and session_ids, or error
+     */
+    public function find_subject($type, $value) {
+        $user_ids = array();
+        $order_ids = array();
+        $value = trim((string) $value);
+        
+        switch ($type) {
+            case 'email':
+                $email = sanitize_email($value);
+                
+                if (!is_email($email)) {
+                    return new WP_Error('invalid_subject', __('Please enter a valid email address', 'wc-realtime-analytics'));
+                }
+                
+                $user = get_user_by('email', $email);
+                
+                if ($user) {
+                    $user_ids[] = $user->ID;
+                }
+                
+                $order_ids = $this->get_order_ids(array('billing_email' => $email));
+                break;
+            
+            case 'user':
+                $user = get_user_by('id', absint($value));
+                
+                if (!$user) {
+                    return new WP_Error('invalid_subject', __('User not found', 'wc-realtime-analytics'));
+                }
+                
+                $user_ids[] = $user->ID;
+                break;
+            
+            case 'order':
+                $order = wc_get_order(absint(ltrim($value, '#')));
+                
+                if (!$order) {
+                    return new WP_Error('invalid_subject', __('Order not found', 'wc-realtime-analytics'));
+                }
+                
+                $order_ids[] = $order->get_id();
+                break;
+            
+            default:
+                return new WP_Error('invalid_subject', __('Invalid lookup type', 'wc-realtime-analytics'));
+        }
+        
+        if (!empty($user_ids)) {
+            $order_ids = array_merge($order_ids, $this->get_order_ids(array('customer_id' => $user_ids[0])));
+        }
+        
+        $order_ids = array_values(array_unique(array_map('absint', $order_ids)));
+        
+        return array(
+            'user_ids' => $user_ids,
+            'order_ids' => $order_ids,
+            'session_ids' => $this->db->get_subject_session_ids($user_ids, $order_ids)
+        );
+    }
+    
+    /**
+     * Get the IDs of the orders matching a query
+     *
+     * @param array $query wc_get_orders() arguments
+     * @return array Order IDs
+     */
+    private function get_order_ids($query) {
+        if (!function_exists('wc_get_orders')) {
+            return array();
+        }
+        
+        return wc_get_orders(array_merge($query, array(
+            'limit' => -1,
+            'return' => 'ids',
+            'status' => array_keys(wc_get_order_statuses())
+        )));
+    }
+    
+    /**
+     * Count the events of a data subject
+     *
+     * @param array $subject Subject from find_subject()
+     * @return int Number of events
+     */
+    public function count_events($subject) {
+        return $this->db->count_subject_events($subject);
+    }
+    
+    /**
+     * Erase all events of a data subject
+     *
+     * @param array $subject Subject from find_subject()
+     * @return int Number of events erased
+     */
+    public function erase_events($subject) {
+        $erased = 0;
+        
+        do {
+            $batch = $this->db->erase_subject_events($subject, self::BATCH_SIZE);
+            $erased += $batch;
+        } while ($batch >= self::BATCH_SIZE);
+        
+        return $erased;
+    }
+    
+    /**
+     * Send the events of a data subject as a JSON download
+     */
+    public function handle_export() {
+        if (!isset($_POST['_wpnonce']) || !wp_verify_nonce(sanitize_text_field($_POST['_wpnonce']), 'wc_realtime_privacy_nonce')) {
+            wp_die(esc_html__('Security check failed', 'wc-realtime-analytics'), '', array('response' => 403));
+        }
+        
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(esc_html__('Permission denied', 'wc-realtime-analytics'), '', array('response' => 403));
+        }
+        
+        $type = isset($_POST['subject_type']) ? sanitize_key($_POST['subject_type']) : '';
+        $subject = $this->find_subject($type, isset($_POST['subject_value']) ? sanitize_text_field(wp_unslash($_POST['subject_value'])) : '');
+        
+        if (is_wp_error($subject)) {
+            wp_die(esc_html($subject->get_error_message()), '', array('response' => 400));
+        }
+        
+        $events = array();
+        $offset = 0;
+        
+        do {
+            $rows = $this->db->get_subject_events($subject, self::BATCH_SIZE, $offset);
+            $events = array_merge($events, $rows);
+            $offset += self::BATCH_SIZE;
+        } while (count($rows) === self::BATCH_SIZE);
+        
+        nocache_headers();
+        header('Content-Type: application/json; charset=utf-8');
+        header('Content-Disposition: attachment; filename="wc-realtime-personal-data-' . $type . '-' . current_time('Y-m-d') . '.json"');
+        
+        echo wp_json_encode(array(
+            'user_ids' => $subject['user_ids'],
+            'order_ids' => $subject['order_ids'],
+            'session_ids' => $subject['session_ids'],
+            'events' => $events
+        ));
+        exit;
+    }
+    
+    /**
+     * Add the analytics events to the WordPress personal data export
+     *
+     * @param array $exporters Personal data exporters
+     * @return array Exporters
+     */
+    public function register_exporter($exporters) {
+        $exporters['wc-realtime-analytics'] = array(
+            'exporter_friendly_name' => __('Real-time Analytics events', 'wc-realtime-analytics'),
+            'callback' => array($this, 'export_personal_data')
+        );
+        
+        return $exporters;
+    }
+    
+    /**
+     * Export a page of the events of an email address
+     *
+     * @param string $email_address Email address of the data subject
+     * @param int $page Page number, starting at 1
+     * @return array Export data and whether the export is done
+     */
+    public function export_personal_data($email_address, $page = 1) {
+        $subject = $this->find_subject('email', $email_address);
+        
+        if (is_wp_error($subject)) {
+            return array('data' => array(), 'done' => true);
+        }
+        
+        $rows = $this->db->get_subject_events($subject, self::BATCH_SIZE, (max(1, (int) $page) - 1) * self::BATCH_SIZE);
+        $fields = array(
+            'created_at' => __('Time', 'wc-realtime-analytics'),
+            'event_type' => __('Event type', 'wc-realtime-analytics'),
+            'event_name' => __('Custom event', 'wc-realtime-analytics'),
+            'session_id' => __('Session', 'wc-realtime-analytics'),
+            'visitor_id' => __('Visitor', 'wc-realtime-analytics'),
+            'order_id' => __('Order ID', 'wc-realtime-analytics'),
+            'product_id' => __('Product ID', 'wc-realtime-analytics'),
+            'page_url' => __('Page', 'wc-realtime-analytics'),
+            'ip_address' => __('IP address', 'wc-realtime-analytics'),
+            'country_name' => __('Country', 'wc-realtime-analytics'),
+            'region' => __('Region', 'wc-realtime-analytics'),
+            'source' => __('Source', 'wc-realtime-analytics'),
+            'campaign' => __('Campaign', 'wc-realtime-analytics')
+        );
+        $data = array();
+        
+        foreach ($rows as $row) {
+            $item = array();
+            
+            foreach ($fields as $field => $label) {
+                if ($row[$field] !== '' && $row[$field] !== null && $row[$field] !== '0') {
+                    $item[] = array('name' => $label, 'value' => $row[$field]);
+                }
+            }
+            
+            $data[] = array(
+                'group_id' => 'wc-realtime-analytics',
+                'group_label' => __('Store Analytics Events', 'wc-realtime-analytics'),
+                'item_id' => 'wc-realtime-event-' . $row['id'],
+                'data' => $item
+            );
+        }
+        
+        return array(
+            'data' => $data,
+            'done' => count($rows) < self::BATCH_SIZE
+        );
+    }
+    
+    /**
+     * Add the analytics events to the WordPress personal data erasure
+     *
+     * @param array $erasers Personal data erasers
+     * @return array Erasers
+     */
+    public function register_eraser($erasers) {
+        $erasers['wc-realtime-analytics'] = array(
+            'eraser_friendly_name' => __('Real-time Analytics events', 'wc-realtime-analytics'),
+            'callback' => array($this, 'erase_personal_data')
+        );
+        
+        return $erasers;
+    }
+    
+    /**
+     * Erase the events of an email address
+     *
+     * All events are erased in one go, the sessions of the data subject are
+     * found through events that are erased with them.
+     *
+     * @param string $email_address Email address of the data subject
+     * @param int $page Page number, unused
+     * @return array Erasure result
+     */
+    public function erase_personal_data($email_address, $page = 1) {
+        $subject = $this->find_subject('email', $email_address);
+        $erased = is_wp_error($subject) ? 0 : $this->erase_events($subject);
+        
+        return array(
+            'items_removed' => $erased > 0,
+            'items_retained' => false,
+            'messages' => array(),
+            'done' => true
+        );
+    }
+}
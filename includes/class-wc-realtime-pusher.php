@@ -28,7 +28,9 @@ class WC_Realtime_Pusher {
         'key' => '',
         'secret' => '',
         'cluster' => 'mt1',
-        'encrypted' => true
+        'encrypted' => true,
+        'host' => '',
+        'port' => 0
     );
     
     /**
@@ -67,6 +69,11 @@ class WC_Realtime_Pusher {
         $this->config['key'] = get_option('wc_realtime_pusher_key', '');
         $this->config['secret'] = get_option('wc_realtime_pusher_secret', '');
         $this->config['cluster'] = get_option('wc_realtime_pusher_cluster', 'mt1');
+        
+        // Pusher-protocol-compatible servers such as Soketi
+        $this->config['host'] = get_option('wc_realtime_pusher_host', '');
+        $this->config['port'] = absint(get_option('wc_realtime_pusher_port', 0));
+        $this->config['encrypted'] = get_option('wc_realtime_pusher_use_tls', 'yes') !== 'no';
     }
     
     /**
@@ -123,6 +130,16 @@ class WC_Realtime_Pusher {
             'debug' => defined('WP_DEBUG') && WP_DEBUG
         );
         
+        // Self-hosted servers replace the Pusher cloud host of the cluster
+        if ($this->is_self_hosted()) {
+            $options['host'] = $this->config['host'];
+            $options['scheme'] = $this->config['encrypted'] ? 'https' : 'http';
+            
+            if ($this->config['port']) {
+                $options['port'] = $this->config['port'];
+            }
+        }
+        
         // Try namespaced Pusher class first
         if (class_exists('Pusher\\Pusher')) {
             $this->pusher = new Pusher\Pusher(
@@ -156,6 +173,15 @@ class WC_Realtime_Pusher {
                !empty($this->config['secret']);
     }
     
+    /**
+     * Check if a self-hosted Pusher-protocol-compatible server is used
+     *
+     * @return bool
+     */
+    public function is_self_hosted() {
+        return !empty($this->config['host']);
+    }
+    
     /**
      * Trigger a Pusher event with advanced error handling
      *
@@ -376,6 +402,30 @@ class WC_Realtime_Pusher {
         return $this->config['cluster'];
     }
     
+    /**
+     * Get pusher-js connection options for client-side use
+     *
+     * @return array Options for new Pusher(key, options)
+     */
+    public function get_client_options() {
+        $options = array(
+            'cluster' => $this->config['cluster'],
+            'forceTLS' => $this->config['encrypted']
+        );
+        
+        if ($this->is_self_hosted()) {
+            $port = $this->config['port'] ? $this->config['port'] : ($this->config['encrypted'] ? 443 : 80);
+            
+            $options['wsHost'] = $this->config['host'];
+            $options['wsPort'] = $port;
+            $options['wssPort'] = $port;
+            $options['enabledTransports'] = array('ws', 'wss');
+            $options['disableStats'] = true;
+        }
+        
+        return $options;
+    }
+    
     /**
      * Test Pusher connection
      *
@@ -409,20 +459,28 @@ class WC_Realtime_Pusher {
      * @param string $key Pusher key
      * @param string $secret Pusher secret
      * @param string $cluster Pusher cluster
+     * @param string $host Host of a self-hosted server, empty for Pusher
+     * @param int $port Port of a self-hosted server, 0 for the default
+     * @param bool $use_tls Whether to connect over TLS
      * @return bool Success status
      */
-    public function save_settings($app_id, $key, $secret, $cluster) {
+    public function save_settings($app_id, $key, $secret, $cluster, $host = '', $port = 0, $use_tls = true) {
         // Sanitize inputs
         $app_id = sanitize_text_field($app_id);
         $key = sanitize_text_field($key);
         $secret = sanitize_text_field($secret);
         $cluster = sanitize_text_field($cluster);
+        $host = self::sanitize_host($host);
+        $port = min(65535, absint($port));
         
         // Update options
         update_option('wc_realtime_pusher_app_id', $app_id);
         update_option('wc_realtime_pusher_key', $key);
         update_option('wc_realtime_pusher_secret', $secret);
         update_option('wc_realtime_pusher_cluster', $cluster);
+        update_option('wc_realtime_pusher_host', $host);
+        update_option('wc_realtime_pusher_port', $port);
+        update_option('wc_realtime_pusher_use_tls', $use_tls ? 'yes' : 'no');
         
         // Reload configuration
         $this->load_configuration();
@@ -433,4 +491,28 @@ class WC_Realtime_Pusher {
         // Test connection
         return $this->test_connection();
     }
-}
\ No newline at end of file
+    
+    /**
+     * Sanitize the host of a self-hosted server
+     *
+     * Accepts a bare host name or a URL and keeps only the host.
+     *
+     * @param string $host Host or URL
+     * @return string Host name, empty if invalid
+     */
+    public static function sanitize_host($host) {
+        $host = trim(sanitize_text_field($host));
+        
+        if ($host === '') {
+            return '';
+        }
+        
+        if (strpos($host, '://') === false) {
+            $host = 'http://' . $host;
+        }
+        
+        $parsed = wp_parse_url($host, PHP_URL_HOST);
+        
+        return $parsed ? strtolower($parsed) : '';
+    }
+}
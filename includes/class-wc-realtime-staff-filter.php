@@ -0,0 +1,111 @@
+<?php
+/**
+ * Class WC_Realtime_Staff_Filter
+ *
+ * Keeps the store's own staff out of the analytics, or tags their events as test traffic
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Staff_Filter {
+    /**
+     * What happens to staff traffic in this request, worked out once
+     *
+     * @var string|null
+     */
+    private $mode = null;
+    
+    /**
+     * Get the staff filter settings
+     *
+     * @return array Excluded roles, office IP addresses (one per line) and whether staff traffic is tagged as test traffic
+     */
+    public function get_settings() {
+        $roles = get_option('wc_realtime_excluded_roles', array());
+        
+        return array(
+            'excluded_roles' => is_array($roles) ? $roles : array(),
+            'office_ips' => (string) get_option('wc_realtime_office_ips', ''),
+            'test_mode' => get_option('wc_realtime_staff_test_mode', 'no') === 'yes'
+        );
+    }
+    
+    /**
+     * Save the staff filter settings
+     *
+     * @param array $settings Excluded roles, office IP addresses and test mode flag
+     * @return true|WP_Error
+     */
+    public function save_settings($settings) {
+        $roles = isset($settings['excluded_roles']) ? array_map('sanitize_key', (array) $settings['excluded_roles']) : array();
+        $office_ips = array_values(array_unique(array_filter(array_map('trim', preg_split(
+            '/[\r\n]+/',
+            isset($settings['office_ips']) ? (string) $settings['office_ips'] : ''
+        )))));
+        
+        foreach ($office_ips as $rule) {
+            if (!WC_Realtime_Bot_Filter::is_valid_ip_rule($rule)) {
+                return new WP_Error('invalid_ip', sprintf(
+                    /* translators: %s: office IP address */
+                    __('"%s" is not an IP address or range.', 'wc-realtime-analytics'),
+                    $rule
+                ));
+            }
+        }
+        
+        update_option('wc_realtime_excluded_roles', array_values(array_intersect($roles, array_keys($this->get_roles()))));
+        update_option('wc_realtime_office_ips', implode("\n", $office_ips));
+        update_option('wc_realtime_staff_test_mode', !empty($settings['test_mode']) ? 'yes' : 'no');
+        
+        $this->mode = null;
+        
+        return true;
+    }
+    
+    /**
+     * Get the roles that can be excluded
+     *
+     * @return array Role names by role
+     */
+    public function get_roles() {
+        return function_exists('wp_roles') ? wp_roles()->get_names() : array();
+    }
+    
+    /**
+     * Work out what happens to the traffic of the current request
+     *
+     * @param string $ip_address Full IP address of the visitor
+     * @return string "exclude" to drop it, "test" to tag it as test traffic, empty for customers
+     */
+    public function get_mode($ip_address) {
+        if ($this->mode !== null) {
+            return $this->mode;
+        }
+        
+        $settings = $this->get_settings();
+        $is_staff = false;
+        
+        if (!empty($settings['excluded_roles']) && is_user_logged_in()) {
+            $is_staff = (bool) array_intersect((array) wp_get_current_user()->roles, $settings['excluded_roles']);
+        }
+        
+        if (!$is_staff && $settings['office_ips'] !== '') {
+            $is_staff = WC_Realtime_Bot_Filter::ip_matches($ip_address, preg_split('/[\r\n]+/', $settings['office_ips']));
+        }
+        
+        /**
+         * Filter whether the current request is staff traffic
+         *
+         * @param bool $is_staff Whether the visitor is staff
+         * @param string $ip_address Full IP address of the visitor
+         */
+        $is_staff = (bool) apply_filters('wc_realtime_is_staff_traffic', $is_staff, $ip_address);
+        
+        $this->mode = $is_staff ? ($settings['test_mode'] ? 'test' : 'exclude') : '';
+        
+        return $this->mode;
+    }
+}
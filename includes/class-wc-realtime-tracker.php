@@ -12,6 +12,38 @@ if (!defined('ABSPATH')) {
 }
 
 class WC_Realtime_Tracker {
+    /**
+     * Maximum number of events accepted in one batched tracking request
+     */
+    const MAX_BATCH_SIZE = 20;
+    
+    /**
+     * Largest JSON encoded batch accepted, in bytes
+     */
+    const MAX_BATCH_BYTES = 65536;
+    
+    /**
+     * Most events and heartbeats one IP address may send through the REST API
+     * without a nonce in REST_RATE_WINDOW seconds
+     */
+    const REST_RATE_WINDOW = 60;
+    const REST_RATE_LIMIT = 120;
+    
+    /**
+     * Most active time accepted for one page view, in seconds
+     */
+    const MAX_ACTIVE_SECONDS = 14400;
+    
+    /**
+     * Namespace of the REST API routes, for storefronts not rendered by WordPress
+     */
+    const REST_NAMESPACE = 'wc-realtime/v1';
+    
+    /**
+     * Cookie holding the long-lived visitor ID set by tracking.js
+     */
+    const VISITOR_COOKIE = 'wc_realtime_visitor';
+    
     /**
      * Database handler
      *
@@ -33,6 +65,41 @@ class WC_Realtime_Tracker {
      */
     private $geo;
     
+    /**
+     * Custom events registry
+     *
+     * @var WC_Realtime_Custom_Events
+     */
+    private $custom_events;
+    
+    /**
+     * Session attribution handler
+     *
+     * @var WC_Realtime_Attribution
+     */
+    private $attribution;
+    
+    /**
+     * Consent and IP address handler
+     *
+     * @var WC_Realtime_Privacy
+     */
+    private $privacy;
+    
+    /**
+     * Bot traffic filter
+     *
+     * @var WC_Realtime_Bot_Filter
+     */
+    private $bot_filter;
+    
+    /**
+     * Staff traffic filter
+     *
+     * @var WC_Realtime_Staff_Filter
+     */
+    private $staff_filter;
+    
     /**
      * Flag to ensure checkout is only tracked once per page load
      * 
@@ -46,11 +113,21 @@ class WC_Realtime_Tracker {
      * @param WC_Realtime_DB $db Database handler
      * @param WC_Realtime_Pusher $pusher Pusher handler
      * @param WC_Realtime_Geo $geo Geolocation handler
+     * @param WC_Realtime_Custom_Events $custom_events Custom events registry (optional)
+     * @param WC_Realtime_Attribution $attribution Session attribution handler (optional)
+     * @param WC_Realtime_Privacy $privacy Consent and IP address handler (optional)
+     * @param WC_Realtime_Bot_Filter $bot_filter Bot traffic filter (optional)
+     * @param WC_Realtime_Staff_Filter $staff_filter Staff traffic filter (optional)
      */
-    public function __construct($db, $pusher, $geo) {
+    public function __construct($db, $pusher, $geo, $custom_events = null, $attribution = null, $privacy = null, $bot_filter = null, $staff_filter = null) {
         $this->db = $db;
         $this->pusher = $pusher;
         $this->geo = $geo;
+        $this->custom_events = $custom_events;
+        $this->attribution = $attribution;
+        $this->privacy = $privacy;
+        $this->bot_filter = $bot_filter;
+        $this->staff_filter = $staff_filter;
         
         // Initialize tracking methods
         $this->init();
@@ -67,6 +144,16 @@ class WC_Realtime_Tracker {
         add_action('wp_ajax_wc_realtime_track', array($this, 'ajax_track_event'));
         add_action('wp_ajax_nopriv_wc_realtime_track', array($this, 'ajax_track_event'));
         
+        // Engagement heartbeats of open pages
+        add_action('wp_ajax_wc_realtime_heartbeat', array($this, 'ajax_heartbeat'));
+        add_action('wp_ajax_nopriv_wc_realtime_heartbeat', array($this, 'ajax_heartbeat'));
+        
+        // The same endpoints in the REST API, for headless frontends
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+        
+        // Link the visitor ID of the browser to the customer
+        add_action('wp_login', array($this, 'link_visitor_on_login'), 10, 2);
+        
         // DISABLE server-side tracking for add_to_cart as it's handled by client-side
         // add_action('woocommerce_add_to_cart', array($this, 'track_add_to_cart'), 10, 6);
         
@@ -77,6 +164,14 @@ class WC_Realtime_Tracker {
         // Purchase tracking should stay server-side
         add_action('woocommerce_thankyou', array($this, 'track_purchase'));
         
+        // Cart changes made with the cart form when JavaScript is not available,
+        // AJAX carts are tracked client-side
+        add_action('woocommerce_cart_item_removed', array($this, 'track_cart_item_removed'), 10, 2);
+        add_action('woocommerce_cart_item_restored', array($this, 'track_cart_item_restored'), 10, 2);
+        add_action('woocommerce_after_cart_item_quantity_update', array($this, 'track_cart_item_quantity_update'), 10, 4);
+        add_action('woocommerce_applied_coupon', array($this, 'track_coupon_applied'));
+        add_action('woocommerce_removed_coupon', array($this, 'track_coupon_removed'));
+        
         // Make sure our tracking endpoint doesn't get cached
         add_action('litespeed_cache_api_purge', array($this, 'exclude_from_litespeed_cache'));
         add_filter('litespeed_cache_optimize_js_excludes', array($this, 'exclude_tracking_js_from_optimization'));
@@ -86,6 +181,11 @@ class WC_Realtime_Tracker {
      * Enqueue tracking scripts
      */
     public function enqueue_tracking_scripts() {
+        // Excluded staff is not tracked at all, cached pages are caught by the tracking endpoint
+        if ($this->get_staff_mode() === 'exclude') {
+            return;
+        }
+        
         // Register Pusher script
         wp_register_script(
             'pusher-js',
@@ -95,18 +195,29 @@ class WC_Realtime_Tracker {
             true
         );
         
+        // jQuery is only needed for the cart events of classic themes, block themes use the cart store
+        $dependencies = array('pusher-js');
+        
+        if (!function_exists('wp_is_block_theme') || !wp_is_block_theme()) {
+            $dependencies[] = 'jquery';
+        }
+        
+        /**
+         * Filter the scripts loaded before the tracking script
+         *
+         * @param array $dependencies Script handles, tracking.js works without jQuery
+         */
+        $dependencies = apply_filters('wc_realtime_tracking_dependencies', $dependencies);
+        
         // Register and enqueue tracking script
         wp_enqueue_script(
             'wc-realtime-tracking',
             plugin_dir_url(dirname(__FILE__)) . 'assets/js/tracking.js',
-            array('jquery', 'pusher-js'),
+            $dependencies,
             WCRA_VERSION,
             true
         );
         
-        // Generate a nonce specifically for tracking
-        $tracking_nonce = wp_create_nonce('wc_realtime_tracking_nonce');
-        
         // Get current product information if on a product page
         $product_id = 0;
         $product_name = '';
@@ -123,20 +234,142 @@ class WC_Realtime_Tracker {
         wp_localize_script(
             'wc-realtime-tracking',
             'wcRealtimeConfig',
-            array(
-                'ajax_url' => admin_url('admin-ajax.php'),
-                'nonce' => $tracking_nonce,
-                'pusher_key' => $this->pusher->get_key(),
-                'pusher_cluster' => $this->pusher->get_cluster(),
+            array_merge($this->get_client_config(), array(
                 'is_product' => is_product(),
                 'product_id' => $product_id,
                 'product_name' => $product_name,
-                'session_id' => $this->get_or_create_session_id(),
-                'is_checkout' => is_checkout()
-            )
+                'is_checkout' => is_checkout(),
+                'page_type' => $this->get_page_type(),
+                'term_id' => $this->get_current_term_id()
+            ))
+        );
+    }
+    
+    /**
+     * Get the configuration of tracking.js that does not depend on the page
+     *
+     * @return array Endpoints, nonces, Pusher settings, session, custom events and consent settings
+     */
+    private function get_client_config() {
+        /**
+         * Filter how tracking.js sends its requests
+         *
+         * @param string $transport "ajax" for admin-ajax.php or "rest" for the REST API
+         */
+        $transport = apply_filters('wc_realtime_tracking_transport', 'ajax');
+        
+        return array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('wc_realtime_tracking_nonce'),
+            'rest_url' => esc_url_raw(rest_url(self::REST_NAMESPACE . '/')),
+            'rest_nonce' => wp_create_nonce('wp_rest'),
+            'transport' => $transport === 'rest' ? 'rest' : 'ajax',
+            'pusher_key' => $this->pusher->get_key(),
+            'pusher_cluster' => $this->pusher->get_cluster(),
+            'pusher_options' => $this->pusher->get_client_options(),
+            // The session cookie is set once the visitor consents, by the first tracked event
+            'session_id' => $this->is_tracking_allowed() ? $this->get_or_create_session_id() : '',
+            // Customers keep the visitor ID of their first device on every device they log in on
+            'visitor_id' => $this->is_tracking_allowed() && is_user_logged_in() ? $this->db->get_user_visitor_id(get_current_user_id()) : '',
+            'visitor_cookie' => self::VISITOR_COOKIE,
+            'custom_events' => $this->custom_events ? $this->custom_events->get_definitions() : array(),
+            'privacy' => $this->privacy ? $this->privacy->get_client_settings() : array('consent_mode' => 'off')
         );
     }
     
+    /**
+     * Register the REST API routes
+     *
+     * Headless frontends cannot read the tracking nonce of a rendered page, the
+     * routes are public like admin-ajax.php for visitors and rely on the same
+     * consent, staff and bot checks. The nonce is optional: /config hands one
+     * to anyone, so requiring it would not keep anyone out. A nonce that is sent
+     * is still checked, and requests without one are throttled by IP address.
+     */
+    public function register_rest_routes() {
+        register_rest_route(self::REST_NAMESPACE, '/events', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_track_event'),
+            'permission_callback' => array($this, 'check_rest_nonce')
+        ));
+        
+        register_rest_route(self::REST_NAMESPACE, '/heartbeat', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_heartbeat'),
+            'permission_callback' => array($this, 'check_rest_nonce')
+        ));
+        
+        register_rest_route(self::REST_NAMESPACE, '/config', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_config'),
+            'permission_callback' => '__return_true'
+        ));
+    }
+    
+    /**
+     * Check the nonce of a REST request that sends one
+     *
+     * WordPress only checks X-WP-Nonce for logged-in users, pages rendered by
+     * WordPress send one for visitors too.
+     *
+     * @param WP_REST_Request $request Request
+     * @return true|WP_Error
+     */
+    public function check_rest_nonce($request) {
+        $nonce = $request->get_header('X-WP-Nonce');
+        
+        if ($nonce !== null && !wp_verify_nonce($nonce, 'wp_rest')) {
+            return new WP_Error('rest_invalid_nonce', 'Security check failed', array('status' => 403));
+        }
+        
+        return true;
+    }
+    
+    /**
+     * REST handler for tracking events, takes the same fields as ajax_track_event()
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function rest_track_event($request) {
+        $result = $this->handle_track_request($request->get_params(), $request->get_header('X-WP-Nonce') !== null);
+        
+        return is_wp_error($result) ? $result : rest_ensure_response($result);
+    }
+    
+    /**
+     * REST handler for engagement heartbeats, takes the same fields as ajax_heartbeat()
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function rest_heartbeat($request) {
+        if ($request->get_header('X-WP-Nonce') === null && $this->is_rest_throttled(1)) {
+            return new WP_Error('rate_limited', 'Too many requests', array('status' => 429));
+        }
+        
+        $result = $this->handle_heartbeat_request($request->get_params());
+        
+        return is_wp_error($result) ? $result : rest_ensure_response($result);
+    }
+    
+    /**
+     * REST handler for the tracking.js configuration of headless frontends
+     *
+     * @return WP_REST_Response
+     */
+    public function rest_get_config() {
+        $config = $this->get_client_config();
+        
+        // Headless frontends are not served by WordPress, only the REST API reaches the site
+        $config['transport'] = 'rest';
+        
+        $response = rest_ensure_response($config);
+        $response->header('Cache-Control', 'no-store');
+        
+        return $response;
+    }
+    
     /**
      * Track checkout page visit
      * This directly tracks when a user lands on the checkout page
@@ -149,7 +382,7 @@ class WC_Realtime_Tracker {
         }
         
         // Only track on the checkout page
-        if (!is_checkout()) {
+        if (!is_checkout() || !$this->is_tracking_allowed()) {
             return;
         }
         
@@ -180,6 +413,10 @@ class WC_Realtime_Tracker {
         // Get IP address
         $ip_address = $this->get_client_ip();
         
+        if ($this->exclude_bot_traffic('checkout', $ip_address, $session_id, $this->get_current_path())) {
+            return;
+        }
+        
         // Check for duplicate event more stringently - look for checkout events from same session in last 10 minutes
         global $wpdb;
         $table_name = $wpdb->prefix . 'wc_realtime_events';
@@ -225,15 +462,23 @@ class WC_Realtime_Tracker {
         // Prepare event data
         $event_data = array(
             'session_id' => $session_id,
+            'visitor_id' => $this->get_visitor_id(),
             'user_id' => get_current_user_id(),
-            'ip_address' => $ip_address,
+            'ip_address' => $this->anonymize_ip($ip_address),
             'country_code' => isset($geo_data['country_code']) ? sanitize_text_field($geo_data['country_code']) : '',
             'country_name' => isset($geo_data['country_name']) ? sanitize_text_field($geo_data['country_name']) : '',
+            'region' => isset($geo_data['region']) ? sanitize_text_field($geo_data['region']) : '',
             'cart_total' => ($cart ? $cart->get_cart_contents_total() : 0),
             'items' => $items,
-            'items_count' => count($items)
+            'items_count' => count($items),
+            'page_type' => 'checkout',
+            'page_url' => $this->get_current_path(),
+            'is_test' => $this->get_staff_mode() === 'test'
         );
         
+        // Attribute the checkout to the campaign of the session
+        $event_data = array_merge($event_data, $this->db->get_event_attribution($session_id));
+        
         // First save general checkout event (without specific product)
         $event_id = $this->db->save_event('checkout', $event_data);
         
@@ -247,12 +492,15 @@ class WC_Realtime_Tracker {
         
         // Send event via Pusher
         if ($this->pusher->is_configured()) {
-            $this->pusher->trigger('wc-analytics', 'checkout', $event_data);
+            $this->pusher->trigger('wc-analytics', 'checkout', array_merge(array('id' => $event_id), $event_data));
         }
     }
     
     /**
      * AJAX handler for tracking events
+     * 
+     * Accepts either a single event in the request fields or a JSON encoded
+     * batch in the "events" field, as sent by the client-side event queue.
      */
     public function ajax_track_event() {
         // Verify nonce with specific action name
@@ -261,32 +509,276 @@ class WC_Realtime_Tracker {
             exit;
         }
         
+        $result = $this->handle_track_request(wp_unslash($_POST));
+        
+        if (is_wp_error($result)) {
+            $error_data = $result->get_error_data();
+            wp_send_json_error(
+                array('message' => $result->get_error_message()),
+                isset($error_data['status']) ? $error_data['status'] : 400
+            );
+            exit;
+        }
+        
+        wp_send_json_success($result);
+    }
+    
+    /**
+     * Track the events of an AJAX or REST request
+     *
+     * @param array $params Unslashed request fields, a single event or a JSON encoded batch in "events"
+     * @param bool $verified Whether the request carried a valid nonce, others are throttled
+     * @return array|WP_Error Tracking result, results of a batch or error with HTTP status in its data
+     */
+    private function handle_track_request($params, $verified = true) {
+        // Batches from the client-side queue are JSON encoded, JSON REST requests arrive decoded
+        if (isset($params['events']) && is_string($params['events'])) {
+            if (strlen($params['events']) > self::MAX_BATCH_BYTES) {
+                return new WP_Error('batch_too_large', 'Events payload too large', array('status' => 413));
+            }
+            
+            // A payload that does not decode is rejected as an empty batch
+            $events = json_decode($params['events'], true);
+            $params['events'] = is_array($events) ? $events : array();
+        }
+        
+        // Every event of a batch counts against the limit
+        if (!$verified) {
+            $cost = isset($params['events']) && is_array($params['events']) ? max(1, count($params['events'])) : 1;
+            
+            if ($this->is_rest_throttled($cost)) {
+                return new WP_Error('rate_limited', 'Too many requests', array('status' => 429));
+            }
+        }
+        
+        // Staff traffic is dropped unless it is tagged as test traffic
+        if ($this->get_staff_mode() === 'exclude') {
+            return array(
+                'event_id' => 0,
+                'status' => 'skipped',
+                'message' => 'Staff traffic excluded'
+            );
+        }
+        
+        // Events sent without consent are dropped, the storefront does not retry them
+        if (!$this->is_tracking_allowed()) {
+            return array(
+                'event_id' => 0,
+                'status' => 'skipped',
+                'message' => 'No tracking consent'
+            );
+        }
+        
+        // Batched events from the client-side queue
+        if (isset($params['events'])) {
+            return $this->track_event_batch($params['events']);
+        }
+        
+        return $this->process_tracking_event($params);
+    }
+    
+    /**
+     * AJAX handler for engagement heartbeats
+     * 
+     * tracking.js sends the active time and deepest scroll of the page view
+     * while the tab is visible and once more when the page is hidden or left.
+     * Heartbeats are not events, they only update the engagement of the page view.
+     */
+    public function ajax_heartbeat() {
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field($_POST['nonce']), 'wc_realtime_tracking_nonce')) {
+            wp_send_json_error(array('message' => 'Security check failed'), 403);
+            exit;
+        }
+        
+        $result = $this->handle_heartbeat_request(wp_unslash($_POST));
+        
+        if (is_wp_error($result)) {
+            $error_data = $result->get_error_data();
+            wp_send_json_error(
+                array('message' => $result->get_error_message()),
+                isset($error_data['status']) ? $error_data['status'] : 400
+            );
+            exit;
+        }
+        
+        wp_send_json_success($result);
+    }
+    
+    /**
+     * Save the engagement of an AJAX or REST heartbeat
+     *
+     * @param array $params Unslashed request fields (page_view_id, session_id, visitor_id, page_type, page_url, active_seconds and max_scroll)
+     * @return array|WP_Error Status or error with HTTP status in its data
+     */
+    private function handle_heartbeat_request($params) {
+        if (!$this->is_tracking_allowed()) {
+            return array('status' => 'skipped');
+        }
+        
+        $page_view_id = isset($params['page_view_id']) ? sanitize_key($params['page_view_id']) : '';
+        $session_id = !empty($params['session_id']) ? sanitize_text_field($params['session_id']) : $this->get_or_create_session_id();
+        
+        if ($page_view_id === '') {
+            return new WP_Error('missing_page_view', 'Missing page view', array('status' => 400));
+        }
+        
+        // Known bots never show up as active visitors, their heartbeats are not stored
+        if ($this->bot_filter && $this->get_staff_mode() !== 'test' && $this->bot_filter->get_list_reason($this->get_client_ip()) !== '') {
+            return array('status' => 'excluded');
+        }
+        
+        $page_type = isset($params['page_type']) ? sanitize_key($params['page_type']) : '';
+        $visitor_id = $this->get_visitor_id($params);
+        
+        $saved = $this->db->save_engagement(array(
+            'page_view_id' => $page_view_id,
+            'session_id' => $session_id,
+            'page_type' => $page_type,
+            'page_url' => isset($params['page_url']) ? $this->sanitize_page_path($params['page_url']) : '',
+            'active_seconds' => isset($params['active_seconds']) ? min(absint($params['active_seconds']), self::MAX_ACTIVE_SECONDS) : 0,
+            'max_scroll' => isset($params['max_scroll']) ? absint($params['max_scroll']) : 0,
+            'returning_visitor' => $visitor_id !== '' && $this->db->is_returning_visitor($visitor_id),
+            'is_test' => $this->get_staff_mode() === 'test'
+        ));
+        
+        if (!$saved) {
+            return new WP_Error('save_failed', 'Failed to save engagement', array('status' => 500));
+        }
+        
+        return array('status' => 'recorded');
+    }
+    
+    /**
+     * Track a batch of events and report the outcome of each one
+     *
+     * @param string|array $events JSON encoded events, or the decoded list from a JSON REST request
+     * @return array|WP_Error Results of the events or error with HTTP status in its data
+     */
+    private function track_event_batch($events) {
+        if (is_string($events)) {
+            $events = json_decode($events, true);
+        }
+        
+        if (!is_array($events) || empty($events)) {
+            return new WP_Error('invalid_events', 'Invalid events payload', array('status' => 400));
+        }
+        
+        if (count($events) > self::MAX_BATCH_SIZE) {
+            return new WP_Error('too_many_events', 'Too many events in batch', array('status' => 400));
+        }
+        
+        $results = array();
+        
+        foreach ($events as $event) {
+            if (!is_array($event)) {
+                $results[] = array(
+                    'event_id' => 0,
+                    'status' => 'rejected',
+                    'message' => 'Invalid event'
+                );
+                continue;
+            }
+            
+            $result = $this->process_tracking_event($event);
+            
+            // A rejected event must not fail the rest of the batch
+            if (is_wp_error($result)) {
+                $results[] = array(
+                    'event_id' => 0,
+                    'event_type' => isset($event['event_type']) ? sanitize_text_field($event['event_type']) : '',
+                    'status' => 'rejected',
+                    'message' => $result->get_error_message()
+                );
+                continue;
+            }
+            
+            $results[] = $result;
+        }
+        
+        return array('results' => $results);
+    }
+    
+    /**
+     * Validate, save and broadcast a single client-side event
+     *
+     * @param array $request Raw event fields (event_type, session_id, visitor_id, product_id, product_name, quantity, page_type, page_url,
+     *                       event_name and properties for custom events, and the attribution fields of
+     *                       WC_Realtime_Attribution for the first page view of a session)
+     * @return array|WP_Error Tracking result or error with HTTP status in its data
+     */
+    private function process_tracking_event($request) {
         // Get event type and sanitize
-        $event_type = isset($_POST['event_type']) ? sanitize_text_field($_POST['event_type']) : '';
+        $event_type = isset($request['event_type']) ? sanitize_text_field($request['event_type']) : '';
         
         // Check if event type is valid
-        $valid_event_types = array('visitor', 'add_to_cart', 'checkout', 'purchase');
+        $valid_event_types = array_merge(array('visitor', 'add_to_cart', 'checkout', 'purchase', 'custom'), $this->db->get_cart_event_types());
         if (!in_array($event_type, $valid_event_types, true)) {
-            wp_send_json_error(array('message' => 'Invalid event type'), 400);
-            exit;
+            return new WP_Error('invalid_event_type', 'Invalid event type', array('status' => 400));
+        }
+        
+        // Removals and quantity changes belong to a product
+        if (in_array($event_type, array('remove_from_cart', 'cart_update'), true) && empty($request['product_id'])) {
+            return new WP_Error('invalid_product', 'Missing product ID', array('status' => 400));
+        }
+        
+        // Coupon events are only accepted when the cart agrees with them
+        $coupon_code = '';
+        
+        if ($event_type === 'coupon_applied' || $event_type === 'coupon_removed') {
+            $coupon_code = isset($request['coupon_code']) ? wc_format_coupon_code(sanitize_text_field($request['coupon_code'])) : '';
+            
+            if ($coupon_code === '') {
+                return new WP_Error('invalid_coupon', 'Missing coupon code', array('status' => 400));
+            }
+            
+            if (function_exists('WC') && WC()->cart && WC()->cart->has_discount($coupon_code) !== ($event_type === 'coupon_applied')) {
+                return new WP_Error('invalid_coupon', 'Coupon does not match the cart', array('status' => 400));
+            }
+        }
+        
+        // Custom events must be registered, their properties must match the schema
+        $event_name = '';
+        $properties = array();
+        
+        if ($event_type === 'custom') {
+            if (!$this->custom_events) {
+                return new WP_Error('invalid_event_type', 'Invalid event type', array('status' => 400));
+            }
+            
+            $event_name = isset($request['event_name']) ? sanitize_key($request['event_name']) : '';
+            $properties = $this->custom_events->validate_event(
+                $event_name,
+                isset($request['properties']) ? $request['properties'] : array()
+            );
+            
+            if (is_wp_error($properties)) {
+                return $properties;
+            }
         }
         
         // Skip checkout events via AJAX as they're handled by page visit
         if ($event_type === 'checkout') {
-            wp_send_json_success(array(
+            return array(
                 'event_id' => 0,
                 'event_type' => $event_type,
                 'timestamp' => current_time('mysql'),
                 'status' => 'skipped', // Checkout tracked by page visit
-            ));
-            exit;
+            );
         }
         
         // Get product ID and validate
-        $product_id = isset($_POST['product_id']) ? absint($_POST['product_id']) : 0;
+        $product_id = isset($request['product_id']) ? absint($request['product_id']) : 0;
+        $variation_id = isset($request['variation_id']) ? absint($request['variation_id']) : 0;
+        
+        // Variations are stored with their parent, also when a theme sends the variation as the product
+        if ($product_id > 0 && !$variation_id && get_post_type($product_id) === 'product_variation') {
+            $variation_id = $product_id;
+            $product_id = wp_get_post_parent_id($variation_id);
+            $request['product_name'] = '';
+        }
         
         // Get product name if provided
-        $product_name = isset($_POST['product_name']) ? sanitize_text_field($_POST['product_name']) : '';
+        $product_name = isset($request['product_name']) ? sanitize_text_field($request['product_name']) : '';
         
         // Validate product ID if provided
         if ($product_id > 0 && !$product_name) {
@@ -294,78 +786,132 @@ class WC_Realtime_Tracker {
             if ($product) {
                 $product_name = html_entity_decode($product->get_name(), ENT_QUOTES, 'UTF-8');
             } else {
-                wp_send_json_error(array('message' => 'Invalid product ID'), 400);
-                exit;
+                return new WP_Error('invalid_product', 'Invalid product ID', array('status' => 400));
             }
         }
         
+        $variation = $this->get_variation_details(
+            $product_id,
+            $variation_id,
+            isset($request['variation']) && is_array($request['variation']) ? $request['variation'] : array()
+        );
+        
         // Get session ID
-        $session_id = isset($_POST['session_id']) ? sanitize_text_field($_POST['session_id']) : $this->get_or_create_session_id();
+        $session_id = !empty($request['session_id']) ? sanitize_text_field($request['session_id']) : $this->get_or_create_session_id();
         
         // Get IP address
         $ip_address = $this->get_client_ip();
         
-        // For visitor events, check if this IP has already been counted today
-        if ($event_type === 'visitor') {
-            // Check if visitor with this IP has been recorded today
-            if ($this->has_visitor_been_recorded($ip_address)) {
-                wp_send_json_success(array(
-                    'event_id' => 0,
-                    'event_type' => $event_type,
-                    'timestamp' => current_time('mysql'),
-                    'status' => 'skipped', // Visitor already recorded
-                ));
-                exit;
+        // Bots are stored apart from the events, the storefront does not retry them
+        $signals = isset($request['signals']) && is_array($request['signals']) ? $request['signals'] : array();
+        $page_url = isset($request['page_url']) ? $this->sanitize_page_path($request['page_url']) : '';
+        
+        if ($this->exclude_bot_traffic($event_type, $ip_address, $session_id, $page_url, $signals)) {
+            return array(
+                'event_id' => 0,
+                'event_type' => $event_type,
+                'timestamp' => current_time('mysql'),
+                'status' => 'excluded', // Bot traffic
+            );
+        }
+        
+        // The first page view of a session says where it came from, also
+        // when the visitor itself was already counted today
+        if ($event_type === 'visitor' && $this->attribution) {
+            $attribution = $this->attribution->from_request($request);
+            
+            if ($attribution) {
+                $this->db->save_session_attribution($session_id, $attribution);
             }
         }
         
-        // Check for any duplicate event in the last 30 seconds
-        if ($this->is_duplicate_event($event_type, $ip_address, $product_id)) {
-            wp_send_json_success(array(
+        // Every page view is recorded, the first one of an IP address today also counts a visitor
+        $new_visitor = $event_type === 'visitor' && !$this->has_visitor_been_recorded($this->anonymize_ip($ip_address));
+        
+        // Check for any duplicate event in the last 30 seconds, custom events,
+        // quantity changes and coupons may repeat, page views only on reload
+        if (!in_array($event_type, array('custom', 'cart_update', 'coupon_applied', 'coupon_removed'), true) && $this->is_duplicate_event($event_type, $this->anonymize_ip($ip_address), $product_id, $variation['variation_id'], $page_url)) {
+            return array(
                 'event_id' => 0,
                 'event_type' => $event_type,
                 'timestamp' => current_time('mysql'),
                 'status' => 'skipped', // Event already recorded
-            ));
-            exit;
+            );
         }
         
         // Get country information
         $geo_data = $this->geo->get_country_from_ip($ip_address);
         
-        // Get quantity for add to cart events
-        $quantity = isset($_POST['quantity']) ? absint($_POST['quantity']) : 1;
+        // Get quantity for add to cart events, the signed change for quantity updates
+        if ($event_type === 'cart_update') {
+            $quantity = isset($request['quantity']) ? intval($request['quantity']) : 0;
+            
+            if ($quantity === 0) {
+                return new WP_Error('invalid_quantity', 'Missing quantity change', array('status' => 400));
+            }
+        } else {
+            $quantity = isset($request['quantity']) ? absint($request['quantity']) : 1;
+        }
+        
+        // Page the event happened on, only the path is kept
+        $page_type = isset($request['page_type']) ? sanitize_key($request['page_type']) : '';
         
         // Prepare event data
         $event_data = array(
             'session_id' => $session_id,
+            'visitor_id' => $this->get_visitor_id($request),
             'product_id' => $product_id,
             'product_name' => $product_name,
+            'variation_id' => $variation['variation_id'],
+            'variation' => $variation['variation'],
             'user_id' => get_current_user_id(),
-            'ip_address' => $ip_address,
+            'ip_address' => $this->anonymize_ip($ip_address),
             'country_code' => isset($geo_data['country_code']) ? sanitize_text_field($geo_data['country_code']) : '',
             'country_name' => isset($geo_data['country_name']) ? sanitize_text_field($geo_data['country_name']) : '',
-            'quantity' => $quantity
+            'region' => isset($geo_data['region']) ? sanitize_text_field($geo_data['region']) : '',
+            'quantity' => $quantity,
+            'page_type' => in_array($page_type, $this->db->get_page_types(), true) ? $page_type : '',
+            'page_url' => $page_url,
+            'is_test' => $this->get_staff_mode() === 'test'
         );
         
+        // Attribute the event to the campaign of the session
+        $event_data = array_merge($event_data, $this->db->get_event_attribution($session_id));
+        
+        if ($event_type === 'visitor') {
+            $event_data['page_title'] = isset($request['page_title']) ? sanitize_text_field($request['page_title']) : '';
+            $event_data['term_id'] = in_array($event_data['page_type'], array('category', 'tag'), true) && isset($request['term_id']) ? absint($request['term_id']) : 0;
+            $event_data['new_visitor'] = $new_visitor;
+        }
+        
+        if ($coupon_code !== '') {
+            $event_data['coupon_code'] = $coupon_code;
+        }
+        
+        if ($event_type === 'custom') {
+            $event_data['event_name'] = $event_name;
+            $definition = $this->custom_events->get_definition($event_name);
+            $event_data['event_label'] = $definition['label'];
+            $event_data['properties'] = $properties;
+        }
+        
         // Save event to database
         $event_id = $this->db->save_event($event_type, $event_data);
         
         if (!$event_id) {
-            wp_send_json_error(array('message' => 'Failed to save event'), 500);
-            exit;
+            return new WP_Error('save_failed', 'Failed to save event', array('status' => 500));
         }
         
-        // Send event via Pusher
+        // Send event via Pusher, with its ID so the dashboard can catch up after a reconnect
         if ($event_id && $this->pusher->is_configured()) {
-            $this->pusher->trigger('wc-analytics', $event_type, $event_data);
+            $this->pusher->trigger('wc-analytics', $event_type, array_merge(array('id' => $event_id), $event_data));
         }
         
-        wp_send_json_success(array(
+        return array(
             'event_id' => $event_id,
             'event_type' => $event_type,
             'timestamp' => current_time('mysql')
-        ));
+        );
     }
     
     /**
@@ -377,7 +923,7 @@ class WC_Realtime_Tracker {
     private function has_visitor_been_recorded($ip_address) {
         global $wpdb;
         
-        $today = date('Y-m-d');
+        $today = current_time('Y-m-d');
         $today_with_time = $today . ' 00:00:00';
         
         $table_name = $wpdb->prefix . 'wc_realtime_events';
@@ -400,9 +946,11 @@ class WC_Realtime_Tracker {
      * @param string $event_type Event type
      * @param string $ip_address IP address
      * @param int $product_id Product ID
+     * @param int $variation_id Variation ID, different variations of a product are different events
+     * @param string $page_url Path of the page, page views of different pages are different events
      * @return bool True if likely duplicate, false otherwise
      */
-    private function is_duplicate_event($event_type, $ip_address, $product_id) {
+    private function is_duplicate_event($event_type, $ip_address, $product_id, $variation_id = 0, $page_url = '') {
         global $wpdb;
         
         $table_name = $wpdb->prefix . 'wc_realtime_events';
@@ -410,8 +958,21 @@ class WC_Realtime_Tracker {
         // Look for events in the last 30 seconds (prevents double-clicks and page reloads)
         $time_threshold = date('Y-m-d H:i:s', strtotime('-30 seconds'));
         
-        // If no product ID, just check event type and IP
-        if ($product_id === 0) {
+        // Page views repeat when the same page is loaded again
+        if ($event_type === 'visitor' && $page_url !== '') {
+            $result = $wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(*) FROM {$table_name} 
+                WHERE event_type = %s 
+                AND ip_address = %s 
+                AND page_url = %s 
+                AND created_at >= %s",
+                $event_type,
+                $ip_address,
+                $page_url,
+                $time_threshold
+            ));
+        } elseif ($product_id === 0) {
+            // If no product ID, just check event type and IP
             $result = $wpdb->get_var($wpdb->prepare(
                 "SELECT COUNT(*) FROM {$table_name} 
                 WHERE event_type = %s 
@@ -427,10 +988,12 @@ class WC_Realtime_Tracker {
                 WHERE event_type = %s 
                 AND ip_address = %s 
                 AND product_id = %d 
+                AND variation_id = %d 
                 AND created_at >= %s",
                 $event_type,
                 $ip_address,
                 $product_id,
+                absint($variation_id),
                 $time_threshold
             ));
         }
@@ -451,15 +1014,17 @@ class WC_Realtime_Tracker {
     public function track_add_to_cart($cart_item_key, $product_id, $quantity, $variation_id, $variation, $cart_item_data) {
         // Validate product ID
         $product_id = absint($product_id);
-        if (!$product_id || !wc_get_product($product_id)) {
+        if (!$product_id || !wc_get_product($product_id) || !$this->is_tracking_allowed()) {
             return;
         }
         
         // Get IP address
         $ip_address = $this->get_client_ip();
         
+        $variation_details = $this->get_variation_details($product_id, $variation_id, is_array($variation) ? $variation : array());
+        
         // Check for duplicate event to prevent double tracking
-        if ($this->is_duplicate_event('add_to_cart', $ip_address, $product_id)) {
+        if ($this->is_duplicate_event('add_to_cart', $this->anonymize_ip($ip_address), $product_id, $variation_details['variation_id'])) {
             return;
         }
         
@@ -470,13 +1035,20 @@ class WC_Realtime_Tracker {
         $event_data = array(
             'session_id' => $this->get_or_create_session_id(),
             'product_id' => $product_id,
+            'variation_id' => $variation_details['variation_id'],
+            'variation' => $variation_details['variation'],
             'user_id' => get_current_user_id(),
-            'ip_address' => $ip_address,
+            'ip_address' => $this->anonymize_ip($ip_address),
             'country_code' => isset($geo_data['country_code']) ? sanitize_text_field($geo_data['country_code']) : '',
             'country_name' => isset($geo_data['country_name']) ? sanitize_text_field($geo_data['country_name']) : '',
-            'quantity' => absint($quantity)
+            'region' => isset($geo_data['region']) ? sanitize_text_field($geo_data['region']) : '',
+            'quantity' => absint($quantity),
+            'is_test' => $this->get_staff_mode() === 'test'
         );
         
+        // Attribute the event to the campaign of the session
+        $event_data = array_merge($event_data, $this->db->get_event_attribution($event_data['session_id']));
+        
         // Add product name for dashboard display
         $product = wc_get_product($product_id);
         if ($product) {
@@ -488,7 +1060,183 @@ class WC_Realtime_Tracker {
         
         // Send event via Pusher
         if ($event_id && $this->pusher->is_configured()) {
-            $this->pusher->trigger('wc-analytics', 'add_to_cart', $event_data);
+            $this->pusher->trigger('wc-analytics', 'add_to_cart', array_merge(array('id' => $event_id), $event_data));
+        }
+    }
+    
+    /**
+     * Track an item removed with the cart form
+     *
+     * @param string $cart_item_key Cart item key
+     * @param WC_Cart $cart Cart
+     */
+    public function track_cart_item_removed($cart_item_key, $cart) {
+        if (!$this->is_cart_form_request() || !isset($cart->removed_cart_contents[$cart_item_key])) {
+            return;
+        }
+        
+        $item = $cart->removed_cart_contents[$cart_item_key];
+        
+        $this->track_cart_event('remove_from_cart', array(
+            'product_id' => isset($item['product_id']) ? $item['product_id'] : 0,
+            'variation_id' => isset($item['variation_id']) ? $item['variation_id'] : 0,
+            'attributes' => isset($item['variation']) ? $item['variation'] : array(),
+            'quantity' => isset($item['quantity']) ? -absint($item['quantity']) : -1
+        ));
+    }
+    
+    /**
+     * Track a removed item that was put back with the cart form
+     *
+     * @param string $cart_item_key Cart item key
+     * @param WC_Cart $cart Cart
+     */
+    public function track_cart_item_restored($cart_item_key, $cart) {
+        $item = $cart->get_cart_item($cart_item_key);
+        
+        if (!$this->is_cart_form_request() || empty($item)) {
+            return;
+        }
+        
+        $this->track_cart_event('cart_update', array(
+            'product_id' => $item['product_id'],
+            'variation_id' => isset($item['variation_id']) ? $item['variation_id'] : 0,
+            'attributes' => isset($item['variation']) ? $item['variation'] : array(),
+            'quantity' => absint($item['quantity'])
+        ));
+    }
+    
+    /**
+     * Track a quantity changed with the cart form
+     *
+     * Adding a product that is already in the cart changes its quantity as
+     * well, only cart form updates are tracked here.
+     *
+     * @param string $cart_item_key Cart item key
+     * @param int $quantity New quantity
+     * @param int $old_quantity Previous quantity
+     * @param WC_Cart $cart Cart
+     */
+    public function track_cart_item_quantity_update($cart_item_key, $quantity, $old_quantity, $cart) {
+        $item = $cart->get_cart_item($cart_item_key);
+        $change = intval($quantity) - intval($old_quantity);
+        
+        if (empty($_POST['update_cart']) || !$this->is_cart_form_request() || empty($item) || $change === 0) {
+            return;
+        }
+        
+        $this->track_cart_event('cart_update', array(
+            'product_id' => $item['product_id'],
+            'variation_id' => isset($item['variation_id']) ? $item['variation_id'] : 0,
+            'attributes' => isset($item['variation']) ? $item['variation'] : array(),
+            'quantity' => $change
+        ));
+    }
+    
+    /**
+     * Track a coupon applied with the cart form
+     *
+     * @param string $coupon_code Coupon code
+     */
+    public function track_coupon_applied($coupon_code) {
+        if (!$this->is_cart_form_request()) {
+            return;
+        }
+        
+        $this->track_cart_event('coupon_applied', array('coupon_code' => $coupon_code));
+    }
+    
+    /**
+     * Track a coupon removed with the cart form
+     *
+     * @param string $coupon_code Coupon code
+     */
+    public function track_coupon_removed($coupon_code) {
+        if (!$this->is_cart_form_request()) {
+            return;
+        }
+        
+        $this->track_cart_event('coupon_removed', array('coupon_code' => $coupon_code));
+    }
+    
+    /**
+     * Check whether the request is a cart form submission without AJAX
+     *
+     * WooCommerce also changes carts on its own, for example to drop items
+     * that can no longer be bought, those changes are not tracked.
+     *
+     * @return bool
+     */
+    private function is_cart_form_request() {
+        if ($this->is_ajax_request()) {
+            return false;
+        }
+        
+        foreach (array('remove_item', 'undo_item', 'update_cart', 'apply_coupon', 'remove_coupon') as $field) {
+            if (!empty($_REQUEST[$field])) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Save and broadcast a server-side cart event
+     *
+     * @param string $event_type Cart event type
+     * @param array $data Event data (product_id, variation_id and attributes, quantity or coupon_code)
+     */
+    private function track_cart_event($event_type, $data) {
+        if (!$this->is_tracking_allowed()) {
+            return;
+        }
+        
+        $ip_address = $this->get_client_ip();
+        
+        if ($this->exclude_bot_traffic($event_type, $ip_address, $this->get_or_create_session_id(), $this->get_current_path())) {
+            return;
+        }
+        
+        $geo_data = $this->geo->get_country_from_ip($ip_address);
+        $product_id = isset($data['product_id']) ? absint($data['product_id']) : 0;
+        
+        $variation = $this->get_variation_details(
+            $product_id,
+            isset($data['variation_id']) ? $data['variation_id'] : 0,
+            isset($data['attributes']) && is_array($data['attributes']) ? $data['attributes'] : array()
+        );
+        unset($data['attributes']);
+        
+        $event_data = array_merge($data, $variation, array(
+            'session_id' => $this->get_or_create_session_id(),
+            'visitor_id' => $this->get_visitor_id(),
+            'product_id' => $product_id,
+            'user_id' => get_current_user_id(),
+            'ip_address' => $this->anonymize_ip($ip_address),
+            'country_code' => isset($geo_data['country_code']) ? sanitize_text_field($geo_data['country_code']) : '',
+            'country_name' => isset($geo_data['country_name']) ? sanitize_text_field($geo_data['country_name']) : '',
+            'region' => isset($geo_data['region']) ? sanitize_text_field($geo_data['region']) : '',
+            'page_type' => 'cart',
+            'page_url' => $this->get_current_path(),
+            'is_test' => $this->get_staff_mode() === 'test'
+        ));
+        
+        $event_data = array_merge($event_data, $this->db->get_event_attribution($event_data['session_id']));
+        
+        $product = $product_id > 0 ? wc_get_product($product_id) : null;
+        if ($product) {
+            $event_data['product_name'] = html_entity_decode($product->get_name(), ENT_QUOTES, 'UTF-8');
+        }
+        
+        if (isset($event_data['coupon_code'])) {
+            $event_data['coupon_code'] = wc_format_coupon_code($event_data['coupon_code']);
+        }
+        
+        $event_id = $this->db->save_event($event_type, $event_data);
+        
+        if ($event_id && $this->pusher->is_configured()) {
+            $this->pusher->trigger('wc-analytics', $event_type, array_merge(array('id' => $event_id), $event_data));
         }
     }
     
@@ -499,7 +1247,7 @@ class WC_Realtime_Tracker {
      */
     public function track_purchase($order_id) {
         $order_id = absint($order_id);
-        if (!$order_id) {
+        if (!$order_id || !$this->is_tracking_allowed()) {
             return;
         }
         
@@ -533,11 +1281,25 @@ class WC_Realtime_Tracker {
         foreach ($order->get_items() as $item) {
             $product = $item->get_product();
             if ($product) {
+                // Order items keep the chosen values of attributes a variation leaves open
+                $attributes = array();
+                
+                if ($product->is_type('variation')) {
+                    foreach (array_keys($product->get_variation_attributes()) as $attribute) {
+                        $attributes[$attribute] = $item->get_meta(substr($attribute, strlen('attribute_')));
+                    }
+                }
+                
+                $variation = $this->get_variation_details($item->get_product_id(), $item->get_variation_id(), $attributes);
+                
                 $items[] = array(
-                    'product_id' => $product->get_id(),
+                    'product_id' => $item->get_product_id(),
+                    'variation_id' => $variation['variation_id'],
+                    'variation' => $variation['variation'],
                     'name' => html_entity_decode($product->get_name(), ENT_QUOTES, 'UTF-8'),
                     'quantity' => $item->get_quantity(),
-                    'price' => $product->get_price()
+                    'price' => $product->get_price(),
+                    'total' => (float) $item->get_total()
                 );
             }
         }
@@ -545,30 +1307,53 @@ class WC_Realtime_Tracker {
         // Prepare event data
         $event_data = array(
             'session_id' => $this->get_or_create_session_id(),
+            'visitor_id' => $this->get_visitor_id(),
             'user_id' => get_current_user_id(),
-            'ip_address' => $ip_address,
+            'ip_address' => $this->anonymize_ip($ip_address),
             'country_code' => isset($geo_data['country_code']) ? sanitize_text_field($geo_data['country_code']) : '',
             'country_name' => isset($geo_data['country_name']) ? sanitize_text_field($geo_data['country_name']) : '',
+            'region' => isset($geo_data['region']) ? sanitize_text_field($geo_data['region']) : '',
             'order_id' => $order_id,
-            'order_total' => $order->get_total(),
+            'order_total' => (float) $order->get_total(),
+            'revenue' => (float) $order->get_total(),
+            'currency' => $order->get_currency(),
             'items' => $items,
-            'items_count' => count($items)
+            'items_count' => count($items),
+            'is_test' => $this->get_staff_mode() === 'test'
         );
         
+        // Attribute the order to the campaign of the session
+        $event_data = array_merge($event_data, $this->db->get_event_attribution($event_data['session_id']));
+        
+        // Guests who created an account at checkout are only logged in from the next page
+        if ($event_data['visitor_id'] !== '' && $order->get_customer_id() && !$event_data['is_test']) {
+            $this->db->save_visitor_id($event_data['visitor_id'], $order->get_customer_id());
+        }
+        
         // Track each product in the order
         if (!empty($items)) {
             foreach ($items as $item) {
                 $product_event_data = array(
                     'session_id' => $event_data['session_id'],
+                    'visitor_id' => $event_data['visitor_id'],
                     'product_id' => absint($item['product_id']),
+                    'variation_id' => $item['variation_id'],
+                    'variation' => $item['variation'],
                     'product_name' => $item['name'],
                     'user_id' => $event_data['user_id'],
                     'ip_address' => $event_data['ip_address'],
                     'country_code' => $event_data['country_code'],
                     'country_name' => $event_data['country_name'],
+                    'region' => $event_data['region'],
                     'quantity' => $item['quantity'],
                     'price' => $item['price'],
-                    'order_id' => $order_id
+                    'order_id' => $order_id,
+                    'revenue' => $item['total'],
+                    'currency' => $event_data['currency'],
+                    'source' => $event_data['source'],
+                    'medium' => $event_data['medium'],
+                    'campaign' => $event_data['campaign'],
+                    'is_test' => $event_data['is_test']
                 );
                 
                 $this->db->save_event('purchase', $product_event_data);
@@ -580,7 +1365,7 @@ class WC_Realtime_Tracker {
         
         // Send event via Pusher
         if ($event_id && $this->pusher->is_configured()) {
-            $this->pusher->trigger('wc-analytics', 'purchase', $event_data);
+            $this->pusher->trigger('wc-analytics', 'purchase', array_merge(array('id' => $event_id), $event_data));
         }
         
         // Update cookie to prevent duplicate tracking
@@ -599,6 +1384,53 @@ class WC_Realtime_Tracker {
         );
     }
     
+    /**
+     * Check a variation against its parent and describe its attributes
+     *
+     * @param int $product_id Parent product ID
+     * @param int $variation_id Variation ID
+     * @param array $attributes Chosen values by attribute field name (attribute_pa_size), needed
+     *                          for attributes the variation leaves open
+     * @return array Variation ID and attribute summary like "Size: L, Colour: Red", empty
+     *               if the variation does not belong to the product
+     */
+    private function get_variation_details($product_id, $variation_id, $attributes = array()) {
+        $variation_id = absint($variation_id);
+        $variation = $variation_id ? wc_get_product($variation_id) : null;
+        
+        if (!$variation || !$variation->is_type('variation') || $variation->get_parent_id() !== absint($product_id)) {
+            return array(
+                'variation_id' => 0,
+                'variation' => ''
+            );
+        }
+        
+        $parent = wc_get_product($product_id);
+        $values = array();
+        
+        foreach ($variation->get_variation_attributes() as $field => $value) {
+            $attribute = substr($field, strlen('attribute_'));
+            $is_taxonomy = taxonomy_exists($attribute);
+            
+            // "Any" attributes are empty on the variation, the customer picked the value
+            if ($value === '' && isset($attributes[$field]) && is_scalar($attributes[$field])) {
+                $value = $is_taxonomy ? sanitize_title($attributes[$field]) : sanitize_text_field($attributes[$field]);
+            }
+            
+            if ($value === '') {
+                continue;
+            }
+            
+            $term = $is_taxonomy ? get_term_by('slug', $value, $attribute) : false;
+            $values[] = wc_attribute_label($attribute, $parent) . ': ' . ($term ? $term->name : $value);
+        }
+        
+        return array(
+            'variation_id' => $variation_id,
+            'variation' => substr(html_entity_decode(implode(', ', $values), ENT_QUOTES, 'UTF-8'), 0, 255)
+        );
+    }
+    
     /**
      * Check if current request is AJAX
      *
@@ -610,6 +1442,40 @@ class WC_Realtime_Tracker {
                 strtolower($_SERVER['HTTP_X_REQUESTED_WITH']) == 'xmlhttprequest');
     }
     
+    /**
+     * Count a REST request sent without a nonce against the limit of its IP address
+     *
+     * The address is the connecting one, forwarding headers can be set by anyone.
+     * Hits are kept in the object cache when the site has a persistent one, in a
+     * table with one row per address otherwise.
+     *
+     * @param int $cost Number of events or heartbeats in the request
+     * @return bool Whether the IP address went over the limit
+     */
+    private function is_rest_throttled($cost) {
+        $ip_address = isset($_SERVER['REMOTE_ADDR']) ? sanitize_text_field(wp_unslash($_SERVER['REMOTE_ADDR'])) : '';
+        
+        /**
+         * Filter the IP address REST requests without a nonce are throttled by
+         *
+         * Sites behind a reverse proxy they trust can return the visitor's address here.
+         *
+         * @param string $ip_address Connecting IP address (REMOTE_ADDR)
+         */
+        $ip_address = (string) apply_filters('wc_realtime_rest_throttle_ip', $ip_address);
+        
+        if (wp_using_ext_object_cache()) {
+            $cache_key = 'rest_hits_' . md5($ip_address) . '_' . (int) floor(time() / self::REST_RATE_WINDOW);
+            
+            wp_cache_add($cache_key, 0, 'wc_realtime', self::REST_RATE_WINDOW * 2);
+            $hits = (int) wp_cache_incr($cache_key, $cost, 'wc_realtime');
+        } else {
+            $hits = $this->db->add_rate_limit_hits('rest:' . $ip_address, self::REST_RATE_WINDOW, $cost);
+        }
+        
+        return $hits > self::REST_RATE_LIMIT;
+    }
+    
     /**
      * Get or create a session ID for tracking
      *
@@ -637,9 +1503,53 @@ class WC_Realtime_Tracker {
         $secure = is_ssl();
         setcookie($cookie_name, $session_id, time() + 86400, COOKIEPATH, COOKIE_DOMAIN, $secure, true);
         
+        // Later events of the same request, such as the rest of a batch, join the new session
+        $_COOKIE[$cookie_name] = $session_id;
+        
         return $session_id;
     }
     
+    /**
+     * Get the visitor ID of a request
+     *
+     * @param array $request Request fields, tracking.js sends the visitor ID with every request
+     * @return string Visitor ID or empty string if tracking.js has not set one yet
+     */
+    private function get_visitor_id($request = array()) {
+        if (!empty($request['visitor_id'])) {
+            $visitor_id = $request['visitor_id'];
+        } else {
+            $visitor_id = isset($_COOKIE[self::VISITOR_COOKIE]) ? wp_unslash($_COOKIE[self::VISITOR_COOKIE]) : '';
+        }
+        
+        return substr(sanitize_key($visitor_id), 0, 50);
+    }
+    
+    /**
+     * Link the visitor ID of the browser to the customer logging in
+     *
+     * @param string $user_login Username
+     * @param WP_User $user Logged in user
+     */
+    public function link_visitor_on_login($user_login, $user) {
+        $visitor_id = $this->get_visitor_id();
+        
+        if ($visitor_id === '' || !($user instanceof WP_User) || ($this->privacy && !$this->privacy->has_consent())) {
+            return;
+        }
+        
+        // The staff filter only knows the current user, which is not set yet while logging in
+        if ($this->staff_filter) {
+            $settings = $this->staff_filter->get_settings();
+            
+            if (array_intersect((array) $user->roles, $settings['excluded_roles']) && !$settings['test_mode']) {
+                return;
+            }
+        }
+        
+        $this->db->save_visitor_id($visitor_id, $user->ID);
+    }
+    
     /**
      * Get client IP address considering proxies
      *
@@ -677,6 +1587,68 @@ class WC_Realtime_Tracker {
         return '127.0.0.1';  // Default localhost
     }
     
+    /**
+     * Check whether the visitor allowed tracking
+     *
+     * @return bool
+     */
+    private function is_tracking_allowed() {
+        if ($this->get_staff_mode() === 'exclude') {
+            return false;
+        }
+        
+        return !$this->privacy || $this->privacy->has_consent();
+    }
+    
+    /**
+     * Get what happens to the traffic of the current visitor
+     *
+     * @return string "exclude" for staff that is not tracked, "test" for staff tracked as test traffic, empty for customers
+     */
+    private function get_staff_mode() {
+        return $this->staff_filter ? $this->staff_filter->get_mode($this->get_client_ip()) : '';
+    }
+    
+    /**
+     * Check whether a request is bot traffic and store it apart if it is
+     *
+     * @param string $event_type Event type
+     * @param string $ip_address Full IP address
+     * @param string $session_id Session ID
+     * @param string $page_url Path of the page
+     * @param array|null $signals Signals sent by tracking.js, null for server-side events
+     * @return bool True if the request was excluded
+     */
+    private function exclude_bot_traffic($event_type, $ip_address, $session_id, $page_url, $signals = null) {
+        // Staff testing the store is never taken for a bot
+        if (!$this->bot_filter || $this->get_staff_mode() === 'test') {
+            return false;
+        }
+        
+        $stored_ip = $this->anonymize_ip($ip_address);
+        $reason = $this->bot_filter->get_exclusion_reason($event_type, $ip_address, $stored_ip, $session_id, $signals);
+        
+        if ($reason === '') {
+            return false;
+        }
+        
+        $this->bot_filter->record($event_type, $reason, $stored_ip, $session_id, $page_url);
+        
+        return true;
+    }
+    
+    /**
+     * Convert an IP address to the form it is stored in
+     *
+     * The full address is still used for the country lookup.
+     *
+     * @param string $ip_address IP address
+     * @return string Full, truncated or hashed IP address
+     */
+    private function anonymize_ip($ip_address) {
+        return $this->privacy ? $this->privacy->anonymize_ip($ip_address) : $ip_address;
+    }
+    
     /**
      * Get current product ID (if on product page)
      *
@@ -692,6 +1664,104 @@ class WC_Realtime_Tracker {
         return 0;
     }
     
+    /**
+     * Get the type of the current page
+     *
+     * @return string One of WC_Realtime_DB::get_page_types()
+     */
+    private function get_page_type() {
+        if (is_front_page()) {
+            return 'home';
+        }
+        
+        if (is_shop()) {
+            return 'shop';
+        }
+        
+        if (is_product_category()) {
+            return 'category';
+        }
+        
+        if (is_product_tag()) {
+            return 'tag';
+        }
+        
+        if (is_product()) {
+            return 'product';
+        }
+        
+        if (is_cart()) {
+            return 'cart';
+        }
+        
+        if (is_checkout()) {
+            return 'checkout';
+        }
+        
+        if (is_account_page()) {
+            return 'account';
+        }
+        
+        if (is_search()) {
+            return 'search';
+        }
+        
+        // The posts page and post archives
+        if (is_home() || is_category() || is_tag() || is_author() || is_date()) {
+            return 'blog';
+        }
+        
+        if (is_singular('post')) {
+            return 'post';
+        }
+        
+        if (is_page()) {
+            return 'page';
+        }
+        
+        return 'other';
+    }
+    
+    /**
+     * Get the product category or tag of the current archive
+     *
+     * @return int Term ID, 0 on other pages
+     */
+    private function get_current_term_id() {
+        if (is_product_category() || is_product_tag()) {
+            return absint(get_queried_object_id());
+        }
+        
+        return 0;
+    }
+    
+    /**
+     * Get the path of the current request
+     *
+     * @return string Path without query string
+     */
+    private function get_current_path() {
+        return isset($_SERVER['REQUEST_URI']) ? $this->sanitize_page_path(wp_unslash($_SERVER['REQUEST_URI'])) : '';
+    }
+    
+    /**
+     * Reduce a page URL to its path
+     *
+     * Query strings are dropped, they may contain personal data.
+     *
+     * @param string $url Page URL or path
+     * @return string Path, at most 255 characters
+     */
+    private function sanitize_page_path($url) {
+        $path = wp_parse_url(sanitize_text_field($url), PHP_URL_PATH);
+        
+        if (!is_string($path) || $path === '') {
+            return '';
+        }
+        
+        return substr('/' . ltrim($path, '/'), 0, 255);
+    }
+    
     /**
      * Exclude tracking endpoint from LiteSpeed Cache
      */
@@ -0,0 +1,459 @@
+<?php
+/**
+ * Class WC_Realtime_Webhooks
+ *
+ * Posts tracked events to HTTP endpoints, queued and retried in the background
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_Realtime_Webhooks {
+    /**
+     * Subscription limits
+     */
+    const OPTION_NAME = 'wc_realtime_webhooks';
+    const MAX_WEBHOOKS = 10;
+    
+    /**
+     * WP-Cron hook that works through the delivery queue
+     */
+    const CRON_HOOK = 'wcra_deliver_webhooks';
+    
+    /**
+     * Delivery attempts before a delivery fails, and the delay before the
+     * first retry in seconds, doubled for each further retry
+     */
+    const MAX_ATTEMPTS = 6;
+    const RETRY_DELAY = 60;
+    
+    /**
+     * Deliveries sent per queue run, and the request timeout in seconds
+     */
+    const BATCH_SIZE = 20;
+    const TIMEOUT = 10;
+    
+    /**
+     * Database handler
+     *
+     * @var WC_Realtime_DB
+     */
+    private $db;
+    
+    /**
+     * Constructor
+     *
+     * @param WC_Realtime_DB $db Database handler
+     */
+    public function __construct($db) {
+        $this->db = $db;
+        
+        add_action('wc_realtime_event_saved', array($this, 'queue_event'), 10, 3);
+        add_action(self::CRON_HOOK, array($this, 'process_queue'));
+    }
+    
+    /**
+     * Get the event types a webhook can subscribe to
+     *
+     * @return array Labels by event type
+     */
+    public function get_event_types() {
+        return array(
+            'visitor' => __('Page view', 'wc-realtime-analytics'),
+            'add_to_cart' => __('Add to Cart', 'wc-realtime-analytics'),
+            'checkout' => __('Checkout', 'wc-realtime-analytics'),
+            'purchase' => __('Purchase', 'wc-realtime-analytics'),
+            'remove_from_cart' => __('Remove from Cart', 'wc-realtime-analytics'),
+            'cart_update' => __('Cart quantity change', 'wc-realtime-analytics'),
+            'coupon_applied' => __('Coupon applied', 'wc-realtime-analytics'),
+            'coupon_removed' => __('Coupon removed', 'wc-realtime-analytics'),
+            'custom' => __('Custom events', 'wc-realtime-analytics')
+        );
+    }
+    
+    /**
+     * Get the saved webhooks
+     *
+     * @return array Webhooks
+     */
+    public function get_webhooks() {
+        $webhooks = get_option(self::OPTION_NAME, array());
+        
+        return array_values(array_filter((array) $webhooks, function($webhook) {
+            return is_array($webhook) && !empty($webhook['id']);
+        }));
+    }
+    
+    /**
+     * Get a webhook by ID
+     *
+     * @param string $webhook_id Webhook ID
+     * @return array|null Webhook or null if not found
+     */
+    public function get_webhook($webhook_id) {
+        foreach ($this->get_webhooks() as $webhook) {
+            if ($webhook['id'] === $webhook_id) {
+                return $webhook;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Create or update a webhook
+     *
+     * New webhooks get a signing secret, existing ones keep theirs unless
+     * regenerate_secret is set.
+     *
+     * @param array $webhook Webhook with optional id, label, url, event_types, enabled and regenerate_secret
+     * @return array|WP_Error Saved webhook or error
+     */
+    public function save_webhook($webhook) {
+        $webhook_id = isset($webhook['id']) ? sanitize_key($webhook['id']) : '';
+        $result = $this->sanitize_webhook($webhook);
+        
+        if (is_wp_error($result)) {
+            return $result;
+        }
+        
+        $webhooks = $this->get_webhooks();
+        $index = null;
+        
+        foreach ($webhooks as $i => $existing) {
+            if ($existing['id'] === $webhook_id) {
+                $index = $i;
+            }
+        }
+        
+        if ($webhook_id !== '' && $index === null) {
+            return new WP_Error('webhook_not_found', __('Webhook not found', 'wc-realtime-analytics'));
+        }
+        
+        if ($index === null && count($webhooks) >= self::MAX_WEBHOOKS) {
+            return new WP_Error('too_many_webhooks', sprintf(
+                /* translators: %d: maximum number of webhooks */
+                __('You can save up to %d webhooks', 'wc-realtime-analytics'),
+                self::MAX_WEBHOOKS
+            ));
+        }
+        
+        $result['id'] = $index === null ? sanitize_key(uniqid('webhook_')) : $webhook_id;
+        $result['secret'] = $index === null || !empty($webhook['regenerate_secret'])
+            ? wp_generate_password(32, false)
+            : $webhooks[$index]['secret'];
+        
+        if ($index === null) {
+            $webhooks[] = $result;
+        } else {
+            $webhooks[$index] = $result;
+        }
+        
+        update_option(self::OPTION_NAME, $webhooks, false);
+        
+        // Disabled webhooks stop retrying what they had queued
+        if (!$result['enabled']) {
+            $this->db->cancel_webhook_deliveries($result['id']);
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Delete a webhook, its delivery log is kept and queued deliveries are cancelled
+     *
+     * @param string $webhook_id Webhook ID
+     * @return true|WP_Error True or error
+     */
+    public function delete_webhook($webhook_id) {
+        $webhooks = $this->get_webhooks();
+        $remaining = array_values(array_filter($webhooks, function($webhook) use ($webhook_id) {
+            return $webhook['id'] !== $webhook_id;
+        }));
+        
+        if (count($remaining) === count($webhooks)) {
+            return new WP_Error('webhook_not_found', __('Webhook not found', 'wc-realtime-analytics'));
+        }
+        
+        update_option(self::OPTION_NAME, $remaining, false);
+        $this->db->cancel_webhook_deliveries($webhook_id);
+        
+        return true;
+    }
+    
+    /**
+     * Validate and normalize a webhook
+     *
+     * @param array $webhook Raw webhook
+     * @return array|WP_Error Webhook without ID and secret or error naming the invalid field
+     */
+    private function sanitize_webhook($webhook) {
+        $url = isset($webhook['url']) ? esc_url_raw(trim($webhook['url']), array('http', 'https')) : '';
+        $event_types = array_values(array_intersect(
+            array_keys($this->get_event_types()),
+            isset($webhook['event_types']) ? (array) $webhook['event_types'] : array()
+        ));
+        
+        if ($url === '' || !wp_parse_url($url, PHP_URL_HOST)) {
+            return new WP_Error('invalid_webhook', __('Please enter a valid http or https URL', 'wc-realtime-analytics'));
+        }
+        
+        if (empty($event_types)) {
+            return new WP_Error('invalid_webhook', __('Please select at least one event type', 'wc-realtime-analytics'));
+        }
+        
+        $label = isset($webhook['label']) ? substr(sanitize_text_field($webhook['label']), 0, 100) : '';
+        
+        return array(
+            'label' => $label !== '' ? $label : wp_parse_url($url, PHP_URL_HOST),
+            'url' => $url,
+            'event_types' => $event_types,
+            'enabled' => !empty($webhook['enabled'])
+        );
+    }
+    
+    /**
+     * Queue a saved event for the webhooks subscribed to its type
+     *
+     * Test traffic of staff is not sent, use the test button to try a webhook.
+     *
+     * @param int $event_id Event ID
+     * @param string $event_type Event type
+     * @param array $data Event data as passed to WC_Realtime_DB::save_event()
+     */
+    public function queue_event($event_id, $event_type, $data) {
+        if (!empty($data['is_test'])) {
+            return;
+        }
+        
+        $webhooks = array_filter($this->get_webhooks(), function($webhook) use ($event_type) {
+            return !empty($webhook['enabled']) && in_array($event_type, $webhook['event_types'], true);
+        });
+        
+        if (empty($webhooks)) {
+            return;
+        }
+        
+        $payload = wp_json_encode($this->build_payload($event_id, $event_type, $data));
+        $queued = false;
+        
+        foreach ($webhooks as $webhook) {
+            $queued = $this->db->queue_webhook_delivery($webhook['id'], $event_id, $event_type, $payload) || $queued;
+        }
+        
+        if ($queued) {
+            $this->schedule_queue(time());
+        }
+    }
+    
+    /**
+     * Build the JSON body posted for an event
+     *
+     * The IP address is left out, receivers get the session and country instead.
+     *
+     * @param int $event_id Event ID, 0 for test events
+     * @param string $event_type Event type
+     * @param array $data Event data
+     * @return array Payload
+     */
+    private function build_payload($event_id, $event_type, $data) {
+        $fields = array(
+            'event_name', 'session_id', 'user_id', 'product_id', 'product_name', 'variation_id', 'variation',
+            'quantity', 'coupon_code', 'order_id', 'order_total', 'revenue', 'currency', 'page_type', 'page_url',
+            'properties', 'country_code', 'country_name', 'region', 'source', 'medium', 'campaign'
+        );
+        
+        $payload = array(
+            'id' => $event_id ? (int) $event_id : null,
+            'event' => $event_type,
+            'site' => home_url(),
+            'created_at' => mysql_to_rfc3339(current_time('mysql')),
+            'data' => array_intersect_key((array) $data, array_flip($fields))
+        );
+        
+        /**
+         * Filter the JSON body posted to event webhooks
+         *
+         * @param array $payload Webhook body with id, event, site, created_at and data
+         * @param string $event_type Event type
+         * @param array $data Event data as passed to WC_Realtime_DB::save_event()
+         */
+        return apply_filters('wc_realtime_webhook_payload', $payload, $event_type, $data);
+    }
+    
+    /**
+     * Make sure the queue runs by a given time
+     *
+     * @param int $timestamp Unix timestamp
+     */
+    private function schedule_queue($timestamp) {
+        $next = wp_next_scheduled(self::CRON_HOOK);
+        
+        if ($next && $next <= $timestamp) {
+            return;
+        }
+        
+        if ($next) {
+            wp_clear_scheduled_hook(self::CRON_HOOK);
+        }
+        
+        wp_schedule_single_event($timestamp, self::CRON_HOOK);
+    }
+    
+    /**
+     * Send the deliveries that are due, run by WP-Cron
+     *
+     * Only one run works through the queue at a time. The next run is
+     * scheduled for the next delivery that is due.
+     */
+    public function process_queue() {
+        if (get_transient('wcra_webhooks_processing')) {
+            return;
+        }
+        
+        set_transient('wcra_webhooks_processing', 1, 5 * MINUTE_IN_SECONDS);
+        
+        $webhooks = array();
+        
+        foreach ($this->get_webhooks() as $webhook) {
+            $webhooks[$webhook['id']] = $webhook;
+        }
+        
+        $deliveries = $this->db->get_due_webhook_deliveries(self::BATCH_SIZE);
+        
+        foreach ($deliveries as $delivery) {
+            $webhook = isset($webhooks[$delivery['webhook_id']]) ? $webhooks[$delivery['webhook_id']] : null;
+            
+            if (!$webhook || empty($webhook['enabled'])) {
+                $this->db->cancel_webhook_deliveries($delivery['webhook_id']);
+                continue;
+            }
+            
+            $this->deliver($webhook, $delivery, true);
+        }
+        
+        delete_transient('wcra_webhooks_processing');
+        
+        // A full batch may have left more deliveries that are already due
+        $next_attempt = count($deliveries) >= self::BATCH_SIZE ? current_time('mysql') : $this->db->get_next_webhook_attempt();
+        
+        if ($next_attempt) {
+            $this->schedule_queue(max(time(), strtotime(get_gmt_from_date($next_attempt))));
+        }
+    }
+    
+    /**
+     * Post a delivery and record the result
+     *
+     * 2xx responses are delivered. Other responses and connection errors are
+     * retried after 1, 2, 4, 8 and 16 minutes before the delivery fails.
+     *
+     * @param array $webhook Webhook
+     * @param array $delivery Delivery row with id, event_type, payload and attempts
+     * @param bool $retry Whether to retry a failed attempt
+     * @return array Result with status, response_code and response_message
+     */
+    private function deliver($webhook, $delivery, $retry) {
+        $timestamp = time();
+        $body = $delivery['payload'];
+        $attempts = absint($delivery['attempts']) + 1;
+        
+        // Like WooCommerce webhooks, refuse internal and loopback hosts
+        $response = wp_safe_remote_post($webhook['url'], array(
+            'timeout' => self::TIMEOUT,
+            'redirection' => 0,
+            'headers' => array(
+                'Content-Type' => 'application/json',
+                'User-Agent' => 'WC-Realtime-Analytics/' . WCRA_VERSION,
+                'X-WCRA-Event' => $delivery['event_type'],
+                'X-WCRA-Delivery' => (string) $delivery['id'],
+                'X-WCRA-Timestamp' => (string) $timestamp,
+                'X-WCRA-Signature' => 'sha256=' . $this->sign($webhook['secret'], $timestamp, $body)
+            ),
+            'body' => $body
+        ));
+        
+        if (is_wp_error($response)) {
+            $code = 0;
+            $message = $response->get_error_message();
+        } else {
+            $code = (int) wp_remote_retrieve_response_code($response);
+            $message = wp_remote_retrieve_response_message($response);
+        }
+        
+        $next_attempt_at = null;
+        
+        if ($code >= 200 && $code < 300) {
+            $status = 'delivered';
+        } elseif ($retry && $attempts < self::MAX_ATTEMPTS) {
+            $status = 'pending';
+            $next_attempt_at = date('Y-m-d H:i:s', current_time('timestamp') + self::RETRY_DELAY * pow(2, $attempts - 1));
+        } else {
+            $status = 'failed';
+        }
+        
+        $this->db->update_webhook_delivery($delivery['id'], $status, $attempts, $code, $message, $next_attempt_at);
+        
+        if ($status === 'failed') {
+            error_log('WC Realtime Analytics: Webhook delivery ' . $delivery['id'] . ' to ' . $webhook['url'] . ' failed - ' . ($code ? $code . ' ' : '') . $message);
+        }
+        
+        return array(
+            'status' => $status,
+            'response_code' => $code,
+            'response_message' => $message
+        );
+    }
+    
+    /**
+     * Sign a request body
+     *
+     * Receivers check the X-WCRA-Signature header by computing the same HMAC
+     * over the X-WCRA-Timestamp header, a dot and the raw body.
+     *
+     * @param string $secret Webhook secret
+     * @param int $timestamp Unix timestamp sent with the request
+     * @param string $body Request body
+     * @return string Hex encoded HMAC-SHA256
+     */
+    public function sign($secret, $timestamp, $body) {
+        return hash_hmac('sha256', $timestamp . '.' . $body, $secret);
+    }
+    
+    /**
+     * Send a test event to a webhook right away
+     *
+     * Test deliveries are logged but not retried.
+     *
+     * @param string $webhook_id Webhook ID
+     * @return array|WP_Error Result with status, response_code and response_message, or error
+     */
+    public function send_test($webhook_id) {
+        $webhook = $this->get_webhook($webhook_id);
+        
+        if (!$webhook) {
+            return new WP_Error('webhook_not_found', __('Webhook not found', 'wc-realtime-analytics'), array('status' => 404));
+        }
+        
+        $payload = wp_json_encode($this->build_payload(0, 'test', array(
+            'session_id' => 'test',
+            'user_id' => get_current_user_id(),
+            'country_code' => 'TEST',
+            'country_name' => 'Test Country'
+        )));
+        $delivery_id = $this->db->queue_webhook_delivery($webhook['id'], 0, 'test', $payload, false);
+        
+        if (!$delivery_id) {
+            return new WP_Error('delivery_failed', __('Could not log the test delivery', 'wc-realtime-analytics'), array('status' => 500));
+        }
+        
+        return $this->deliver($webhook, array(
+            'id' => $delivery_id,
+            'event_type' => 'test',
+            'payload' => $payload,
+            'attempts' => 0
+        ), false);
+    }
+}
@@ -2,7 +2,7 @@
 /**
  * Plugin Name: WooCommerce Real-time Analytics
  * Description: Real-time analytics for WooCommerce with visitor, add to cart, checkout, and purchase tracking.
- * Version: 1.0.1
+ * Version: 1.0.2
  * Author: IT Department
  * Text Domain: wc-realtime-analytics
  * Domain Path: /languages
@@ -17,7 +17,7 @@ if (!defined('ABSPATH')) {
 }
 
 // Define plugin constants
-define('WCRA_VERSION', '1.0.1'); // Incrementing version for update recognition
+define('WCRA_VERSION', '1.0.2'); // Incrementing version for update recognition
 define('WCRA_PLUGIN_DIR', plugin_dir_path(__FILE__));
 define('WCRA_PLUGIN_URL', plugin_dir_url(__FILE__));
 define('WCRA_BASENAME', plugin_basename(__FILE__));
@@ -52,8 +52,17 @@ function wcra_init() {
         'includes/class-wc-realtime-db.php',
         'includes/class-wc-realtime-geo.php',
         'includes/class-wc-realtime-pusher.php',
+        'includes/class-wc-realtime-custom-events.php',
+        'includes/class-wc-realtime-attribution.php',
+        'includes/class-wc-realtime-privacy.php',
+        'includes/class-wc-realtime-bot-filter.php',
+        'includes/class-wc-realtime-staff-filter.php',
         'includes/class-wc-realtime-tracker.php',
         'includes/class-wc-realtime-data.php',
+        'includes/class-wc-realtime-funnels.php',
+        'includes/class-wc-realtime-export.php',
+        'includes/class-wc-realtime-alerts.php',
+        'includes/class-wc-realtime-webhooks.php',
         'includes/class-wc-realtime-admin.php'
     );
     
@@ -86,11 +95,38 @@ function wcra_init() {
         // Initialize data handler
         $data = new WC_Realtime_Data($db);
         
+        // Initialize funnels handler
+        $funnels = new WC_Realtime_Funnels($db, $data);
+        
+        // Initialize export handler
+        $export = new WC_Realtime_Export($db, $data, $funnels);
+        
+        // Initialize custom events registry
+        $custom_events = new WC_Realtime_Custom_Events();
+        
+        // Initialize session attribution handler
+        $attribution = new WC_Realtime_Attribution();
+        
+        // Initialize consent and IP address handler
+        $privacy = new WC_Realtime_Privacy($db);
+        
+        // Initialize bot traffic filter
+        $bot_filter = new WC_Realtime_Bot_Filter($db);
+        
+        // Initialize staff traffic filter
+        $staff_filter = new WC_Realtime_Staff_Filter();
+        
         // Initialize tracker
-        $tracker = new WC_Realtime_Tracker($db, $pusher, $geo);
+        $tracker = new WC_Realtime_Tracker($db, $pusher, $geo, $custom_events, $attribution, $privacy, $bot_filter, $staff_filter);
+        
+        // Initialize alert rules
+        $alerts = new WC_Realtime_Alerts($db, $pusher);
+        
+        // Initialize event webhooks
+        $webhooks = new WC_Realtime_Webhooks($db);
         
         // Initialize admin interface
-        $admin = new WC_Realtime_Admin($db, $pusher, $data);
+        $admin = new WC_Realtime_Admin($db, $pusher, $data, $funnels, $custom_events, $export, $alerts, $webhooks, $privacy, $bot_filter, $staff_filter);
     } catch (Exception $e) {
         // Log initialization error
         error_log('WooCommerce Real-time Analytics initialization error: ' . $e->getMessage());
@@ -207,6 +243,9 @@ function wcra_check_requirements() {
 function wcra_deactivate() {
     // Clear any scheduled events
     wp_clear_scheduled_hook('wcra_daily_cleanup');
+    wp_clear_scheduled_hook('wcra_evaluate_alerts');
+    wp_clear_scheduled_hook('wcra_check_spike_alerts');
+    wp_clear_scheduled_hook('wcra_deliver_webhooks');
     
     // Clear any cached data
     wcra_clear_cache();
@@ -237,6 +276,24 @@ function wcra_uninstall() {
         'wc_realtime_pusher_key',
         'wc_realtime_pusher_secret',
         'wc_realtime_pusher_cluster',
+        'wc_realtime_pusher_host',
+        'wc_realtime_pusher_port',
+        'wc_realtime_pusher_use_tls',
+        'wc_realtime_funnels',
+        'wc_realtime_custom_events',
+        'wc_realtime_alert_rules',
+        'wc_realtime_webhooks',
+        'wc_realtime_consent_mode',
+        'wc_realtime_consent_cookie',
+        'wc_realtime_respect_dnt',
+        'wc_realtime_ip_mode',
+        'wc_realtime_ip_salt',
+        'wc_realtime_bot_filter',
+        'wc_realtime_excluded_ips',
+        'wc_realtime_excluded_user_agents',
+        'wc_realtime_excluded_roles',
+        'wc_realtime_office_ips',
+        'wc_realtime_staff_test_mode',
         'wc_realtime_analytics_version'
     );
     
@@ -261,7 +318,14 @@ function wcra_uninstall() {
         $wpdb->prefix . 'wc_realtime_events',
         $wpdb->prefix . 'wc_realtime_daily',
         $wpdb->prefix . 'wc_realtime_products',
-        $wpdb->prefix . 'wc_realtime_visitors'
+        $wpdb->prefix . 'wc_realtime_visitors',
+        $wpdb->prefix . 'wc_realtime_sessions',
+        $wpdb->prefix . 'wc_realtime_alerts',
+        $wpdb->prefix . 'wc_realtime_webhook_deliveries',
+        $wpdb->prefix . 'wc_realtime_bot_hits',
+        $wpdb->prefix . 'wc_realtime_engagement',
+        $wpdb->prefix . 'wc_realtime_visitor_ids',
+        $wpdb->prefix . 'wc_realtime_rate_limits'
     );
     
     // Drop tables